@@ -0,0 +1,207 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * external_access.js - Decides which other extensions and web pages may call
+ * Tabber through chrome.runtime.onMessageExternal, and keeps a log of their
+ * calls.
+ *
+ * The allowlist is part of the Tabber options. It lists the ids of the
+ * extensions, and the origins of the web pages, which are allowed. Web pages
+ * also have to be listed under "externally_connectable" in manifest.json, or
+ * Chrome never delivers their messages.
+ *
+ * Every external call, allowed or not, is recorded in a log kept in
+ * chrome.storage.local, which holds the last MAX_LOG_ENTRIES calls.
+ */
+
+goog.provide('TabberInternal.ExternalAccess');
+
+/**
+ * The chrome.storage.local key of the call log.
+ * @const {string}
+ */
+TabberInternal.ExternalAccess.LOG_KEY = 'external_log';
+
+/**
+ * The number of calls the log keeps.
+ * @const {number}
+ */
+TabberInternal.ExternalAccess.MAX_LOG_ENTRIES = 100;
+
+/*
+ * Private globals
+ */
+
+/**
+ * Extension ids are 32 letters from a to p.
+ * @private
+ * @const {RegExp}
+ */
+var EXTENSION_ID_PATTERN_ = /^[a-p]{32}$/;
+
+/**
+ * The log writes, chained so they don't overwrite each other.
+ * @private
+ * @type {Promise}
+ */
+var logQueue_ = Promise.resolve();
+
+/**
+ * Get the origin of a URL, if it is a valid web origin.
+ * @private
+ * @param {string} url - The URL or origin.
+ * @return {string} - The origin, or '' if there is none.
+ */
+function getOrigin_(url) {
+  try {
+    var parsed = new URL(url);
+    if ((parsed.protocol == 'http:') || (parsed.protocol == 'https:')) {
+      return parsed.origin;
+    }
+  } catch (e) {
+    // Not a URL.
+  }
+  return '';
+}
+
+/**
+ * Check whether Chrome delivers the messages of an origin's pages, which it
+ * only does for pages matched by "externally_connectable" in manifest.json.
+ * @private
+ * @param {string} origin - The origin.
+ * @return {boolean}
+ */
+function isOriginConnectable_(origin) {
+  var url = new URL(origin);
+  var connectable = chrome.runtime.getManifest()['externally_connectable'];
+  var matches = (connectable && connectable['matches']) || [];
+  for (var m = 0; m < matches.length; m++) {
+    var parts = /^(\*|https?):\/\/([^\/]+)\//.exec(matches[m]);
+    if (!parts || ((parts[1] != '*') && (parts[1] + ':' != url.protocol))) {
+      continue;
+    }
+    // A pattern without a port matches any port.
+    var host = (parts[2].indexOf(':') >= 0) ? url.host : url.hostname;
+    if (parts[2].indexOf('*.') == 0) {
+      var domain = parts[2].slice(2);
+      if ((host == domain) ||
+          (host.slice(-(domain.length + 1)) == '.' + domain)) {
+        return true;
+      }
+    } else if (host == parts[2]) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check an allowlist.
+ * @param {*} allowlist - The allowlist to check.
+ * @return {string} - A description of the first problem, or '' if the
+ *     allowlist is valid.
+ */
+TabberInternal.ExternalAccess.validateAllowlist = function(allowlist) {
+  if (!allowlist || (typeof allowlist != 'object')) {
+    return 'not an object';
+  }
+  var ids = allowlist.ids || [];
+  var origins = allowlist.origins || [];
+  if (!Array.isArray(ids) || !Array.isArray(origins)) {
+    return 'ids and origins must be lists';
+  }
+  for (var i = 0; i < ids.length; i++) {
+    if (!EXTENSION_ID_PATTERN_.test(ids[i])) {
+      return 'bad extension id: ' + ids[i];
+    }
+  }
+  for (var o = 0; o < origins.length; o++) {
+    if (getOrigin_(origins[o]) != origins[o]) {
+      return 'bad origin: ' + origins[o] +
+             ' (expected e.g. https://dashboard.example.com)';
+    }
+    if (!isOriginConnectable_(origins[o])) {
+      return 'origin ' + origins[o] + ' is not listed under ' +
+             'externally_connectable in manifest.json';
+    }
+  }
+  return '';
+};
+
+/**
+ * Describe the sender of an external message, as the id of the extension or
+ * the origin of the web page.
+ * @param {MessageSender} sender - The sender.
+ * @return {string}
+ */
+TabberInternal.ExternalAccess.getCaller = function(sender) {
+  if (sender.id && (sender.id != chrome.runtime.id)) {
+    return sender.id;
+  }
+  return sender.origin || getOrigin_(sender.url || '') || 'unknown';
+};
+
+/**
+ * Check whether the sender of an external message is allowed.
+ * @param {TabberApi.type.external_allowlist|undefined} allowlist - The
+ *     allowlist, if any.
+ * @param {MessageSender} sender - The sender.
+ * @return {boolean}
+ */
+TabberInternal.ExternalAccess.isAllowed = function(allowlist, sender) {
+  if (!allowlist) {
+    return false;
+  }
+  if (sender.id && (sender.id != chrome.runtime.id)) {
+    return (allowlist.ids || []).indexOf(sender.id) >= 0;
+  }
+  var origin = sender.origin || getOrigin_(sender.url || '');
+  return !!origin && ((allowlist.origins || []).indexOf(origin) >= 0);
+};
+
+/**
+ * Record an external call in the log.
+ * @param {TabberInt.type.ExternalCall} entry - The call.
+ */
+TabberInternal.ExternalAccess.record = function(entry) {
+  consoleTaggedLog('External call from ' + entry.caller + ': ' +
+                   entry.method + (entry.error ? ' (' + entry.error + ')' : ''));
+  logQueue_ = logQueue_.then(function() {
+    return new Promise(function(resolve) {
+      TabberInternal.ExternalAccess.readLog(function(log) {
+        log.push(entry);
+        var localObj = {};
+        localObj[TabberInternal.ExternalAccess.LOG_KEY] =
+            log.slice(-TabberInternal.ExternalAccess.MAX_LOG_ENTRIES);
+        chrome.storage.local.set(localObj, resolve);
+      });
+    });
+  });
+};
+
+/**
+ * Read the log of external calls, oldest first.
+ * @param {function(Array<TabberInt.type.ExternalCall>)} callback - Called
+ *     with the log.
+ */
+TabberInternal.ExternalAccess.readLog = function(callback) {
+  chrome.storage.local.get(TabberInternal.ExternalAccess.LOG_KEY,
+                           function(items) {
+    callback(items[TabberInternal.ExternalAccess.LOG_KEY] || []);
+  });
+};
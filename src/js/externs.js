@@ -17,7 +17,8 @@ limitations under the License.
 /**
  * Define the Tabber interface which provides the external tabber access.
  * All external Tabber access goes through a singleton Tabber object which
- * implements this interface.
+ * implements this interface. Pages other than the service worker call it
+ * over a chrome.runtime port, using the messages defined in protocol.js.
  * @fileoverview
  */
 
@@ -47,10 +48,173 @@ TabberApi.prototype.saveLocalToRemote = function() {};
  */
 TabberApi.prototype.syncBrowserFromRemote = function() {};
 
+/**
+ * Open the saved tabs missing from the browser, then save the merged set.
+ */
+TabberApi.prototype.mergeBrowserWithRemote = function() {};
+
+/**
+ * Exchange the browser tabs with the saved set.
+ */
+TabberApi.prototype.swapBrowserWithRemote = function() {};
+
+/**
+ * Get the list of saved sessions.
+ * @return {Array<TabberApi.type.session_info>}
+ */
+TabberApi.prototype.getSessions = function() {};
+
+/**
+ * Save the current tabs as a new named session.
+ * @param {string} name - The name of the new session.
+ */
+TabberApi.prototype.createSession = function(name) {};
+
+/**
+ * Rename a saved session.
+ * @param {string} id - The id of the session to rename.
+ * @param {string} name - The new session name.
+ */
+TabberApi.prototype.renameSession = function(id, name) {};
+
+/**
+ * Delete a saved session.
+ * @param {string} id - The id of the session to delete.
+ */
+TabberApi.prototype.deleteSession = function(id) {};
+
+/**
+ * Switch the active session.
+ * @param {string} id - The id of the session to switch to.
+ */
+TabberApi.prototype.switchSession = function(id) {};
+
+/**
+ * Get the latest session published by each device.
+ * @return {Array<TabberApi.type.device_info>}
+ */
+TabberApi.prototype.getDevices = function() {};
+
+/**
+ * Set the name this device publishes its tabs under.
+ * @param {string} name - The new device name.
+ */
+TabberApi.prototype.setDeviceName = function(name) {};
+
+/**
+ * Set the browser tabs to match the tabs published by a device.
+ * @param {string} deviceId - The id of the device to restore from.
+ * @return {string} - Why the restore did not start, or '' if it did.
+ */
+TabberApi.prototype.restoreFromDevice = function(deviceId) {};
+
+/**
+ * Open the tabs published by a device which are missing from the browser.
+ * @param {string} deviceId - The id of the device to merge from.
+ * @return {string} - Why the merge did not start, or '' if it did.
+ */
+TabberApi.prototype.mergeFromDevice = function(deviceId) {};
+
+/**
+ * Get the previous generations of the active session.
+ * @param {function(Array<TabberApi.type.history_info>)} callback - Called
+ *     with the history list, newest first.
+ */
+TabberApi.prototype.getHistory = function(callback) {};
+
+/**
+ * Roll back the browser and active session to a previous generation.
+ * @param {number} generation - The generation to roll back to.
+ */
+TabberApi.prototype.restoreGeneration = function(generation) {};
+
+/**
+ * Settle a conflict between the browser tabs and the saved session.
+ * @param {string} choice - 'mine', 'theirs' or 'merge'.
+ */
+TabberApi.prototype.resolveConflict = function(choice) {};
+
+/**
+ * Export a saved session or the tabs of a device.
+ * @param {string} id - The session or device id.
+ * @param {string} format - 'json', 'html' or 'text'.
+ * @param {function(string, string)} callback - Called with the exported text
+ *     and an error message, if any.
+ */
+TabberApi.prototype.exportSession = function(id, format, callback) {};
+
+/**
+ * Import exported tabs as a new session, or merge them into the browser.
+ * @param {string} text - The exported text.
+ * @param {string} target - 'session' or 'merge'.
+ * @param {string} name - The name of the new session, if any.
+ * @param {function(string)} callback - Called with an error message, if any.
+ */
+TabberApi.prototype.importSession = function(text, target, name, callback) {};
+
+/**
+ * Encrypt the saved sessions with a passphrase, or change the passphrase.
+ * @param {string} passphrase - The passphrase.
+ * @param {function(string)} callback - Called with an error message, if any.
+ */
+TabberApi.prototype.setPassphrase = function(passphrase, callback) {};
+
+/**
+ * Unlock the encrypted saved sessions on this device.
+ * @param {string} passphrase - The passphrase.
+ * @param {function(boolean)} callback - Called with whether it was right.
+ */
+TabberApi.prototype.unlockSessions = function(passphrase, callback) {};
+
+/**
+ * Turn off encryption of the saved sessions.
+ * @param {function(string)} callback - Called with an error message, if any.
+ */
+TabberApi.prototype.disableEncryption = function(callback) {};
+
+/**
+ * Restore the browser from a saved session, without making it the active one.
+ * @param {string} id - The id of the session.
+ * @param {function(string)} callback - Called with an error message, or ''
+ *     once the restore has started.
+ * @return {undefined}
+ */
+TabberApi.prototype.restoreSession = function(id, callback) {};
+
+/**
+ * Get the log of calls from other extensions and web pages, oldest first.
+ * @param {function(Array<TabberApi.type.external_call>)} callback - Called
+ *     with the log.
+ * @return {undefined}
+ */
+TabberApi.prototype.getExternalLog = function(callback) {};
+
+/**
+ * List the saved tabs by window, with how each differs from the browser tabs.
+ * @return {TabberApi.type.tab_list}
+ */
+TabberApi.prototype.getTabList = function() {};
+
+/**
+ * Open some of the saved tabs, without closing any browser tabs.
+ * @param {TabberApi.type.tab_selection} selection - The saved windows or tabs
+ *     to open.
+ * @param {function(string)} callback - Called with an error message, or ''
+ *     once the tabs are being opened.
+ * @return {undefined}
+ */
+TabberApi.prototype.restoreSelection = function(selection, callback) {};
+
+/**
+ * Describe what restoring the saved tabs would change, without changing it.
+ * @return {?TabberApi.type.restore_plan}
+ */
+TabberApi.prototype.planRestore = function() {};
+
 /**
  * Setting Tabber options.
  * @param {TabberApi.type.config} config - The desired config option values.
- * @return {undefined}
+ * @return {string} - A description of the first invalid option value, or ''.
  */
 TabberApi.prototype.setOptions = function(config) {};
 
@@ -90,11 +254,82 @@ TabberApi.type.mode;
  * Define operational configuration options.
  * @typedef {{
  *   mode: (undefined|string),
- *   debug: (undefined|boolean)
+ *   debug: (undefined|boolean),
+ *   rules: (undefined|Array<TabberApi.type.rule>),
+ *   incognito: (undefined|string),
+ *   matching: (undefined|TabberApi.type.url_matching),
+ *   external: (undefined|TabberApi.type.external_allowlist),
+ *   notifications: (undefined|boolean),
+ *   confirm_restore: (undefined|number)
  * }}
  */
 TabberApi.type.config;
 
+/**
+ * Define the other extensions (by id) and web pages (by origin, such as
+ * 'https://dashboard.example.com') which may call Tabber.
+ * @typedef {{
+ *   ids: Array<string>,
+ *   origins: Array<string>
+ * }}
+ */
+TabberApi.type.external_allowlist;
+
+/**
+ * Define external call log entries. The error is the code of the error the
+ * call was answered with, or ''.
+ * @typedef {{
+ *   time: string,
+ *   caller: string,
+ *   method: string,
+ *   allowed: boolean,
+ *   error: string
+ * }}
+ */
+TabberApi.type.external_call;
+
+/**
+ * Define which URL changes still match the same tab. Query parameters whose
+ * names match the strip_params globs are ignored, and so are, if set, the
+ * fragment, the http or https scheme and a trailing slash. Settings left out
+ * take their default values. The first host rule whose host glob matches a
+ * tab's host applies to it.
+ * @typedef {{
+ *   strip_params: (Array<string>|undefined),
+ *   ignore_fragment: (boolean|undefined),
+ *   ignore_scheme: (boolean|undefined),
+ *   ignore_trailing_slash: (boolean|undefined),
+ *   hosts: (Array<TabberApi.type.host_matching>|undefined)
+ * }}
+ */
+TabberApi.type.url_matching;
+
+/**
+ * Define how URLs of the hosts matching a host glob are matched: strip more
+ * query parameters, ignore the whole query, or ignore the fragment (or not,
+ * whatever the config says).
+ * @typedef {{
+ *   host: string,
+ *   strip_params: (Array<string>|undefined),
+ *   ignore_query: (boolean|undefined),
+ *   ignore_fragment: (boolean|undefined)
+ * }}
+ */
+TabberApi.type.host_matching;
+
+/**
+ * Define URL exclusion rules. The pattern (a 'glob' or 'regex' type) is
+ * matched against the tab's 'url', 'host' or 'scheme' field, and matching
+ * tabs are handled by the action: 'nosave', 'norestore' or 'stripquery'.
+ * @typedef {{
+ *   pattern: string,
+ *   type: string,
+ *   field: string,
+ *   action: string
+ * }}
+ */
+TabberApi.type.rule;
+
 /**
  * Define information types.
  * @typedef {{
@@ -104,13 +339,214 @@ TabberApi.type.config;
  */
 TabberApi.type.sync_state;
 
+/**
+ * Define saved session list entries.
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   active: boolean
+ * }}
+ */
+TabberApi.type.session_info;
+
+/**
+ * Define per-device session list entries.
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   numtabs: number,
+ *   time: string,
+ *   self: boolean
+ * }}
+ */
+TabberApi.type.device_info;
+
+/**
+ * Define session history list entries.
+ * @typedef {{
+ *   generation: number,
+ *   time: string,
+ *   numtabs: number
+ * }}
+ */
+TabberApi.type.history_info;
+
+/**
+ * Define sync storage usage, in bytes and in items.
+ * @typedef {{
+ *   session: number,
+ *   used: number,
+ *   max: number,
+ *   items: number,
+ *   max_items: number
+ * }}
+ */
+TabberApi.type.quota;
+
+/**
+ * Define the tabs one side of a conflict opened and closed since the base.
+ * @typedef {{
+ *   numtabs: number,
+ *   time: (string|undefined),
+ *   base_generation: (number|undefined),
+ *   added: Array<string>,
+ *   removed: Array<string>
+ * }}
+ */
+TabberApi.type.conflict_side;
+
+/**
+ * Define a conflict, as a three-way diff between the saved session the
+ * browser last matched (the base), the browser tabs and the saved session.
+ * @typedef {{
+ *   base_time: string,
+ *   base_generation: number,
+ *   mine: TabberApi.type.conflict_side,
+ *   theirs: TabberApi.type.conflict_side
+ * }}
+ */
+TabberApi.type.conflict;
+
+/**
+ * Define a tab of the saved session or the browser, and how it differs from
+ * the other side. The index is the position of a saved tab among the saved
+ * tabs which can be restored, or -1 for a tab which is only in the browser.
+ * The local ids are those of the matching browser tab, if there is one.
+ * The status is one of 'same', 'added' (not in the browser), 'removed' (not
+ * saved), 'moved' (out of order in its window), 'window' (in another window),
+ * 'navigated' (the same page at a different URL) or 'active' (active on only
+ * one side).
+ * @typedef {{
+ *   index: number,
+ *   url: string,
+ *   title: string,
+ *   status: string,
+ *   active: boolean,
+ *   pinned: boolean,
+ *   local_id: (number|undefined),
+ *   local_window_id: (number|undefined)
+ * }}
+ */
+TabberApi.type.tab_info;
+
+/**
+ * Define the tabs of a saved window, by its saved window id.
+ * @typedef {{
+ *   id: number,
+ *   tabs: Array<TabberApi.type.tab_info>
+ * }}
+ */
+TabberApi.type.window_tabs;
+
+/**
+ * Define the saved tabs by window, the browser tabs which are not saved, and
+ * the number of tabs with each status.
+ * @typedef {{
+ *   windows: Array<TabberApi.type.window_tabs>,
+ *   removed: Array<TabberApi.type.tab_info>,
+ *   counts: Object<string, number>
+ * }}
+ */
+TabberApi.type.tab_list;
+
+/**
+ * Define a selection of saved tabs, as the ids of saved windows (see
+ * window_tabs) and the indexes of saved tabs (see tab_info).
+ * @typedef {{
+ *   windows: (Array<number>|undefined),
+ *   tabs: (Array<number>|undefined)
+ * }}
+ */
+TabberApi.type.tab_selection;
+
+/**
+ * Define an operation of a restore plan. The type is 'new_window', 'create',
+ * 'move', 'remove', 'navigate' or 'activate'. The url and title are those of the tab, the
+ * window_id is the saved window it goes in (-1 for 'remove'), and the index is
+ * where it goes in the browser window (-1 if nowhere).
+ * @typedef {{
+ *   type: string,
+ *   url: string,
+ *   title: string,
+ *   window_id: number,
+ *   index: number
+ * }}
+ */
+TabberApi.type.restore_op;
+
+/**
+ * Define what a restore would do: its operations in order, the number of
+ * operations of each type, and whether it closes enough tabs to be held for
+ * confirmation when it is automatic.
+ * @typedef {{
+ *   ops: Array<TabberApi.type.restore_op>,
+ *   counts: Object<string, number>,
+ *   confirm: boolean
+ * }}
+ */
+TabberApi.type.restore_plan;
+
+/**
+ * Define the progress of a save, restore or merge.
+ * @typedef {{
+ *   phase: string
+ * }}
+ */
+TabberApi.type.progress;
+
+/**
+ * Define the error of a failed request.
+ * @typedef {{
+ *   code: string,
+ *   message: string
+ * }}
+ */
+TabberApi.type.error;
+
+/**
+ * Define the messages exchanged over a popup port. Requests have an id,
+ * method and args, responses have the id of their request and either a result
+ * or an error, and events have an event name and its data.
+ * @typedef {{
+ *   version: number,
+ *   kind: string,
+ *   id: (number|undefined),
+ *   method: (string|undefined),
+ *   args: (Array|undefined),
+ *   result: (?Array|undefined),
+ *   error: (?TabberApi.type.error|undefined),
+ *   event: (string|undefined),
+ *   data: (*|undefined)
+ * }}
+ */
+TabberApi.type.message;
+
 /**
  * Define information types.
  * @typedef {{
  *   options: TabberApi.type.config,
  *   sync: TabberApi.type.sync_state,
- *   remote_time: string
+ *   remote_time: string,
+ *   session: string,
+ *   quota: TabberApi.type.quota,
+ *   conflict: ?TabberApi.type.conflict,
+ *   encryption: string,
+ *   progress: TabberApi.type.progress,
+ *   pending_restore: ?TabberApi.type.restore_plan
  * }}
  */
 TabberApi.type.status;
 
+/**
+ * Define the status other extensions and web pages get from getStatus.
+ * @typedef {{
+ *   mode: string,
+ *   sync: TabberApi.type.sync_state,
+ *   remote_time: string,
+ *   session: string,
+ *   encryption: string,
+ *   progress: TabberApi.type.progress
+ * }}
+ */
+TabberApi.type.external_status;
+
@@ -36,11 +36,66 @@ function TabberInt() {}
  *  id: (string|undefined),
  *  windowId: (number|undefined),
  *  active: (boolean|undefined),
- *  title: (string|undefined)
+ *  title: (string|undefined),
+ *  groupId: (number|undefined),
+ *  pinned: (boolean|undefined),
+ *  mutedInfo: ({muted: boolean}|undefined),
+ *  incognito: (boolean|undefined)
  * }}
  */
 TabberInt.type.Tab;
 
+/**
+ * Define TabGroup object fields we care about.
+ * @typedef {{
+ *  id: number,
+ *  title: (string|undefined),
+ *  color: string,
+ *  collapsed: boolean,
+ *  windowId: number
+ * }}
+ */
+TabberInt.type.TabGroup;
+
+/**
+ * Define a screen rectangle.
+ * @typedef {{
+ *  left: number,
+ *  top: number,
+ *  width: number,
+ *  height: number
+ * }}
+ */
+TabberInt.type.Bounds;
+
+/**
+ * Define Window object fields we care about.
+ * @typedef {{
+ *  id: number,
+ *  left: (number|undefined),
+ *  top: (number|undefined),
+ *  width: (number|undefined),
+ *  height: (number|undefined),
+ *  state: (string|undefined),
+ *  type: (string|undefined),
+ *  focused: boolean,
+ *  incognito: (boolean|undefined)
+ * }}
+ */
+TabberInt.type.Window;
+
+/**
+ * Define a set of tabs along with their tab groups and windows, and the
+ * screen area the windows were laid out on.
+ * @typedef {{
+ *  tabs: Array<TabberInt.type.Tab>,
+ *  groups: Array<TabberInt.type.TabGroup>,
+ *  windows: (Array<TabberInt.type.Window>|undefined),
+ *  display: (?TabberInt.type.Bounds|undefined)
+ * }}
+ */
+TabberInt.type.TabSet;
+
 /**
  * Define tabdiff object fields.
  * @typedef {{
@@ -51,27 +106,142 @@ TabberInt.type.Tab;
  */
 TabberInt.type.TabDiff;
 
+/**
+ * Define the tabs opened and closed since a base set of tabs.
+ * @typedef {{
+ *   added: Array<TabberInt.type.Tab>,
+ *   removed: Array<TabberInt.type.Tab>
+ * }}
+ */
+TabberInt.type.TabChanges;
+
+/**
+ * Define how a single tab differs between two sets of tabs. The match is the
+ * tab of the first set which the tab was matched with, if any.
+ * @typedef {{
+ *   status: TabStatus,
+ *   tab: TabberInt.type.Tab,
+ *   match: ?TabberInt.type.Tab
+ * }}
+ */
+TabberInt.type.TabChange;
+
+/**
+ * Define an operation of a restore plan. The remIndex is the remote tab the
+ * operation places, navigates or activates, and the locIndex the local tab it
+ * moves, removes, navigates or activates, or -1. The windowId is the remote
+ * window of the tab, or -1 for a REMOVE, and the index where it is placed, or
+ * -1.
+ * @typedef {{
+ *   type: TabberInternal.RestorePlanner.OpType,
+ *   remIndex: number,
+ *   locIndex: number,
+ *   windowId: number,
+ *   index: number
+ * }}
+ */
+TabberInt.type.RestoreOp;
+
+/**
+ * Define a restore plan: the local window of each remote window which has
+ * one, the local tab index matching each remote tab (or -1), and the
+ * operations to do, in order.
+ * @typedef {{
+ *   windowMap: Array<number>,
+ *   matches: Array<number>,
+ *   ops: Array<TabberInt.type.RestoreOp>
+ * }}
+ */
+TabberInt.type.RestorePlan;
+
+/**
+ * Define session history index entry fields.
+ * @typedef {{
+ *   generation: number,
+ *   updateTime: number,
+ *   numtabs: number,
+ *   savedTime: number,
+ *   size: number,
+ *   area: (string|undefined)
+ * }}
+ */
+TabberInt.type.HistoryIndexEntry;
+
+/**
+ * Define session history entry fields, as read for rewriting.
+ * @typedef {{
+ *   key: string,
+ *   area: string,
+ *   generation: number,
+ *   updateTime: number,
+ *   tabs: string
+ * }}
+ */
+TabberInt.type.HistoryEntry;
+
+/**
+ * Define the session encryption config fields, as kept in sync storage.
+ * @typedef {{
+ *   version: number,
+ *   salt: string,
+ *   iterations: number,
+ *   check: string
+ * }}
+ */
+TabberInt.type.EncryptionConfig;
+
+/**
+ * Define the external call log entries, as kept in local storage. The error
+ * is the code of the error the call was answered with, or ''.
+ * @typedef {{
+ *   time: number,
+ *   caller: string,
+ *   method: string,
+ *   allowed: boolean,
+ *   error: string
+ * }}
+ */
+TabberInt.type.ExternalCall;
+
 /**
  * Define the TabberSession object which holds saved tabs data.
  * @interface
  */
 TabberInt.TabberSession = function() {};
 
+/** @type {string} */
+TabberInt.TabberSession.prototype.id;
+
 /** @type {string} */
 TabberInt.TabberSession.prototype.description;
 
 /** @type {number} */
 TabberInt.TabberSession.prototype.generation;
 
+/** @type {number} */
+TabberInt.TabberSession.prototype.baseGeneration;
+
 /** @type {Object|number} */
 TabberInt.TabberSession.prototype.numtabs;
 
 /** @type {Array<TabberInt.type.Tab>} */
 TabberInt.TabberSession.prototype.tabs;
 
+/** @type {Array<TabberInt.type.TabGroup>} */
+TabberInt.TabberSession.prototype.groups;
+
+/** @type {Array<TabberInt.type.Window>} */
+TabberInt.TabberSession.prototype.windows;
+
+/** @type {?TabberInt.type.Bounds} */
+TabberInt.TabberSession.prototype.display;
+
 /** @type {number|boolean} */
 TabberInt.TabberSession.prototype.updateTime;
 
+/** @type {boolean} */
+TabberInt.TabberSession.prototype.locked;
+
 /**
  * Helper to print session info to console.
  * @param {string} label - Label to tag the output with.
@@ -16,27 +16,179 @@ limitations under the License.
 
 // The popup script provides the UI for the current Tabber state
 
+goog.require('TabberInternal.Protocol');
+
+/**
+ * Tabber status states, as reported by getStatus.
+ * @enum {number}
+ */
+var TabberState = {
+  ERR: -1,
+  OK: 0,
+  WARN: 1
+};
+
+/**
+ * Tabber operational modes.
+ * @enum {string}
+ */
+var TabberMode = {
+  MANUAL: 'manual',
+  AUTOSTART: 'autostart',
+  AUTOSAVE: 'autosave',
+  AUTOSYNC: 'autosync'
+};
+
+/**
+ * What the popup shows while each phase of a save, restore or merge runs.
+ * @const {Object<string, string>}
+ */
+var PHASE_TEXT = {
+  'read': 'Reading your tabs',
+  'windows': 'Matching windows',
+  'create': 'Opening and moving tabs',
+  'delete': 'Closing tabs',
+  'active': 'Setting the active tabs',
+  'groups': 'Restoring tab groups',
+  'bounds': 'Placing windows',
+  'incognito': 'Reopening incognito windows',
+  'merge': 'Opening the saved tabs you don\'t have',
+  'save': 'Saving tabs'
+};
+
 /**
- * Gets Tabber access from the background page.
- * @return {TabberApi}
+ * How the tab list marks each difference between a saved tab and the browser.
+ * @const {Object<string, string>}
  */
-function getTabber() {
-  var bgPage = chrome.extension.getBackgroundPage();
-  if (!bgPage) {
-    // Really shouldn't happen
-    alert('Chrome error accessing background page!\n' +
-          'Re-install Tabber and/or restart Chrome!');
+var TAB_STATUS_TEXT = {
+  'same': '',
+  'added': 'not open',
+  'removed': 'not saved',
+  'moved': 'moved',
+  'window': 'in another window',
+  'navigated': 'navigated',
+  'active': 'active tab changed'
+};
+
+/**
+ * How the restore confirmation describes each type of operation: the verb of
+ * each listed operation, and the phrases of the summary for one operation and
+ * for several.
+ * @const {Object<string, {verb: string, one: string, many: string}>}
+ */
+var RESTORE_OP_TEXT = {
+  'new_window': {verb: 'New window', one: 'open 1 window',
+                 many: 'open %d windows'},
+  'create': {verb: 'Open', one: 'open 1 tab', many: 'open %d tabs'},
+  'move': {verb: 'Move', one: 'move 1 tab', many: 'move %d tabs'},
+  'remove': {verb: 'Close', one: 'close 1 tab', many: 'close %d tabs'},
+  'navigate': {verb: 'Load', one: 'load 1 saved page',
+               many: 'load %d saved pages'},
+  'activate': {verb: 'Activate', one: 'switch 1 active tab',
+               many: 'switch %d active tabs'}
+};
+
+/**
+ * Whether the restore confirmation shows an automatic restore which Tabber
+ * is holding, rather than one asked for on the popup.
+ * @type {boolean}
+ */
+var restorePending = false;
+
+/**
+ * The URLs of the checked saved tabs, indexed by their tab list index.
+ * @type {Object<number, string>}
+ */
+var selectedTabs = {};
+
+/**
+ * The port to the Tabber service worker, or null if not connected.
+ * @type {?Port}
+ */
+var tabberPort = null;
+
+/**
+ * The id of the next request.
+ * @type {number}
+ */
+var nextRequestId = 1;
+
+/**
+ * The callbacks of the requests waiting on a response, by request id.
+ * @type {Object<number, ?Function>}
+ */
+var pendingRequests = {};
+
+/**
+ * Connect to the Tabber service worker, unless already connected.
+ * @return {Port}
+ */
+function connectTabber() {
+  if (!tabberPort) {
+    tabberPort =
+        chrome.runtime.connect({name: TabberInternal.Protocol.PORT_NAME});
+    tabberPort.onMessage.addListener(onTabberMessage);
+    tabberPort.onDisconnect.addListener(function() {
+      // Chrome stopped or reloaded the worker, we connect again on the next
+      // call. Requests in flight are lost.
+      tabberPort = null;
+      pendingRequests = {};
+    });
   }
-  /**
-   * Get the background page's Tabber singleton.
-   * @return {TabberApi}
-   */
-  var tabber = bgPage['Tabber'];
-  if (!tabber) {
-    // Really shouldn't happen
-    alert('Tabber not found! Reload Tabber extension and try again.');
+  return tabberPort;
+}
+
+/**
+ * Call a Tabber API method in the service worker.
+ * @param {string} method - The name of the TabberApi method.
+ * @param {Array} args - The arguments, less any callback.
+ * @param {Function=} opt_callback - Called with the return value of the
+ *     method, or with the arguments it passes to its callback.
+ */
+function callTabber(method, args, opt_callback) {
+  var id = nextRequestId++;
+  pendingRequests[id] = opt_callback || null;
+  connectTabber().postMessage(
+      TabberInternal.Protocol.makeRequest(id, method, args));
+}
+
+/**
+ * Handle a message from the Tabber service worker.
+ * @param {TabberApi.type.message} message - The response or event.
+ */
+function onTabberMessage(message) {
+  var Protocol = TabberInternal.Protocol;
+  if (message.version != Protocol.VERSION) {
+    // From a worker of another version, which answers with a VERSION error.
+    return;
+  }
+  if (message.kind == Protocol.Kind.RESPONSE) {
+    var callback = pendingRequests[message.id];
+    delete pendingRequests[message.id];
+    if (message.error) {
+      onTabberError(message.error);
+    } else if (callback) {
+      callback.apply(null, message.result);
+    }
+  } else if (message.kind == Protocol.Kind.EVENT) {
+    if (message.event == Protocol.Event.STATUS) {
+      updateStatus(message.data);
+    } else if (message.event == Protocol.Event.PROGRESS) {
+      updateProgress(message.data);
+    }
+  }
+}
+
+/**
+ * Report a failed request.
+ * @param {TabberApi.type.error} error - The error.
+ */
+function onTabberError(error) {
+  if (error.code == TabberInternal.Protocol.ErrorCode.VERSION) {
+    alert('Tabber was updated. Close this popup and open it again.');
+  } else {
+    alert('Tabber error: ' + error.message);
   }
-  return tabber;
 }
 
 /**
@@ -44,21 +196,85 @@ function getTabber() {
  */
 function onSave() {
   console.log('Trying to do a Tabber.saveLocalToRemote');
-  getTabber()['saveLocalToRemote']();
-  console.log('Tabber.saveLocalToRemote call done');
-  // Dismiss our popup.
-  window.close();
+  // Stay open, the progress and the new status are pushed to us.
+  callTabber('saveLocalToRemote', []);
 }
 
 /**
- * UI event handler to grab the saved tabs and make the browser match.
+ * UI event handler to grab the saved tabs and make the browser match. What
+ * the restore would change is shown first, to be confirmed.
  */
 function onRestore() {
+  callTabber('planRestore', [], function(plan) {
+    if (!plan || (plan.ops.length == 0)) {
+      onRestoreConfirm();
+      return;
+    }
+    showRestorePlan(plan, false);
+  });
+}
+
+/**
+ * Show what a restore would change, to be confirmed.
+ * @param {TabberApi.type.restore_plan} plan - The restore plan.
+ * @param {boolean} pending - Whether this is an automatic restore which
+ *     Tabber is holding.
+ */
+function showRestorePlan(plan, pending) {
+  restorePending = pending;
+  var phrases = [];
+  for (var type in RESTORE_OP_TEXT) {
+    var count = plan.counts[type] || 0;
+    if (count > 0) {
+      phrases.push((count == 1) ? RESTORE_OP_TEXT[type].one :
+                   RESTORE_OP_TEXT[type].many.replace('%d', count));
+    }
+  }
+  var last = phrases.pop();
+  var summary = phrases.length ? phrases.join(', ') + ' and ' + last : last;
+  document.getElementById('restore_summary').textContent =
+      (pending ? 'An automatic restore is waiting: it will ' :
+                 'Restoring will ') + summary + '.';
+  var list = document.getElementById('restore_ops');
+  list.textContent = '';
+  for (var i = 0; i < plan.ops.length; i++) {
+    var op = plan.ops[i];
+    var row = document.createElement('div');
+    row.className = 'tab op_' + op.type;
+    row.textContent = RESTORE_OP_TEXT[op.type].verb + ': ' +
+                      (op.title || op.url);
+    row.title = op.url;
+    list.appendChild(row);
+  }
+  document.getElementById('restore_cancel').textContent =
+      pending ? 'Keep my tabs' : 'Cancel';
+  document.getElementById('restore_cancel').title = pending ?
+      'Save the tabs I have now over the saved session' :
+      'Leave the tabs as they are';
+  document.getElementById('restore_panel').hidden = false;
+}
+
+/**
+ * UI event handler to go ahead with a restore.
+ */
+function onRestoreConfirm() {
+  document.getElementById('restore_panel').hidden = true;
+  restorePending = false;
   console.log('Trying to do a Tabber.syncBrowserFromRemote');
-  getTabber()['syncBrowserFromRemote']();
-  console.log('Tabber.syncBrowserFromRemote call done');
-  // Dismiss our popup.
-  window.close();
+  // Stay open, the progress and the new status are pushed to us.
+  callTabber('syncBrowserFromRemote', []);
+}
+
+/**
+ * UI event handler to drop a restore. An automatic restore which Tabber is
+ * holding is dropped by saving the browser tabs instead.
+ */
+function onRestoreCancel() {
+  document.getElementById('restore_panel').hidden = true;
+  if (restorePending) {
+    restorePending = false;
+    onSave();
+  }
 }
 
 /**
@@ -66,10 +282,8 @@ function onRestore() {
  */
 function onMerge() {
   console.log('Trying to do a Tabber.mergeBrowserWithRemote');
-  // TODO: enable this when ready
-//  getTabber()['mergeBrowserWithRemote']();
-  // Dismiss our popup.
-  window.close();
+  // Stay open, the progress and the new status are pushed to us.
+  callTabber('mergeBrowserWithRemote', []);
 }
 
 /**
@@ -77,42 +291,833 @@ function onMerge() {
  */
 function onSwap() {
   console.log('Trying to do a Tabber.swapBrowserWithRemote');
-  // TODO: enable this when ready
-//  getTabber()['mergeBrowserWithRemote']();
-  // Dismiss our popup.
-  window.close();
+  // Stay open, the progress and the new status are pushed to us.
+  callTabber('swapBrowserWithRemote', []);
+}
+
+/**
+ * UI event handler to make the picked session the active one.
+ */
+function onSessionPick() {
+  var id = document.getElementById('session_picker').value;
+  callTabber('switchSession', [id], function() {
+    // Dismiss our popup.
+    window.close();
+  });
+}
+
+/**
+ * UI event handler to save the current tabs as a new named session.
+ */
+function onSessionCreate() {
+  var name = document.getElementById('session_name').value.trim();
+  if (!name) {
+    alert('Enter a name for the new session.');
+    return;
+  }
+  callTabber('createSession', [name], function() {
+    // Dismiss our popup.
+    window.close();
+  });
+}
+
+/**
+ * UI event handler to rename the picked session.
+ */
+function onSessionRename() {
+  var id = document.getElementById('session_picker').value;
+  var name = document.getElementById('session_name').value.trim();
+  if (!name) {
+    alert('Enter the new name for the session.');
+    return;
+  }
+  callTabber('renameSession', [id, name], function() {
+    // Dismiss our popup.
+    window.close();
+  });
+}
+
+/**
+ * UI event handler to delete the picked session.
+ */
+function onSessionDelete() {
+  var picker = document.getElementById('session_picker');
+  var name = picker.options[picker.selectedIndex].textContent;
+  if (!confirm('Delete the saved session "' + name + '"?')) {
+    return;
+  }
+  callTabber('deleteSession', [picker.value], function() {
+    // Dismiss our popup.
+    window.close();
+  });
+}
+
+/**
+ * Fill the session picker with the saved sessions.
+ * @param {Array<TabberApi.type.session_info>} sessions - The saved sessions.
+ */
+function initSessionPicker(sessions) {
+  var picker = document.getElementById('session_picker');
+  for (var i = 0; i < sessions.length; i++) {
+    var option = document.createElement('option');
+    option.value = sessions[i].id;
+    option.textContent = sessions[i].name;
+    option.selected = sessions[i].active;
+    picker.appendChild(option);
+  }
+}
+
+/**
+ * Fill the history list with the previous generations of the session.
+ * @param {Array<TabberApi.type.history_info>} history - The history entries.
+ */
+function initHistoryList(history) {
+  var list = document.getElementById('history');
+  for (var i = 0; i < history.length; i++) {
+    var row = document.createElement('div');
+    var label = document.createElement('span');
+    label.textContent = history[i].time + ': ' + history[i].numtabs +
+                        ' tabs ';
+    row.appendChild(label);
+    var button = document.createElement('button');
+    button.textContent = 'Roll back';
+    button.addEventListener('click', onRollback.bind(null,
+                                                     history[i].generation));
+    row.appendChild(button);
+    list.appendChild(row);
+  }
+  if (history.length == 0) {
+    list.textContent = 'No previous sessions saved yet';
+  }
+}
+
+/**
+ * UI event handler to roll back to a previous session generation.
+ * @param {number} generation - The generation to roll back to.
+ */
+function onRollback(generation) {
+  callTabber('restoreGeneration', [generation], function() {
+    // Dismiss our popup.
+    window.close();
+  });
+}
+
+/**
+ * UI event handler to rename this device.
+ */
+function onDeviceRename() {
+  var name = document.getElementById('device_name').value.trim();
+  if (!name) {
+    alert('Enter the new name for this device.');
+    return;
+  }
+  callTabber('setDeviceName', [name], function() {
+    // Dismiss our popup.
+    window.close();
+  });
+}
+
+/**
+ * Fill the device list with the latest session of each device.
+ * @param {Array<TabberApi.type.device_info>} devices - The device sessions.
+ */
+function initDeviceList(devices) {
+  var list = document.getElementById('devices');
+  for (var i = 0; i < devices.length; i++) {
+    var row = document.createElement('div');
+    var label = document.createElement('span');
+    label.textContent = devices[i].name +
+        (devices[i].self ? ' (this device)' : '') + ': ' +
+        devices[i].numtabs + ' tabs, ' + devices[i].time + ' ';
+    row.appendChild(label);
+    if (devices[i].self) {
+      document.getElementById('device_name').value = devices[i].name;
+    } else {
+      row.appendChild(makeDeviceButton('Restore', 'restoreFromDevice',
+                                       devices[i].id));
+      row.appendChild(makeDeviceButton('Merge', 'mergeFromDevice',
+                                       devices[i].id));
+    }
+    list.appendChild(row);
+  }
+  if (devices.length == 0) {
+    list.textContent = 'No device sessions available';
+  }
+}
+
+/**
+ * Make a button which calls a Tabber device action.
+ * @param {string} text - The button text.
+ * @param {string} action - The name of the Tabber method to call.
+ * @param {string} deviceId - The device to pass to the method.
+ * @return {Element}
+ */
+function makeDeviceButton(text, action, deviceId) {
+  var button = document.createElement('button');
+  button.textContent = text;
+  button.addEventListener('click', function() {
+    callTabber(action, [deviceId], function(errMsg) {
+      if (errMsg) {
+        alert(errMsg);
+        return;
+      }
+      // Dismiss our popup.
+      window.close();
+    });
+  });
+  return button;
+}
+
+/**
+ * Fill the export source picker with the saved sessions and devices.
+ * @param {Array<TabberApi.type.session_info>} sessions - The saved sessions.
+ * @param {Array<TabberApi.type.device_info>} devices - The device sessions.
+ */
+function initExportSources(sessions, devices) {
+  var picker = document.getElementById('export_source');
+  for (var i = 0; i < sessions.length; i++) {
+    var option = document.createElement('option');
+    option.value = sessions[i].id;
+    option.textContent = 'Session: ' + sessions[i].name;
+    option.selected = sessions[i].active;
+    picker.appendChild(option);
+  }
+  for (var i = 0; i < devices.length; i++) {
+    var option = document.createElement('option');
+    option.value = devices[i].id;
+    option.textContent = 'Device: ' + devices[i].name;
+    picker.appendChild(option);
+  }
+}
+
+/**
+ * UI event handler to export the picked session to a file.
+ */
+function onExport() {
+  var picker = document.getElementById('export_source');
+  var format = document.getElementById('export_format').value;
+  var name = picker.options[picker.selectedIndex].textContent;
+  callTabber('exportSession', [picker.value, format], function(text, errMsg) {
+    if (errMsg) {
+      alert(errMsg);
+      return;
+    }
+    var types = {json: 'application/json', html: 'text/html',
+                 text: 'text/plain'};
+    var extensions = {json: '.json', html: '.html', text: '.txt'};
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], {type: types[format]}));
+    link.download = 'tabber-' +
+        name.replace(/^\w+: /, '').replace(/[^\w-]+/g, '_') +
+        extensions[format];
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+}
+
+/**
+ * UI event handler to load a file to import.
+ */
+function onImportFile() {
+  var file = document.getElementById('import_file').files[0];
+  if (!file) {
+    return;
+  }
+  var reader = new FileReader();
+  reader.onload = function() {
+    document.getElementById('import_text').value = String(reader.result);
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * UI event handler to import tabs.
+ * @param {string} target - 'session' or 'merge'.
+ */
+function onImport(target) {
+  var text = document.getElementById('import_text').value;
+  if (!text.trim()) {
+    alert('Pick a file or paste the tabs to import.');
+    return;
+  }
+  var name = document.getElementById('import_name').value.trim();
+  callTabber('importSession', [text, target, name], function(errMsg) {
+    if (errMsg) {
+      alert(errMsg);
+      return;
+    }
+    // Dismiss our popup.
+    window.close();
+  });
+}
+
+/**
+ * Show the three-way diff of a conflict between the browser tabs and the saved
+ * session, relative to the saved session the browser last matched.
+ * @param {?TabberApi.type.conflict} conflict - The conflict to show, or null to
+ *     hide the conflict.
+ */
+function initConflictPanel(conflict) {
+  document.getElementById('conflict_panel').hidden = !conflict;
+  if (!conflict) {
+    return;
+  }
+  document.getElementById('conflict_base').textContent =
+      'Both this browser and the saved session (from ' +
+      conflict.theirs.time + ') changed since ' + conflict.base_time;
+  fillUrlList('conflict_mine_added', conflict.mine.added);
+  fillUrlList('conflict_mine_removed', conflict.mine.removed);
+  fillUrlList('conflict_theirs_added', conflict.theirs.added);
+  fillUrlList('conflict_theirs_removed', conflict.theirs.removed);
+}
+
+/**
+ * Fill an element with a list of URLs, one per line.
+ * @param {string} id - The id of the element to fill.
+ * @param {Array<string>} urls - The URLs to list.
+ */
+function fillUrlList(id, urls) {
+  var cell = document.getElementById(id);
+  cell.textContent = '';
+  for (var i = 0; i < urls.length; i++) {
+    var row = document.createElement('div');
+    row.textContent = urls[i];
+    row.title = urls[i];
+    cell.appendChild(row);
+  }
+  if (urls.length == 0) {
+    cell.textContent = 'None';
+  }
+}
+
+/**
+ * UI event handler to settle a conflict.
+ * @param {string} choice - 'mine', 'theirs' or 'merge'.
+ */
+function onResolveConflict(choice) {
+  callTabber('resolveConflict', [choice], function() {
+    // Dismiss our popup.
+    window.close();
+  });
+}
+
+/**
+ * Fill the tab list with the saved tabs, grouped by window, and the browser
+ * tabs which are not saved. Checked tabs stay checked while they are listed.
+ * @param {TabberApi.type.tab_list} list - The tab list.
+ */
+function initTabList(list) {
+  var panel = document.getElementById('tab_list');
+  panel.textContent = '';
+  var stillSelected = {};
+  for (var w = 0; w < list.windows.length; w++) {
+    var header = document.createElement('div');
+    var label = document.createElement('span');
+    label.textContent = 'Window ' + (w + 1) + ': ' +
+                        list.windows[w].tabs.length + ' tabs ';
+    header.appendChild(label);
+    var button = document.createElement('button');
+    button.textContent = 'Open';
+    button.title = 'Open the tabs of this window which aren\'t open';
+    button.addEventListener('click', onRestoreSelection.bind(null,
+        {windows: [list.windows[w].id]}));
+    header.appendChild(button);
+    panel.appendChild(header);
+    for (var t = 0; t < list.windows[w].tabs.length; t++) {
+      var info = list.windows[w].tabs[t];
+      if (selectedTabs[info.index] == info.url) {
+        stillSelected[info.index] = info.url;
+      }
+      panel.appendChild(makeTabRow(info, info.index in stillSelected));
+    }
+  }
+  selectedTabs = stillSelected;
+  if (list.removed.length) {
+    var header = document.createElement('div');
+    header.textContent = 'Only in this browser: ' + list.removed.length +
+                         ' tabs';
+    panel.appendChild(header);
+    for (var t = 0; t < list.removed.length; t++) {
+      panel.appendChild(makeTabRow(list.removed[t], false));
+    }
+  }
+  if (list.windows.length == 0) {
+    panel.textContent = 'No saved tabs available';
+  }
+  // Sum up the differences.
+  var counts = [];
+  for (var status in TAB_STATUS_TEXT) {
+    if (TAB_STATUS_TEXT[status] && list.counts[status]) {
+      counts.push(list.counts[status] + ' ' + TAB_STATUS_TEXT[status]);
+    }
+  }
+  document.getElementById('tab_summary').textContent =
+      counts.length ? counts.join(', ') :
+      (list.windows.length ? 'The browser has all the saved tabs' : '');
+  document.getElementById('open_selected').disabled =
+      Object.keys(selectedTabs).length == 0;
+}
+
+/**
+ * Make a row of the tab list. Saved tabs get a checkbox to select them.
+ * @param {TabberApi.type.tab_info} info - The tab.
+ * @param {boolean} checked - Whether the tab is selected.
+ * @return {Element}
+ */
+function makeTabRow(info, checked) {
+  var row = document.createElement('div');
+  row.className = 'tab tab_' + info.status;
+  if (info.index >= 0) {
+    var box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = checked;
+    box.addEventListener('change', onTabSelect.bind(null, info, box));
+    row.appendChild(box);
+  }
+  var icon = document.createElement('img');
+  icon.src = chrome.runtime.getURL('/_favicon/?size=16&pageUrl=' +
+                                   encodeURIComponent(info.url));
+  row.appendChild(icon);
+  var link = document.createElement('a');
+  link.href = info.url;
+  link.textContent = info.title;
+  link.title = info.url;
+  link.addEventListener('click', onTabClick.bind(null, info));
+  row.appendChild(link);
+  if (TAB_STATUS_TEXT[info.status]) {
+    var label = document.createElement('span');
+    label.className = 'tab_status';
+    label.textContent = ' (' + TAB_STATUS_TEXT[info.status] +
+                        (info.active ? ', active' : '') + ')';
+    row.appendChild(label);
+  }
+  return row;
+}
+
+/**
+ * UI event handler to check or uncheck a saved tab.
+ * @param {TabberApi.type.tab_info} info - The tab.
+ * @param {Element} box - Its checkbox.
+ */
+function onTabSelect(info, box) {
+  if (box.checked) {
+    selectedTabs[info.index] = info.url;
+  } else {
+    delete selectedTabs[info.index];
+  }
+  document.getElementById('open_selected').disabled =
+      Object.keys(selectedTabs).length == 0;
+}
+
+/**
+ * UI event handler to open a tab of the tab list. If the browser has the tab
+ * open, it is brought to the front instead.
+ * @param {TabberApi.type.tab_info} info - The tab.
+ * @param {Event} event - The click.
+ */
+function onTabClick(info, event) {
+  event.preventDefault();
+  if (info.local_id !== undefined) {
+    chrome.tabs.update(info.local_id, {active: true});
+    chrome.windows.update(info.local_window_id, {focused: true});
+  } else {
+    chrome.tabs.create({url: info.url});
+  }
+}
+
+/**
+ * UI event handler to open the checked saved tabs.
+ */
+function onOpenSelected() {
+  var tabs = Object.keys(selectedTabs).map(Number);
+  selectedTabs = {};
+  onRestoreSelection({tabs: tabs});
+}
+
+/**
+ * Open some saved windows or tabs, each in the window which best matches its
+ * saved window.
+ * @param {TabberApi.type.tab_selection} selection - The windows or tabs.
+ */
+function onRestoreSelection(selection) {
+  callTabber('restoreSelection', [selection], function(errMsg) {
+    if (errMsg) {
+      alert(errMsg);
+    }
+  });
+}
+
+/**
+ * Enable the swap button only when there is a saved session and the mode
+ * never saves automatically (an automatic save would undo the swap).
+ * @param {string} mode - The current Tabber mode.
+ * @param {boolean} haveRemote - Whether there is a saved session.
+ */
+function updateSwapButton(mode, haveRemote) {
+  var swap = document.getElementById('swap');
+  swap.disabled = !haveRemote ||
+      ((mode != TabberMode.MANUAL) && (mode != TabberMode.AUTOSTART));
+  if (haveRemote && swap.disabled) {
+    swap.parentElement.title = 'Swap needs Manual or Startup Only mode';
+  } else {
+    swap.parentElement.title = '';
+  }
+}
+
+/**
+ * Set Tabber options from the UI, reporting any invalid value.
+ * @param {TabberApi.type.config} config - The option values to set.
+ * @param {function()=} opt_callback - Called once the options are set.
+ */
+function setOptions(config, opt_callback) {
+  callTabber('setOptions', [config], function(errMsg) {
+    if (errMsg) {
+      alert(errMsg);
+    }
+    if (opt_callback) {
+      opt_callback();
+    }
+  });
+}
+
+/**
+ * Set the Tabber mode, then update the swap button to match.
+ * @param {string} mode - The new Tabber mode.
+ */
+function setMode(mode) {
+  setOptions({mode: mode}, function() {
+    callTabber('getStatus', [], function(status) {
+      updateSwapButton(mode, !!status['remote_time']);
+    });
+  });
 }
 
 /**
  * Event handler to set the Tabber mode from the UI.
  */
 function onManualMode() {
-  var tbr = getTabber();
-  tbr.setOptions({mode: tbr.mode.MANUAL});
+  setMode(TabberMode.MANUAL);
 }
 
 /**
  * Event handler to set the Tabber mode from the UI.
  */
 function onAutostartMode() {
-  var tbr = getTabber();
-  tbr.setOptions({mode: tbr.mode.AUTOSTART});
+  setMode(TabberMode.AUTOSTART);
 }
 
 /**
  * Event handler to set the Tabber mode from the UI.
  */
 function onAutosaveMode() {
-  var tbr = getTabber();
-  tbr.setOptions({mode: tbr.mode.AUTOSAVE});
+  setMode(TabberMode.AUTOSAVE);
 }
 
 /**
  * Event handler to set the Tabber mode from the UI.
  */
 function onAutosyncMode() {
-  var tbr = getTabber();
-  tbr.setOptions({mode: tbr.mode.AUTOSYNC});
+  setMode(TabberMode.AUTOSYNC);
+}
+
+/**
+ * Fill the rule list with the URL exclusion rules.
+ * @param {Array<TabberApi.type.rule>} rules - The rules.
+ */
+function initRuleList(rules) {
+  var list = document.getElementById('rules');
+  list.textContent = '';
+  for (var i = 0; i < rules.length; i++) {
+    var row = document.createElement('div');
+    var label = document.createElement('span');
+    label.textContent = rules[i].action + ' ' + rules[i].field + ' ' +
+                        rules[i].type + ' ' + rules[i].pattern + ' ';
+    row.appendChild(label);
+    var button = document.createElement('button');
+    button.textContent = 'Remove';
+    button.addEventListener('click', onRuleRemove.bind(null, i));
+    row.appendChild(button);
+    list.appendChild(row);
+  }
+  if (rules.length == 0) {
+    list.textContent = 'No tabs are excluded';
+  }
+}
+
+/**
+ * Get a copy of the current URL exclusion rules.
+ * @param {function(Array<TabberApi.type.rule>)} callback - Called with the
+ *     rules.
+ */
+function getRules(callback) {
+  callTabber('getStatus', [], function(status) {
+    callback((status.options.rules || []).slice());
+  });
+}
+
+/**
+ * UI event handler to add a URL exclusion rule.
+ */
+function onRuleAdd() {
+  var pattern = document.getElementById('rule_pattern').value.trim();
+  if (!pattern) {
+    alert('Enter the pattern of tab URLs to exclude.');
+    return;
+  }
+  getRules(function(rules) {
+    rules.push({action: document.getElementById('rule_action').value,
+                field: document.getElementById('rule_field').value,
+                type: document.getElementById('rule_type').value,
+                pattern: pattern});
+    setOptions({rules: rules}, function() {
+      document.getElementById('rule_pattern').value = '';
+      getRules(initRuleList);
+    });
+  });
+}
+
+/**
+ * UI event handler to remove a URL exclusion rule.
+ * @param {number} index - The index of the rule to remove.
+ */
+function onRuleRemove(index) {
+  getRules(function(rules) {
+    rules.splice(index, 1);
+    setOptions({rules: rules}, function() {
+      getRules(initRuleList);
+    });
+  });
+}
+
+/**
+ * Fill the external allowlist box, one extension id or origin per line.
+ * @param {TabberApi.type.external_allowlist|undefined} allowlist - The
+ *     allowlist, if any.
+ */
+function initExternalAllowlist(allowlist) {
+  allowlist = allowlist || {ids: [], origins: []};
+  document.getElementById('external_allowlist').value =
+      allowlist.ids.concat(allowlist.origins).join('\n');
+}
+
+/**
+ * Show the latest calls from other extensions and web pages.
+ * @param {Array<TabberApi.type.external_call>} log - The calls, oldest first.
+ */
+function initExternalLog(log) {
+  var list = document.getElementById('external_log');
+  list.textContent = '';
+  var recent = log.slice(-10).reverse();
+  for (var i = 0; i < recent.length; i++) {
+    var row = document.createElement('div');
+    row.textContent = recent[i].time + ': ' + recent[i].caller + ' ' +
+        recent[i].method +
+        (recent[i].allowed ? '' : ' (refused)') +
+        (recent[i].allowed && recent[i].error ? ' (' + recent[i].error + ')' :
+                                                '');
+    list.appendChild(row);
+  }
+  if (recent.length == 0) {
+    list.textContent = 'No calls from other extensions or pages yet';
+  }
+}
+
+/**
+ * UI event handler to save the external allowlist. Lines that look like
+ * extension ids are ids, the others are origins.
+ */
+function onExternalSave() {
+  var allowlist = {ids: [], origins: []};
+  var lines = document.getElementById('external_allowlist').value.split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim().replace(/\/+$/, '');
+    if (!line) {
+      continue;
+    }
+    if (/^[a-p]{32}$/.test(line)) {
+      allowlist.ids.push(line);
+    } else {
+      allowlist.origins.push(line);
+    }
+  }
+  setOptions({external: allowlist}, function() {
+    callTabber('getStatus', [], function(status) {
+      initExternalAllowlist(status.options.external);
+    });
+  });
+}
+
+/**
+ * Show the URL matching settings.
+ * @param {TabberApi.type.url_matching} matching - The settings in effect.
+ */
+function initMatching(matching) {
+  document.getElementById('matching_scheme').checked = matching.ignore_scheme;
+  document.getElementById('matching_slash').checked =
+      matching.ignore_trailing_slash;
+  document.getElementById('matching_fragment').checked =
+      matching.ignore_fragment;
+  document.getElementById('matching_params').value =
+      matching.strip_params.join(', ');
+  document.getElementById('matching_hosts').value =
+      matching.hosts.map(function(rule) {
+        return [rule.host].concat(rule.strip_params || [],
+                                  rule.ignore_query ? ['?'] : [],
+                                  rule.ignore_fragment ? ['#'] : [])
+                          .join(' ');
+      }).join('\n');
+}
+
+/**
+ * Split a list of names separated by commas or spaces.
+ * @param {string} text - The list.
+ * @return {Array<string>}
+ */
+function splitNames(text) {
+  return text.split(/[\s,]+/).filter(function(name) {
+    return name.length > 0;
+  });
+}
+
+/**
+ * UI event handler to save the URL matching settings. Each line of the host
+ * rules is a host glob followed by parameter names, where '?' means the whole
+ * query and '#' the fragment.
+ */
+function onMatchingSave() {
+  /** @type {TabberApi.type.url_matching} */
+  var matching = {
+    strip_params: splitNames(document.getElementById('matching_params').value),
+    ignore_scheme: document.getElementById('matching_scheme').checked,
+    ignore_trailing_slash: document.getElementById('matching_slash').checked,
+    ignore_fragment: document.getElementById('matching_fragment').checked,
+    hosts: []
+  };
+  var lines = document.getElementById('matching_hosts').value.split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var names = splitNames(lines[i]);
+    if (names.length == 0) {
+      continue;
+    }
+    /** @type {TabberApi.type.host_matching} */
+    var rule = {host: names[0], strip_params: []};
+    for (var n = 1; n < names.length; n++) {
+      if (names[n] == '?') {
+        rule.ignore_query = true;
+      } else if (names[n] == '#') {
+        rule.ignore_fragment = true;
+      } else {
+        rule.strip_params.push(names[n]);
+      }
+    }
+    matching.hosts.push(rule);
+  }
+  setOptions({matching: matching}, function() {
+    callTabber('getStatus', [], function(status) {
+      initMatching(status.options.matching);
+    });
+  });
+}
+
+/**
+ * Event handler to set the incognito policy from the UI.
+ */
+function onIncognitoPolicy() {
+  setOptions({incognito: document.getElementById('incognito_policy').value});
+}
+
+/**
+ * Show the encryption state, and the unlock prompt if the saved sessions are
+ * encrypted and locked on this device.
+ * @param {string} state - 'off', 'locked' or 'unlocked'.
+ */
+function initEncryption(state) {
+  document.getElementById('unlock_panel').hidden = (state != 'locked');
+  document.getElementById('encryption_state').textContent =
+      (state == 'off') ? 'Saved sessions are not encrypted' :
+      (state == 'locked') ? 'Saved sessions are encrypted and locked' :
+                            'Saved sessions are encrypted';
+  document.getElementById('encryption_set').textContent =
+      (state == 'off') ? 'Encrypt' : 'Change passphrase';
+  document.getElementById('encryption_set').disabled = (state == 'locked');
+  document.getElementById('encryption_off').disabled = (state != 'unlocked');
+}
+
+/**
+ * UI event handler to unlock the encrypted saved sessions.
+ */
+function onUnlock() {
+  var passphrase = document.getElementById('unlock_passphrase').value;
+  callTabber('unlockSessions', [passphrase], function(ok) {
+    if (!ok) {
+      alert('Wrong passphrase.');
+      return;
+    }
+    // Dismiss our popup.
+    window.close();
+  });
+}
+
+/**
+ * Show the current encryption state.
+ */
+function refreshEncryption() {
+  callTabber('getStatus', [], function(status) {
+    initEncryption(status.encryption);
+  });
+}
+
+/**
+ * UI event handler to encrypt the saved sessions, or change the passphrase.
+ */
+function onSetPassphrase() {
+  var passphrase = document.getElementById('encryption_passphrase').value;
+  if (!passphrase) {
+    alert('Enter the passphrase to encrypt the saved sessions with.');
+    return;
+  }
+  if (!confirm('Other devices will need this passphrase to use the saved ' +
+               'sessions. Continue?')) {
+    return;
+  }
+  callTabber('setPassphrase', [passphrase], function(errMsg) {
+    if (errMsg) {
+      alert(errMsg);
+    }
+    refreshEncryption();
+  });
+  document.getElementById('encryption_passphrase').value = '';
+}
+
+/**
+ * UI event handler to store the saved sessions unencrypted again.
+ */
+function onEncryptionOff() {
+  if (!confirm('Store the saved sessions unencrypted?')) {
+    return;
+  }
+  callTabber('disableEncryption', [], function(errMsg) {
+    if (errMsg) {
+      alert(errMsg);
+    }
+    refreshEncryption();
+  });
+}
+
+/**
+ * Event handler to turn keyboard shortcut notifications on or off.
+ */
+function onNotifications() {
+  setOptions({notifications: document.getElementById('notifications').checked});
+}
+
+/**
+ * Event handler to set how many closed tabs hold an automatic restore until
+ * it is confirmed.
+ */
+function onConfirmRestore() {
+  setOptions({confirm_restore:
+                  Number(document.getElementById('confirm_restore').value)});
 }
 
 /**
@@ -122,16 +1127,14 @@ function onDebugMode() {
   // Get new debug mode state
   /** type {boolean} */
   var state = document.getElementById('debug_mode').checked;
-  getTabber().setOptions({debug: state});
+  setOptions({debug: state});
 }
 
-// Once the popup page is loaded, finish init
-document.addEventListener('DOMContentLoaded', function() {
-  /**
-   * @type {TabberApi}
-   */
-  var tbr = getTabber();
-  var status = tbr.getStatus();
+/**
+ * Fill in the UI from the Tabber status when the popup opens.
+ * @param {TabberApi.type.status} status - The current Tabber status.
+ */
+function initStatus(status) {
   // init our UI
   if (status.options.mode == 'autosync') {
     document.getElementById('autosync').checked = true;
@@ -143,48 +1146,182 @@ document.addEventListener('DOMContentLoaded', function() {
     document.getElementById('manual').checked = true;
   }
   document.getElementById('debug_mode').checked = status.options.debug;
+  document.getElementById('notifications').checked =
+      !!status.options.notifications;
+  document.getElementById('confirm_restore').value =
+      status.options.confirm_restore;
+  initRuleList(status.options.rules || []);
+  document.getElementById('incognito_policy').value =
+      status.options.incognito || 'ignore';
+  initExternalAllowlist(status.options.external);
+  initMatching(status.options.matching);
+
+  updateStatus(status);
+
+  // Show the saved sessions.
+  callTabber('getSessions', [], function(sessions) {
+    initSessionPicker(sessions);
+    callTabber('getDevices', [], function(devices) {
+      initDeviceList(devices);
+      initExportSources(sessions, devices);
+    });
+  });
+  callTabber('getHistory', [], initHistoryList);
+  callTabber('getExternalLog', [], initExternalLog);
+}
 
+/**
+ * Show the Tabber status. This is called again whenever the status changes
+ * while the popup is open.
+ * @param {TabberApi.type.status} status - The current Tabber status.
+ */
+function updateStatus(status) {
   // set our status message
   var diff = document.getElementById('diff');
   // Show Tabber sync message
   diff.textContent = status.sync.msg;
   // set text field color by status
-  if (status.sync.state == tbr.state.OK) {
+  if (status.sync.state == TabberState.OK) {
     diff.style.backgroundColor = 'lightgreen';
-  } else if (status.sync.state == tbr.state.WARN) {
+  } else if (status.sync.state == TabberState.WARN) {
       diff.style.backgroundColor = 'yellow';
   } else {
       diff.style.backgroundColor = 'salmon';
   }
   // If we have a remote session, show its' timestamp.
-  // Also, the ability to restore is based on a valid remote session.
+  // Also, the ability to restore or merge is based on a valid remote session.
   if (status['remote_time']) {
     document.getElementById('timestamp').textContent = 'Saved session from: ' +
       status['remote_time'];
     document.getElementById('restore').disabled = false;
+    document.getElementById('merge').disabled = false;
   } else {
     document.getElementById('timestamp').textContent = 'No saved session available';
     document.getElementById('restore').disabled = true;
+    document.getElementById('merge').disabled = true;
+  }
+
+  // Show how much sync storage the last save needed.
+  if (status.quota.session > 0) {
+    document.getElementById('quota').textContent = 'Session uses ' +
+        Math.ceil(status.quota.session / 1024) + 'KB, all sessions use ' +
+        Math.ceil(status.quota.used / 1024) + 'KB of ' +
+        Math.floor(status.quota.max / 1024) + 'KB sync storage (' +
+        status.quota.items + ' of ' + status.quota.max_items + ' items)';
   }
 
-  // TODO: add merge capability when supported by Tabber
-  document.getElementById('merge').disabled = true;
+  // Ask for the passphrase if the saved sessions are locked.
+  initEncryption(status.encryption);
 
-  // TODO: add swap  capability when supported by Tabber
-  document.getElementById('swap').disabled = true;
+  // Show what both sides changed if they conflict.
+  initConflictPanel(status.conflict);
 
-  // TODO: enable full autosync capability when better tested
-  // document.getElementById('autosync').disabled = true;
+  // Show an automatic restore waiting to be confirmed.
+  if (status.pending_restore) {
+    showRestorePlan(status.pending_restore, true);
+  } else if (restorePending) {
+    document.getElementById('restore_panel').hidden = true;
+    restorePending = false;
+  }
+
+  // Swapping also depends on the mode.
+  updateSwapButton(status.options.mode, !!status['remote_time']);
+
+  showProgress(status.progress);
+
+  // The tabs, and how they differ, change along with the status.
+  callTabber('getTabList', [], initTabList);
+}
+
+/**
+ * Show the phase of the running save, restore or merge, if any. While one
+ * runs, no other can be started.
+ * @param {TabberApi.type.progress} progress - The progress.
+ */
+function showProgress(progress) {
+  var running = (progress.phase != TabberInternal.Protocol.Phase.DONE);
+  document.getElementById('progress').textContent =
+      running ? (PHASE_TEXT[progress.phase] || progress.phase) + '...' : '';
+  // The others were already enabled or disabled by updateStatus.
+  document.getElementById('save').disabled = running;
+  if (running) {
+    ['restore', 'save', 'merge', 'swap'].forEach(function(id) {
+      document.getElementById(id).disabled = true;
+    });
+  }
+}
+
+/**
+ * Event handler for the progress of a save, restore or merge.
+ * @param {TabberApi.type.progress} progress - The new progress.
+ */
+function updateProgress(progress) {
+  if (progress.phase == TabberInternal.Protocol.Phase.DONE) {
+    // Pick up the outcome, and enable the buttons again.
+    callTabber('getStatus', [], updateStatus);
+  } else {
+    showProgress(progress);
+  }
+}
+
+// Once the popup page is loaded, finish init
+document.addEventListener('DOMContentLoaded', function() {
+  callTabber('getStatus', [], initStatus);
 
   // hook our action functions to UI elements
   document.getElementById('restore').addEventListener('click', onRestore);
   document.getElementById('save').addEventListener('click', onSave);
   document.getElementById('merge').addEventListener('click', onMerge);
   document.getElementById('swap').addEventListener('click', onSwap);
+  document.getElementById('open_selected').addEventListener('click',
+                                                            onOpenSelected);
+  document.getElementById('restore_confirm').addEventListener('click',
+                                                              onRestoreConfirm);
+  document.getElementById('restore_cancel').addEventListener('click',
+                                                             onRestoreCancel);
+  document.getElementById('conflict_mine').addEventListener('click',
+      onResolveConflict.bind(null, 'mine'));
+  document.getElementById('conflict_theirs').addEventListener('click',
+      onResolveConflict.bind(null, 'theirs'));
+  document.getElementById('conflict_merge').addEventListener('click',
+      onResolveConflict.bind(null, 'merge'));
+  document.getElementById('session_picker').addEventListener('change',
+                                                             onSessionPick);
+  document.getElementById('session_create').addEventListener('click',
+                                                             onSessionCreate);
+  document.getElementById('session_rename').addEventListener('click',
+                                                             onSessionRename);
+  document.getElementById('session_delete').addEventListener('click',
+                                                             onSessionDelete);
+  document.getElementById('device_rename').addEventListener('click',
+                                                            onDeviceRename);
   document.getElementById('manual').addEventListener('click', onManualMode);
   document.getElementById('autostart').addEventListener('click', onAutostartMode);
   document.getElementById('autosave').addEventListener('click', onAutosaveMode);
   document.getElementById('autosync').addEventListener('click', onAutosyncMode);
+  document.getElementById('export').addEventListener('click', onExport);
+  document.getElementById('import_file').addEventListener('change',
+                                                          onImportFile);
+  document.getElementById('import_session').addEventListener('click',
+      onImport.bind(null, 'session'));
+  document.getElementById('import_merge').addEventListener('click',
+      onImport.bind(null, 'merge'));
+  document.getElementById('rule_add').addEventListener('click', onRuleAdd);
+  document.getElementById('matching_save').addEventListener('click',
+                                                            onMatchingSave);
+  document.getElementById('external_save').addEventListener('click',
+                                                            onExternalSave);
+  document.getElementById('unlock').addEventListener('click', onUnlock);
+  document.getElementById('encryption_set').addEventListener('click',
+                                                             onSetPassphrase);
+  document.getElementById('encryption_off').addEventListener('click',
+                                                             onEncryptionOff);
+  document.getElementById('incognito_policy').addEventListener('change',
+                                                               onIncognitoPolicy);
+  document.getElementById('notifications').addEventListener('click',
+                                                           onNotifications);
+  document.getElementById('confirm_restore').addEventListener('change',
+                                                              onConfirmRestore);
   document.getElementById('debug_mode').addEventListener('click', onDebugMode);
 });
 
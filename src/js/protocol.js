@@ -0,0 +1,149 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * protocol.js - Defines the messages the popup and the service worker
+ * exchange over a chrome.runtime port.
+ *
+ * The popup connects a port named PORT_NAME and sends requests, each naming a
+ * TabberApi method and its arguments. The worker answers each request with a
+ * response holding the same id, and pushes events (status changes and sync
+ * progress) to every connected port as they happen.
+ *
+ * Other extensions and web pages send the same requests through
+ * chrome.runtime.sendMessage, and get the response back as its reply.
+ *
+ * Every message carries the protocol VERSION. A request with another version
+ * is answered with a VERSION error, which happens when the popup of an older
+ * Tabber is still open after an update.
+ */
+
+goog.provide('TabberInternal.Protocol');
+
+/**
+ * The protocol version. Bump it when a message changes incompatibly.
+ * @const {number}
+ */
+TabberInternal.Protocol.VERSION = 1;
+
+/**
+ * The name of the port the popup connects.
+ * @const {string}
+ */
+TabberInternal.Protocol.PORT_NAME = 'tabber';
+
+/**
+ * The kinds of messages.
+ * @enum {string}
+ */
+TabberInternal.Protocol.Kind = {
+  REQUEST: 'request',
+  RESPONSE: 'response',
+  EVENT: 'event'
+};
+
+/**
+ * The events the worker pushes.
+ * @enum {string}
+ */
+TabberInternal.Protocol.Event = {
+  // The data is the new TabberApi.type.status.
+  STATUS: 'status',
+  // The data is a TabberApi.type.progress.
+  PROGRESS: 'progress'
+};
+
+/**
+ * The error codes of failed requests.
+ * @enum {string}
+ */
+TabberInternal.Protocol.ErrorCode = {
+  VERSION: 'version',          // the request has another protocol version
+  BAD_REQUEST: 'bad_request',  // the request is malformed
+  UNKNOWN_METHOD: 'unknown_method',  // no such API method
+  FORBIDDEN: 'forbidden',      // the caller is not allowed
+  FAILED: 'failed'             // the method threw an exception
+};
+
+/**
+ * The phases of a save, restore or merge, as reported by PROGRESS events.
+ * @enum {string}
+ */
+TabberInternal.Protocol.Phase = {
+  READ: 'read',            // reading the browser tabs
+  WINDOWS: 'windows',      // matching windows and planning the restore
+  CREATE: 'create',        // opening and moving tabs
+  DELETE: 'delete',        // closing tabs
+  ACTIVE: 'active',        // setting the active, pinned and muted tabs
+  GROUPS: 'groups',        // recreating the tab groups
+  BOUNDS: 'bounds',        // placing the windows
+  INCOGNITO: 'incognito',  // reopening incognito windows
+  MERGE: 'merge',          // opening the tabs missing from the browser
+  SAVE: 'save',            // writing the saved session
+  DONE: 'done'             // nothing is running any more
+};
+
+/**
+ * Make a request message.
+ * @param {number} id - The request id, unique to the sending port.
+ * @param {string} method - The name of the TabberApi method.
+ * @param {Array} args - The arguments, less any callback.
+ * @return {TabberApi.type.message}
+ */
+TabberInternal.Protocol.makeRequest = function(id, method, args) {
+  return {version: TabberInternal.Protocol.VERSION,
+          kind: TabberInternal.Protocol.Kind.REQUEST,
+          id: id, method: method, args: args};
+};
+
+/**
+ * Make a successful response message.
+ * @param {number} id - The id of the request.
+ * @param {Array} result - The return value of the method, or the arguments it
+ *     passed to its callback.
+ * @return {TabberApi.type.message}
+ */
+TabberInternal.Protocol.makeResponse = function(id, result) {
+  return {version: TabberInternal.Protocol.VERSION,
+          kind: TabberInternal.Protocol.Kind.RESPONSE,
+          id: id, result: result, error: null};
+};
+
+/**
+ * Make a failed response message.
+ * @param {number} id - The id of the request.
+ * @param {TabberInternal.Protocol.ErrorCode} code - What went wrong.
+ * @param {string} message - A description of the error.
+ * @return {TabberApi.type.message}
+ */
+TabberInternal.Protocol.makeError = function(id, code, message) {
+  return {version: TabberInternal.Protocol.VERSION,
+          kind: TabberInternal.Protocol.Kind.RESPONSE,
+          id: id, result: null, error: {code: code, message: message}};
+};
+
+/**
+ * Make an event message.
+ * @param {TabberInternal.Protocol.Event} event - The event.
+ * @param {*} data - The event data.
+ * @return {TabberApi.type.message}
+ */
+TabberInternal.Protocol.makeEvent = function(event, data) {
+  return {version: TabberInternal.Protocol.VERSION,
+          kind: TabberInternal.Protocol.Kind.EVENT,
+          event: event, data: data};
+};
@@ -0,0 +1,613 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * restore_planner.js - Plans the tab operations which turn the browser tabs
+ * into a saved session.
+ *
+ * The plan is made in three steps:
+ *
+ * 1. Each saved window is assigned a browser window, so that together they
+ *    share as many tabs as possible (the Hungarian algorithm, on scores
+ *    counted through an index of the tab URLs). Saved windows left over get
+ *    new windows.
+ *
+ * 2. Each saved tab is matched with a browser tab with the same URL (see
+ *    TabberInternal.UrlMatching), preferring one in the assigned window.
+ *    Then the tabs left over in each window are matched with the tabs left
+ *    over on the same site between the same matched tabs, as tabs which went
+ *    to another page.
+ *
+ * 3. In each window, the longest run of matched tabs which are already in
+ *    order stays where it is. Every other saved tab is opened, or moved, right
+ *    after the saved tab before it, which takes one operation per tab. Browser
+ *    tabs which match no saved tab are closed next, so no window is closed
+ *    while tabs are still to be put in it. Then the tabs which went to another
+ *    page are sent back to the saved page, and last, the saved active tabs
+ *    which are not active yet are activated.
+ *
+ * Planning takes O(n log n) time for n tabs, plus O(w^3) for w windows.
+ */
+
+goog.provide('TabberInternal.RestorePlanner');
+
+/**
+ * The kinds of operations of a plan.
+ * @enum {string}
+ */
+TabberInternal.RestorePlanner.OpType = {
+  NEW_WINDOW: 'new_window',  // open a window with a saved tab (opened or moved)
+  CREATE: 'create',          // open a saved tab
+  MOVE: 'move',              // move a browser tab, in its window or to another
+  REMOVE: 'remove',          // close a browser tab
+  NAVIGATE: 'navigate',      // load the saved page in a browser tab
+  ACTIVATE: 'activate'       // make a saved tab the active tab of its window
+};
+
+/*
+ * Private globals
+ */
+
+/**
+ * Count the tabs of each window.
+ * @private
+ * @param {Array<TabberInt.type.Tab>} tabs - The tabs.
+ * @return {{ids: Array<number>, counts: Object<string, number>}} - The
+ *     windowIds in the order they first appear, and the tab counts by URL key,
+ *     then windowId.
+ */
+function countWindowTabs_(tabs) {
+  var ids = [];
+  var seen = {};
+  var counts = Object.create(null);
+  for (var t = 0; t < tabs.length; t++) {
+    var wid = tabs[t].windowId;
+    if (!seen[wid]) {
+      seen[wid] = true;
+      ids.push(wid);
+    }
+    var key = TabberInternal.UrlMatching.getKey(tabs[t].url);
+    var byWindow = counts[key] || (counts[key] = {});
+    byWindow[wid] = (byWindow[wid] || 0) + 1;
+  }
+  return {ids: ids, counts: counts};
+}
+
+/**
+ * Find the assignment of rows to columns with the highest total score, using
+ * the Hungarian algorithm, in O(rows^2 * cols) time.
+ * @private
+ * @param {Array<Array<number>>} scores - The score of each row and column.
+ *     There must be no more rows than columns.
+ * @param {number} cols - The number of columns.
+ * @return {Array<number>} - The column assigned to each row.
+ */
+function assignRows_(scores, cols) {
+  var rows = scores.length;
+  // Potentials and assignments, 1-based, with row and column 0 as sentinels.
+  var u = [];
+  var v = [];
+  var rowOfCol = [];
+  var way = [];
+  for (var j = 0; j <= cols; j++) {
+    v[j] = 0;
+    rowOfCol[j] = 0;
+  }
+  for (var i = 0; i <= rows; i++) {
+    u[i] = 0;
+  }
+  for (var i = 1; i <= rows; i++) {
+    rowOfCol[0] = i;
+    var col = 0;
+    var minSlack = [];
+    var used = [];
+    for (var j = 0; j <= cols; j++) {
+      minSlack[j] = Infinity;
+      used[j] = false;
+    }
+    // Grow an alternating path until it reaches a free column.
+    do {
+      used[col] = true;
+      var row = rowOfCol[col];
+      var delta = Infinity;
+      var next = 0;
+      for (var j = 1; j <= cols; j++) {
+        if (!used[j]) {
+          // Minimizing the negated score maximizes the score.
+          var slack = -scores[row - 1][j - 1] - u[row] - v[j];
+          if (slack < minSlack[j]) {
+            minSlack[j] = slack;
+            way[j] = col;
+          }
+          if (minSlack[j] < delta) {
+            delta = minSlack[j];
+            next = j;
+          }
+        }
+      }
+      for (var j = 0; j <= cols; j++) {
+        if (used[j]) {
+          u[rowOfCol[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minSlack[j] -= delta;
+        }
+      }
+      col = next;
+    } while (rowOfCol[col] != 0);
+    // Flip the path.
+    do {
+      var prevCol = way[col];
+      rowOfCol[col] = rowOfCol[prevCol];
+      col = prevCol;
+    } while (col != 0);
+  }
+  var colOfRow = [];
+  for (var j = 1; j <= cols; j++) {
+    if (rowOfCol[j] > 0) {
+      colOfRow[rowOfCol[j] - 1] = j - 1;
+    }
+  }
+  return colOfRow;
+}
+
+/**
+ * Take the first local tab of a list of candidates which is not matched yet.
+ * The list keeps its place, so each candidate is only passed over once.
+ * @private
+ * @param {{tabs: Array<number>, next: number}} candidates - The candidates,
+ *     as indexes of local tabs in order, and the place of the first one which
+ *     may not be matched yet.
+ * @param {Array<boolean>} taken - Whether each local tab is matched.
+ * @return {number} - The index of the local tab, or -1 if there is none.
+ */
+function takeCandidate_(candidates, taken) {
+  while ((candidates.next < candidates.tabs.length) &&
+         taken[candidates.tabs[candidates.next]]) {
+    candidates.next++;
+  }
+  if (candidates.next >= candidates.tabs.length) {
+    return -1;
+  }
+  var t = candidates.tabs[candidates.next++];
+  taken[t] = true;
+  return t;
+}
+
+/**
+ * Match the tabs left over by RestorePlanner.matchTabs which are on the same host, in the
+ * mapped window, between the same matched tabs. Each run of tabs between two
+ * matched tabs of a window (or before the first) is a gap, named by the local
+ * tab before it, and the tabs of a gap on the same host are matched in order.
+ * @private
+ * @param {Array<TabberInt.type.Tab>} locTabs - The local tabs.
+ * @param {Array<TabberInt.type.Tab>} remTabs - The remote tabs.
+ * @param {Array<number|string>} windowMap - local windowIds indexed by remote
+ *     windowId.
+ * @param {Array<number>} matches - The matches so far, updated in place.
+ * @param {Array<boolean>} taken - Whether each local tab is matched.
+ */
+function matchNavigatedTabs_(locTabs, remTabs, windowMap, matches, taken) {
+  var getHost = TabberInternal.UrlMatching.getHost;
+  // Only the tabs matched in their mapped window mark the gaps.
+  var marks = {};
+  for (var t = 0; t < remTabs.length; t++) {
+    var m = matches[t];
+    if ((m >= 0) &&
+        (String(locTabs[m].windowId) ==
+         String(windowMap[remTabs[t].windowId]))) {
+      marks[m] = true;
+    }
+  }
+  // The local tabs left over, by window, gap and host.
+  var byGap = Object.create(null);
+  var prev = Object.create(null);  // the last mark of each window
+  for (var t = 0; t < locTabs.length; t++) {
+    var wid = locTabs[t].windowId;
+    if (marks[t]) {
+      prev[wid] = t;
+      continue;
+    }
+    var host = taken[t] ? '' : getHost(locTabs[t].url);
+    if (host) {
+      var gap = wid + ' ' + ((wid in prev) ? prev[wid] : -1) + ' ' + host;
+      (byGap[gap] || (byGap[gap] = {tabs: [], next: 0})).tabs.push(t);
+    }
+  }
+  prev = Object.create(null);
+  for (var t = 0; t < remTabs.length; t++) {
+    var rwid = remTabs[t].windowId;
+    var lwid = windowMap[rwid];
+    if (matches[t] >= 0) {
+      if (marks[matches[t]]) {
+        prev[rwid] = matches[t];
+      }
+      continue;
+    }
+    var host = getHost(remTabs[t].url);
+    var candidates = host && (lwid !== undefined) &&
+        byGap[lwid + ' ' + ((rwid in prev) ? prev[rwid] : -1) + ' ' + host];
+    if (candidates) {
+      matches[t] = takeCandidate_(candidates, taken);
+    }
+  }
+}
+
+/**
+ * Add to the count at a position of a Fenwick tree.
+ * @private
+ * @param {Array<number>} tree - The tree.
+ * @param {number} pos - The position, from 0.
+ * @param {number} delta - The amount to add.
+ */
+function addToTree_(tree, pos, delta) {
+  for (var i = pos + 1; i < tree.length; i += i & -i) {
+    tree[i] += delta;
+  }
+}
+
+/**
+ * Sum the counts of a Fenwick tree before a position.
+ * @private
+ * @param {Array<number>} tree - The tree.
+ * @param {number} pos - The position, from 0.
+ * @return {number}
+ */
+function sumTreeBefore_(tree, pos) {
+  var sum = 0;
+  for (var i = pos; i > 0; i -= i & -i) {
+    sum += tree[i];
+  }
+  return sum;
+}
+
+/**
+ * Find the longest increasing subsequence of a list of numbers, in
+ * O(n log n) time.
+ * @param {Array<number>} values - The numbers.
+ * @return {Array<boolean>} - Whether each number is in the subsequence.
+ */
+TabberInternal.RestorePlanner.getIncreasingSubsequence = function(values) {
+  var tails = [];  // index of the smallest tail of each subsequence length
+  var prev = [];   // index of the previous number in its subsequence
+  for (var i = 0; i < values.length; i++) {
+    // Find the longest subsequence this number can extend.
+    var lo = 0;
+    var hi = tails.length;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      if (values[tails[mid]] < values[i]) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    prev[i] = (lo > 0) ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+  var inSequence = values.map(function() {
+    return false;
+  });
+  for (var i = tails.length ? tails[tails.length - 1] : -1; i >= 0;
+       i = prev[i]) {
+    inSequence[i] = true;
+  }
+  return inSequence;
+};
+
+/**
+ * Assign local windows to remote windows so that together they share as many
+ * tabs as possible. Every remote window gets a local window while there are
+ * local windows left.
+ * @param {Array<TabberInt.type.Tab>} locTabs - The local tabs.
+ * @param {Array<TabberInt.type.Tab>} remTabs - The remote tabs.
+ * @return {Array<number>} - local windowIds indexed by remote windowId.
+ */
+TabberInternal.RestorePlanner.mapWindows = function(locTabs, remTabs) {
+  var loc = countWindowTabs_(locTabs);
+  var rem = countWindowTabs_(remTabs);
+  // The Hungarian algorithm wants the shorter side as rows.
+  var flip = rem.ids.length > loc.ids.length;
+  var rowIds = flip ? loc.ids : rem.ids;
+  var colIds = flip ? rem.ids : loc.ids;
+  var rowCounts = flip ? loc.counts : rem.counts;
+  var colCounts = flip ? rem.counts : loc.counts;
+  var rowIndex = {};
+  var colIndex = {};
+  var scores = rowIds.map(function(id, r) {
+    rowIndex[id] = r;
+    return colIds.map(function() {
+      return 0;
+    });
+  });
+  colIds.forEach(function(id, c) {
+    colIndex[id] = c;
+  });
+  // Only the windows which share a URL are compared, so this takes time in
+  // proportion to the tabs rather than to the pairs of tabs.
+  for (var key in rowCounts) {
+    var byCol = colCounts[key];
+    if (!byCol) {
+      continue;
+    }
+    for (var rowId in rowCounts[key]) {
+      for (var colId in byCol) {
+        scores[rowIndex[rowId]][colIndex[colId]] +=
+            Math.min(rowCounts[key][rowId], byCol[colId]);
+      }
+    }
+  }
+  var assigned = assignRows_(scores, colIds.length);
+  var locIdByRemId = [];
+  for (var r = 0; r < rowIds.length; r++) {
+    var remId = flip ? colIds[assigned[r]] : rowIds[r];
+    var locId = flip ? rowIds[r] : colIds[assigned[r]];
+    consoleDebugLog('Mapping rwid ' + remId + ' to lwid ' + locId);
+    locIdByRemId[remId] = locId;
+  }
+  return locIdByRemId;
+};
+
+/**
+ * Match remote tabs with local tabs by URL, preferring a local tab in the
+ * local window mapped to the remote tab's window. Tabs with the same URL are
+ * matched in order.
+ *
+ * The remote tabs still unmatched are then matched with the local tabs still
+ * unmatched which are on the same host, in the mapped window and between the
+ * same matched tabs, so a tab which went to another page of a site is the
+ * same tab, navigated, rather than one tab closed and another opened.
+ * @param {Array<TabberInt.type.Tab>} locTabs - The local tabs.
+ * @param {Array<TabberInt.type.Tab>} remTabs - The remote tabs.
+ * @param {Array<number|string>} windowMap - local windowIds indexed by remote
+ *     windowId.
+ * @return {Array<number>} - The index of the matching local tab for each
+ *     remote tab, or -1 if there is none.
+ */
+TabberInternal.RestorePlanner.matchTabs = function(locTabs, remTabs,
+                                                   windowMap) {
+  var getKey = TabberInternal.UrlMatching.getKey;
+  // The local tabs by URL key, and by window within each key.
+  var byUrl = Object.create(null);
+  for (var t = 0; t < locTabs.length; t++) {
+    var key = getKey(locTabs[t].url);
+    var candidates = byUrl[key] ||
+        (byUrl[key] = {tabs: [], next: 0, byWin: Object.create(null)});
+    candidates.tabs.push(t);
+    var wid = locTabs[t].windowId;
+    (candidates.byWin[wid] ||
+        (candidates.byWin[wid] = {tabs: [], next: 0})).tabs.push(t);
+  }
+  var taken = locTabs.map(function() {
+    return false;
+  });
+  var matches = remTabs.map(function() {
+    return -1;
+  });
+  // Match the tabs which stayed in their window first.
+  for (var t = 0; t < remTabs.length; t++) {
+    var candidates = byUrl[getKey(remTabs[t].url)];
+    var inWindow = candidates &&
+        candidates.byWin[windowMap[remTabs[t].windowId]];
+    if (inWindow) {
+      matches[t] = takeCandidate_(inWindow, taken);
+    }
+  }
+  // Then any tab with the same URL.
+  for (var t = 0; t < remTabs.length; t++) {
+    var candidates = byUrl[getKey(remTabs[t].url)];
+    if ((matches[t] < 0) && candidates) {
+      matches[t] = takeCandidate_(candidates, taken);
+    }
+  }
+  matchNavigatedTabs_(locTabs, remTabs, windowMap, matches, taken);
+  return matches;
+};
+
+/**
+ * Plan the operations which turn the local tabs into the remote tabs. Both
+ * sets of tabs must be in window and index order, and the index of each local
+ * tab must be its index in the browser: the gaps between them are tabs which
+ * the plan leaves alone, such as tabs excluded from restore.
+ *
+ * The operations must be done one at a time, in order, since the index of
+ * each one counts the tabs placed by the ones before. The NEW_WINDOW and
+ * CREATE operations don't know the ids of the windows they open, so they
+ * refer to windows by their remote windowId.
+ * @param {Array<TabberInt.type.Tab>} locTabs - The local tabs.
+ * @param {Array<TabberInt.type.Tab>} remTabs - The remote tabs.
+ * @return {TabberInt.type.RestorePlan}
+ */
+TabberInternal.RestorePlanner.plan = function(locTabs, remTabs) {
+  var OpType = TabberInternal.RestorePlanner.OpType;
+  var windowMap = TabberInternal.RestorePlanner.mapWindows(locTabs, remTabs);
+  var matches = TabberInternal.RestorePlanner.matchTabs(locTabs, remTabs,
+                                                        windowMap);
+
+  /*
+   * Each tab is placed by giving it a sort key in its window: the tab at index
+   * p starts with key (p + 1) * span, and a tab placed right after the tab
+   * with key k gets key k + 1. No two tabs get the same key, since each tab
+   * only gets one tab placed right after it, and the keys only decide the
+   * order of the tabs. Once all the keys are known, the index of each
+   * operation is found by counting the keys before it.
+   */
+  var span = remTabs.length + 2;
+  var places = {};   // where each tab is: {win: window, key: sort key}
+  var windows = {};  // each window: {keys: all keys, count: tabs, todo: bool}
+  for (var t = 0; t < locTabs.length; t++) {
+    var win = String(locTabs[t].windowId);
+    var info = windows[win] || (windows[win] = {keys: [], count: 0});
+    // Count the tabs at the gaps too.
+    info.count = Math.max(info.count, locTabs[t].index + 1);
+    places['l' + t] = {win: win, key: (locTabs[t].index + 1) * span};
+  }
+  for (var win in windows) {
+    for (var p = 0; p < windows[win].count; p++) {
+      windows[win].keys.push((p + 1) * span);
+    }
+  }
+  // Group the remote tabs by window.
+  var remWindowIds = [];
+  var targets = {};
+  for (var t = 0; t < remTabs.length; t++) {
+    var wid = remTabs[t].windowId;
+    if (!(wid in targets)) {
+      remWindowIds.push(wid);
+      targets[wid] = [];
+      if (wid in windowMap) {
+        windows[String(windowMap[wid])].todo = true;
+      }
+    }
+    targets[wid].push(t);
+  }
+
+  /** @type {Array<TabberInt.type.RestoreOp>} */
+  var ops = [];
+  var moves = [];  // for each op: {from: place, to: place}
+  var activations = [];
+  for (var w = 0; w < remWindowIds.length; w++) {
+    var rwid = remWindowIds[w];
+    var tabs = targets[rwid];
+    var win = (rwid in windowMap) ? String(windowMap[rwid]) : 'new' + rwid;
+    if (windows[win]) {
+      windows[win].todo = false;
+    }
+    // The matched tabs already in this window which are in order stay put.
+    var indexes = [];
+    var positions = [];
+    for (var i = 0; i < tabs.length; i++) {
+      var m = matches[tabs[i]];
+      if ((m >= 0) && (String(locTabs[m].windowId) == win)) {
+        indexes.push(locTabs[m].index);
+        positions.push(i);
+      }
+    }
+    var inOrder = TabberInternal.RestorePlanner.getIncreasingSubsequence(
+        indexes);
+    var stays = {};
+    for (var i = 0; i < positions.length; i++) {
+      stays[positions[i]] = inOrder[i];
+    }
+    var prevKey = 0;  // before the first tab
+    var arrived = false;  // whether tabs move in from other windows
+    for (var i = 0; i < tabs.length; i++) {
+      var t = tabs[i];
+      var m = matches[t];
+      if (stays[i]) {
+        prevKey = places['l' + m].key;
+        continue;
+      }
+      var from = (m >= 0) ? places['l' + m] : null;
+      // Moving the last tab out of a window would close it, so if tabs are
+      // still to be put in that window, open a copy and close the tab later.
+      if (from && (from.win != win) && windows[from.win].todo &&
+          (windows[from.win].count == 1)) {
+        matches[t] = m = -1;
+        from = null;
+      }
+      var to = {win: win, key: prevKey + 1};
+      var type = OpType.CREATE;
+      if (!windows[win]) {
+        windows[win] = {keys: [], count: 0};
+        type = OpType.NEW_WINDOW;
+      } else if (m >= 0) {
+        type = OpType.MOVE;
+      }
+      if (from) {
+        windows[from.win].count--;
+        arrived = arrived || (from.win != win);
+      }
+      windows[win].count++;
+      windows[win].keys.push(to.key);
+      places[(m >= 0) ? 'l' + m : 'r' + t] = to;
+      ops.push({type: type, remIndex: t, locIndex: m, windowId: rwid,
+                index: 0});
+      moves.push({from: from, to: to});
+      prevKey = to.key;
+    }
+    // A tab which stays put keeps being active, unless one moved in.
+    for (var i = 0; i < tabs.length; i++) {
+      var t = tabs[i];
+      if (remTabs[t].active &&
+          !(stays[i] && locTabs[matches[t]].active && !arrived)) {
+        activations.push({type: OpType.ACTIVATE, remIndex: t,
+                          locIndex: matches[t], windowId: rwid, index: -1});
+      }
+    }
+  }
+  // Close the local tabs which match no remote tab.
+  var matched = {};
+  for (var t = 0; t < matches.length; t++) {
+    matched[matches[t]] = true;
+  }
+  for (var t = 0; t < locTabs.length; t++) {
+    if (!matched[t]) {
+      ops.push({type: OpType.REMOVE, remIndex: -1, locIndex: t, windowId: -1,
+                index: -1});
+      moves.push({from: places['l' + t], to: null});
+    }
+  }
+  // Send the tabs which went to another page back to the remote page.
+  for (var t = 0; t < matches.length; t++) {
+    var m = matches[t];
+    if ((m >= 0) &&
+        !TabberInternal.UrlMatching.isSameUrl(locTabs[m].url, remTabs[t].url)) {
+      ops.push({type: OpType.NAVIGATE, remIndex: t, locIndex: m,
+                windowId: remTabs[t].windowId, index: -1});
+      moves.push({from: null, to: null});
+    }
+  }
+  for (var a = 0; a < activations.length; a++) {
+    ops.push(activations[a]);
+    moves.push({from: null, to: null});
+  }
+
+  // Now find the index of each operation, by counting the tabs before it.
+  var trees = {};
+  var slots = {};  // the position of each key in its tree
+  for (var win in windows) {
+    var keys = windows[win].keys.sort(function(a, b) {
+      return a - b;
+    });
+    var tree = [];
+    for (var i = 0; i <= keys.length; i++) {
+      tree[i] = 0;
+    }
+    slots[win] = {};
+    for (var i = 0; i < keys.length; i++) {
+      slots[win][keys[i]] = i;
+      // The tabs there to start with.
+      if (keys[i] % span == 0) {
+        addToTree_(tree, i, 1);
+      }
+    }
+    trees[win] = tree;
+  }
+  for (var o = 0; o < ops.length; o++) {
+    var from = moves[o].from;
+    var to = moves[o].to;
+    if (from) {
+      addToTree_(trees[from.win], slots[from.win][from.key], -1);
+    }
+    if (to) {
+      ops[o].index = sumTreeBefore_(trees[to.win], slots[to.win][to.key]);
+      addToTree_(trees[to.win], slots[to.win][to.key], 1);
+    }
+  }
+  return {windowMap: windowMap, matches: matches, ops: ops};
+};
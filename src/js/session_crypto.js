@@ -0,0 +1,512 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * session_crypto.js - Provides the optional end-to-end encryption of the tab
+ * data Tabber writes to chrome.storage.sync.
+ *
+ * The key is derived from a user passphrase with PBKDF2, and each stored tab
+ * data value (session chunk or history entry) is encrypted on its own with
+ * AES-GCM, so the existing chunking and commit logic works unchanged on the
+ * decrypted values. The encryption config (the PBKDF2 salt and a check value
+ * encrypted with the key) is stored in chrome.storage.sync, so every device
+ * knows the data is encrypted and can verify a passphrase. Each device caches
+ * the derived key in chrome.storage.local once it is unlocked.
+ *
+ * Session metadata (names, generations, times and tab counts) is not
+ * encrypted, only the tabs themselves.
+ */
+
+goog.provide('TabberInternal.SessionCrypto');
+
+/**
+ * chrome.storage.sync key holding the encryption config.
+ * @const {string}
+ */
+TabberInternal.SessionCrypto.CONFIG_KEY = 'encryption';
+
+/**
+ * chrome.storage.local key holding this device's cached key.
+ * @const {string}
+ */
+TabberInternal.SessionCrypto.CACHE_KEY = 'encryption_key';
+
+/**
+ * Number of PBKDF2 iterations used to derive new keys.
+ * @const {number}
+ */
+TabberInternal.SessionCrypto.ITERATIONS = 200000;
+
+/**
+ * Number of characters per chunk of encrypted sessions. Encryption grows the
+ * data by about a third, so this leaves room within the 8KB
+ * QUOTA_BYTES_PER_ITEM limit.
+ * @const {number}
+ */
+TabberInternal.SessionCrypto.CHUNK_SIZE = 5000;
+
+/**
+ * The encryption states reported to the UI.
+ * @enum {string}
+ */
+TabberInternal.SessionCrypto.State = {
+  OFF: 'off',            // data is stored in the clear
+  LOCKED: 'locked',      // data is encrypted, and we don't have the key
+  UNLOCKED: 'unlocked'   // data is encrypted, and we have the key
+};
+
+/**
+ * Marks encrypted values, and the version of their format.
+ * @private
+ * @const {string}
+ */
+var ENCRYPTED_PREFIX_ = 'E1.';
+
+/**
+ * Text encrypted into the config, to check a key against.
+ * @private
+ * @const {string}
+ */
+var CHECK_TEXT_ = 'Tabber';
+
+/**
+ * Private globals
+ */
+
+/**
+ * The encryption config in effect, or null if encryption is off.
+ * @private
+ * @type {?TabberInt.type.EncryptionConfig}
+ */
+var config_ = null;
+
+/**
+ * The key, or null if we don't have it.
+ * @private
+ * @type {?CryptoKey}
+ */
+var key_ = null;
+
+/**
+ * Whether the cached key was loaded yet.
+ * @private
+ * @type {boolean}
+ */
+var cacheLoaded_ = false;
+
+/**
+ * Serializes the operations which change or use the key, so storage items
+ * are decrypted in the order they arrived.
+ * @private
+ * @type {Promise}
+ */
+var queue_ = Promise.resolve();
+
+/**
+ * Encode bytes as base64.
+ * @private
+ * @param {Uint8Array} bytes - The bytes.
+ * @return {string}
+ */
+function toBase64_(bytes) {
+  var binary = '';
+  for (var i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes.
+ * @private
+ * @param {string} text - The base64 text.
+ * @return {Uint8Array}
+ */
+function fromBase64_(text) {
+  var binary = atob(text);
+  var bytes = new Uint8Array(binary.length);
+  for (var i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Add an operation to the queue.
+ * @private
+ * @param {function(): *} operation - The operation, which may return a
+ *     promise.
+ * @return {Promise}
+ */
+function enqueue_(operation) {
+  var result = queue_.then(operation);
+  queue_ = result.catch(function(e) {
+    consoleErrorLog('Encryption operation failed: ' + e);
+  });
+  return result;
+}
+
+/**
+ * Derive a key from a passphrase.
+ * @private
+ * @param {string} passphrase - The passphrase.
+ * @param {Uint8Array} salt - The salt.
+ * @param {number} iterations - The number of PBKDF2 iterations.
+ * @return {Promise<CryptoKey>}
+ */
+function deriveKey_(passphrase, salt, iterations) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase),
+                                 'PBKDF2', false, ['deriveKey'])
+      .then(function(baseKey) {
+        return crypto.subtle.deriveKey(
+            {name: 'PBKDF2', salt: salt, iterations: iterations,
+             hash: 'SHA-256'},
+            baseKey, {name: 'AES-GCM', length: 256}, true,
+            ['encrypt', 'decrypt']);
+      });
+}
+
+/**
+ * Encrypt text with a key.
+ * @private
+ * @param {CryptoKey} key - The key.
+ * @param {string} text - The text to encrypt.
+ * @return {Promise<string>}
+ */
+function encryptWith_(key, text) {
+  var iv = crypto.getRandomValues(new Uint8Array(12));
+  return crypto.subtle.encrypt({name: 'AES-GCM', iv: iv}, key,
+                               new TextEncoder().encode(text))
+      .then(function(cipher) {
+        return ENCRYPTED_PREFIX_ + toBase64_(iv) + '.' +
+               toBase64_(new Uint8Array(cipher));
+      });
+}
+
+/**
+ * Decrypt text with a key.
+ * @private
+ * @param {CryptoKey} key - The key.
+ * @param {string} value - The encrypted value.
+ * @return {Promise<?string>} - The text, or null if the value can't be
+ *     decrypted with the key.
+ */
+function decryptWith_(key, value) {
+  var parts = value.substr(ENCRYPTED_PREFIX_.length).split('.');
+  try {
+    var iv = fromBase64_(parts[0]);
+    var cipher = fromBase64_(parts[1]);
+  } catch (e) {
+    return Promise.resolve(null);
+  }
+  return crypto.subtle.decrypt({name: 'AES-GCM', iv: iv}, key, cipher)
+      .then(function(plain) {
+        return new TextDecoder().decode(plain);
+      }, function() {
+        return null;
+      });
+}
+
+/**
+ * Check a key against an encryption config.
+ * @private
+ * @param {CryptoKey} key - The key.
+ * @param {TabberInt.type.EncryptionConfig} config - The config.
+ * @return {Promise<boolean>}
+ */
+function checkKey_(key, config) {
+  return decryptWith_(key, config.check).then(function(text) {
+    return text == CHECK_TEXT_;
+  });
+}
+
+/**
+ * Cache a key in chrome.storage.local, or remove the cached key.
+ * @private
+ * @param {?CryptoKey} key - The key, or null to remove it.
+ * @return {Promise}
+ */
+function cacheKey_(key) {
+  if (!key) {
+    chrome.storage.local.remove(TabberInternal.SessionCrypto.CACHE_KEY);
+    return Promise.resolve();
+  }
+  return crypto.subtle.exportKey('raw', key).then(function(raw) {
+    var localObj = {};
+    localObj[TabberInternal.SessionCrypto.CACHE_KEY] =
+        toBase64_(new Uint8Array(raw));
+    chrome.storage.local.set(localObj);
+  });
+}
+
+/**
+ * Load the cached key from chrome.storage.local, the first time only.
+ * @private
+ * @return {Promise}
+ */
+function loadCachedKey_() {
+  if (cacheLoaded_) {
+    return Promise.resolve();
+  }
+  cacheLoaded_ = true;
+  return new Promise(function(resolve) {
+    chrome.storage.local.get(TabberInternal.SessionCrypto.CACHE_KEY,
+                             resolve);
+  }).then(function(items) {
+    var raw = items[TabberInternal.SessionCrypto.CACHE_KEY];
+    if (!raw) {
+      return;
+    }
+    return crypto.subtle.importKey('raw', fromBase64_(raw), 'AES-GCM', true,
+                                   ['encrypt', 'decrypt'])
+        .then(function(key) {
+          key_ = key;
+        });
+  });
+}
+
+/**
+ * Put a new encryption config in effect. The key is dropped if it doesn't
+ * match the config, e.g. because the passphrase was changed on another device.
+ * @private
+ * @param {?TabberInt.type.EncryptionConfig} config - The config, or null if
+ *     encryption is off.
+ * @return {Promise}
+ */
+function setConfig_(config) {
+  config_ = config || null;
+  if (!config_) {
+    if (key_) {
+      consoleDebugLog('Session encryption was turned off');
+      key_ = null;
+      return cacheKey_(null);
+    }
+    return Promise.resolve();
+  }
+  if (!key_) {
+    return Promise.resolve();
+  }
+  return checkKey_(key_, config_).then(function(ok) {
+    if (!ok) {
+      consoleDebugLog('Session encryption key changed, locking');
+      key_ = null;
+      return cacheKey_(null);
+    }
+  });
+}
+
+/**
+ * Get the encryption state.
+ * @return {string} - One of the State values.
+ */
+TabberInternal.SessionCrypto.getState = function() {
+  if (!config_) {
+    return TabberInternal.SessionCrypto.State.OFF;
+  }
+  return key_ ? TabberInternal.SessionCrypto.State.UNLOCKED :
+                TabberInternal.SessionCrypto.State.LOCKED;
+};
+
+/**
+ * Check whether a stored value is encrypted.
+ * @param {*} value - The stored value.
+ * @return {boolean}
+ */
+TabberInternal.SessionCrypto.isEncrypted = function(value) {
+  return (typeof value == 'string') && value.startsWith(ENCRYPTED_PREFIX_);
+};
+
+/**
+ * Decrypt the encrypted values of a set of chrome.storage.sync items. Values
+ * which can't be decrypted (because we don't have the key) are left
+ * encrypted. Any encryption config in the items is put in effect first.
+ * @param {Object} items - The storage items.
+ * @param {boolean} complete - Whether the items are all of the stored items,
+ *     so a missing config means encryption is off.
+ * @param {function(Object)} callback - Called with a copy of the items, with
+ *     their values decrypted.
+ */
+TabberInternal.SessionCrypto.decryptItems = function(items, complete,
+                                                     callback) {
+  var plain = {};
+  for (var key in items) {
+    plain[key] = items[key];
+  }
+  var done = function() {
+    callback(plain);
+  };
+  enqueue_(function() {
+    return loadCachedKey_().then(function() {
+      if (complete || (TabberInternal.SessionCrypto.CONFIG_KEY in items)) {
+        return setConfig_(items[TabberInternal.SessionCrypto.CONFIG_KEY]);
+      }
+    }).then(function() {
+      var pending = [];
+      Object.keys(items).forEach(function(key) {
+        if (key_ && TabberInternal.SessionCrypto.isEncrypted(items[key])) {
+          pending.push(decryptWith_(key_, items[key]).then(function(text) {
+            if (text != null) {
+              plain[key] = text;
+            }
+          }));
+        }
+      });
+      return Promise.all(pending);
+    });
+  }).then(done, done);
+};
+
+/**
+ * Decrypt a single stored value, if it is encrypted.
+ * @param {string} value - The stored value.
+ * @param {function(?string)} callback - Called with the decrypted value, or
+ *     null if it is encrypted and we don't have the key.
+ */
+TabberInternal.SessionCrypto.decrypt = function(value, callback) {
+  if (!TabberInternal.SessionCrypto.isEncrypted(value)) {
+    callback(value);
+    return;
+  }
+  enqueue_(function() {
+    return loadCachedKey_().then(function() {
+      return key_ ? decryptWith_(key_, value) : null;
+    });
+  }).then(callback, function() {
+    callback(null);
+  });
+};
+
+/**
+ * Encrypt values to be stored, if encryption is on.
+ * @param {Array<string>} values - The values.
+ * @param {function(Array<string>, string)} callback - Called with the values
+ *     to store (which are unchanged if encryption is off), or with an error
+ *     message if they can't be encrypted.
+ */
+TabberInternal.SessionCrypto.encryptValues = function(values, callback) {
+  enqueue_(function() {
+    if (!config_) {
+      return values;
+    }
+    if (!key_) {
+      throw new Error('saved sessions are encrypted and locked');
+    }
+    return Promise.all(values.map(function(value) {
+      return encryptWith_(key_, value);
+    }));
+  }).then(function(result) {
+    callback(result, '');
+  }, function(e) {
+    callback([], e.message || String(e));
+  });
+};
+
+/**
+ * Turn on encryption with a passphrase, or change the passphrase. The new
+ * config is written to chrome.storage.sync, and the key is cached on this
+ * device. The data already stored is not re-encrypted here.
+ * @param {string} passphrase - The passphrase.
+ * @param {function(string)} callback - Called when done, with an error
+ *     message if it failed.
+ */
+TabberInternal.SessionCrypto.enable = function(passphrase, callback) {
+  enqueue_(function() {
+    var salt = crypto.getRandomValues(new Uint8Array(16));
+    var iterations = TabberInternal.SessionCrypto.ITERATIONS;
+    var key;
+    return deriveKey_(passphrase, salt, iterations).then(function(newKey) {
+      key = newKey;
+      return encryptWith_(key, CHECK_TEXT_);
+    }).then(function(check) {
+      config_ = {version: 1, salt: toBase64_(salt), iterations: iterations,
+                 check: check};
+      key_ = key;
+      return cacheKey_(key);
+    }).then(function() {
+      return new Promise(function(resolve, reject) {
+        var syncObj = {};
+        syncObj[TabberInternal.SessionCrypto.CONFIG_KEY] = config_;
+        chrome.storage.sync.set(syncObj, function() {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+  }).then(function() {
+    callback('');
+  }, function(e) {
+    callback(e.message || String(e));
+  });
+};
+
+/**
+ * Unlock the encrypted data on this device with the passphrase. The key is
+ * cached on this device if it is right.
+ * @param {string} passphrase - The passphrase.
+ * @param {function(boolean)} callback - Called with whether the passphrase
+ *     unlocked the data.
+ */
+TabberInternal.SessionCrypto.unlock = function(passphrase, callback) {
+  enqueue_(function() {
+    if (!config_) {
+      return false;
+    }
+    var config = config_;
+    return deriveKey_(passphrase, fromBase64_(config.salt), config.iterations)
+        .then(function(key) {
+          return checkKey_(key, config).then(function(ok) {
+            if (ok && (config_ == config)) {
+              key_ = key;
+              return cacheKey_(key).then(function() {
+                return true;
+              });
+            }
+            return false;
+          });
+        });
+  }).then(callback, function() {
+    callback(false);
+  });
+};
+
+/**
+ * Turn off encryption on this device, so values are stored in the clear. The
+ * key is kept, so data which is still encrypted can be decrypted, until
+ * forget is called.
+ * @param {function()} callback - Called once encryption is off.
+ */
+TabberInternal.SessionCrypto.disable = function(callback) {
+  enqueue_(function() {
+    config_ = null;
+  }).then(callback, callback);
+};
+
+/**
+ * Remove the encryption config from chrome.storage.sync and forget the key,
+ * once no encrypted data is left.
+ */
+TabberInternal.SessionCrypto.forget = function() {
+  enqueue_(function() {
+    config_ = null;
+    key_ = null;
+    chrome.storage.sync.remove(TabberInternal.SessionCrypto.CONFIG_KEY);
+    return cacheKey_(null);
+  });
+};
@@ -0,0 +1,321 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * session_encoding.js - Provides the compact storage encoding for the tabs of
+ * a session, so large sessions fit in the chrome.storage.sync quotas.
+ *
+ * The encoding keeps only the tab, tab group and window fields Tabber needs,
+ * stores each distinct
+ * URL prefix (scheme and host) once, compresses the result with LZW, and
+ * base64 encodes it. The encoded string is then split into fixed-size chunks,
+ * each of which fits in a single chrome.storage.sync item. A checksum of the
+ * encoded string lets readers verify they have all of the matching chunks.
+ */
+
+goog.provide('TabberInternal.SessionEncoding');
+
+/**
+ * Version of the session storage layout written by this code. Version 1 was
+ * the layout with one 'Tab_N' item per tab.
+ * @const {number}
+ */
+TabberInternal.SessionEncoding.VERSION = 2;
+
+/**
+ * Number of characters per chunk. This leaves room for the key and JSON
+ * quoting within the 8KB QUOTA_BYTES_PER_ITEM limit.
+ * @const {number}
+ */
+TabberInternal.SessionEncoding.CHUNK_SIZE = 7000;
+
+/**
+ * Largest dictionary size (and code width) used by the LZW compression.
+ * @private
+ * @const {number}
+ */
+var LZW_MAX_CODES_ = 65536;
+
+/**
+ * Encode a set of tabs, along with their tab groups and windows, into a
+ * compact string.
+ * @param {TabberInt.type.TabSet} tabSet - The tabs to encode.
+ * @return {string}
+ */
+TabberInternal.SessionEncoding.encodeTabSet = function(tabSet) {
+  var tabs = tabSet.tabs;
+  var groups = tabSet.groups || [];
+  var windows = tabSet.windows || [];
+  var prefixes = [];
+  var prefixIndex = {};
+  var packed = [];
+  for (var t = 0; t < tabs.length; t++) {
+    var tab = tabs[t];
+    var url = String(tab.url);
+    // Split off the scheme and host, so it is only stored once.
+    var match = url.match(/^[a-z][a-z0-9+.-]*:\/\/[^\/]*\//i);
+    var prefix = match ? match[0] : '';
+    if (!(prefix in prefixIndex)) {
+      prefixIndex[prefix] = prefixes.length;
+      prefixes.push(prefix);
+    }
+    packed.push([prefixIndex[prefix], url.substr(prefix.length),
+                 tab.title || '', tab.index, tab.windowId,
+                 tab.active ? 1 : 0, tab.id, getTabGroupId(tab),
+                 tab.pinned ? 1 : 0, isTabMuted(tab) ? 1 : 0,
+                 tab.incognito ? 1 : 0]);
+  }
+  var packedGroups = [];
+  for (var g = 0; g < groups.length; g++) {
+    packedGroups.push([groups[g].id, groups[g].title || '', groups[g].color,
+                       groups[g].collapsed ? 1 : 0, groups[g].windowId]);
+  }
+  var packedWindows = [];
+  for (var w = 0; w < windows.length; w++) {
+    var win = windows[w];
+    packedWindows.push([win.id, win.left, win.top, win.width, win.height,
+                        win.state, win.type, win.focused ? 1 : 0,
+                        win.incognito ? 1 : 0]);
+  }
+  var area = tabSet.display;
+  var json = JSON.stringify({'p': prefixes, 't': packed, 'g': packedGroups,
+                             'w': packedWindows,
+                             'd': area ? [area.left, area.top, area.width,
+                                          area.height] : null});
+  return lzwCompress_(new TextEncoder().encode(json));
+};
+
+/**
+ * Decode a string produced by encodeTabSet. Data encoded before tab groups
+ * (or pinned, muted and incognito state) were saved decodes as ungrouped tabs
+ * (which are not pinned, muted or incognito), and data encoded before windows
+ * were saved decodes without windows.
+ * @param {string} encoded - The encoded tabs.
+ * @return {?TabberInt.type.TabSet} - The tabs and tab groups, or null if the
+ *     encoded data is corrupt.
+ */
+TabberInternal.SessionEncoding.decodeTabSet = function(encoded) {
+  try {
+    var json = new TextDecoder().decode(lzwDecompress_(encoded));
+    var payload = JSON.parse(json);
+    var tabs = [];
+    for (var t = 0; t < payload['t'].length; t++) {
+      var packed = payload['t'][t];
+      tabs.push({url: payload['p'][packed[0]] + packed[1],
+                 title: packed[2],
+                 index: packed[3],
+                 windowId: packed[4],
+                 active: packed[5] == 1,
+                 id: packed[6],
+                 groupId: (typeof packed[7] == 'number') ? packed[7] :
+                                                           NO_GROUP_ID,
+                 pinned: packed[8] == 1,
+                 mutedInfo: {muted: packed[9] == 1},
+                 incognito: packed[10] == 1});
+    }
+    var groups = [];
+    var packedGroups = payload['g'] || [];
+    for (var g = 0; g < packedGroups.length; g++) {
+      var packed = packedGroups[g];
+      groups.push({id: packed[0],
+                   title: packed[1],
+                   color: packed[2],
+                   collapsed: packed[3] == 1,
+                   windowId: packed[4]});
+    }
+    var windows = [];
+    var packedWindows = payload['w'] || [];
+    for (var w = 0; w < packedWindows.length; w++) {
+      var packed = packedWindows[w];
+      windows.push({id: packed[0],
+                    left: packed[1],
+                    top: packed[2],
+                    width: packed[3],
+                    height: packed[4],
+                    state: packed[5],
+                    type: packed[6],
+                    focused: packed[7] == 1,
+                    incognito: packed[8] == 1});
+    }
+    var area = payload['d'];
+    return {tabs: tabs, groups: groups, windows: windows,
+            display: area ? {left: area[0], top: area[1], width: area[2],
+                             height: area[3]} : null};
+  } catch (e) {
+    consoleErrorLog('Unable to decode session tabs: ' + e);
+    return null;
+  }
+};
+
+/**
+ * Split an encoded string into chunks which each fit in a storage item.
+ * @param {string} encoded - The encoded tabs.
+ * @param {number=} opt_size - The chunk size, if not CHUNK_SIZE.
+ * @return {Array<string>}
+ */
+TabberInternal.SessionEncoding.splitChunks = function(encoded, opt_size) {
+  var size = opt_size || TabberInternal.SessionEncoding.CHUNK_SIZE;
+  var chunks = [];
+  for (var pos = 0; pos < encoded.length; pos += size) {
+    chunks.push(encoded.substr(pos, size));
+  }
+  return chunks;
+};
+
+/**
+ * Compute a checksum (32-bit FNV-1a) of an encoded string.
+ * @param {string} encoded - The encoded tabs.
+ * @return {string} - The checksum as a hex string.
+ */
+TabberInternal.SessionEncoding.checksum = function(encoded) {
+  var hash = 0x811c9dc5;
+  for (var i = 0; i < encoded.length; i++) {
+    hash ^= encoded.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+};
+
+/**
+ * Get the code width used for the i-th LZW code. Both sides know that the
+ * i-th code can't be larger than the dictionary size at that point.
+ * @private
+ * @param {number} i - The position of the code in the code stream.
+ * @return {number}
+ */
+function lzwCodeWidth_(i) {
+  var maxCode = Math.min(255 + i, LZW_MAX_CODES_ - 1);
+  var width = 8;
+  while ((1 << width) <= maxCode) {
+    width++;
+  }
+  return width;
+}
+
+/**
+ * Compress bytes with LZW, returning the result as '<length>.<base64>'.
+ * @private
+ * @param {Uint8Array} bytes - The data to compress.
+ * @return {string}
+ */
+function lzwCompress_(bytes) {
+  var out = [];
+  var bitBuf = 0;
+  var bitCount = 0;
+  var numCodes = 0;
+  function emit(code) {
+    var width = lzwCodeWidth_(numCodes++);
+    bitBuf = (bitBuf << width) | code;
+    bitCount += width;
+    while (bitCount >= 8) {
+      bitCount -= 8;
+      out.push((bitBuf >>> bitCount) & 0xff);
+    }
+    bitBuf &= (1 << bitCount) - 1;
+  }
+  if (bytes.length > 0) {
+    var dict = new Map();
+    var nextCode = 256;
+    var w = bytes[0];
+    for (var i = 1; i < bytes.length; i++) {
+      var key = w * 256 + bytes[i];
+      if (dict.has(key)) {
+        w = dict.get(key);
+      } else {
+        emit(w);
+        if (nextCode < LZW_MAX_CODES_) {
+          dict.set(key, nextCode++);
+        }
+        w = bytes[i];
+      }
+    }
+    emit(w);
+    // Flush the last partial byte.
+    if (bitCount > 0) {
+      out.push((bitBuf << (8 - bitCount)) & 0xff);
+    }
+  }
+  var binary = '';
+  for (var i = 0; i < out.length; i++) {
+    binary += String.fromCharCode(out[i]);
+  }
+  return bytes.length + '.' + btoa(binary);
+}
+
+/**
+ * Decompress a string produced by lzwCompress_.
+ * @private
+ * @param {string} encoded - The compressed data.
+ * @return {Uint8Array}
+ */
+function lzwDecompress_(encoded) {
+  var sep = encoded.indexOf('.');
+  var length = parseInt(encoded.substr(0, sep), 10);
+  var binary = atob(encoded.substr(sep + 1));
+  var result = new Uint8Array(length);
+  var pos = 0;
+  var bitBuf = 0;
+  var bitCount = 0;
+  var inPos = 0;
+  var numCodes = 0;
+  function read() {
+    var width = lzwCodeWidth_(numCodes++);
+    while (bitCount < width) {
+      if (inPos >= binary.length) {
+        throw new Error('truncated data');
+      }
+      bitBuf = (bitBuf << 8) | binary.charCodeAt(inPos++);
+      bitCount += 8;
+    }
+    bitCount -= width;
+    var code = (bitBuf >>> bitCount) & ((1 << width) - 1);
+    bitBuf &= (1 << bitCount) - 1;
+    return code;
+  }
+  function write(entry) {
+    if (pos + entry.length > length) {
+      throw new Error('data overrun');
+    }
+    result.set(entry, pos);
+    pos += entry.length;
+  }
+  if (length > 0) {
+    var dict = [];
+    for (var c = 0; c < 256; c++) {
+      dict.push([c]);
+    }
+    var prev = dict[read()];
+    write(prev);
+    while (pos < length) {
+      var code = read();
+      var entry;
+      if (code < dict.length) {
+        entry = dict[code];
+      } else if (code == dict.length) {
+        entry = prev.concat(prev[0]);
+      } else {
+        throw new Error('bad code ' + code);
+      }
+      write(entry);
+      if (dict.length < LZW_MAX_CODES_) {
+        dict.push(prev.concat(entry[0]));
+      }
+      prev = entry;
+    }
+  }
+  return result;
+}
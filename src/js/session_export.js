@@ -0,0 +1,465 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * session_export.js - Converts sessions to and from files the user can keep
+ * or pass on, in three formats:
+ * - JSON: Tabber's own versioned format, which keeps everything a saved
+ *   session has (windows and their bounds, tab order, active, pinned, muted
+ *   and incognito state, titles and tab groups).
+ * - HTML: the Netscape bookmark file format which browsers export and import,
+ *   with a folder per window.
+ * - Text: a plain list of URLs, one per line, with a blank line between
+ *   windows.
+ *
+ * Imported sessions have generation 0 and the default id; the caller decides
+ * what to do with them.
+ */
+
+goog.provide('TabberInternal.SessionExport');
+
+goog.require('TabberInternal.TabberSession');
+
+/**
+ * The export formats.
+ * @enum {string}
+ */
+TabberInternal.SessionExport.Format = {
+  JSON: 'json',
+  HTML: 'html',
+  TEXT: 'text'
+};
+
+/**
+ * The format tag of the JSON export.
+ * @const {string}
+ */
+TabberInternal.SessionExport.FORMAT_ID = 'tabber-session';
+
+/**
+ * The version of the JSON export. Bump it when the format changes in a way
+ * older versions can't read.
+ * @const {number}
+ */
+TabberInternal.SessionExport.VERSION = 1;
+
+/**
+ * Private globals
+ */
+
+/**
+ * Matches URLs we are willing to open, which have a scheme.
+ * @private
+ * @const {RegExp}
+ */
+var URL_PATTERN_ = /^[a-z][a-z0-9+.-]*:\S+$/i;
+
+/**
+ * Matches the parts of a bookmark file we care about: the starts and ends of
+ * folder lists, links and the page heading.
+ * @private
+ * @const {RegExp}
+ */
+var BOOKMARK_TOKEN_ = new RegExp('<DL\\b[^>]*>|</DL>|' +
+                                 '<H1\\b[^>]*>([\\s\\S]*?)</H1>|' +
+                                 '<A\\b([^>]*)>([\\s\\S]*?)</A>', 'gi');
+
+/**
+ * Check whether a URL can be imported. Script URLs (bookmarklets) are left
+ * out.
+ * @private
+ * @param {string} url - The URL.
+ * @return {boolean}
+ */
+function isImportableUrl_(url) {
+  return URL_PATTERN_.test(url) && !/^javascript:/i.test(url);
+}
+
+/**
+ * Escape text for HTML.
+ * @private
+ * @param {string} text - The text.
+ * @return {string}
+ */
+function escapeHtml_(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+                     .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Undo the HTML escapes of text, including numeric character references.
+ * References to characters which don't exist become U+FFFD, as in browsers.
+ * @private
+ * @param {string} text - The escaped text.
+ * @return {string}
+ */
+function unescapeHtml_(text) {
+  var named = {amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' '};
+  return text.replace(/<[^>]*>/g, '').replace(
+      /&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function(match, entity) {
+    if (entity.charAt(0) == '#') {
+      var code = (entity.charAt(1).toLowerCase() == 'x') ?
+                 parseInt(entity.substr(2), 16) :
+                 parseInt(entity.substr(1), 10);
+      return (code <= 0x10FFFF) ? String.fromCodePoint(code) : '\uFFFD';
+    }
+    return named[entity.toLowerCase()] || match;
+  });
+}
+
+/**
+ * Split the tabs of a session into its windows, in saved order.
+ * @private
+ * @param {Array<TabberInt.type.Tab>} tabs - The tabs.
+ * @return {Array<Array<TabberInt.type.Tab>>} - The tabs of each window,
+ *     sorted by index.
+ */
+function getWindowTabs_(tabs) {
+  var windows = [];
+  var windowTabs = {};
+  for (var t = 0; t < tabs.length; t++) {
+    var wid = tabs[t].windowId;
+    if (!(wid in windowTabs)) {
+      windowTabs[wid] = [];
+      windows.push(windowTabs[wid]);
+    }
+    windowTabs[wid].push(tabs[t]);
+  }
+  windows.forEach(function(list) {
+    list.sort(function(a, b) {
+      return a.index - b.index;
+    });
+  });
+  return windows;
+}
+
+/**
+ * Build a session from lists of URLs and titles, one list per window.
+ * @private
+ * @param {string} name - The session name.
+ * @param {Array<Array<{url: string, title: string}>>} windows - The links of
+ *     each window.
+ * @return {?TabberInternal.TabberSession} - The session, or null if there
+ *     are no links.
+ */
+function linksToSession_(name, windows) {
+  var sess = new TabberInternal.TabberSession(0, '');
+  sess.description = name;
+  var id = 1;
+  for (var w = 0; w < windows.length; w++) {
+    if (windows[w].length == 0) {
+      continue;
+    }
+    var windowId = sess.windows.length + 1;
+    sess.windows.push({id: windowId});
+    for (var t = 0; t < windows[w].length; t++) {
+      sess.tabs.push({url: windows[w][t].url, title: windows[w][t].title,
+                      index: t, windowId: windowId, active: t == 0,
+                      id: id++});
+    }
+  }
+  sess.numtabs = sess.tabs.length;
+  return (sess.tabs.length > 0) ? sess : null;
+}
+
+/**
+ * Export a session in Tabber's JSON format.
+ * @private
+ * @param {TabberInternal.TabberSession} sess - The session.
+ * @return {string}
+ */
+function exportJson_(sess) {
+  var area = sess.display;
+  return JSON.stringify({
+    'format': TabberInternal.SessionExport.FORMAT_ID,
+    'version': TabberInternal.SessionExport.VERSION,
+    'name': sess.description,
+    'updateTime': (typeof sess.updateTime == 'number') ? sess.updateTime :
+                                                         null,
+    'display': area ? {'left': area.left, 'top': area.top,
+                       'width': area.width, 'height': area.height} : null,
+    'windows': sess.windows.map(function(win) {
+      return {'id': win.id, 'left': win.left, 'top': win.top,
+              'width': win.width, 'height': win.height, 'state': win.state,
+              'type': win.type, 'focused': !!win.focused,
+              'incognito': !!win.incognito};
+    }),
+    'groups': sess.groups.map(function(group) {
+      return {'id': group.id, 'title': group.title || '',
+              'color': group.color, 'collapsed': !!group.collapsed,
+              'windowId': group.windowId};
+    }),
+    'tabs': sess.tabs.map(function(tab) {
+      return {'url': tab.url, 'title': tab.title || '', 'index': tab.index,
+              'windowId': tab.windowId, 'active': !!tab.active,
+              'pinned': !!tab.pinned, 'muted': isTabMuted(tab),
+              'groupId': getTabGroupId(tab), 'incognito': !!tab.incognito};
+    })
+  }, null, 2);
+}
+
+/**
+ * Import a session from Tabber's JSON format.
+ * @private
+ * @param {string} text - The exported text.
+ * @return {?TabberInternal.TabberSession} - The session, or null if the text
+ *     is not a valid export.
+ */
+function importJson_(text) {
+  var data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    consoleErrorLog('Unable to parse session export: ' + e.message);
+    return null;
+  }
+  if (!data || (data['format'] != TabberInternal.SessionExport.FORMAT_ID) ||
+      !(data['version'] <= TabberInternal.SessionExport.VERSION) ||
+      !Array.isArray(data['tabs']) ||
+      !Array.isArray(data['windows'] || []) ||
+      !Array.isArray(data['groups'] || [])) {
+    consoleErrorLog('Not a Tabber session export');
+    return null;
+  }
+  var sess = new TabberInternal.TabberSession(0, '');
+  sess.description = String(data['name'] || '');
+  if (typeof data['updateTime'] == 'number') {
+    sess.updateTime = data['updateTime'];
+  }
+  var area = data['display'];
+  if (area && (typeof area == 'object')) {
+    sess.display = {left: area['left'], top: area['top'],
+                    width: area['width'], height: area['height']};
+  }
+  (data['windows'] || []).forEach(function(win) {
+    if (!win || (typeof win != 'object')) {
+      return;
+    }
+    sess.windows.push({id: win['id'], left: win['left'], top: win['top'],
+                       width: win['width'], height: win['height'],
+                       state: win['state'], type: win['type'],
+                       focused: !!win['focused'],
+                       incognito: !!win['incognito']});
+  });
+  (data['groups'] || []).forEach(function(group) {
+    if (!group || (typeof group != 'object')) {
+      return;
+    }
+    sess.groups.push({id: group['id'], title: String(group['title'] || ''),
+                      color: group['color'], collapsed: !!group['collapsed'],
+                      windowId: group['windowId']});
+  });
+  var indexes = {};
+  var tabs = data['tabs'];
+  for (var t = 0; t < tabs.length; t++) {
+    var tab = tabs[t];
+    if (!tab || (typeof tab['url'] != 'string') ||
+        !isImportableUrl_(tab['url'])) {
+      continue;
+    }
+    var windowId = (typeof tab['windowId'] == 'number') ? tab['windowId'] : 1;
+    // Number the tabs of each window in order if the export has no indexes.
+    var index = (typeof tab['index'] == 'number') ? tab['index'] :
+                (indexes[windowId] || 0);
+    indexes[windowId] = index + 1;
+    sess.tabs.push({url: tab['url'], title: String(tab['title'] || ''),
+                    index: index, windowId: windowId,
+                    active: !!tab['active'], id: sess.tabs.length + 1,
+                    groupId: (typeof tab['groupId'] == 'number') ?
+                             tab['groupId'] : NO_GROUP_ID,
+                    pinned: !!tab['pinned'],
+                    mutedInfo: {muted: !!tab['muted']},
+                    incognito: !!tab['incognito']});
+  }
+  sess.numtabs = sess.tabs.length;
+  return (sess.tabs.length > 0) ? sess : null;
+}
+
+/**
+ * Export a session as a Netscape bookmark file, with a folder per window.
+ * @private
+ * @param {TabberInternal.TabberSession} sess - The session.
+ * @return {string}
+ */
+function exportHtml_(sess) {
+  var name = escapeHtml_(sess.description || 'Tabber session');
+  var lines = ['<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+               '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; ' +
+               'charset=UTF-8">',
+               '<TITLE>' + name + '</TITLE>',
+               '<H1>' + name + '</H1>',
+               '<DL><p>'];
+  var windows = getWindowTabs_(sess.tabs);
+  for (var w = 0; w < windows.length; w++) {
+    lines.push('    <DT><H3>Window ' + (w + 1) + '</H3>');
+    lines.push('    <DL><p>');
+    for (var t = 0; t < windows[w].length; t++) {
+      var tab = windows[w][t];
+      lines.push('        <DT><A HREF="' + escapeHtml_(tab.url) + '">' +
+                 escapeHtml_(tab.title || tab.url) + '</A>');
+    }
+    lines.push('    </DL><p>');
+  }
+  lines.push('</DL><p>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Import a session from a Netscape bookmark file. The links of each folder
+ * open in a window of their own, and links outside any folder share a window.
+ * @private
+ * @param {string} text - The bookmark file.
+ * @return {?TabberInternal.TabberSession} - The session, or null if the file
+ *     has no links.
+ */
+function importHtml_(text) {
+  var name = '';
+  // The links of each folder list, in the order the lists start.
+  var windows = [[]];
+  var stack = [windows[0]];
+  var match;
+  BOOKMARK_TOKEN_.lastIndex = 0;
+  while ((match = BOOKMARK_TOKEN_.exec(text)) != null) {
+    var token = match[0].substr(0, 3).toUpperCase();
+    if (token == '<DL') {
+      var list = [];
+      windows.push(list);
+      stack.push(list);
+    } else if (token == '</D') {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    } else if (token == '<H1') {
+      name = name || unescapeHtml_(match[1]).trim();
+    } else if (token.charAt(1) == 'A') {
+      var href = match[2].match(/\bHREF\s*=\s*"([^"]*)"/i);
+      var url = href ? unescapeHtml_(href[1]).trim() : '';
+      if (isImportableUrl_(url)) {
+        stack[stack.length - 1].push({url: url,
+                                      title: unescapeHtml_(match[3]).trim()});
+      }
+    }
+  }
+  return linksToSession_(name, windows);
+}
+
+/**
+ * Export a session as a list of URLs, with a blank line between windows.
+ * @private
+ * @param {TabberInternal.TabberSession} sess - The session.
+ * @return {string}
+ */
+function exportText_(sess) {
+  return getWindowTabs_(sess.tabs).map(function(tabs) {
+    return tabs.map(function(tab) {
+      return tab.url + '\n';
+    }).join('');
+  }).join('\n');
+}
+
+/**
+ * Import a session from a list of URLs. Blank lines separate windows, and
+ * lines starting with '#' are skipped.
+ * @private
+ * @param {string} text - The URL list.
+ * @return {?TabberInternal.TabberSession} - The session, or null if the list
+ *     has no URLs.
+ */
+function importText_(text) {
+  var windows = [[]];
+  var lines = text.split(/\r?\n/);
+  for (var l = 0; l < lines.length; l++) {
+    var line = lines[l].trim();
+    if (!line) {
+      if (windows[windows.length - 1].length > 0) {
+        windows.push([]);
+      }
+    } else if ((line.charAt(0) != '#') && isImportableUrl_(line)) {
+      windows[windows.length - 1].push({url: line, title: ''});
+    }
+  }
+  return linksToSession_('', windows);
+}
+
+/**
+ * Check whether a value is one of the export formats.
+ * @param {*} format - The value to check.
+ * @return {boolean}
+ */
+TabberInternal.SessionExport.isFormat = function(format) {
+  for (var key in TabberInternal.SessionExport.Format) {
+    if (TabberInternal.SessionExport.Format[key] === format) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Guess the format of an exported session.
+ * @param {string} text - The exported text.
+ * @return {string} - One of the Format values.
+ */
+TabberInternal.SessionExport.detectFormat = function(text) {
+  var start = text.trim();
+  if (start.charAt(0) == '{') {
+    return TabberInternal.SessionExport.Format.JSON;
+  }
+  if (/^<!DOCTYPE NETSCAPE-Bookmark-file|<DL\b|<A\s/i.test(start)) {
+    return TabberInternal.SessionExport.Format.HTML;
+  }
+  return TabberInternal.SessionExport.Format.TEXT;
+};
+
+/**
+ * Export a session.
+ * @param {TabberInternal.TabberSession} sess - The session.
+ * @param {string} format - One of the Format values.
+ * @return {string}
+ */
+TabberInternal.SessionExport.exportSession = function(sess, format) {
+  switch (format) {
+    case TabberInternal.SessionExport.Format.HTML:
+      return exportHtml_(sess);
+    case TabberInternal.SessionExport.Format.TEXT:
+      return exportText_(sess);
+    default:
+      return exportJson_(sess);
+  }
+};
+
+/**
+ * Import a session in any of the export formats.
+ * @param {string} text - The exported text.
+ * @param {string=} opt_format - The format, if known. Otherwise it is
+ *     guessed from the text.
+ * @return {?TabberInternal.TabberSession} - The session, with generation 0,
+ *     or null if the text has no tabs to import.
+ */
+TabberInternal.SessionExport.importSession = function(text, opt_format) {
+  var format = opt_format ||
+               TabberInternal.SessionExport.detectFormat(String(text));
+  consoleDebugLog('Importing session as ' + format);
+  switch (format) {
+    case TabberInternal.SessionExport.Format.HTML:
+      return importHtml_(String(text));
+    case TabberInternal.SessionExport.Format.TEXT:
+      return importText_(String(text));
+    default:
+      return importJson_(String(text));
+  }
+};
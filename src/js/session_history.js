@@ -0,0 +1,386 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * session_history.js - Keeps a rolling history of the previously saved
+ * generations of each named session, so the user can roll back.
+ *
+ * History entries are kept in chrome.storage.sync while they fit in the
+ * history budget, so they are available on every device. Older entries (and
+ * entries too big for a single sync item) spill over to chrome.storage.local.
+ * Each storage area has its own index of the entries it holds.
+ *
+ * The tabs of each entry are encrypted like the sessions themselves, if
+ * session encryption is on (see session_crypto.js).
+ */
+
+goog.provide('TabberInternal.SessionHistory');
+
+goog.require('TabberInternal.SessionCrypto');
+goog.require('TabberInternal.SessionEncoding');
+
+/**
+ * Maximum number of history entries kept per session.
+ * @const {number}
+ */
+TabberInternal.SessionHistory.MAX_ENTRIES = 10;
+
+/**
+ * Number of chrome.storage.sync bytes the history of a session may use. This
+ * leaves most of the 100KB sync quota for the sessions themselves.
+ * @const {number}
+ */
+TabberInternal.SessionHistory.SYNC_BUDGET = 24 * 1024;
+
+/**
+ * Size limit of a single chrome.storage.sync item (QUOTA_BYTES_PER_ITEM).
+ * @const {number}
+ */
+TabberInternal.SessionHistory.ITEM_LIMIT = 8192;
+
+/**
+ * Minimum time between history entries, so auto-saves don't flush out the
+ * whole history within minutes. Saves which lose tabs are always recorded.
+ * @const {number}
+ */
+TabberInternal.SessionHistory.MIN_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Marks the key namespace of a session's history.
+ * @const {string}
+ */
+TabberInternal.SessionHistory.ID_PREFIX = '~';
+
+/**
+ * Get the storage key of a session's history index.
+ * @private
+ * @param {string} sessionId - The session id.
+ * @return {string}
+ */
+function historyIndexKey_(sessionId) {
+  return TabberInternal.SessionHistory.ID_PREFIX + sessionId +
+         TabberInternal.TabberSession.KEY_SEPARATOR + 'index';
+}
+
+/**
+ * Get the storage key of a session's history entry.
+ * @private
+ * @param {string} sessionId - The session id.
+ * @param {number} generation - The generation of the entry.
+ * @return {string}
+ */
+function historyEntryKey_(sessionId, generation) {
+  return TabberInternal.SessionHistory.ID_PREFIX + sessionId +
+         TabberInternal.TabberSession.KEY_SEPARATOR + 'gen_' + generation;
+}
+
+/**
+ * Get the history index of a session, newest entry first. Each index entry
+ * records which storage area holds the entry data.
+ * @param {string} sessionId - The session id.
+ * @param {function(Array<TabberInt.type.HistoryIndexEntry>)} callback - Called
+ *     with the index.
+ */
+TabberInternal.SessionHistory.getIndex = function(sessionId, callback) {
+  var key = historyIndexKey_(sessionId);
+  chrome.storage.sync.get(key, function(syncItems) {
+    chrome.storage.local.get(key, function(localItems) {
+      var index = [];
+      var syncIndex = syncItems[key] || [];
+      var localIndex = localItems[key] || [];
+      for (var i = 0; i < syncIndex.length; i++) {
+        syncIndex[i].area = 'sync';
+        index.push(syncIndex[i]);
+      }
+      for (var i = 0; i < localIndex.length; i++) {
+        localIndex[i].area = 'local';
+        index.push(localIndex[i]);
+      }
+      index.sort(function(a, b) {
+        return b.generation - a.generation;
+      });
+      callback(index);
+    });
+  });
+};
+
+/**
+ * Record a saved session in its history, unless it is already there or the
+ * last entry is too recent.
+ * @param {TabberInternal.TabberSession} sess - The session being replaced.
+ * @param {boolean} force - Record even if the last entry is recent.
+ */
+TabberInternal.SessionHistory.record = function(sess, force) {
+  var sessionId = sess.id;
+  TabberInternal.SessionHistory.getIndex(sessionId, function(index) {
+    for (var i = 0; i < index.length; i++) {
+      if (index[i].generation == sess.generation) {
+        return;
+      }
+    }
+    var now = Date.now();
+    if (!force && (index.length > 0) &&
+        (now - index[0].savedTime < TabberInternal.SessionHistory.MIN_INTERVAL)) {
+      consoleDebugLog('Skipping history entry for gen ' + sess.generation);
+      return;
+    }
+    // Store the tabs in the compact session encoding.
+    TabberInternal.SessionCrypto.encryptValues(
+        [TabberInternal.SessionEncoding.encodeTabSet(sess)],
+        function(values, errMsg) {
+      if (errMsg) {
+        consoleErrorLog('Unable to record history: ' + errMsg);
+        return;
+      }
+      var entry = {generation: sess.generation, updateTime: sess.updateTime,
+                   tabs: values[0]};
+      var entryKey = historyEntryKey_(sessionId, sess.generation);
+      var entryObj = {};
+      entryObj[entryKey] = entry;
+      var size = getSyncObjectSize(entryObj);
+      index.unshift({generation: sess.generation,
+                     updateTime: sess.updateTime,
+                     numtabs: sess.tabs.length,
+                     savedTime: now,
+                     size: size,
+                     area: (size <= TabberInternal.SessionHistory.ITEM_LIMIT) ?
+                           'sync' : 'local'});
+      consoleDebugLog('Recording history entry for gen ' + sess.generation);
+      storeHistory_(sessionId, index, entryKey, entry);
+    });
+  });
+};
+
+/**
+ * Write a new history entry, trimming the history and spilling the oldest
+ * sync entries over to local storage as needed.
+ * @private
+ * @param {string} sessionId - The session id.
+ * @param {Array<TabberInt.type.HistoryIndexEntry>} index - The new index.
+ * @param {string} entryKey - The storage key of the new entry.
+ * @param {Object} entry - The new entry data.
+ */
+function storeHistory_(sessionId, index, entryKey, entry) {
+  var removeSync = [];
+  var removeLocal = [];
+  var moves = [];
+  // Drop the oldest entries.
+  while (index.length > TabberInternal.SessionHistory.MAX_ENTRIES) {
+    var dropped = index.pop();
+    var droppedKey = historyEntryKey_(sessionId, dropped.generation);
+    if (dropped.area == 'sync') {
+      removeSync.push(droppedKey);
+    } else {
+      removeLocal.push(droppedKey);
+    }
+  }
+  // Keep the newest entries in sync storage, within the budget.
+  var syncBytes = 0;
+  for (var i = 0; i < index.length; i++) {
+    if (index[i].area != 'sync') {
+      continue;
+    }
+    syncBytes += index[i].size;
+    if (syncBytes > TabberInternal.SessionHistory.SYNC_BUDGET) {
+      index[i].area = 'local';
+      if (i > 0) {
+        moves.push(historyEntryKey_(sessionId, index[i].generation));
+      }
+    }
+  }
+  // Split the index by storage area.
+  var syncIndex = [];
+  var localIndex = [];
+  for (var i = 0; i < index.length; i++) {
+    var item = {generation: index[i].generation,
+                updateTime: index[i].updateTime,
+                numtabs: index[i].numtabs,
+                savedTime: index[i].savedTime,
+                size: index[i].size};
+    if (index[i].area == 'sync') {
+      syncIndex.push(item);
+    } else {
+      localIndex.push(item);
+    }
+  }
+  var indexKey = historyIndexKey_(sessionId);
+  // Fetch the entries which spill over, then write everything.
+  chrome.storage.sync.get(moves, function(movedItems) {
+    var localObj = movedItems;
+    var syncObj = {};
+    if (index[0].area == 'sync') {
+      syncObj[entryKey] = entry;
+    } else {
+      localObj[entryKey] = entry;
+    }
+    localObj[indexKey] = localIndex;
+    syncObj[indexKey] = syncIndex;
+    chrome.storage.local.set(localObj, function() {
+      if (chrome.runtime.lastError) {
+        consoleErrorLog('Unable to save history: ' +
+                        chrome.runtime.lastError.message);
+        return;
+      }
+      chrome.storage.sync.set(syncObj, function() {
+        if (chrome.runtime.lastError) {
+          consoleErrorLog('Unable to save history: ' +
+                          chrome.runtime.lastError.message);
+          return;
+        }
+        if (removeSync.length + moves.length > 0) {
+          chrome.storage.sync.remove(removeSync.concat(moves));
+        }
+        if (removeLocal.length > 0) {
+          chrome.storage.local.remove(removeLocal);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Load a history entry as a session.
+ * @param {string} sessionId - The session id.
+ * @param {number} generation - The generation to load.
+ * @param {function(TabberInternal.TabberSession)} callback - Called with the
+ *     session, or null if there is no such entry.
+ */
+TabberInternal.SessionHistory.load = function(sessionId, generation,
+                                              callback) {
+  TabberInternal.SessionHistory.getIndex(sessionId, function(index) {
+    var area = null;
+    for (var i = 0; i < index.length; i++) {
+      if (index[i].generation == generation) {
+        area = chrome.storage[index[i].area];
+      }
+    }
+    if (!area) {
+      callback(null);
+      return;
+    }
+    var key = historyEntryKey_(sessionId, generation);
+    area.get(key, function(items) {
+      if (!items[key]) {
+        callback(null);
+        return;
+      }
+      var entry = items[key];
+      TabberInternal.SessionCrypto.decrypt(entry.tabs, function(encoded) {
+        var tabSet = (encoded != null) ?
+            TabberInternal.SessionEncoding.decodeTabSet(encoded) : null;
+        if (!tabSet) {
+          callback(null);
+          return;
+        }
+        var sess = new TabberInternal.TabberSession(entry.generation,
+                                                    sessionId);
+        sess.updateTime = entry.updateTime;
+        sess.tabs = tabSet.tabs;
+        sess.groups = tabSet.groups;
+        sess.windows = tabSet.windows;
+        sess.display = tabSet.display;
+        sess.numtabs = tabSet.tabs.length;
+        callback(sess);
+      });
+    });
+  });
+};
+
+/**
+ * Read all of the history entries of a session, with their tabs decrypted.
+ * Entries which can't be decrypted are left out.
+ * @param {string} sessionId - The session id.
+ * @param {function(Array<TabberInt.type.HistoryEntry>)} callback - Called
+ *     with the entries.
+ */
+TabberInternal.SessionHistory.readEntries = function(sessionId, callback) {
+  TabberInternal.SessionHistory.getIndex(sessionId, function(index) {
+    var entries = [];
+    var pending = index.length;
+    if (pending == 0) {
+      callback(entries);
+      return;
+    }
+    index.forEach(function(indexEntry) {
+      var key = historyEntryKey_(sessionId, indexEntry.generation);
+      chrome.storage[indexEntry.area].get(key, function(items) {
+        var data = items[key];
+        TabberInternal.SessionCrypto.decrypt(data ? data.tabs : '',
+                                             function(encoded) {
+          if (data && encoded) {
+            entries.push({key: key, area: indexEntry.area,
+                          generation: data.generation,
+                          updateTime: data.updateTime, tabs: encoded});
+          }
+          if (--pending == 0) {
+            callback(entries);
+          }
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Write back history entries read by readEntries, encrypted if session
+ * encryption is on. This is used to encrypt (or decrypt) the history when
+ * encryption is turned on or off, or the passphrase changes.
+ * @param {Array<TabberInt.type.HistoryEntry>} entries - The entries.
+ */
+TabberInternal.SessionHistory.writeEntries = function(entries) {
+  TabberInternal.SessionCrypto.encryptValues(entries.map(function(entry) {
+    return entry.tabs;
+  }), function(values, errMsg) {
+    if (errMsg) {
+      consoleErrorLog('Unable to rewrite history: ' + errMsg);
+      return;
+    }
+    for (var i = 0; i < entries.length; i++) {
+      var entryObj = {};
+      entryObj[entries[i].key] = {generation: entries[i].generation,
+                                  updateTime: entries[i].updateTime,
+                                  tabs: values[i]};
+      chrome.storage[entries[i].area].set(entryObj, function() {
+        if (chrome.runtime.lastError) {
+          consoleErrorLog('Unable to rewrite history: ' +
+                          chrome.runtime.lastError.message);
+        }
+      });
+    }
+  });
+};
+
+/**
+ * Remove the whole history of a session.
+ * @param {string} sessionId - The session id.
+ */
+TabberInternal.SessionHistory.clear = function(sessionId) {
+  TabberInternal.SessionHistory.getIndex(sessionId, function(index) {
+    var removeSync = [historyIndexKey_(sessionId)];
+    var removeLocal = [historyIndexKey_(sessionId)];
+    for (var i = 0; i < index.length; i++) {
+      var key = historyEntryKey_(sessionId, index[i].generation);
+      if (index[i].area == 'sync') {
+        removeSync.push(key);
+      } else {
+        removeLocal.push(key);
+      }
+    }
+    chrome.storage.sync.remove(removeSync);
+    chrome.storage.local.remove(removeLocal);
+  });
+};
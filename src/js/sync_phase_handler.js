@@ -57,6 +57,12 @@ var stepCallback;
  */
 var stepCallbackContext;
 
+/**
+ * @private
+ * @type {Array<string>}
+ */
+var stepErrors = [];
+
 
 /**
  * Initialize the state of the SyncPhaseHandler for a new phase.
@@ -114,6 +120,23 @@ TabberInternal.SyncPhaseHandler.doStep = function(chromeFunction, arglist) {
 };
 
 
+/**
+ * Forget any chrome errors reported by earlier steps. Errors are kept across
+ * phases, so a caller running a chain of phases can check them at the end.
+ * @return {undefined}
+ */
+TabberInternal.SyncPhaseHandler.clearErrors = function() {
+  stepErrors = [];
+};
+
+/**
+ * Get the chrome error messages reported by steps since the last clearErrors.
+ * @return {Array<string>}
+ */
+TabberInternal.SyncPhaseHandler.getErrors = function() {
+  return stepErrors.slice();
+};
+
 /**
  * Called by Chrome as API callback.
  * @param {*} arglist - Whatever chrome passes to the callback.
@@ -123,6 +146,11 @@ TabberInternal.SyncPhaseHandler.changeDone = function(arglist) {
 //  consoleLog('changeDone gets ' + arguments.length + ' args, first: ' +
 //             JSON.stringify(arglist));
 
+  // Remember any error chrome reported for this step.
+  if (chrome.runtime.lastError) {
+    stepErrors.push(chrome.runtime.lastError.message);
+  }
+
   // First call the step callback if applicable.
   if (stepCallback) {
 //    consoleLog('On changeDone, calling ' + stepCallback);
@@ -0,0 +1,319 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * tab_rules.js - Provides the user's URL exclusion rules, which keep matching
+ * tabs out of saved sessions, out of restores, or strip their query strings,
+ * along with the policy for incognito tabs.
+ *
+ * Each rule matches a glob or regex pattern against the URL, host or scheme of
+ * a tab. The rules are applied in two layers:
+ * - the save rules (NO_SAVE and STRIP_QUERY) are applied to the local tabs as
+ *   they are read from Chrome, and again when a session is written, so
+ *   excluded tabs never reach storage;
+ * - the restore rules (all of the above, plus NO_RESTORE) are applied to both
+ *   sides of a comparison and of a restore, so tabs excluded from restore are
+ *   never opened or closed, and never show up as differences.
+ *
+ * Incognito tabs are dropped by the save rules unless the incognito policy is
+ * NORMAL, so they never reach chrome.storage.sync unless the user opts in.
+ * They are always dropped by the restore rules, since Chrome can't move tabs
+ * between incognito and normal windows; saved incognito windows are reopened
+ * as a whole instead (see getIncognitoTabs).
+ */
+
+goog.provide('TabberInternal.TabRules');
+
+/**
+ * The actions a rule can take on a matching tab.
+ * @enum {string}
+ */
+TabberInternal.TabRules.Action = {
+  NO_SAVE: 'nosave',
+  NO_RESTORE: 'norestore',
+  STRIP_QUERY: 'stripquery'
+};
+
+/**
+ * The parts of a tab URL a rule can match.
+ * @enum {string}
+ */
+TabberInternal.TabRules.Field = {
+  URL: 'url',
+  HOST: 'host',
+  SCHEME: 'scheme'
+};
+
+/**
+ * The kinds of pattern a rule can use.
+ * @enum {string}
+ */
+TabberInternal.TabRules.PatternType = {
+  GLOB: 'glob',
+  REGEX: 'regex'
+};
+
+/**
+ * The ways incognito tabs can be handled.
+ * @enum {string}
+ */
+TabberInternal.TabRules.IncognitoPolicy = {
+  IGNORE: 'ignore',      // never saved or restored
+  SEPARATE: 'separate',  // saved on this device only, in chrome.storage.local
+  NORMAL: 'normal'       // saved and synced along with the other tabs
+};
+
+/**
+ * Private globals
+ */
+
+/**
+ * The incognito policy in effect.
+ * @private
+ * @type {string}
+ */
+var incognitoPolicy_ = TabberInternal.TabRules.IncognitoPolicy.IGNORE;
+
+/**
+ * The rules in effect, with their patterns compiled.
+ * @private
+ * @type {Array<{field: string, action: string, regex: RegExp}>}
+ */
+var compiledRules_ = [];
+
+/**
+ * Check whether a value is one of the values of an enum.
+ * @private
+ * @param {Object} enumObj - The enum.
+ * @param {*} value - The value to check.
+ * @return {boolean}
+ */
+function isEnumValue_(enumObj, value) {
+  for (var key in enumObj) {
+    if (enumObj[key] === value) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compile the pattern of a rule into a regular expression. Globs must match
+ * the whole field, with '*' matching any run of characters and '?' any single
+ * character, while regexes may match anywhere in the field. Matching is not
+ * case sensitive.
+ * @private
+ * @param {TabberApi.type.rule} rule - The rule.
+ * @return {RegExp}
+ * @throws {SyntaxError} If the regex pattern is invalid.
+ */
+function compilePattern_(rule) {
+  if (rule.type == TabberInternal.TabRules.PatternType.REGEX) {
+    return new RegExp(rule.pattern, 'i');
+  }
+  var source = rule.pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                           .replace(/\*/g, '.*')
+                           .replace(/\?/g, '.');
+  return new RegExp('^' + source + '$', 'i');
+}
+
+/**
+ * Check a list of rules for errors.
+ * @param {*} rules - The rules to check.
+ * @return {string} - A description of the first error, or '' if the rules are
+ *     valid.
+ */
+TabberInternal.TabRules.validateRules = function(rules) {
+  if (!Array.isArray(rules)) {
+    return 'rules must be a list';
+  }
+  for (var r = 0; r < rules.length; r++) {
+    var rule = rules[r];
+    if (!rule || (typeof rule.pattern != 'string') || !rule.pattern) {
+      return 'rule ' + (r + 1) + ' has no pattern';
+    }
+    if (!isEnumValue_(TabberInternal.TabRules.Field, rule.field)) {
+      return 'rule ' + (r + 1) + ' has an unknown field: ' + rule.field;
+    }
+    if (!isEnumValue_(TabberInternal.TabRules.PatternType, rule.type)) {
+      return 'rule ' + (r + 1) + ' has an unknown pattern type: ' + rule.type;
+    }
+    if (!isEnumValue_(TabberInternal.TabRules.Action, rule.action)) {
+      return 'rule ' + (r + 1) + ' has an unknown action: ' + rule.action;
+    }
+    try {
+      compilePattern_(rule);
+    } catch (e) {
+      return 'rule ' + (r + 1) + ' has a bad pattern: ' + e.message;
+    }
+  }
+  return '';
+};
+
+/**
+ * Set the rules in effect. Invalid rules are skipped.
+ * @param {Array<TabberApi.type.rule>|undefined} rules - The rules, if any.
+ */
+TabberInternal.TabRules.setRules = function(rules) {
+  compiledRules_ = [];
+  if (!Array.isArray(rules)) {
+    return;
+  }
+  for (var r = 0; r < rules.length; r++) {
+    if (TabberInternal.TabRules.validateRules([rules[r]])) {
+      consoleErrorLog('Skipping invalid rule: ' + JSON.stringify(rules[r]));
+      continue;
+    }
+    compiledRules_.push({field: rules[r].field,
+                         action: rules[r].action,
+                         regex: compilePattern_(rules[r])});
+  }
+  consoleDebugLog('Using ' + compiledRules_.length + ' exclusion rules');
+};
+
+/**
+ * Check whether a value is a known incognito policy.
+ * @param {*} policy - The value to check.
+ * @return {boolean}
+ */
+TabberInternal.TabRules.isIncognitoPolicy = function(policy) {
+  return isEnumValue_(TabberInternal.TabRules.IncognitoPolicy, policy);
+};
+
+/**
+ * Set the incognito policy in effect. Unknown policies (including no policy)
+ * mean IGNORE.
+ * @param {string|undefined} policy - The policy.
+ */
+TabberInternal.TabRules.setIncognitoPolicy = function(policy) {
+  incognitoPolicy_ = TabberInternal.TabRules.isIncognitoPolicy(policy) ?
+      /** @type {string} */ (policy) :
+      TabberInternal.TabRules.IncognitoPolicy.IGNORE;
+  consoleDebugLog('Using incognito policy ' + incognitoPolicy_);
+};
+
+/**
+ * Get the incognito policy in effect.
+ * @return {string}
+ */
+TabberInternal.TabRules.getIncognitoPolicy = function() {
+  return incognitoPolicy_;
+};
+
+/**
+ * Get the part of a URL a rule matches against.
+ * @private
+ * @param {string} url - The URL.
+ * @param {string} field - The field to get.
+ * @return {string} - The field, or '' if the URL has no such field.
+ */
+function getUrlField_(url, field) {
+  if (field == TabberInternal.TabRules.Field.URL) {
+    return url;
+  }
+  try {
+    var parsed = new URL(url);
+    if (field == TabberInternal.TabRules.Field.HOST) {
+      return parsed.hostname;
+    }
+    return parsed.protocol.replace(/:$/, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Check whether a rule with the given action matches a URL.
+ * @private
+ * @param {string} url - The URL.
+ * @param {string} action - The action.
+ * @return {boolean}
+ */
+function matchesRule_(url, action) {
+  for (var r = 0; r < compiledRules_.length; r++) {
+    var rule = compiledRules_[r];
+    if ((rule.action == action) &&
+        rule.regex.test(getUrlField_(url, rule.field))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Apply the rules to a set of tabs, leaving the given tabs unchanged.
+ * @private
+ * @param {Array<TabberInt.type.Tab>} tabs - The tabs.
+ * @param {boolean} forRestore - Also drop the tabs excluded from restore.
+ * @param {?boolean} incognito - Keep only the incognito tabs (true), only the
+ *     normal tabs (false), or both (null).
+ * @return {Array<TabberInt.type.Tab>}
+ */
+function applyRules_(tabs, forRestore, incognito) {
+  var result = [];
+  for (var t = 0; t < tabs.length; t++) {
+    var tab = tabs[t];
+    var url = String(tab.url);
+    if (((incognito != null) && (!!tab.incognito != incognito)) ||
+        matchesRule_(url, TabberInternal.TabRules.Action.NO_SAVE) ||
+        (forRestore &&
+         matchesRule_(url, TabberInternal.TabRules.Action.NO_RESTORE))) {
+      continue;
+    }
+    if ((url.indexOf('?') >= 0) &&
+        matchesRule_(url, TabberInternal.TabRules.Action.STRIP_QUERY)) {
+      tab = Object.assign({}, tab);
+      tab.url = url.replace(/\?[^#]*/, '');
+    }
+    result.push(tab);
+  }
+  return result;
+}
+
+/**
+ * Get the tabs of a set which may be saved, with query strings stripped as
+ * the rules require.
+ * @param {Array<TabberInt.type.Tab>} tabs - The tabs.
+ * @return {Array<TabberInt.type.Tab>}
+ */
+TabberInternal.TabRules.filterForSave = function(tabs) {
+  // Incognito tabs are only saved with the others if the user opted in.
+  return applyRules_(tabs, false,
+      (incognitoPolicy_ == TabberInternal.TabRules.IncognitoPolicy.NORMAL) ?
+      null : false);
+};
+
+/**
+ * Get the tabs of a set which take part in restores and comparisons, with
+ * query strings stripped as the rules require.
+ * @param {Array<TabberInt.type.Tab>} tabs - The tabs.
+ * @return {Array<TabberInt.type.Tab>}
+ */
+TabberInternal.TabRules.filterForRestore = function(tabs) {
+  return applyRules_(tabs, true, false);
+};
+
+/**
+ * Get the incognito tabs of a set, with query strings stripped as the rules
+ * require.
+ * @param {Array<TabberInt.type.Tab>} tabs - The tabs.
+ * @param {boolean} forRestore - Also drop the tabs excluded from restore.
+ * @return {Array<TabberInt.type.Tab>}
+ */
+TabberInternal.TabRules.getIncognitoTabs = function(tabs, forRestore) {
+  return applyRules_(tabs, forRestore, true);
+};
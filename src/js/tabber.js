@@ -20,7 +20,10 @@ limitations under the License.
  * behalf of a Google user.
  *
  * Notes:
- *  - This script is intended to run in the background page.
+ *  - This script is intended to run as the extension's (Manifest V3) service
+ *    worker. Chrome stops the worker when it is idle, so Tabber keeps a
+ *    snapshot of its state in chrome.storage.session and picks up from it
+ *    when the worker starts again (see persistState_ and resumeState_).
  *  - Herein the term "browser session" does not refer to a Chrome "sessions",
  *    which is just a single tab or single-tabbed Window. Instead, it refers to
  *    the set of tabs which comprise the state of a browser instance.
@@ -29,25 +32,64 @@ limitations under the License.
  * ========
  * Tabber helps keep the local browser session in sync with a remote session
  * saved online. A session has a list of open tabs, a changestamp, and a
- * human-friendly description, which will (eventually) allow the user to
- * select/navigate among multiple sessions.
+ * human-friendly description, which allows the user to select/navigate among
+ * multiple named sessions. Each device picks which of the saved sessions is
+ * its active one, and that is the remote session it syncs with.
+ *
+ * Each device also publishes its own latest tabs to a per-device session slot,
+ * so the tabs of every device can be restored or merged from any other one.
+ *
+ * Each saved session records the generation it was derived from, and Tabber
+ * remembers the saved session the browser last matched (the base). If both the
+ * browser tabs and the saved session changed since the base, neither side wins
+ * automatically: Tabber reports a conflict, with a three-way diff, and waits
+ * for the user to keep the browser tabs, take the saved tabs, or merge them.
+ *
+ * Whenever a saved session is replaced, the replaced generation is kept in a
+ * rolling session history (see session_history.js), so the user can roll back
+ * to a previous point in time.
+ *
+ * Sessions are saved all-or-nothing: the tab data is staged under keys unique
+ * to the save, and a commit record is written last. Other devices only apply
+ * a session once they have all the tab data its commit record names, so they
+ * never see a half-written session.
+ *
+ * Incognito tabs never reach chrome.storage.sync unless the user opts in with
+ * the "normal" incognito policy. With the "separate" policy they are only
+ * saved on this device, in chrome.storage.local. Restores never open or close
+ * incognito tabs one by one; saved incognito windows are reopened as a whole,
+ * and only when the policy saves them and Chrome lets Tabber into incognito.
  *
  * Basic UI
  * ========
  * Tabber has a status icon (Chrome browse action icon) and a popup page.
  *
- * The popup page allows the user to perform a few basic Tabber tasks:
+ * The popup page talks to the service worker over a chrome.runtime port (see
+ * protocol.js and onConnect_), and allows the user to perform a few basic
+ * Tabber tasks:
  *    - Set the operational mode (explained below)
- *    - Perform a manual Save or Restore
+ *    - Create, rename, delete or switch the active named session
+ *    - Perform a manual Save, Restore, Merge or Swap
  *
  * The popup also shows a summary of the saved session, including number of
- * tabs, and whether it is newer or older than the local one.
+ * tabs, and whether it is newer or older than the local one. Tabber pushes
+ * status changes and the progress of saves and restores to the open popup, so
+ * it stays current.
  *
  * The status icon shows status as:
  *    RED: there is some problem communicating with Chrome or Google
  *    YELLOW: A sync is needed or is pending.
  *    GREEN: Current session is properly sync'd with remote
  *
+ * Keyboard shortcuts (the "commands" in manifest.json, see onCommand_) save,
+ * restore, merge, switch sessions and cycle the modes without the popup. Since
+ * no popup is open, they show what they did as a short badge on the icon, and
+ * as a notification if the notifications option is on.
+ *
+ * The page context menu (see updateMenus_) works on single tabs: it adds a
+ * tab to the saved session, excludes a site, saves a window as a new session,
+ * and lists the saved tabs missing from the browser, to open one by one.
+ *
  * Automatic vs. Manual Operation
  * ==============================
  * In order to make sync useful yet non-invasive, there are several modes
@@ -65,7 +107,9 @@ limitations under the License.
  * Tabber saves or restores the Chrome tabs using the Chrome.storage.sync API,
  * which stores extension data in the user's Google account. We don't try to
  * sync every move the user makes (i.e. scrolling, zooming, etc.), but we do
- * keep track of each tab's url, index, title, and active status.
+ * keep track of each tab's url, index, title, and active status. The tabs are
+ * stored in a compact, compressed and chunked encoding (session_encoding.js),
+ * and Tabber checks that a session fits the sync quota before saving it.
  * When comparing the browser to a saved session, there are three possible
  * levels of severity for differences, with Tabber only reporting the most
  * severe difference:
@@ -76,7 +120,7 @@ limitations under the License.
  * Minor: A minor" difference is not indicated to the user, but still provokes
  *        an auto-sync. These are differences that may be visible, but not
  *        substantial. An example of a minor difference would be a mismatch
- *        of active tabs.
+ *        of active, pinned or muted tabs, or of tab groups.
  *
  * Auto-save operations are done in a time-delayed fashion to avoid
  * rapid/repeated online updates. Tabber will wait for at least a few seconds
@@ -85,6 +129,15 @@ limitations under the License.
  */
 
 goog.require('TabberInternal.TabberSession');
+goog.require('TabberInternal.ExternalAccess');
+goog.require('TabberInternal.Protocol');
+goog.require('TabberInternal.RestorePlanner');
+goog.require('TabberInternal.SessionCrypto');
+goog.require('TabberInternal.SessionEncoding');
+goog.require('TabberInternal.SessionExport');
+goog.require('TabberInternal.SessionHistory');
+goog.require('TabberInternal.TabRules');
+goog.require('TabberInternal.UrlMatching');
 
 /**
  * Global debug output control
@@ -92,6 +145,103 @@ goog.require('TabberInternal.TabberSession');
  */
 var debug = false;
 
+/**
+ * The API methods the popup may request over its port, with the number of
+ * arguments each takes before its callback, or -1 if it returns its result
+ * instead.
+ * @private
+ * @const {Object<string, number>}
+ */
+var API_METHODS_ = {
+  'getStatus': -1,
+  'setOptions': -1,
+  'saveLocalToRemote': -1,
+  'syncBrowserFromRemote': -1,
+  'mergeBrowserWithRemote': -1,
+  'swapBrowserWithRemote': -1,
+  'getSessions': -1,
+  'createSession': -1,
+  'renameSession': -1,
+  'deleteSession': -1,
+  'switchSession': -1,
+  'getDevices': -1,
+  'setDeviceName': -1,
+  'restoreFromDevice': -1,
+  'mergeFromDevice': -1,
+  'getHistory': 0,
+  'restoreGeneration': -1,
+  'resolveConflict': -1,
+  'exportSession': 2,
+  'importSession': 3,
+  'setPassphrase': 1,
+  'unlockSessions': 1,
+  'disableEncryption': 0,
+  'restoreSession': 1,
+  'getExternalLog': 0,
+  'getTabList': -1,
+  'restoreSelection': 1,
+  'planRestore': -1
+};
+
+/**
+ * The API methods other extensions and web pages may request, in the same
+ * form as API_METHODS_. They are only allowed if the caller is in the
+ * external allowlist option.
+ * @private
+ * @const {Object<string, number>}
+ */
+var EXTERNAL_METHODS_ = {
+  'getStatus': -1,
+  'getSessions': -1,
+  'saveLocalToRemote': -1,
+  'syncBrowserFromRemote': -1,
+  'createSession': -1,
+  'restoreSession': 1
+};
+
+/**
+ * The methods which answer external requests in place of the API methods they
+ * name, since those tell more than other extensions and web pages need.
+ * @private
+ * @const {Object<string, string>}
+ */
+var EXTERNAL_OVERRIDES_ = {
+  'getStatus': 'getExternalStatus_'
+};
+
+/**
+ * The order the cycle_mode command goes through the modes, with the name and
+ * badge text it shows for each.
+ * @private
+ * @const {Array<{mode: string, name: string, badge: string}>}
+ */
+var MODE_CYCLE_ = [
+  {mode: 'manual', name: 'Manual', badge: 'MAN'},
+  {mode: 'autostart', name: 'Startup Only', badge: 'STRT'},
+  {mode: 'autosave', name: 'Auto-Save', badge: 'AUTO'},
+  {mode: 'autosync', name: 'Fully Automatic', badge: 'SYNC'}
+];
+
+/**
+ * The ids of the context menu items. The items of the saved tabs missing from
+ * the browser have the OPEN_SAVED id followed by ':' and the tab URL.
+ * @private
+ * @enum {string}
+ */
+var MenuId_ = {
+  ADD_TAB: 'add_tab',
+  EXCLUDE_SITE: 'exclude_site',
+  SAVE_WINDOW: 'save_window',
+  OPEN_SAVED: 'open_saved'
+};
+
+/**
+ * The most saved tabs the OPEN_SAVED submenu lists.
+ * @private
+ * @const {number}
+ */
+var MAX_MENU_TABS_ = 20;
+
 /**
  * Convert a set of tabs into human-readable description.
  * @param {Array<Object>} tabs - Set of tabs to convert.
@@ -122,7 +272,7 @@ function tabsToString(tabs) {
 /**
  * Define the Tabber object which holds all the Tabber properties. All Tabber
  * operations and the API are accessed from a singleton Tabber object which is
- * created, initialized and attached to the current (background) page on load.
+ * created, initialized and attached to the service worker on load.
  * @private
  * @constructor
  * @implements {TabberApi}
@@ -149,26 +299,63 @@ function TabberClass() {
     urgent_sync_delay: 500,  // short delay for quick updates
     ok_status: 'Tabs saved',
     def_title: 'Click here to manage browser tabs',
+    update_alarm: 'update',  // chrome.alarms name of the local update
+    update_backstop: 30 * 1000,  // alarm delay covering a stopped worker
+    badge_alarm: 'badge',    // chrome.alarms name of the badge reset
+    publish_alarm: 'publish',  // chrome.alarms name of the device publish
+    publish_interval: 2 * 60 * 1000,  // least time between device publishes
+    device_expiry: 30 * 24 * 60 * 60 * 1000,  // age of forgotten device slots
+    notification_id: 'command',  // notification of the last keyboard command
+    confirm_restore: 10,     // closed tabs that hold an automatic restore
     // chrome storage keys
-    options_key: 'options'
+    state_key: 'state',      // session key holding the worker state snapshot
+    options_key: 'options',
+    session_key: 'session',  // local key holding the active session id
+    device_key: 'device',    // local key holding this device's identity
+    incognito_key: 'incognito'  // local key holding this device's private tabs
   };
   // Tabber state vars.
   this.uninitialized_ = true;
   this.initialized_ = false;
   this.remoteSession_ = new TabberInternal.TabberSession();   // init when fetched
   this.localSession_ = new TabberInternal.TabberSession();    // locally known tabs
+  this.sessionNames_ = {};  // names of the saved sessions, indexed by id
+  this.device_ = null;  // identity ({id, name}) of this device
+  this.deviceSessions_ = {};  // latest session of each device, by device id
   this.change_count_ = 0; // TODO: REMOVE
   this.pending_sync_ = false;   // scheduled session check
   this.pending_update_ = false; // schedule local session update
+  this.pending_messages_ = [];  // requests received before init
+  this.ports_ = [];  // ports of the open popups
+  this.persist_pending_ = false;  // state snapshot about to be written
   this.sync_in_progess_ = false;  // true while syncing browser to session
   this.save_in_progess_ = false;  // true while saving browser to session
   /** @private */
   this.options_ = {'mode': this.mode.AUTOSAVE};   // default operation
   this.windowIds_ = []; // lookup a local windowId by the remote windowId
+  this.sync_done_callback_ = null;  // called when a browser sync completes
+  this.swapState_ = null;  // sessions being exchanged by a swap
+  this.mergeSource_ = null;  // session being merged into the browser
+  this.mergeSelection_ = null;  // tabs of the merge source to open, if not all
+  this.sessionRestore_ = null;  // remote session put aside by a restore
+  this.restoreTarget_ = null;  // remote session less tabs excluded by rules
+  this.incognitoSaved_ = '';  // encoded private tabs last saved on this device
+  this.incognitoReopened_ = false;  // private windows are reopened only once
+  this.baseSession_ = null;  // saved session the browser last matched
+  this.conflict_ = null;  // three-way diff while both sides have changed
+  this.pendingRestore_ = null;  // automatic restore waiting to be confirmed
+  this.menuKey_ = null;  // saved tabs the context menu lists, as a key
+  this.menu_updating_ = false;  // context menu being rebuilt
+  // Phase of the running save, restore or merge.
+  this.progress_ = TabberInternal.Protocol.Phase.DONE;
 
   // Current status
   this.status_ = this.state.OK;
   this.statusMessage_ = '';
+  // Sync storage bytes used by the active session, and by all Tabber data,
+  // and the number of sync storage items used.
+  this.quota_ = {session: 0, used: 0, max: chrome.storage.sync.QUOTA_BYTES,
+                 items: 0, max_items: chrome.storage.sync.MAX_ITEMS};
 }
 
 /**
@@ -191,18 +378,77 @@ TabberClass.prototype.startInitialization_ = function() {
   // Close the init gate.
   tbr.uninitialized_ = false;
 
-  // Fetch our saved config (if any) and continue init.
-  chrome.storage.local.get('options', tbr.finishInit_);
+  // Chrome only delivers the events which started the service worker to
+  // listeners added right away. The handlers ignore events until we are
+  // initialized.
+  tbr.enableHandlers_(true);
+  chrome.storage.onChanged.addListener(tbr.onChromeStorageChange_);
+  chrome.alarms.onAlarm.addListener(tbr.onAlarm_);
+  chrome.runtime.onConnect.addListener(tbr.onConnect_);
+  chrome.runtime.onMessageExternal.addListener(tbr.onExternalMessage_);
+  chrome.commands.onCommand.addListener(tbr.onCommand_);
+  chrome.contextMenus.onClicked.addListener(tbr.onMenuClick_);
+
+  // If the worker was stopped and started again, pick up where we left off.
+  // Otherwise the browser just started, so fetch our saved config (if any)
+  // and continue init.
+  chrome.storage.session.get(tbr.constant_.state_key, function(items) {
+    if (items[tbr.constant_.state_key]) {
+      tbr.resumeState_(items[tbr.constant_.state_key]);
+      return;
+    }
+    chrome.storage.local.get([tbr.constant_.options_key,
+                              tbr.constant_.session_key,
+                              tbr.constant_.device_key], tbr.finishInit_);
+  });
 };
 
 /*
  * The "API" used by the popup UI consists of the following functions:
  *    saveLocalToRemote() - manual save local session as remote
  *    syncBrowserFromRemote() - manual apply remote session to browser
+ *    mergeBrowserWithRemote() - open saved tabs missing locally, then save
+ *    swapBrowserWithRemote() - exchange the browser tabs and saved tabs
+ *    getSessions() - list the saved sessions
+ *    createSession() - save the current tabs as a new named session
+ *    renameSession() - change the name of a saved session
+ *    deleteSession() - remove a saved session
+ *    switchSession() - pick the saved session this device syncs with
+ *    restoreSession() - make the browser match a saved session, without
+ *                       switching to it
+ *    getDevices() - list the latest session published by each device
+ *    setDeviceName() - change the name this device publishes its tabs under
+ *    restoreFromDevice() - make the browser match another device's tabs
+ *    mergeFromDevice() - open another device's tabs missing locally, then save
+ *    getHistory() - list the previous generations of the active session
+ *    restoreGeneration() - roll back the browser and session to a generation
+ *    resolveConflict() - settle a conflict by keeping, taking or merging tabs
+ *    exportSession() - export a session as JSON, bookmarks or a URL list
+ *    importSession() - import exported tabs as a session, or merge them
+ *    setPassphrase() - encrypt the saved sessions with a passphrase
+ *    unlockSessions() - unlock the encrypted saved sessions on this device
+ *    disableEncryption() - store the saved sessions unencrypted again
+ *    getExternalLog() - list the calls made by other extensions and pages
+ *    getTabList() - list the saved tabs, and how each differs from the browser
+ *    restoreSelection() - open some of the saved tabs, without closing any
+ *    planRestore() - describe what restoring the saved tabs would change
  *    setOptions()  - sets Tabber parameters, which are:
  *        mode (string) - operational mode ("manual", "autosync", etc.)
  *        debug (boolean) - enable console logging
+ *        rules (Array) - URL exclusion rules (see tab_rules.js)
+ *        incognito (string) - incognito policy ("ignore", "separate", etc.)
+ *        matching (Object) - which URL changes still match the same tab (see
+ *                            url_matching.js)
+ *        external (Object) - ids of the extensions and origins of the web
+ *                            pages allowed to call Tabber
+ *        notifications (boolean) - notify what keyboard shortcuts did
+ *        confirm_restore (number) - closed tabs which hold an automatic
+ *                                   restore until it is confirmed (0: never)
  *    getStatus() - returns an object with the current state
+ *
+ * The popup calls them over a chrome.runtime port (see onConnect_). The
+ * allowed extensions and web pages can call some of them through
+ * chrome.runtime.sendMessage (see onExternalMessage_).
  */
 
 /**
@@ -237,12 +483,9 @@ TabberClass.prototype.syncBrowserFromRemote = function() {
   var tbr = tabberSingleton;
   var rem = tbr.remoteSession_;
   // if remote session is not valid, don't do anything
-  if (rem.generation < 0) {
-    consoleErrorLog('Cannot sync from remote session yet.');
-    return;
-  }
-  if (rem.tabs.length < 1) {
-    consoleErrorLog('Cannot sync from Remote session (0 remote tabs)');
+  var errMsg = tbr.getRestoreError_(rem);
+  if (errMsg) {
+    consoleErrorLog('Cannot sync from remote session: ' + errMsg);
     return;
   }
   consoleDebugLog(
@@ -250,16 +493,19 @@ TabberClass.prototype.syncBrowserFromRemote = function() {
       ' to ' + tbr.remoteSession_.generation);
   /* In order to sync the browser with the remote session, we may have to do
    * up to four distinct ordered phases of tab operations:
-   * - create/move new tab(s) to align the session data
-   * - delete deprecated tabs
-   * - move tabs to proper windows in Chrome
-   * - set the new active tabs
+   * - open, move and close tabs and windows, and set the active tabs, as
+   *   planned by TabberInternal.RestorePlanner
+   * - set the pinned and muted tabs
+   * - recreate the tab groups
+   * - restore the window positions, sizes and states
    * To insure these steps are done in the above order, we count the changes
    * needed for each phase and only move on to the next phase when the last
    * change is complete
    */
   // Tell Tabber to ignore local changes while we are syncing.
   tbr.sync_in_progess_ = true;
+  // Any automatic restore waiting to be confirmed is done by this one.
+  tbr.pendingRestore_ = null;
   /*
    * We have to insure our local tabs are in sync with browser.
    * to do this, we first do a local session update.
@@ -268,809 +514,3532 @@ TabberClass.prototype.syncBrowserFromRemote = function() {
 };
 
 /**
- * Set/modify Tabber operational parameters.
- * @param {TabberApi.type.config} config - The caller's specified option values.
+ * Check whether the browser can be restored from a session.
+ * @private
+ * @param {TabberInternal.TabberSession} sess - The session.
+ * @return {string} - Why it can't, or '' if it can.
  */
-TabberClass.prototype.setOptions = function(config) {
-  consoleDebugLog('setOptions() call with: ' + JSON.stringify(config));
-  if (config.hasOwnProperty('mode')) {
-    // only accept recognized modes
-    if ((config.mode === tabberSingleton.mode.AUTOSYNC) ||
-        (config.mode === tabberSingleton.mode.AUTOSTART) ||
-        (config.mode === tabberSingleton.mode.AUTOSAVE) ||
-        (config.mode === tabberSingleton.mode.MANUAL)) {
-      // TODO: if new mode is AUTO* and sessions are not in sync, then
-      // alert the user that he must do a manual save/restore before selecting
-      // the specific AUTO mode. Otherwise, proceed below.
-      tabberSingleton.options_.mode = config.mode;
-      consoleDebugLog('New Tabber mode: ' + config.mode);
-      // Save updated config in Chrome local storage. This will trigger our
-      // change callback which in turn will run sync.
-      chrome.storage.local.set({'options': tabberSingleton.options_});
-    } else {
-      alert('Unsupported Tabber operational mode: ' + config.mode);
-    }
+TabberClass.prototype.getRestoreError_ = function(sess) {
+  if (sess.generation < 0) {
+    return 'Session is not loaded yet';
   }
-  if (config.hasOwnProperty('debug')) {
-    if (config.debug) {
-      debug = true;
-      consoleDebugLog('Turning debug ON');
-    } else {
-      consoleDebugLog('Turning debug OFF');
-      debug = false;
-    }
+  if (TabberInternal.TabRules.filterForRestore(sess.tabs).length < 1) {
+    return 'Session has no tabs to restore';
   }
+  return '';
 };
 
 /**
- * Get the current Tabber status.
- * @return {TabberApi.type.status}
+ * Describe what restoring the currently known remote session would do to the
+ * browser tabs, without doing it.
+ * @return {?TabberApi.type.restore_plan} - The plan, or null if there is no
+ *     saved session to restore.
  */
-TabberClass.prototype.getStatus = function() {
-  consoleDebugLog('Copy options: ' + JSON.stringify(tabberSingleton.options_));
-  /** type {TabberApi.type.config} */
-  var opts = copyObject_(tabberSingleton.options_);
-  // Add the debug state
-  opts.debug = debug;
-  /**
-   * @type {TabberApi.type.status}
-   */
-  var status = {
-          options: opts,
-          sync: {'state': tabberSingleton.status_,
-                 'msg': tabberSingleton.statusMessage_},
-          remote_time: tabberSingleton.remoteSession_.getTimeString()
-  };
-  return status;
+TabberClass.prototype.planRestore = function() {
+  var tbr = tabberSingleton;
+  if (!isSessionValid(tbr.remoteSession_)) {
+    return null;
+  }
+  return tbr.planRestore_(tbr.remoteSession_);
 };
 
-/*
- * Internal Tabber code
- */
-
 /**
- * Perform the initial phase of saving a local session, which is just to make
- * sure we have the latest tabs from chrome.
+ * Plan the restore of a session from the last known browser tabs, and
+ * describe the plan. It is the plan syncBrowserCreatesAndMoves_ makes, as
+ * long as the browser tabs don't change in the meantime.
  * @private
- * @param {function()} contFunc - The function to call after tabs are updated.
+ * @param {TabberInternal.TabberSession} sess - The session to restore.
+ * @return {TabberApi.type.restore_plan}
  */
-TabberClass.prototype.syncLocalToBrowser_ = function(contFunc) {
+TabberClass.prototype.planRestore_ = function(sess) {
   var tbr = tabberSingleton;
-  consoleDebugLog('Performing syncLocalToBrowser_');
-
-  // Callback gets the current tabs info
-  function currentTabs(tabs) {
-    var loc = tbr.localSession_;
-    consoleDebugLog('Latest local tabs:\n' + tabsToString(tabs));
-    // Accept the new set of tabs
-    loc.tabs = tabs;
-    // Proceed with updated tabs in place.
-    contFunc();
+  var OpType = TabberInternal.RestorePlanner.OpType;
+  var locTabs = TabberInternal.TabRules.filterForRestore(
+      tbr.localSession_.tabs);
+  var remTabs = TabberInternal.TabRules.filterForRestore(sess.tabs);
+  var plan = TabberInternal.RestorePlanner.plan(locTabs, remTabs);
+  var counts = {};
+  for (var type in OpType) {
+    counts[OpType[type]] = 0;
   }
-  // Get the current tabs from Chrome
-  chrome.tabs.query({}, currentTabs);
+  var ops = plan.ops.map(function(op) {
+    counts[op.type]++;
+    var tab = (op.remIndex >= 0) ? remTabs[op.remIndex] :
+                                   locTabs[op.locIndex];
+    return {type: op.type, url: tab.url, title: tab.title || '',
+            window_id: op.windowId, index: op.index};
+  });
+  var threshold = tbr.getRestoreThreshold_();
+  return {ops: ops, counts: counts,
+          confirm: (threshold > 0) && (counts[OpType.REMOVE] >= threshold)};
 };
 
 /**
- * Perform the actual save of the local session to the remote account.
- * When this phase completes, the real save operation is done.
+ * Get the number of tabs an automatic restore may close before it has to be
+ * confirmed, or 0 if it never has to be.
  * @private
+ * @return {number}
  */
-TabberClass.prototype.saveLocalToRemote_ = function() {
-  consoleDebugLog('Performing saveLocalToRemote action');
+TabberClass.prototype.getRestoreThreshold_ = function() {
+  var tbr = tabberSingleton;
+  var threshold = tbr.options_.confirm_restore;
+  return (typeof threshold == 'number') ? threshold :
+                                          tbr.constant_.confirm_restore;
+};
+
+/**
+ * Merge the currently known remote session into the local browser. Every
+ * saved tab which is not already open locally is opened in the matching local
+ * window (or a new window), no local tabs are closed, and the merged set of
+ * tabs is then saved as the new remote session.
+ */
+TabberClass.prototype.mergeBrowserWithRemote = function() {
   var tbr = tabberSingleton;
-  var loc = tbr.localSession_;
   var rem = tbr.remoteSession_;
-  // Before we flush our local session to remote, make sure we pick a new
-  // generation number that is highest.
-  if (loc.generation <= rem.generation) {
-    loc.generation = rem.generation + 1;
+  // if remote session is not valid, don't do anything
+  if (rem.generation < 0) {
+    consoleErrorLog('Cannot merge with remote session yet.');
+    return;
   }
-  // Get a sync object which splits the tab objects into separate elements
-  // so chrome.staorage.sync can handle it.
-  var syncObj = loc.toSync();
-
-  // Now we can update the remote.
-  consoleDebugLog('Saving current session to remote storage');
-  consoleDebugLog('Saving: ' + JSON.stringify(syncObj));
-  chrome.storage.sync.set(syncObj, function() {
-    if (chrome.runtime.lastError) {
-      // Report error.
-      tbr.setStatus_(tbr.state.ERR, 'Unable to save session: ' +
-                                    chrome.runtime.lastError.message);
-    } else {
-      // success updating remote session
-      tbr.remoteSession_ = new TabberInternal.TabberSession(tbr.localSession_);
-      //      tbr.setStatus_(tbr.state.OK, 'Checking session');
-    }
-    // Note that saving to chrome storage will generate a storage change event,
-    // which in turn will provoke a doSync
-    tbr.save_in_progess_ = false;
+  if (rem.tabs.length < 1) {
+    consoleErrorLog('Cannot merge with Remote session (0 remote tabs)');
     return;
-  });
+  }
+  consoleDebugLog(
+      'Merging local browser gen ' + tbr.localSession_.generation +
+      ' with remote gen ' + rem.generation);
+  tbr.mergeBrowserWithSession_(rem);
 };
 
-
 /**
- * This function performs the tab creates and index moves when syncing the
- * local browser to the remote session. Note that this does not actually
- * finalize the real window index, but merely the global tab index in the
- * session data. After this phase, we will resolve the tab window indexes.
- * @private
+ * Exchange the local browser tabs with the currently known remote session.
+ * The browser is restored from the remote session, and the tabs it had
+ * beforehand are saved as the new remote session. If either half fails, the
+ * browser is put back the way it was and the remote session is left alone.
+ * Since an automatic save would immediately undo the swap, this is only
+ * allowed in the modes that never save automatically.
  */
-TabberClass.prototype.syncBrowserCreatesAndMoves_ = function() {
+TabberClass.prototype.swapBrowserWithRemote = function() {
   var tbr = tabberSingleton;
-  var loc = tbr.localSession_;
   var rem = tbr.remoteSession_;
-
-  // Start the work of deleting excess tabs
-  consoleDebugLog('Creating/aligning tabs');
-
-  // Init SyncPhaseHandler to manage this phase.
-  TabberInternal.SyncPhaseHandler.initHandler(tbr.syncBrowserDeletes_);
-
-  /**
-   * This doStep callback updates our local tab object and restarts the remote
-   * tab scanning after a chrome tab change is complete.
-   * @param {*} ctx - Our local tab index for the tab being updated.
-   * @param {Array<TabberInt.type.Tab>} tabArray - Updated chrome tab objects.
-   */
-  function onTabUpdate(ctx, tabArray) {
-    consoleDebugLog('Chrome updated tab ' + ctx);
-    // consoleDebugLog("Current tab is:"+JSON.stringify(loc.tabs[ctx]));
-    // Update our local tab object.
-    loc.tabs[ctx].index = tabArray[0].index;
-    loc.tabs[ctx].id = tabArray[0].id;
-    loc.tabs[ctx].windowId = tabArray[0].windowId;
-    consoleDebugLog('updated loc.tab to: ' + JSON.stringify(loc.tabs[ctx]));
-    // Continue scanning.
-    scanRemoteTabs();
-  }
-
-  var remTabIndex = -1;
-  /**
-   * Reentrant function that scans the remote tabs and tries to align the local
-   * tabs to match as best as possible. It will try to move a local tab to a
-   * matching position in the tabs array if the content matches, or if no match
-   * is found locally, it will create a new tab to match.
-   */
-  function scanRemoteTabs() {
-    for (remTabIndex++; remTabIndex < rem.tabs.length; remTabIndex++) {
-      //      consoleDebugLog('Checking tab ' + remTabIndex);
-      // If corresponding tabs have major difference.
-      if ((remTabIndex >= loc.tabs.length) ||
-          getTabsDiff(loc.tabs[remTabIndex],
-                       rem.tabs[remTabIndex]).major) {
-        consoleDebugLog('Tabs at index ' + remTabIndex + ' DO NOT match');
-        // check remaining local tabs (if any) for a match
-        var matched = false;
-        for (var tt = remTabIndex + 1; tt < loc.tabs.length; tt++) {
-          // If tab with equivalent content is found
-          if (!getTabsDiff(loc.tabs[tt], rem.tabs[remTabIndex]).major) {
-            consoleDebugLog('Moving tab ' + tt + ' to index ' + remTabIndex);
-            // Update localSession array by moving the matching tab to proper
-            // position in the array. We will fix the window and index later.
-            loc.tabs.splice(remTabIndex, 0, loc.tabs.splice(tt, 1)[0]);
-            // Continue the scan.
-            matched = true;
-            break;
-          }
-        }
-        // If we found a matching tab above.
-        if (matched) {
-          // Just continue the scan
-          continue;
-        }
-        // If we got here, we couldn't find a matching tab at a different index.
-        consoleDebugLog('No match for remote tab ' + remTabIndex);
-        /**
-         * Create pseudo-tab object to specify the new local tab.
-         * @type {TabberInt.type.Tab}
-         */
-        var newTab = {index: remTabIndex, url: rem.tabs[remTabIndex].url};
-        loc.tabs.splice(remTabIndex, 0, newTab);
-        // Set a callback so we can grab real ids.
-        TabberInternal.SyncPhaseHandler.setDoStepCallback(onTabUpdate, remTabIndex);
-        // Tell chrome to create new browser tab.
-        TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.create, newTab);
-        // Update our local tab object with more info. We have to do this
-        // after the chrome call, because chrome doesn't like these object keys.
-        consoleDebugLog('Adding title and active state');
-        newTab.title = rem.tabs[remTabIndex].title;
-        newTab.active = rem.tabs[remTabIndex].active;
-        consoleDebugLog('loc.tab: ' + JSON.stringify(loc.tabs[remTabIndex]));
-        // stop here and let step callback continue the scan.
-        return;
-      } else {
-        consoleDebugLog('Tabs at index ' + remTabIndex + ' seem to match');
-      }
-    }
-    // If we got here, we are done with the scan and this phase.
-    TabberInternal.SyncPhaseHandler.finalize();
+  // if remote session is not valid, don't do anything
+  if (rem.generation < 0) {
+    consoleErrorLog('Cannot swap with remote session yet.');
+    return;
+  }
+  if (TabberInternal.TabRules.filterForRestore(rem.tabs).length < 1) {
+    consoleErrorLog('Cannot swap with Remote session (0 remote tabs)');
+    return;
+  }
+  if ((tbr.options_.mode != tbr.mode.MANUAL) &&
+      (tbr.options_.mode != tbr.mode.AUTOSTART)) {
+    tbr.setStatus_(tbr.state.WARN,
+                   'Swap requires Manual or Startup Only mode');
+    return;
+  }
+  // Don't allow overlapping browser syncs
+  if (tbr.sync_in_progess_) {
+    consoleTaggedLog('Overlapping Tabber.swapBrowserWithRemote call ignored');
+    return;
   }
-  // Kick off the remote scan
-  scanRemoteTabs();
+  // Tell Tabber to ignore local changes while we are swapping.
+  tbr.sync_in_progess_ = true;
+  // Get the latest local tabs before taking our snapshot.
+  tbr.syncLocalToBrowser_(tbr.swapBrowserSnapshot_);
 };
 
-
 /**
- * This function performs the tab deletes when syncing the local browser.
- * @private
+ * Get the list of saved sessions. The active session is always included, even
+ * if nothing has been saved to it yet.
+ * @return {Array<TabberApi.type.session_info>}
  */
-TabberClass.prototype.syncBrowserDeletes_ = function() {
+TabberClass.prototype.getSessions = function() {
   var tbr = tabberSingleton;
-  var loc = tbr.localSession_;
-  var rem = tbr.remoteSession_;
-
-  // Start the work of deleting excess tabs
-  consoleDebugLog(
-      'Removing ' + (loc.tabs.length - rem.tabs.length) + ' excess local tabs');
-
-  // Init SyncPhaseHandler to manage this phase.
-  TabberInternal.SyncPhaseHandler.initHandler(tbr.syncBrowserChromeMapWindows_);
-
-  // Delete any excess local tabs
-  if (loc.tabs.length > rem.tabs.length) {
-    for (var t = rem.tabs.length; t < loc.tabs.length; t++) {
-      consoleDebugLog('Removing tab ' + t);
-      TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.remove, loc.tabs[t].id);
-    }
-    // Adjust local tabs array.
-    loc.tabs.splice(rem.tabs.length, loc.tabs.length - rem.tabs.length);
+  var activeId = tbr.remoteSession_.id;
+  var list = [];
+  for (var id in tbr.sessionNames_) {
+    list.push({'id': id, 'name': tbr.sessionNames_[id],
+               'active': id == activeId});
   }
-  // Done with this phase.
-  TabberInternal.SyncPhaseHandler.finalize();
-
+  if (!(activeId in tbr.sessionNames_)) {
+    list.push({'id': activeId, 'name': tbr.remoteSession_.description,
+               'active': true});
+  }
+  return list;
 };
 
 /**
- * Compute an affinity score based on how similar the two sets of tabs are.
- * @private
- * @param {Array<Object>} tabs1 - First array of tabs to compare.
- * @param {Array<Object>} tabs2 - First array of tabs to compare.
- * @return {number} - returns the score.
+ * Save the current browser tabs as a new named session, and make it the
+ * active session.
+ * @param {string} name - The name of the new session.
  */
-function getWindowScore_(tabs1, tabs2) {
-  var score = 0;
-  // we award 5 pts for matching URLs
-  // we award another 3 pts for matching index
-  // we award another 1 pt for matching active state
-  for (var t1 = 0; t1 < tabs1.length; t1++) {
-    for (var t2 = 0; t2 < tabs2.length; t2++) {
-      if (tabs1[t1].url == tabs2[t2].url) {
-        score += 5;
-        // Now check for matching index
-        if (tabs1[t1].index == tabs2[t2].index) {
-          score += 3;
-        }
-        // Check for matching active state
-        if (tabs1[t1].active == tabs2[t2].active) {
-          score += 1;
-        }
-      }
-    }
+TabberClass.prototype.createSession = function(name) {
+  var tbr = tabberSingleton;
+  name = String(name || '').trim();
+  if (!name) {
+    consoleErrorLog('Cannot create a session without a name');
+    return;
   }
-  return score;
-}
+  var id = 's' + Date.now().toString(36);
+  consoleDebugLog('Creating session ' + id + ': ' + name);
+  tbr.sessionNames_[id] = name;
+  // The new session starts out empty, so saving fills it with our tabs.
+  tbr.setActiveSession_(new TabberInternal.TabberSession(0, id));
+  tbr.remoteSession_.description = name;
+  tbr.localSession_.description = name;
+  tbr.saveLocalToRemote();
+};
 
 /**
- * This function maps remote windows to local windows.
- * @private
+ * Change the name of a saved session.
+ * @param {string} id - The id of the session to rename.
+ * @param {string} name - The new session name.
  */
-TabberClass.prototype.syncBrowserChromeMapWindows_ = function() {
+TabberClass.prototype.renameSession = function(id, name) {
   var tbr = tabberSingleton;
-  var loc = tbr.localSession_;
-  var rem = tbr.remoteSession_;
-
-  // Start the work of mapping windows
-  consoleDebugLog('Mapping remote and local windows');
-  consoleDebugLog('Current Remote windows:\n' + tabsToString(rem.tabs));
-  consoleDebugLog('Current Local windows:\n' + tabsToString(loc.tabs));
-
-  /* The main computational goal of this phase is to pick the best mapping
-   * between remote windows and local windows. If there are more remote windows
-   * than existing local ones, this phase will also create new local windows
-   * to match. At the end of this phase, there will be a local window for each
-   * remote window, and the local session data will have the intended window
-   * Ids for each tab. The next phase will insure that all tabs reside in the
-   * correct window with the correct index.
-   */
-
-  // Build lists of existing remote and local windowIds
-  var remWindows = [];
-  var locWindows = [];
-  for (var t = 0; t < rem.tabs.length; t++) {
-    // if this is a new windowId
-    // add this window (if not found) and tab
-    if (!(rem.tabs[t].windowId in remWindows)) {
-      // add tab to new windowId record
-      remWindows[rem.tabs[t].windowId] = [rem.tabs[t]];
-    } else {
-      remWindows[rem.tabs[t].windowId].push(rem.tabs[t]);
-    }
+  name = String(name || '').trim();
+  if (!name) {
+    consoleErrorLog('Cannot rename a session to an empty name');
+    return;
   }
-  for (var t = 0; t < loc.tabs.length; t++) {
-    // @type number
-    var windowId = loc.tabs[t].windowId;
-    // add this window (if not found) and tab
-    if (!(windowId in locWindows)) {
-      locWindows[windowId] = [loc.tabs[t]];
-    } else {
-      locWindows[windowId].push(loc.tabs[t]);
-    }
+  if (!(id in tbr.sessionNames_)) {
+    consoleErrorLog('Cannot rename unknown session ' + id);
+    return;
   }
-  // Score each possible map edge.
-  var mapScores = [];
-  for (var lwid in locWindows) {
-    for (var rwid in remWindows) {
-      var score = getWindowScore_(locWindows[Number(lwid)],
-                                  remWindows[Number(rwid)]);
-      mapScores.push({'lwid': lwid,
-                      'rwid': rwid,
-                      'score': score
-                      });
-    }
+  consoleDebugLog('Renaming session ' + id + ' to ' + name);
+  tbr.sessionNames_[id] = name;
+  if (id == tbr.remoteSession_.id) {
+    tbr.remoteSession_.description = name;
+    tbr.localSession_.description = name;
   }
-  // Sort the maps by score - highest to lowest.
-  var sortedMapScores = mapScores.sort(function(a, b) {
-    if (a.score == b.score) return 0;
-    return (a.score < b.score) ? 1 : -1;
+  var syncObj = {};
+  syncObj[id + TabberInternal.TabberSession.KEY_SEPARATOR + 'description'] =
+      name;
+  chrome.storage.sync.set(syncObj, function() {
+    if (chrome.runtime.lastError) {
+      tbr.setStatus_(tbr.state.ERR, 'Unable to rename session: ' +
+                                    chrome.runtime.lastError.message);
+    }
   });
+};
 
-  /*
-   * Now we have a sorted list of scores. We need to walk the list and accept
-   * the highest scoring match that involves windowIds that have not already
-   * been matched.
-   */
-  var matchedRemIds = [];
-  var matchedLocIds = [];
-  var locIdByRemId = [];  // final map
-
-  // Take the highest score as a valid mapping.
-  for (var mi = 0; mi < sortedMapScores.length; mi++) {
-    // If we haven't mapped these ids yet.
-    if ((matchedRemIds.indexOf(sortedMapScores[mi]['rwid']) == -1) &&
-        (matchedLocIds.indexOf(sortedMapScores[mi]['lwid']) == -1)) {
-      // Take this mapping.
-      consoleDebugLog(
-          'Mapping rwid ' + sortedMapScores[mi]['rwid'] + ' to lwid ' +
-          sortedMapScores[mi]['lwid']);
-      locIdByRemId[sortedMapScores[mi]['rwid']] = sortedMapScores[mi]['lwid'];
-      // And don't reconsider either local or remote ids.
-      matchedRemIds.push(sortedMapScores[mi]['rwid']);
-      matchedLocIds.push(sortedMapScores[mi]['lwid']);
-    }
+/**
+ * Remove a saved session. If it is the active session, another saved session
+ * (if any) becomes the active one.
+ * @param {string} id - The id of the session to delete.
+ */
+TabberClass.prototype.deleteSession = function(id) {
+  var tbr = tabberSingleton;
+  if (!(id in tbr.sessionNames_)) {
+    consoleErrorLog('Cannot delete unknown session ' + id);
+    return;
   }
-
-  /*
-   * Now we have our mapping, so for each tab, we want to move it to the
-   * corresponding local window. We may have to create new windows as we go
-   */
-
-  /**
-   * This function is called after a new window and initial tab are created,
-   * to add the new window Id to the window map, then continue iterating.
-   * @param {(ChromeWindow|null)} newWindow - The new window Object from chrome.
-   */
-  function acceptNewWindow(newWindow) {
-    // Get index of tab just moved to new window
-    var ti = tbr.context_ - 1;
-    consoleDebugLog(
-        'Tab ' + loc.tabs[ti].id + ' assigned to new window ' + newWindow.id);
-    consoleDebugLog(
-        'New rem->loc map: ' + rem.tabs[ti].windowId + ' -> ' + newWindow.id);
-    // Update the local window Id that maps to the remote window.
-    locIdByRemId[rem.tabs[ti].windowId] = newWindow.id;
-    // And the local session data for the rehomed tab
-    loc.tabs[ti].windowId = newWindow.id;
-    // now continue
-    continueRehomingTabs();
-  }
-
-  /* this is the re-entrant function that works its way through the tabs,
-   * creating windows as needed, or moving tabs to correct window
-   */
-  function continueRehomingTabs() {
-    // Make each tab get displayed in the correct window.
-    for (var t = tbr.context_; t < loc.tabs.length; t++) {
-      var lwid = locIdByRemId[rem.tabs[t].windowId];
-      if (typeof lwid == 'undefined') {
-        // set re-entrant position
-        tbr.context_ = t + 1;
-        consoleDebugLog('No lwid found for rwid ' + rem.tabs[t].windowId);
-        // create new window, then continue
-        chrome.windows.create({tabId: loc.tabs[t].id}, acceptNewWindow);
-        // stop here and let async continuation resume the loop
-        return;
-      } else if (loc.tabs[t].windowId != lwid) {
-        // Move this tab to correct window (indexes are adjusted in next phase)
-        consoleDebugLog(
-            'Moving tab ' + loc.tabs[t].id + ' from window ' +
-            loc.tabs[t].windowId + ' to ' + lwid);
-        // Update local session data.
-        loc.tabs[t].windowId = lwid;
-        // Tell chrome to do the move.
-        chrome.tabs.move(loc.tabs[t].id, {windowId: Number(lwid), index: 0});
+  consoleDebugLog('Deleting session ' + id);
+  delete tbr.sessionNames_[id];
+  // Fetch everything, so we can find all keys in the session namespace.
+  chrome.storage.sync.get(null, function(items) {
+    var keys = [];
+    for (var key in items) {
+      if (getSessionKeyId(key) == id) {
+        keys.push(key);
       }
     }
-    // Done with this phase.
-    tbr.syncBrowserChromeMove_();
+    chrome.storage.sync.remove(keys, function() {
+      if (chrome.runtime.lastError) {
+        tbr.setStatus_(tbr.state.ERR, 'Unable to delete session: ' +
+                                      chrome.runtime.lastError.message);
+      }
+    });
+  });
+  TabberInternal.SessionHistory.clear(id);
+  if (id == tbr.remoteSession_.id) {
+    tbr.switchToRemainingSession_();
   }
-  // Just set the initial tab index context and start rehoming tabs
-  tbr.context_ = 0;
-  continueRehomingTabs();
 };
 
 /**
- * This function moves tabs to proper window index in Chrome.
- * @private
+ * Pick which saved session this device syncs with. In the modes that save
+ * automatically, the browser is also restored from the new session, since
+ * otherwise the next automatic save would overwrite it with the current tabs.
+ * @param {string} id - The id of the session to switch to.
  */
-TabberClass.prototype.syncBrowserChromeMove_ = function() {
+TabberClass.prototype.switchSession = function(id) {
   var tbr = tabberSingleton;
-  var loc = tbr.localSession_;
-  var rem = tbr.remoteSession_;
-
-  // Start the work of moving tabs
-  //  consoleDebugLog('Correcting tab indexes');
-  //  consoleDebugLog("Remote windows:\n" + tabsToString(rem.tabs));
-  //  consoleDebugLog("Local windows:\n" + tabsToString(loc.tabs));
-
-  // Init SyncPhaseHandler to manage this phase.
-  TabberInternal.SyncPhaseHandler.initHandler(tbr.syncBrowserSetActive_);
-
-  // Make each tab get displayed in the correct window with the correct index.
-  for (var t = 0; t < loc.tabs.length; t++) {
-    //    consoleDebugLog("Moving tab "+loc.tabs[t].id+" to index
-    //    "+rem.tabs[t].index);
-    TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.move,
-                        loc.tabs[t].id, {index: rem.tabs[t].index});
+  if (!(id in tbr.sessionNames_)) {
+    consoleErrorLog('Cannot switch to unknown session ' + id);
+    return;
   }
-  // Done with this phase.
-  TabberInternal.SyncPhaseHandler.finalize();
-};
-
+  if (id == tbr.remoteSession_.id) {
+    return;
+  }
+  consoleDebugLog('Switching to session ' + id);
+  chrome.storage.sync.get(null, function(items) {
+    TabberInternal.SessionCrypto.decryptItems(items, true, function(plain) {
+      var rem = new TabberInternal.TabberSession(0, id);
+      rem.updateProps(plain);
+      tbr.setActiveSession_(rem);
+      if (((tbr.options_.mode == tbr.mode.AUTOSAVE) ||
+           (tbr.options_.mode == tbr.mode.AUTOSYNC)) && isSessionValid(rem)) {
+        tbr.syncBrowserFromRemote();
+      } else {
+        tbr.doSync_(false);
+      }
+    });
+  });
+};
+
+/**
+ * Make the browser match a saved session, without making it the session this
+ * device syncs with.
+ * @param {string} id - The id of the session.
+ * @param {function(string)} callback - Called with an error message, or ''
+ *     once the restore has started.
+ */
+TabberClass.prototype.restoreSession = function(id, callback) {
+  var tbr = tabberSingleton;
+  if (!(id in tbr.sessionNames_) && (id != tbr.remoteSession_.id)) {
+    callback('Unknown session: ' + id);
+    return;
+  }
+  // Don't allow overlapping browser syncs
+  if (tbr.sync_in_progess_) {
+    callback('Tabs are already being restored');
+    return;
+  }
+  if (id == tbr.remoteSession_.id) {
+    var errMsg = tbr.getRestoreError_(tbr.remoteSession_);
+    if (!errMsg) {
+      tbr.syncBrowserFromRemote();
+    }
+    callback(errMsg);
+    return;
+  }
+  tbr.loadSession_(id, function(sess) {
+    if (!sess || !isSessionValid(sess)) {
+      callback('Session has no tabs to restore');
+      return;
+    }
+    consoleDebugLog('Restoring browser from session ' + sess.description);
+    callback(tbr.syncBrowserFromSession_(sess, false));
+  });
+};
+
+/**
+ * Open some of the tabs of the active saved session, given as saved windows or
+ * tabs of the tab list (see getTabList). Nothing is closed, and the selected
+ * tabs which are already open are left alone. Each tab is opened in the
+ * browser window which best matches its saved window, or in a new window if
+ * none does. The saved session is not changed.
+ * @param {TabberApi.type.tab_selection} selection - The saved windows or
+ *     tabs to open.
+ * @param {function(string)} callback - Called with an error message, or ''
+ *     once the tabs are being opened.
+ */
+TabberClass.prototype.restoreSelection = function(selection, callback) {
+  var tbr = tabberSingleton;
+  var rem = tbr.remoteSession_;
+  if (!isSessionValid(rem)) {
+    callback('There is no saved session to restore from');
+    return;
+  }
+  if (tbr.sync_in_progess_) {
+    callback('Tabs are already being restored');
+    return;
+  }
+  var windows = (selection && selection.windows) || [];
+  var tabs = (selection && selection.tabs) || [];
+  if (!Array.isArray(windows) || !Array.isArray(tabs)) {
+    callback('The selection must list windows or tabs');
+    return;
+  }
+  var numTabs = TabberInternal.TabRules.filterForRestore(rem.tabs).length;
+  for (var t = 0; t < tabs.length; t++) {
+    if ((typeof tabs[t] != 'number') || (tabs[t] < 0) ||
+        (tabs[t] >= numTabs)) {
+      callback('No such saved tab: ' + tabs[t]);
+      return;
+    }
+  }
+  if ((windows.length == 0) && (tabs.length == 0)) {
+    callback('No saved tabs selected');
+    return;
+  }
+  consoleDebugLog('Restoring ' + windows.length + ' saved windows and ' +
+                  tabs.length + ' saved tabs');
+  tbr.mergeBrowserWithSession_(new TabberInternal.TabberSession(rem),
+                               {windows: windows, tabs: tabs});
+  callback('');
+};
+
+/**
+ * Get the latest session published by each device, including this one.
+ * @return {Array<TabberApi.type.device_info>}
+ */
+TabberClass.prototype.getDevices = function() {
+  var tbr = tabberSingleton;
+  var list = [];
+  for (var id in tbr.deviceSessions_) {
+    var sess = tbr.deviceSessions_[id];
+    list.push({'id': id,
+               'name': sess.description,
+               'numtabs': sess.tabs.length,
+               'time': sess.getTimeString(),
+               'self': (tbr.device_ != null) && (id == tbr.device_.id)});
+  }
+  return list;
+};
+
+/**
+ * Change the name this device publishes its tabs under.
+ * @param {string} name - The new device name.
+ */
+TabberClass.prototype.setDeviceName = function(name) {
+  var tbr = tabberSingleton;
+  name = String(name || '').trim();
+  if (!name || !tbr.device_) {
+    consoleErrorLog('Cannot set device name to: ' + name);
+    return;
+  }
+  consoleDebugLog('Renaming device ' + tbr.device_.id + ' to ' + name);
+  tbr.device_.name = name;
+  var localObj = {};
+  localObj[tbr.constant_.device_key] = tbr.device_;
+  chrome.storage.local.set(localObj);
+  // Republish our slot under the new name.
+  tbr.publishDeviceSession_(true);
+};
+
+/**
+ * Make the local browser match the latest tabs published by a device.
+ * @param {string} deviceId - The id of the device to restore from.
+ * @return {string} - Why the restore did not start, or '' if it did.
+ */
+TabberClass.prototype.restoreFromDevice = function(deviceId) {
+  var tbr = tabberSingleton;
+  var sess = tbr.deviceSessions_[deviceId];
+  if (!isSessionValid(sess)) {
+    consoleErrorLog('Cannot restore from device ' + deviceId);
+    return 'No tabs saved for this device';
+  }
+  consoleDebugLog('Restoring browser from device ' + sess.description);
+  return tbr.syncBrowserFromSession_(new TabberInternal.TabberSession(sess),
+                                     false);
+};
+
+/**
+ * Open the tabs published by a device which are missing from the local
+ * browser, then save the merged set of tabs as the active session.
+ * @param {string} deviceId - The id of the device to merge from.
+ * @return {string} - Why the merge did not start, or '' if it did.
+ */
+TabberClass.prototype.mergeFromDevice = function(deviceId) {
+  var tbr = tabberSingleton;
+  var sess = tbr.deviceSessions_[deviceId];
+  if (!isSessionValid(sess)) {
+    consoleErrorLog('Cannot merge from device ' + deviceId);
+    return 'No tabs saved for this device';
+  }
+  // Don't allow overlapping browser syncs
+  if (tbr.sync_in_progess_) {
+    return 'Tabs are already being restored';
+  }
+  consoleDebugLog('Merging browser with device ' + sess.description);
+  tbr.mergeBrowserWithSession_(new TabberInternal.TabberSession(sess));
+  return '';
+};
+
+/**
+ * Get the previous generations of the active session, newest first.
+ * @param {function(Array<TabberApi.type.history_info>)} callback - Called with
+ *     the history list.
+ */
+TabberClass.prototype.getHistory = function(callback) {
+  var tbr = tabberSingleton;
+  TabberInternal.SessionHistory.getIndex(tbr.remoteSession_.id,
+                                         function(index) {
+    var list = [];
+    for (var i = 0; i < index.length; i++) {
+      var sess = new TabberInternal.TabberSession(index[i].generation);
+      sess.updateTime = index[i].updateTime;
+      list.push({'generation': index[i].generation,
+                 'time': sess.getTimeString(),
+                 'numtabs': index[i].numtabs});
+    }
+    callback(list);
+  });
+};
+
+/**
+ * Roll back to a previous generation of the active session. The browser is
+ * restored from that generation, which is then saved as the newest one.
+ * @param {number} generation - The generation to roll back to.
+ */
+TabberClass.prototype.restoreGeneration = function(generation) {
+  var tbr = tabberSingleton;
+  TabberInternal.SessionHistory.load(tbr.remoteSession_.id, generation,
+                                     function(sess) {
+    if (!isSessionValid(sess)) {
+      tbr.setStatus_(tbr.state.ERR,
+                     'Unable to find saved generation ' + generation);
+      return;
+    }
+    consoleDebugLog('Rolling back to generation ' + generation);
+    // Make sure the rollback itself can be undone.
+    if (isSessionValid(tbr.remoteSession_)) {
+      TabberInternal.SessionHistory.record(
+          new TabberInternal.TabberSession(tbr.remoteSession_), true);
+    }
+    // The restored tabs become the newest saved generation.
+    var errMsg = tbr.syncBrowserFromSession_(sess, true);
+    if (errMsg) {
+      tbr.setStatus_(tbr.state.ERR, 'Unable to roll back to generation ' +
+                                    generation + ': ' + errMsg);
+    }
+  });
+};
+
+/**
+ * Settle a conflict between the browser tabs and the saved session, which
+ * both changed since the browser last matched the saved session.
+ * @param {string} choice - 'mine' to save the browser tabs, 'theirs' to
+ *     restore the saved tabs, or 'merge' to open the saved tabs missing from
+ *     the browser and save the result.
+ */
+TabberClass.prototype.resolveConflict = function(choice) {
+  var tbr = tabberSingleton;
+  if (!tbr.conflict_) {
+    consoleErrorLog('No conflict to resolve');
+    return;
+  }
+  consoleDebugLog('Resolving conflict with ' + choice);
+  // Whatever the choice, the current saved session is now the base.
+  tbr.conflict_ = null;
+  tbr.baseSession_ = new TabberInternal.TabberSession(tbr.remoteSession_);
+  if (choice == 'mine') {
+    tbr.saveLocalToRemote();
+  } else if (choice == 'theirs') {
+    tbr.syncBrowserFromRemote();
+  } else if (choice == 'merge') {
+    tbr.mergeBrowserWithRemote();
+  } else {
+    consoleErrorLog('Unknown conflict resolution ' + choice);
+    tbr.doSync_();
+  }
+};
+
+/**
+ * Export a saved session, or the latest tabs of a device, as JSON, as a
+ * bookmark file or as a list of URLs.
+ * @param {string} id - The id of the session (see getSessions) or of the
+ *     device (see getDevices) to export.
+ * @param {string} format - 'json', 'html' or 'text'.
+ * @param {function(string, string)} callback - Called with the exported text,
+ *     or with an error message if the session could not be exported.
+ */
+TabberClass.prototype.exportSession = function(id, format, callback) {
+  var tbr = tabberSingleton;
+  if (!TabberInternal.SessionExport.isFormat(format)) {
+    callback('', 'Unsupported export format: ' + format);
+    return;
+  }
+  tbr.loadSession_(id, function(sess) {
+    if (!isSessionValid(sess)) {
+      callback('', (sess && sess.locked) ? 'Saved session is encrypted' :
+                                           'No saved tabs to export');
+      return;
+    }
+    consoleDebugLog('Exporting session ' + id + ' as ' + format);
+    callback(TabberInternal.SessionExport.exportSession(sess, format), '');
+  });
+};
+
+/**
+ * Import tabs exported by exportSession, or from a bookmark file or list of
+ * URLs, either as a new saved session or by opening the missing tabs in the
+ * browser (and saving the result, like a merge).
+ * @param {string} text - The exported text, in any of the export formats.
+ * @param {string} target - 'session' to save a new session, or 'merge' to
+ *     open the tabs in the browser.
+ * @param {string} name - The name of the new session. If empty, the name in
+ *     the export is used.
+ * @param {function(string)} callback - Called with an error message if the
+ *     import failed.
+ */
+TabberClass.prototype.importSession = function(text, target, name, callback) {
+  var tbr = tabberSingleton;
+  var sess = TabberInternal.SessionExport.importSession(text);
+  if (!sess) {
+    callback('No tabs found to import');
+    return;
+  }
+  consoleDebugLog('Importing ' + sess.tabs.length + ' tabs');
+  if (target == 'merge') {
+    // Don't allow overlapping browser syncs
+    if (tbr.sync_in_progess_) {
+      callback('Tabs are already being restored');
+      return;
+    }
+    tbr.mergeBrowserWithSession_(sess);
+    callback('');
+    return;
+  }
+  if (target != 'session') {
+    callback('Unsupported import target: ' + target);
+    return;
+  }
+  name = String(name || '').trim() || sess.description || 'Imported tabs';
+  sess.id = 's' + Date.now().toString(36);
+  sess.description = name;
+  sess.generation = 1;
+  sess.updateTime = Date.now();
+  tbr.sessionNames_[sess.id] = name;
+  sess.saveToSync(function(errMsg) {
+    if (errMsg) {
+      delete tbr.sessionNames_[sess.id];
+      callback('Unable to save imported session: ' + errMsg);
+    } else {
+      callback('');
+    }
+  });
+};
+
+/**
+ * Encrypt the saved sessions with a passphrase, or change the passphrase.
+ * Everything already saved (named sessions, device tabs and history) is
+ * rewritten with the new key. Other devices have to unlock with the
+ * passphrase before they can use the saved sessions again.
+ * @param {string} passphrase - The passphrase.
+ * @param {function(string)} callback - Called when done, with an error
+ *     message if it failed.
+ */
+TabberClass.prototype.setPassphrase = function(passphrase, callback) {
+  var tbr = tabberSingleton;
+  if (!passphrase) {
+    callback('The passphrase must not be empty');
+    return;
+  }
+  if (TabberInternal.SessionCrypto.getState() ==
+      TabberInternal.SessionCrypto.State.LOCKED) {
+    callback('Unlock the saved sessions before changing the passphrase');
+    return;
+  }
+  consoleDebugLog('Turning on session encryption');
+  // Read everything with the old key (if any), and write it with the new one.
+  tbr.readSyncData_(function(items, entries) {
+    TabberInternal.SessionCrypto.enable(passphrase, function(errMsg) {
+      if (errMsg) {
+        callback('Unable to turn on encryption: ' + errMsg);
+        return;
+      }
+      tbr.rewriteSyncData_(items, entries, callback);
+    });
+  });
+};
+
+/**
+ * Unlock the encrypted saved sessions on this device with the passphrase. The
+ * key is kept on this device, so this is only needed once (and again after
+ * the passphrase is changed on another device).
+ * @param {string} passphrase - The passphrase.
+ * @param {function(boolean)} callback - Called with whether the passphrase
+ *     was right.
+ */
+TabberClass.prototype.unlockSessions = function(passphrase, callback) {
+  var tbr = tabberSingleton;
+  TabberInternal.SessionCrypto.unlock(passphrase, function(ok) {
+    if (!ok) {
+      callback(false);
+      return;
+    }
+    consoleDebugLog('Saved sessions unlocked');
+    // Pick up the sessions we could not read until now.
+    chrome.storage.sync.get(null, function(items) {
+      TabberInternal.SessionCrypto.decryptItems(items, true, function(plain) {
+        var rem = tbr.remoteSession_;
+        tbr.sessionNames_ = getSyncSessionNames(plain);
+        tbr.deviceSessions_ = getSyncDeviceSessions(plain);
+        rem.updateProps(plain);
+        tbr.localSession_.description = rem.description;
+        if (!tbr.baseSession_ && isSessionValid(rem)) {
+          tbr.baseSession_ = new TabberInternal.TabberSession(rem);
+        }
+        tbr.doSync_(false);
+        callback(true);
+      });
+    });
+  });
+};
+
+/**
+ * Turn off encryption of the saved sessions. Everything already saved is
+ * rewritten in the clear, and the key is forgotten.
+ * @param {function(string)} callback - Called when done, with an error
+ *     message if it failed.
+ */
+TabberClass.prototype.disableEncryption = function(callback) {
+  var tbr = tabberSingleton;
+  var state = TabberInternal.SessionCrypto.getState();
+  if (state == TabberInternal.SessionCrypto.State.OFF) {
+    callback('');
+    return;
+  }
+  if (state == TabberInternal.SessionCrypto.State.LOCKED) {
+    callback('Unlock the saved sessions before turning off encryption');
+    return;
+  }
+  consoleDebugLog('Turning off session encryption');
+  tbr.readSyncData_(function(items, entries) {
+    TabberInternal.SessionCrypto.disable(function() {
+      tbr.rewriteSyncData_(items, entries, function(errMsg) {
+        // Keep the key until nothing encrypted is left.
+        if (!errMsg) {
+          TabberInternal.SessionCrypto.forget();
+        }
+        callback(errMsg);
+      });
+    });
+  });
+};
+
+/**
+ * Get the log of calls from other extensions and web pages, oldest first.
+ * @param {function(Array<TabberApi.type.external_call>)} callback - Called
+ *     with the log.
+ */
+TabberClass.prototype.getExternalLog = function(callback) {
+  TabberInternal.ExternalAccess.readLog(function(log) {
+    callback(log.map(function(entry) {
+      return {'time': new Date(entry.time).toLocaleString(),
+              'caller': entry.caller,
+              'method': entry.method,
+              'allowed': entry.allowed,
+              'error': entry.error};
+    }));
+  });
+};
+
+/**
+ * Set/modify Tabber operational parameters.
+ * @param {TabberApi.type.config} config - The caller's specified option values.
+ * @return {string} - A description of the first invalid option value, or ''
+ *     if all were accepted.
+ */
+TabberClass.prototype.setOptions = function(config) {
+  consoleDebugLog('setOptions() call with: ' + JSON.stringify(config));
+  var errMsg = '';
+  if (config.hasOwnProperty('mode')) {
+    // only accept recognized modes
+    if ((config.mode === tabberSingleton.mode.AUTOSYNC) ||
+        (config.mode === tabberSingleton.mode.AUTOSTART) ||
+        (config.mode === tabberSingleton.mode.AUTOSAVE) ||
+        (config.mode === tabberSingleton.mode.MANUAL)) {
+      // TODO: if new mode is AUTO* and sessions are not in sync, then
+      // alert the user that he must do a manual save/restore before selecting
+      // the specific AUTO mode. Otherwise, proceed below.
+      tabberSingleton.options_.mode = config.mode;
+      consoleDebugLog('New Tabber mode: ' + config.mode);
+      // Save updated config in Chrome local storage. This will trigger our
+      // change callback which in turn will run sync.
+      chrome.storage.local.set({'options': tabberSingleton.options_});
+    } else {
+      errMsg = errMsg || 'Unsupported Tabber operational mode: ' + config.mode;
+    }
+  }
+  if (config.hasOwnProperty('rules')) {
+    var ruleError = TabberInternal.TabRules.validateRules(config.rules);
+    if (!ruleError) {
+      tabberSingleton.options_.rules = copyObject_(config.rules);
+      consoleDebugLog('New Tabber rules: ' + JSON.stringify(config.rules));
+      TabberInternal.TabRules.setRules(tabberSingleton.options_.rules);
+      // Save updated config in Chrome local storage. Our change callback
+      // re-reads the local tabs through the new rules.
+      chrome.storage.local.set({'options': tabberSingleton.options_});
+    } else {
+      errMsg = errMsg || 'Invalid Tabber exclusion rules: ' + ruleError;
+    }
+  }
+  if (config.hasOwnProperty('incognito')) {
+    if (TabberInternal.TabRules.isIncognitoPolicy(config.incognito)) {
+      tabberSingleton.options_.incognito = config.incognito;
+      consoleDebugLog('New Tabber incognito policy: ' + config.incognito);
+      // Apply the policy now, so no more private tabs go where it no longer
+      // lets them.
+      TabberInternal.TabRules.setIncognitoPolicy(config.incognito);
+      // Forget the private tabs saved on this device if we no longer keep
+      // them there.
+      if (config.incognito != TabberInternal.TabRules.IncognitoPolicy.SEPARATE) {
+        chrome.storage.local.remove(tabberSingleton.constant_.incognito_key);
+        tabberSingleton.incognitoSaved_ = '';
+      }
+      chrome.storage.local.set({'options': tabberSingleton.options_});
+    } else {
+      errMsg = errMsg ||
+               'Unsupported Tabber incognito policy: ' + config.incognito;
+    }
+  }
+  if (config.hasOwnProperty('matching')) {
+    var matchingError =
+        TabberInternal.UrlMatching.validateConfig(config.matching);
+    if (!matchingError) {
+      tabberSingleton.options_.matching = copyObject_(config.matching);
+      consoleDebugLog('New Tabber URL matching: ' +
+                      JSON.stringify(config.matching));
+      TabberInternal.UrlMatching.setConfig(tabberSingleton.options_.matching);
+      // Save updated config in Chrome local storage. Our change callback
+      // re-reads the local tabs with the new matching.
+      chrome.storage.local.set({'options': tabberSingleton.options_});
+    } else {
+      errMsg = errMsg || 'Invalid Tabber URL matching: ' + matchingError;
+    }
+  }
+  if (config.hasOwnProperty('external')) {
+    var allowError =
+        TabberInternal.ExternalAccess.validateAllowlist(config.external);
+    if (!allowError) {
+      tabberSingleton.options_.external = {
+        ids: (config.external.ids || []).slice(),
+        origins: (config.external.origins || []).slice()
+      };
+      consoleDebugLog('New Tabber external allowlist: ' +
+                      JSON.stringify(tabberSingleton.options_.external));
+      chrome.storage.local.set({'options': tabberSingleton.options_});
+    } else {
+      errMsg = errMsg || 'Invalid Tabber external allowlist: ' + allowError;
+    }
+  }
+  if (config.hasOwnProperty('notifications')) {
+    tabberSingleton.options_.notifications = !!config.notifications;
+    chrome.storage.local.set({'options': tabberSingleton.options_});
+  }
+  if (config.hasOwnProperty('confirm_restore')) {
+    var threshold = config.confirm_restore;
+    if ((typeof threshold == 'number') && (threshold >= 0) &&
+        (Math.floor(threshold) == threshold)) {
+      tabberSingleton.options_.confirm_restore = threshold;
+      chrome.storage.local.set({'options': tabberSingleton.options_});
+    } else {
+      errMsg = errMsg ||
+               'Invalid restore confirmation threshold: ' + threshold;
+    }
+  }
+  if (config.hasOwnProperty('debug')) {
+    if (config.debug) {
+      debug = true;
+      consoleDebugLog('Turning debug ON');
+    } else {
+      consoleDebugLog('Turning debug OFF');
+      debug = false;
+    }
+  }
+  if (errMsg) {
+    consoleErrorLog(errMsg);
+  }
+  return errMsg;
+};
+
+/**
+ * Get the current Tabber status.
+ * @return {TabberApi.type.status}
+ */
+TabberClass.prototype.getStatus = function() {
+  consoleDebugLog('Copy options: ' + JSON.stringify(tabberSingleton.options_));
+  /** type {TabberApi.type.config} */
+  var opts = copyObject_(tabberSingleton.options_);
+  // Add the debug state
+  opts.debug = debug;
+  // And the URL matching in effect, defaults included.
+  opts.matching = TabberInternal.UrlMatching.getConfig();
+  opts.confirm_restore = tabberSingleton.getRestoreThreshold_();
+  /**
+   * @type {TabberApi.type.status}
+   */
+  var status = {
+          options: opts,
+          sync: {'state': tabberSingleton.status_,
+                 'msg': tabberSingleton.statusMessage_},
+          remote_time: tabberSingleton.remoteSession_.getTimeString(),
+          session: tabberSingleton.remoteSession_.id,
+          quota: copyObject_(tabberSingleton.quota_),
+          conflict: tabberSingleton.conflict_ ?
+                    copyObject_(tabberSingleton.conflict_) : null,
+          encryption: TabberInternal.SessionCrypto.getState(),
+          progress: {phase: tabberSingleton.progress_},
+          pending_restore: tabberSingleton.pendingRestore_ ?
+                           copyObject_(tabberSingleton.pendingRestore_) : null
+  };
+  return status;
+};
+
+/**
+ * Get the Tabber status for other extensions and web pages. This leaves out
+ * the options, with the exclusion rules and the external allowlist, and the
+ * details of the saved tabs.
+ * @private
+ * @return {TabberApi.type.external_status}
+ */
+TabberClass.prototype.getExternalStatus_ = function() {
+  var tbr = tabberSingleton;
+  return {
+    mode: tbr.options_.mode,
+    sync: {'state': tbr.status_, 'msg': tbr.statusMessage_},
+    remote_time: tbr.remoteSession_.getTimeString(),
+    session: tbr.remoteSession_.id,
+    encryption: TabberInternal.SessionCrypto.getState(),
+    progress: {phase: tbr.progress_}
+  };
+};
+
+/**
+ * List the tabs of the active saved session by window, with how each of them
+ * differs from the browser tabs, followed by the browser tabs which are not
+ * saved. Tabs excluded from restore are left out.
+ * @return {TabberApi.type.tab_list}
+ */
+TabberClass.prototype.getTabList = function() {
+  var tbr = tabberSingleton;
+  var rem = tbr.remoteSession_;
+  /** @type {TabberApi.type.tab_list} */
+  var list = {windows: [], removed: [], counts: {}};
+  if (!isSessionValid(rem)) {
+    return list;
+  }
+  var locTabs = TabberInternal.TabRules.filterForRestore(
+      tbr.localSession_.tabs);
+  var remTabs = TabberInternal.TabRules.filterForRestore(rem.tabs);
+  var changes = getTabsetChangeList(
+      locTabs, remTabs,
+      TabberInternal.RestorePlanner.mapWindows(locTabs, remTabs));
+  var windowById = {};
+  for (var c = 0; c < changes.length; c++) {
+    var change = changes[c];
+    var local = (change.status == TabStatus.REMOVED) ? change.tab :
+                change.match;
+    /** @type {TabberApi.type.tab_info} */
+    var info = {index: (c < remTabs.length) ? c : -1,
+                url: change.tab.url,
+                title: change.tab.title || change.tab.url,
+                status: change.status,
+                active: !!change.tab.active,
+                pinned: !!change.tab.pinned,
+                local_id: local ? local.id : undefined,
+                local_window_id: local ? local.windowId : undefined};
+    list.counts[change.status] = (list.counts[change.status] || 0) + 1;
+    if (info.index < 0) {
+      list.removed.push(info);
+      continue;
+    }
+    var windowId = change.tab.windowId;
+    if (!(windowId in windowById)) {
+      windowById[windowId] = {id: windowId, tabs: []};
+      list.windows.push(windowById[windowId]);
+    }
+    windowById[windowId].tabs.push(info);
+  }
+  return list;
+};
+
+/*
+ * Internal Tabber code
+ */
+
+/**
+ * Make the given session the active remote session, and remember the choice
+ * for this device.
+ * @private
+ * @param {TabberInternal.TabberSession} rem - The new remote session.
+ */
+TabberClass.prototype.setActiveSession_ = function(rem) {
+  var tbr = tabberSingleton;
+  var loc = tbr.localSession_;
+  tbr.remoteSession_ = rem;
+  tbr.baseSession_ = isSessionValid(rem) ?
+                     new TabberInternal.TabberSession(rem) : null;
+  tbr.conflict_ = null;
+  // Our local tabs now belong to this session.
+  loc.id = rem.id;
+  loc.description = rem.description;
+  var localObj = {};
+  localObj[tbr.constant_.session_key] = rem.id;
+  chrome.storage.local.set(localObj);
+};
+
+/**
+ * Get a saved session, or the latest tabs published by a device.
+ * @private
+ * @param {string} id - The id of the session or device.
+ * @param {function(?TabberInternal.TabberSession)} callback - Called with a
+ *     copy of the session, or null if there is no such session.
+ */
+TabberClass.prototype.loadSession_ = function(id, callback) {
+  var tbr = tabberSingleton;
+  if (id == tbr.remoteSession_.id) {
+    callback(new TabberInternal.TabberSession(tbr.remoteSession_));
+    return;
+  }
+  if (id in tbr.deviceSessions_) {
+    callback(new TabberInternal.TabberSession(tbr.deviceSessions_[id]));
+    return;
+  }
+  if (!(id in tbr.sessionNames_)) {
+    callback(null);
+    return;
+  }
+  chrome.storage.sync.get(null, function(items) {
+    TabberInternal.SessionCrypto.decryptItems(items, true, function(plain) {
+      var sess = new TabberInternal.TabberSession(0, id);
+      sess.updateProps(plain);
+      callback(sess);
+    });
+  });
+};
+
+/**
+ * Make the local browser match a session other than the active remote one.
+ * The session is used as the restore target, and the active remote session is
+ * put back when done.
+ * @private
+ * @param {TabberInternal.TabberSession} sess - The session to restore from.
+ * @param {boolean} saveAfter - Save the restored tabs as the active session
+ *     when done, rather than just picking them up as local changes.
+ * @return {string} - Why the restore did not start, or '' if it did.
+ */
+TabberClass.prototype.syncBrowserFromSession_ = function(sess, saveAfter) {
+  var tbr = tabberSingleton;
+  // Don't allow overlapping browser syncs
+  if (tbr.sync_in_progess_) {
+    consoleTaggedLog('Overlapping browser restore ignored');
+    return 'Tabs are already being restored';
+  }
+  // Check before the active session is put aside, so it stays in place.
+  var errMsg = tbr.getRestoreError_(sess);
+  if (errMsg) {
+    consoleErrorLog('Cannot restore from ' + sess.description + ': ' + errMsg);
+    return errMsg;
+  }
+  // This is kept in the state snapshot, so the restore can be picked up again
+  // if the worker is stopped (see resumeState_).
+  tbr.sessionRestore_ = {saved: tbr.remoteSession_, saveAfter: saveAfter};
+  tbr.remoteSession_ = sess;
+  tbr.sync_done_callback_ = tbr.syncBrowserFromSessionDone_;
+  tbr.syncBrowserFromRemote();
+  return '';
+};
+
+/**
+ * Complete a restore from a session other than the active remote one.
+ * @private
+ */
+TabberClass.prototype.syncBrowserFromSessionDone_ = function() {
+  var tbr = tabberSingleton;
+  var restore = tbr.sessionRestore_;
+  tbr.remoteSession_ = restore.saved;
+  tbr.sessionRestore_ = null;
+  tbr.sync_in_progess_ = false;
+  if (restore.saveAfter) {
+    tbr.saveLocalToRemote();
+  } else {
+    tbr.persistState_();
+    tbr.scheduleLocalSessionUpdate_(tbr.constant_.sync_delay);
+  }
+};
+
+/**
+ * Publish the local tabs to this device's session slot. Every publish is a
+ * full chrome.storage.sync write on top of the session saves, so the tabs are
+ * published at most once per publish_interval, by the publish alarm, unless
+ * forced.
+ * @private
+ * @param {boolean=} opt_force - Publish now, even if the tabs did not change.
+ */
+TabberClass.prototype.publishDeviceSession_ = function(opt_force) {
+  var tbr = tabberSingleton;
+  if (opt_force) {
+    chrome.alarms.clear(tbr.constant_.publish_alarm);
+    tbr.publishDeviceSessionNow_(true);
+    return;
+  }
+  // A pending publish picks up the tabs as they are when it goes off.
+  chrome.alarms.get(tbr.constant_.publish_alarm, function(alarm) {
+    if (!alarm) {
+      chrome.alarms.create(tbr.constant_.publish_alarm,
+                           {when: Date.now() +
+                                  tbr.constant_.publish_interval});
+    }
+  });
+};
+
+/**
+ * Publish the local tabs to this device's session slot, if they changed since
+ * they were last published. The tabs are also published again well before
+ * other devices would take the slot for one of a device which is gone (see
+ * pruneDeviceSessions_).
+ * @private
+ * @param {boolean=} opt_force - Publish even if the tabs did not change.
+ */
+TabberClass.prototype.publishDeviceSessionNow_ = function(opt_force) {
+  var tbr = tabberSingleton;
+  var loc = tbr.localSession_;
+  if (!tbr.device_ || !isSessionValid(loc)) {
+    return;
+  }
+  var now = getLocalTime_();
+  var published = tbr.deviceSessions_[tbr.device_.id];
+  if (published && !opt_force &&
+      (published.updateTime > now - (tbr.constant_.device_expiry / 2))) {
+    var diff = getTabsetDiff(published.tabs, loc.tabs, published.groups,
+                             loc.groups);
+    if (!diff.major && !diff.minor) {
+      return;
+    }
+  }
+  var sess = new TabberInternal.TabberSession(loc);
+  sess.id = getDeviceSessionId(tbr.device_.id);
+  sess.description = tbr.device_.name;
+  // The slot's time is when the device was last seen.
+  sess.updateTime = now;
+  consoleDebugLog('Publishing tabs for device ' + tbr.device_.name);
+  tbr.deviceSessions_[tbr.device_.id] = sess;
+  sess.saveToSync(function(errMsg) {
+    if (errMsg) {
+      consoleErrorLog('Unable to publish device tabs: ' + errMsg);
+    }
+  });
+};
+
+/**
+ * Save the incognito tabs to this device's local storage, if the incognito
+ * policy keeps them there and they changed since they were last saved. The
+ * last incognito tabs are kept when all incognito windows close, so they can
+ * be reopened by the next restore.
+ * @private
+ */
+TabberClass.prototype.saveIncognitoTabs_ = function() {
+  var tbr = tabberSingleton;
+  if (TabberInternal.TabRules.getIncognitoPolicy() !=
+      TabberInternal.TabRules.IncognitoPolicy.SEPARATE) {
+    return;
+  }
+  chrome.windows.getAll({populate: true}, function(windows) {
+    var tabSet = {tabs: [], groups: [], windows: [],
+                  display: tbr.localSession_.display};
+    for (var w = 0; w < windows.length; w++) {
+      if (windows[w].incognito) {
+        tabSet.windows.push(getWindowInfo(windows[w]));
+        tabSet.tabs = tabSet.tabs.concat(
+            TabberInternal.TabRules.getIncognitoTabs(windows[w].tabs, false));
+      }
+    }
+    if (tabSet.tabs.length < 1) {
+      return;
+    }
+    var encoded = TabberInternal.SessionEncoding.encodeTabSet(tabSet);
+    if (encoded == tbr.incognitoSaved_) {
+      return;
+    }
+    consoleDebugLog('Saving ' + tabSet.tabs.length + ' incognito tabs locally');
+    tbr.incognitoSaved_ = encoded;
+    var localObj = {};
+    localObj[tbr.constant_.incognito_key] = {updateTime: Date.now(),
+                                             tabs: encoded};
+    chrome.storage.local.set(localObj);
+  });
+};
+
+/**
+ * Called when the active session was deleted, to switch to another saved
+ * session, or an empty default session if there are none left.
+ * @private
+ */
+TabberClass.prototype.switchToRemainingSession_ = function() {
+  var tbr = tabberSingleton;
+  var ids = Object.keys(tbr.sessionNames_);
+  if (ids.length > 0) {
+    tbr.switchSession(ids[0]);
+    return;
+  }
+  consoleDebugLog('No sessions left, starting a new default session');
+  tbr.setActiveSession_(new TabberInternal.TabberSession(0));
+  tbr.doSync_(false);
+};
+
+/**
+ * Perform the initial phase of saving a local session, which is just to make
+ * sure we have the latest tabs from chrome.
+ * @private
+ * @param {function()} contFunc - The function to call after tabs are updated.
+ */
+TabberClass.prototype.syncLocalToBrowser_ = function(contFunc) {
+  var tbr = tabberSingleton;
+  consoleDebugLog('Performing syncLocalToBrowser_');
+  // Every save, restore and merge starts here, so note that it is running.
+  tbr.persistState_();
+  tbr.reportProgress_(TabberInternal.Protocol.Phase.READ);
+
+  // Callback gets the current tabs info
+  function currentTabs(tabSet) {
+    var loc = tbr.localSession_;
+    consoleDebugLog('Latest local tabs:\n' + tabsToString(tabSet.tabs));
+    // Accept the new set of tabs
+    loc.tabs = tabSet.tabs;
+    loc.groups = tabSet.groups;
+    loc.windows = tabSet.windows;
+    loc.display = tabSet.display;
+    // Proceed with updated tabs in place.
+    contFunc();
+  }
+  // Get the current tabs from Chrome
+  tbr.queryBrowser_(currentTabs);
+};
+
+/**
+ * Get the current tabs, tab groups and windows from Chrome, along with the
+ * screen area the windows are laid out in.
+ * @private
+ * @param {function(TabberInt.type.TabSet)} callback - Called with the tabs.
+ */
+TabberClass.prototype.queryBrowser_ = function(callback) {
+  var tabSet = {tabs: [], groups: [], windows: [], display: null};
+  chrome.tabs.query({}, function(tabs) {
+    // Tabs excluded from saving (including incognito tabs, unless the user
+    // opted in to saving them) are never part of the local session.
+    tabSet.tabs = TabberInternal.TabRules.filterForSave(tabs);
+    // The tabGroups API came with Chrome 89, a version after Manifest V3.
+    if (!chrome.tabGroups) {
+      getWindows();
+      return;
+    }
+    chrome.tabGroups.query({}, function(groups) {
+      tabSet.groups = groups;
+      getWindows();
+    });
+  });
+  function getWindows() {
+    chrome.windows.getAll({}, function(windows) {
+      tabSet.windows = windows.map(getWindowInfo);
+      // Only keep the incognito windows if we keep their tabs.
+      if (TabberInternal.TabRules.getIncognitoPolicy() !=
+          TabberInternal.TabRules.IncognitoPolicy.NORMAL) {
+        tabSet.windows = tabSet.windows.filter(function(win) {
+          return !win.incognito;
+        });
+      }
+      getDisplayArea(function(area) {
+        tabSet.display = area;
+        callback(tabSet);
+      });
+    });
+  }
+};
+
+/**
+ * Perform the actual save of the local session to the remote account.
+ * When this phase completes, the real save operation is done.
+ * @private
+ */
+TabberClass.prototype.saveLocalToRemote_ = function() {
+  consoleDebugLog('Performing saveLocalToRemote action');
+  var tbr = tabberSingleton;
+  tbr.reportProgress_(TabberInternal.Protocol.Phase.SAVE);
+  var loc = tbr.localSession_;
+  var rem = tbr.remoteSession_;
+  // Before we flush our local session to remote, make sure we pick a new
+  // generation number that is highest.
+  if (loc.generation <= rem.generation) {
+    loc.generation = rem.generation + 1;
+  }
+  // Record which saved generation the local tabs were derived from.
+  loc.baseGeneration = tbr.baseSession_ ? tbr.baseSession_.generation :
+                                          rem.generation;
+  // Keep the session we are replacing in the history. Always keep it if we
+  // are about to lose tabs.
+  var tabDiff = getTabsetDiff(rem.tabs, loc.tabs, rem.groups, loc.groups);
+  if ((rem.id == loc.id) && isSessionValid(rem) &&
+      (tabDiff.major || tabDiff.minor)) {
+    TabberInternal.SessionHistory.record(new TabberInternal.TabberSession(rem),
+                                         loc.tabs.length < rem.tabs.length);
+  }
+  // Get a sync object which encodes the tabs into chunked elements
+  // so chrome.staorage.sync can handle it.
+  loc.prepareSync(function(syncObj, errMsg) {
+    if (errMsg) {
+      tbr.setStatus_(tbr.state.ERR, 'Unable to save session: ' + errMsg);
+      tbr.save_in_progess_ = false;
+      return;
+    }
+    tbr.saveSyncObject_(syncObj);
+  });
+};
+
+/**
+ * Write the sync object of the local session to the remote account, if it
+ * fits in the sync quota.
+ * @private
+ * @param {Object} syncObj - The sync object from prepareSync.
+ */
+TabberClass.prototype.saveSyncObject_ = function(syncObj) {
+  var tbr = tabberSingleton;
+  var loc = tbr.localSession_;
+  var sessionKeys = Object.keys(syncObj);
+  var sessionBytes = getSyncObjectSize(syncObj);
+  // Now we can update the remote.
+  consoleDebugLog('Saving current session to remote storage');
+  consoleDebugLog('Saving: ' + JSON.stringify(syncObj));
+  loc.saveToSync(function(errMsg) {
+    if (errMsg) {
+      // Report error.
+      tbr.setStatus_(tbr.state.ERR, 'Unable to save session: ' + errMsg);
+    } else {
+      // success updating remote session
+      tbr.remoteSession_ =
+          new TabberInternal.TabberSession(tbr.localSession_);
+      tbr.baseSession_ =
+          new TabberInternal.TabberSession(tbr.localSession_);
+      //      tbr.setStatus_(tbr.state.OK, 'Checking session');
+    }
+    // Note that saving to chrome storage will generate a storage change
+    // event, which in turn will provoke a doSync
+    tbr.save_in_progess_ = false;
+    tbr.persistState_();
+    return;
+  }, syncObj, function(items, staleKeys, callback) {
+    tbr.checkSyncQuota_(sessionKeys, sessionBytes, items, staleKeys,
+                        callback);
+  });
+};
+
+/**
+ * Check that a session save fits in the chrome.storage.sync quotas, both the
+ * bytes and the number of items, next to everything else. The sync storage
+ * usage is recorded for getStatus.
+ * @private
+ * @param {Array<string>} sessionKeys - The keys the save writes.
+ * @param {number} sessionBytes - The bytes the save writes.
+ * @param {Object} items - The items stored now.
+ * @param {Array<string>} staleKeys - The stored keys the save removes.
+ * @param {function(string)} callback - Called with an error message if the
+ *     save does not fit, or an empty one.
+ */
+TabberClass.prototype.checkSyncQuota_ = function(sessionKeys, sessionBytes,
+                                                 items, staleKeys, callback) {
+  var tbr = tabberSingleton;
+  var replacedItems = {};
+  var staleItems = {};
+  var newCount = 0;
+  for (var k = 0; k < sessionKeys.length; k++) {
+    if (sessionKeys[k] in items) {
+      replacedItems[sessionKeys[k]] = items[sessionKeys[k]];
+    } else {
+      newCount++;
+    }
+  }
+  for (k = 0; k < staleKeys.length; k++) {
+    staleItems[staleKeys[k]] = items[staleKeys[k]];
+  }
+  chrome.storage.sync.getBytesInUse(null, function(storedBytes) {
+    // While the new chunks are staged, the old ones are still stored.
+    var peakBytes = storedBytes - getSyncObjectSize(replacedItems) +
+                    sessionBytes;
+    var peakCount = Object.keys(items).length + newCount;
+    tbr.quota_ = {session: sessionBytes,
+                  used: peakBytes - getSyncObjectSize(staleItems),
+                  max: chrome.storage.sync.QUOTA_BYTES,
+                  items: peakCount - staleKeys.length,
+                  max_items: chrome.storage.sync.MAX_ITEMS};
+    consoleDebugLog('Session needs ' + sessionBytes + ' bytes, total ' +
+                    tbr.quota_.used + ' (' + peakBytes + ' while saving) of ' +
+                    tbr.quota_.max + ', and ' + peakCount + ' items of ' +
+                    tbr.quota_.max_items);
+    if (peakBytes > tbr.quota_.max) {
+      callback('it needs ' + Math.ceil(sessionBytes / 1024) + 'KB, but only ' +
+               Math.floor((tbr.quota_.max - peakBytes + sessionBytes) / 1024) +
+               'KB of sync storage is free');
+    } else if (peakCount > tbr.quota_.max_items) {
+      var free = tbr.quota_.max_items - peakCount + sessionKeys.length;
+      callback('it needs ' + sessionKeys.length + ' sync storage items, ' +
+               'but only ' + free + ((free == 1) ? ' is' : ' are') + ' free');
+    } else {
+      callback('');
+    }
+  });
+};
+
+/**
+ * This function opens, moves and closes tabs so the browser has the tabs of
+ * the remote session, following a plan from TabberInternal.RestorePlanner.
+ * At the end of this phase the local session data has the local tab of each
+ * remote tab, in the same order, and tbr.windowIds_ has the local window of
+ * each remote window.
+ * @private
+ */
+TabberClass.prototype.syncBrowserCreatesAndMoves_ = function() {
+  var tbr = tabberSingleton;
+  var OpType = TabberInternal.RestorePlanner.OpType;
+  tbr.reportProgress_(TabberInternal.Protocol.Phase.WINDOWS);
+  var loc = tbr.localSession_;
+  // Tabs excluded from restore are neither opened nor closed, so leave them
+  // out of both sides for all of the restore phases.
+  loc.tabs = TabberInternal.TabRules.filterForRestore(loc.tabs);
+  var rem = new TabberInternal.TabberSession(tbr.remoteSession_);
+  rem.tabs = TabberInternal.TabRules.filterForRestore(rem.tabs);
+  tbr.restoreTarget_ = rem;
+
+  consoleDebugLog('Planning restore');
+  consoleDebugLog('Current Remote windows:\n' + tabsToString(rem.tabs));
+  consoleDebugLog('Current Local windows:\n' + tabsToString(loc.tabs));
+  var plan = TabberInternal.RestorePlanner.plan(loc.tabs, rem.tabs);
+  consoleDebugLog('Restore plan has ' + plan.ops.length + ' operations');
+  var locIdByRemId = plan.windowMap;
+  // The local tab of each remote tab, with pseudo-tabs for the new ones.
+  var tabs = plan.matches.map(function(m, t) {
+    if (m >= 0) {
+      return loc.tabs[m];
+    }
+    return {index: -1, url: rem.tabs[t].url, title: rem.tabs[t].title,
+            active: false};
+  });
+  // Look up the saved window state by remote window id.
+  var remWindows = {};
+  for (var w = 0; w < rem.windows.length; w++) {
+    remWindows[rem.windows[w].id] = rem.windows[w];
+  }
+
+  // Init SyncPhaseHandler to manage this phase.
+  TabberInternal.SyncPhaseHandler.initHandler(tbr.syncBrowserSetActive_);
+
+  /**
+   * This doStep callback updates our local tab object (and the window map,
+   * for a new window) and goes on with the next operation.
+   * @param {*} ctx - Index of the operation.
+   * @param {Array<*>} results - What chrome passed to the callback.
+   */
+  function onOpDone(ctx, results) {
+    var op = plan.ops[ctx];
+    var result = results[0];
+    if (result && (op.type == OpType.NEW_WINDOW)) {
+      consoleDebugLog('New rem->loc map: ' + op.windowId + ' -> ' + result.id);
+      locIdByRemId[op.windowId] = result.id;
+      result = result.tabs ? result.tabs[0] : null;
+    }
+    if (result && (op.remIndex >= 0) && (op.type != OpType.ACTIVATE) &&
+        (op.type != OpType.NAVIGATE)) {
+      tabs[op.remIndex].id = result.id;
+      tabs[op.remIndex].index = result.index;
+      tabs[op.remIndex].windowId = result.windowId;
+    }
+    applyNextOp();
+  }
+
+  var opIndex = -1;
+  /**
+   * Reentrant function that does the operations of the plan, one at a time,
+   * since the index of each operation counts on the ones before it.
+   */
+  function applyNextOp() {
+    for (opIndex++; opIndex < plan.ops.length; opIndex++) {
+      var op = plan.ops[opIndex];
+      var lwid = locIdByRemId[op.windowId];
+      if ((op.type != OpType.NEW_WINDOW) && (op.type != OpType.REMOVE) &&
+          (typeof lwid == 'undefined')) {
+        consoleErrorLog('No window for remote tab ' + op.remIndex);
+        continue;
+      }
+      // A tab which failed to open has no id, and chrome.tabs.update would
+      // take that to mean the active tab.
+      if (((op.type == OpType.ACTIVATE) || (op.type == OpType.NAVIGATE)) &&
+          (typeof tabs[op.remIndex].id == 'undefined')) {
+        consoleErrorLog('No tab for remote tab ' + op.remIndex);
+        continue;
+      }
+      tbr.reportProgress_((op.type == OpType.REMOVE) ?
+                          TabberInternal.Protocol.Phase.DELETE :
+                          (op.type == OpType.ACTIVATE) ?
+                          TabberInternal.Protocol.Phase.ACTIVE :
+                          TabberInternal.Protocol.Phase.CREATE);
+      TabberInternal.SyncPhaseHandler.setDoStepCallback(onOpDone, opIndex);
+      if (op.type == OpType.ACTIVATE) {
+        TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.update,
+            tabs[op.remIndex].id, {active: true});
+      } else if (op.type == OpType.NAVIGATE) {
+        consoleDebugLog('Navigating tab ' + tabs[op.remIndex].id + ' to ' +
+                        rem.tabs[op.remIndex].url);
+        tabs[op.remIndex].url = rem.tabs[op.remIndex].url;
+        TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.update,
+            tabs[op.remIndex].id, {url: rem.tabs[op.remIndex].url});
+      } else if (op.type == OpType.REMOVE) {
+        consoleDebugLog('Removing tab ' + loc.tabs[op.locIndex].id);
+        TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.remove,
+                                               loc.tabs[op.locIndex].id);
+      } else if (op.type == OpType.NEW_WINDOW) {
+        // Open the window where it was saved, with its first tab.
+        var createData = {};
+        if (op.locIndex >= 0) {
+          createData.tabId = loc.tabs[op.locIndex].id;
+        } else {
+          createData.url = rem.tabs[op.remIndex].url;
+        }
+        var remWin = remWindows[op.windowId];
+        if (remWin) {
+          var bounds = getLocalWindowBounds(remWin, rem.display, loc.display);
+          if (bounds) {
+            createData.left = bounds.left;
+            createData.top = bounds.top;
+            createData.width = bounds.width;
+            createData.height = bounds.height;
+          }
+          if (remWin.type == 'popup') {
+            createData.type = 'popup';
+          }
+        }
+        consoleDebugLog('Opening a window for rwid ' + op.windowId);
+        TabberInternal.SyncPhaseHandler.doStep(chrome.windows.create,
+                                               createData);
+      } else if (op.type == OpType.CREATE) {
+        consoleDebugLog('Opening remote tab ' + op.remIndex + ' in window ' +
+                        lwid + ' at index ' + op.index);
+        TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.create,
+            {windowId: lwid, index: op.index, url: rem.tabs[op.remIndex].url,
+             active: false});
+      } else {
+        consoleDebugLog('Moving tab ' + loc.tabs[op.locIndex].id +
+                        ' to window ' + lwid + ' at index ' + op.index);
+        TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.move,
+            loc.tabs[op.locIndex].id, {windowId: lwid, index: op.index});
+      }
+      // stop here and let step callback continue with the next operation.
+      return;
+    }
+    // Done with this phase. Keep the mapping for restoring window state.
+    loc.tabs = tabs;
+    tbr.windowIds_ = locIdByRemId;
+    TabberInternal.SyncPhaseHandler.finalize();
+  }
+  applyNextOp();
+};
+
+/**
+ * This function sets the pinned and muted state of each tab, when syncing the
+ * local browser. The active tabs were set along with the tab operations.
+ * @private
+ */
+TabberClass.prototype.syncBrowserSetActive_ = function() {
+  var tbr = tabberSingleton;
+  tbr.reportProgress_(TabberInternal.Protocol.Phase.ACTIVE);
+  var loc = tbr.localSession_;
+  var rem = tbr.restoreTarget_;
+
+  // Start the work of setting active states.
+  consoleDebugLog('Finalizing local session...');
+
+  // Init SyncPhaseHandler to manage this phase.
+  TabberInternal.SyncPhaseHandler.initHandler(tbr.syncBrowserGroups_);
+
+  // Walk the remote tabs and set the states which differ.
+  for (var t = 0; t < loc.tabs.length; t++) {
+    var pinned = !!rem.tabs[t].pinned;
+    var muted = isTabMuted(rem.tabs[t]);
+    var props = {};
+    if (!!loc.tabs[t].pinned != pinned) {
+      props['pinned'] = pinned;
+    }
+    if (isTabMuted(loc.tabs[t]) != muted) {
+      props['muted'] = muted;
+    }
+    // Set the local session data states
+    loc.tabs[t].active = rem.tabs[t].active;
+    loc.tabs[t].pinned = pinned;
+    loc.tabs[t].mutedInfo = {muted: muted};
+    // And add a step to tell Chrome to do it too, unless the tab failed to
+    // open.
+    if ((Object.keys(props).length > 0) &&
+        (typeof loc.tabs[t].id != 'undefined')) {
+      TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.update,
+                                             loc.tabs[t].id, props);
+    }
+  }
+  // Complete this phase
+  TabberInternal.SyncPhaseHandler.finalize();
+};
+
+/**
+ * This function recreates the remote tab groups when syncing the local
+ * browser. It runs after the tabs are pinned, since pinning a tab takes it out
+ * of its group and pinned tabs can't be grouped, and after the active tabs are
+ * set, since activating a tab would expand a collapsed group. Local groups
+ * holding most of a remote group's tabs are reused, and other groups are
+ * created.
+ * @private
+ */
+TabberClass.prototype.syncBrowserGroups_ = function() {
+  var tbr = tabberSingleton;
+  tbr.reportProgress_(TabberInternal.Protocol.Phase.GROUPS);
+  var loc = tbr.localSession_;
+  var rem = tbr.restoreTarget_;
+
+  // Init SyncPhaseHandler to manage this phase.
+  TabberInternal.SyncPhaseHandler.initHandler(tbr.syncBrowserWindows_);
+
+  // Without the tabGroups API (before Chrome 89) there is nothing to do.
+  if (!chrome.tabGroups) {
+    TabberInternal.SyncPhaseHandler.finalize();
+    return;
+  }
+  consoleDebugLog('Restoring tab groups');
+
+  /**
+   * Continue with the next remote group once Chrome has grouped its tabs.
+   * The steps are done one at a time, since each needs the step callback.
+   */
+  function onStepDone() {
+    groupNextRemote();
+  }
+
+  /**
+   * Set the name, color and collapsed state of a group once Chrome has
+   * grouped its tabs.
+   * @param {*} ctx - Index of the remote group.
+   * @param {Array<number>} groupIdArray - The local groupId from Chrome.
+   */
+  function onGroupDone(ctx, groupIdArray) {
+    var remGroup = remGroups[ctx];
+    var groupId = groupIdArray[0];
+    if (typeof groupId == 'number') {
+      for (var i = 0; i < groupTabIds[remGroup.id].length; i++) {
+        loc.tabs[groupTabIndexes[remGroup.id][i]].groupId = groupId;
+      }
+      loc.groups.push({id: groupId, title: remGroup.title,
+                       color: remGroup.color, collapsed: remGroup.collapsed,
+                       windowId: loc.tabs[groupTabIndexes[remGroup.id][0]]
+                                     .windowId});
+      TabberInternal.SyncPhaseHandler.setDoStepCallback(onStepDone, ctx);
+      TabberInternal.SyncPhaseHandler.doStep(chrome.tabGroups.update, groupId,
+          {title: remGroup.title || '', color: remGroup.color,
+           collapsed: remGroup.collapsed});
+      return;
+    }
+    groupNextRemote();
+  }
+
+  var remGroups = [];
+  var groupTabIds = {};
+  var groupTabIndexes = {};
+  var usedLocalGroups = {};
+  var remGroupIndex = -1;
+  /**
+   * Reentrant function that groups the tabs of each remote group in turn.
+   */
+  function groupNextRemote() {
+    for (remGroupIndex++; remGroupIndex < remGroups.length; remGroupIndex++) {
+      var remGroup = remGroups[remGroupIndex];
+      var tabIds = groupTabIds[remGroup.id];
+      // Reuse the local group which holds most of these tabs.
+      var counts = {};
+      var bestId = NO_GROUP_ID;
+      for (var i = 0; i < tabIds.length; i++) {
+        var localId = currentGroupIds[tabIds[i]];
+        if ((typeof localId != 'number') || (localId == NO_GROUP_ID) ||
+            usedLocalGroups[localId]) {
+          continue;
+        }
+        counts[localId] = (counts[localId] || 0) + 1;
+        if ((bestId == NO_GROUP_ID) || (counts[localId] > counts[bestId])) {
+          bestId = localId;
+        }
+      }
+      var options = {tabIds: tabIds};
+      if (bestId != NO_GROUP_ID) {
+        usedLocalGroups[bestId] = true;
+        options.groupId = bestId;
+      } else {
+        var firstTab = loc.tabs[groupTabIndexes[remGroup.id][0]];
+        options.createProperties = {windowId: firstTab.windowId};
+      }
+      consoleDebugLog('Grouping ' + tabIds.length + ' tabs as \'' +
+                      remGroup.title + '\'');
+      TabberInternal.SyncPhaseHandler.setDoStepCallback(onGroupDone,
+                                                        remGroupIndex);
+      TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.group, options);
+      // stop here and let step callback continue with the next group.
+      return;
+    }
+    // Done with this phase.
+    TabberInternal.SyncPhaseHandler.finalize();
+  }
+
+  // Creating and moving tabs can change their groups, so ask Chrome.
+  var currentGroupIds = {};
+  chrome.tabs.query({}, function(tabs) {
+    for (var t = 0; t < tabs.length; t++) {
+      currentGroupIds[tabs[t].id] = getTabGroupId(tabs[t]);
+    }
+    var remGroupById = {};
+    for (var g = 0; g < rem.groups.length; g++) {
+      remGroupById[rem.groups[g].id] = rem.groups[g];
+    }
+    // Sort the local tabs by the remote group they belong in.
+    var ungroupIds = [];
+    for (var t = 0; t < loc.tabs.length; t++) {
+      // Skip the tabs which failed to open.
+      if (typeof loc.tabs[t].id == 'undefined') {
+        continue;
+      }
+      var remGroup = remGroupById[getTabGroupId(rem.tabs[t])];
+      // Chrome refuses to group pinned tabs, so they stay out of groups.
+      if (!remGroup || loc.tabs[t].pinned) {
+        if (currentGroupIds[loc.tabs[t].id] != NO_GROUP_ID) {
+          ungroupIds.push(loc.tabs[t].id);
+        }
+        loc.tabs[t].groupId = NO_GROUP_ID;
+        continue;
+      }
+      if (!(remGroup.id in groupTabIds)) {
+        remGroups.push(remGroup);
+        groupTabIds[remGroup.id] = [];
+        groupTabIndexes[remGroup.id] = [];
+      }
+      groupTabIds[remGroup.id].push(loc.tabs[t].id);
+      groupTabIndexes[remGroup.id].push(t);
+    }
+    loc.groups = [];
+    if (ungroupIds.length > 0) {
+      consoleDebugLog('Ungrouping ' + ungroupIds.length + ' tabs');
+      TabberInternal.SyncPhaseHandler.setDoStepCallback(onStepDone, null);
+      TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.ungroup, ungroupIds);
+      return;
+    }
+    groupNextRemote();
+  });
+};
+
+/**
+ * This function restores the saved position, size and state of each window
+ * when syncing the local browser, and focuses the window which had focus.
+ * Bounds are scaled to the local screen area if the session was saved on a
+ * device with a different one.
+ * @private
+ */
+TabberClass.prototype.syncBrowserWindows_ = function() {
+  var tbr = tabberSingleton;
+  tbr.reportProgress_(TabberInternal.Protocol.Phase.BOUNDS);
+  var loc = tbr.localSession_;
+  var rem = tbr.restoreTarget_;
+
+  consoleDebugLog('Restoring window state');
+
+  // Init SyncPhaseHandler to manage this phase.
+  TabberInternal.SyncPhaseHandler.initHandler(tbr.syncBrowserIncognito_);
+
+  var focusId = null;
+  for (var w = 0; w < rem.windows.length; w++) {
+    var remWin = rem.windows[w];
+    var lwid = tbr.windowIds_[remWin.id];
+    if (typeof lwid == 'undefined') {
+      continue;
+    }
+    lwid = Number(lwid);
+    // Bounds only apply to normal windows, so set those first.
+    var bounds = getLocalWindowBounds(remWin, rem.display, loc.display);
+    if (bounds) {
+      TabberInternal.SyncPhaseHandler.doStep(chrome.windows.update, lwid,
+          {state: 'normal', left: bounds.left, top: bounds.top,
+           width: bounds.width, height: bounds.height});
+    }
+    if (remWin.state && (remWin.state != 'normal')) {
+      TabberInternal.SyncPhaseHandler.doStep(chrome.windows.update, lwid,
+                                             {state: remWin.state});
+    }
+    if (remWin.focused && (remWin.state != 'minimized')) {
+      focusId = lwid;
+    }
+  }
+  // Focus last, so the focused window ends up on top.
+  if (focusId != null) {
+    TabberInternal.SyncPhaseHandler.doStep(chrome.windows.update, focusId,
+                                           {focused: true});
+  }
+  // Complete this phase
+  TabberInternal.SyncPhaseHandler.finalize();
+};
+
+/**
+ * This function reopens the saved incognito windows when syncing the local
+ * browser. This is only done if the incognito policy saves incognito tabs,
+ * Chrome lets Tabber into incognito windows, and no incognito windows are
+ * open yet. It is done at most once per browser run, so incognito windows the
+ * user closed don't come back with every restore.
+ * @private
+ */
+TabberClass.prototype.syncBrowserIncognito_ = function() {
+  var tbr = tabberSingleton;
+  tbr.reportProgress_(TabberInternal.Protocol.Phase.INCOGNITO);
+  var loc = tbr.localSession_;
+  var rem = tbr.remoteSession_;
+  var policy = TabberInternal.TabRules.getIncognitoPolicy();
+  if ((policy == TabberInternal.TabRules.IncognitoPolicy.IGNORE) ||
+      tbr.incognitoReopened_) {
+    tbr.syncBrowserDone_();
+    return;
+  }
+
+  /**
+   * Open a new incognito window for each saved incognito window.
+   * @param {TabberInt.type.TabSet} tabSet - The saved tabs and windows.
+   */
+  function openWindows(tabSet) {
+    // Init SyncPhaseHandler to manage this phase.
+    TabberInternal.SyncPhaseHandler.initHandler(tbr.syncBrowserDone_);
+    var tabs = TabberInternal.TabRules.getIncognitoTabs(tabSet.tabs, true);
+    var urlsByWindow = {};
+    for (var t = 0; t < tabs.length; t++) {
+      if (!(tabs[t].windowId in urlsByWindow)) {
+        urlsByWindow[tabs[t].windowId] = [];
+      }
+      urlsByWindow[tabs[t].windowId].push(tabs[t].url);
+    }
+    var remWindows = {};
+    for (var w = 0; w < tabSet.windows.length; w++) {
+      remWindows[tabSet.windows[w].id] = tabSet.windows[w];
+    }
+    for (var rwid in urlsByWindow) {
+      consoleDebugLog('Reopening incognito window ' + rwid);
+      var createData = {url: urlsByWindow[rwid], incognito: true,
+                        focused: false};
+      var bounds = remWindows[rwid] ?
+          getLocalWindowBounds(remWindows[rwid], tabSet.display, loc.display) :
+          null;
+      if (bounds) {
+        createData.left = bounds.left;
+        createData.top = bounds.top;
+        createData.width = bounds.width;
+        createData.height = bounds.height;
+      }
+      TabberInternal.SyncPhaseHandler.doStep(chrome.windows.create,
+                                             createData);
+    }
+    // Complete this phase
+    TabberInternal.SyncPhaseHandler.finalize();
+  }
+
+  chrome.extension.isAllowedIncognitoAccess(function(allowed) {
+    if (!allowed) {
+      consoleDebugLog('No incognito access, not reopening incognito windows');
+      tbr.syncBrowserDone_();
+      return;
+    }
+    tbr.incognitoReopened_ = true;
+    chrome.windows.getAll({}, function(windows) {
+      for (var w = 0; w < windows.length; w++) {
+        if (windows[w].incognito) {
+          consoleDebugLog('Incognito windows already open');
+          tbr.syncBrowserDone_();
+          return;
+        }
+      }
+      if (policy == TabberInternal.TabRules.IncognitoPolicy.NORMAL) {
+        openWindows(rem);
+        return;
+      }
+      // Otherwise the incognito tabs were saved on this device.
+      chrome.storage.local.get(tbr.constant_.incognito_key, function(items) {
+        var saved = items[tbr.constant_.incognito_key];
+        var tabSet = saved ?
+            TabberInternal.SessionEncoding.decodeTabSet(saved.tabs) : null;
+        if (!tabSet) {
+          tbr.syncBrowserDone_();
+          return;
+        }
+        openWindows(tabSet);
+      });
+    });
+  });
+};
+
+/**
+ * This function completes a browser sync.
+ * @private
+ */
+TabberClass.prototype.syncBrowserDone_ = function() {
+  var tbr = tabberSingleton;
+  tbr.restoreTarget_ = null;
+  // If someone is waiting on this sync, let them finish up instead.
+  var doneCallback = tbr.sync_done_callback_;
+  if (doneCallback) {
+    tbr.sync_done_callback_ = null;
+    doneCallback();
+    return;
+  }
+  // Tell Tabber to respond to local changes again.
+  consoleDebugLog('Re-enabling change monitor');
+  tbr.sync_in_progess_ = false;
+  tbr.persistState_();
+  // Schedule a local sesion update in case some local changes happened while
+  // we were syncing and ignoring local changes.
+  tbr.scheduleLocalSessionUpdate_(tbr.constant_.sync_delay);
+};
+
+/**
+ * Start merging a session into the local browser. With a selection, only the
+ * selected tabs are opened, and the result is not saved.
+ * @private
+ * @param {TabberInternal.TabberSession} source - The session to merge.
+ * @param {?TabberApi.type.tab_selection=} opt_selection - The windows or
+ *     tabs of the source to open, if not all of them.
+ */
+TabberClass.prototype.mergeBrowserWithSession_ = function(source,
+                                                          opt_selection) {
+  var tbr = tabberSingleton;
+  // Don't allow overlapping browser syncs
+  if (tbr.sync_in_progess_) {
+    consoleTaggedLog('Overlapping merge call ignored');
+    return;
+  }
+  // Tell Tabber to ignore local changes while we are merging.
+  tbr.sync_in_progess_ = true;
+  tbr.mergeSource_ = source;
+  tbr.mergeSelection_ = opt_selection || null;
+  // Make sure our local tabs are current before looking for missing ones.
+  tbr.syncLocalToBrowser_(tbr.mergeBrowserCreates_);
+};
+
+/**
+ * This function opens the remote tabs which are missing from the local
+ * browser when merging. Missing tabs are appended to the local window that
+ * best matches their remote window, and remote windows with no local match
+ * are created as new windows. If only some tabs are selected, the windows are
+ * still matched by all their tabs, so the selected ones land where the others
+ * would.
+ * @private
+ */
+TabberClass.prototype.mergeBrowserCreates_ = function() {
+  var tbr = tabberSingleton;
+  tbr.reportProgress_(TabberInternal.Protocol.Phase.MERGE);
+  var loc = tbr.localSession_;
+  var rem = tbr.mergeSource_;
+  // Tabs excluded from restore (and incognito tabs) are never merged.
+  var locTabs = TabberInternal.TabRules.filterForRestore(loc.tabs);
+  var remTabs = TabberInternal.TabRules.filterForRestore(rem.tabs);
+
+  consoleDebugLog('Opening saved tabs missing from local browser');
+
+  // Init SyncPhaseHandler to manage this phase.
+  TabberInternal.SyncPhaseHandler.initHandler(tbr.mergeBrowserDone_);
+
+  // Count the open local tabs by URL, so duplicate saved tabs are each
+  // matched to a distinct local tab.
+  var openUrls = {};
+  for (var t = 0; t < locTabs.length; t++) {
+    var key = TabberInternal.UrlMatching.getKey(locTabs[t].url);
+    openUrls[key] = (openUrls[key] || 0) + 1;
+  }
+  // Pick the best local window for each remote window.
+  var locIdByRemId = TabberInternal.RestorePlanner.mapWindows(locTabs, remTabs);
+  var selection = tbr.mergeSelection_;
+  // Collect the URLs of missing tabs for remote windows with no local match.
+  var newWindowUrls = [];
+  for (var t = 0; t < remTabs.length; t++) {
+    var remTab = remTabs[t];
+    var key = TabberInternal.UrlMatching.getKey(remTab.url);
+    if (openUrls[key]) {
+      // Already open locally.
+      openUrls[key]--;
+      continue;
+    }
+    if (selection && (selection.tabs.indexOf(t) < 0) &&
+        (selection.windows.indexOf(remTab.windowId) < 0)) {
+      continue;
+    }
+    var lwid = locIdByRemId[remTab.windowId];
+    if (typeof lwid == 'undefined') {
+      if (!(remTab.windowId in newWindowUrls)) {
+        newWindowUrls[remTab.windowId] = [];
+      }
+      newWindowUrls[remTab.windowId].push(remTab.url);
+    } else {
+      consoleDebugLog('Opening saved tab in window ' + lwid + ': ' +
+                      remTab.url);
+      TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.create,
+          {windowId: Number(lwid), url: remTab.url, active: false});
+    }
+  }
+  // Create a new window for each unmatched remote window.
+  for (var rwid in newWindowUrls) {
+    consoleDebugLog('Opening new window for remote window ' + rwid);
+    TabberInternal.SyncPhaseHandler.doStep(chrome.windows.create,
+        {url: newWindowUrls[rwid], focused: false});
+  }
+  // Done with this phase.
+  TabberInternal.SyncPhaseHandler.finalize();
+};
+
+/**
+ * This function completes a merge by saving the merged browser tabs.
+ * @private
+ */
+TabberClass.prototype.mergeBrowserDone_ = function() {
+  var tbr = tabberSingleton;
+  // Tell Tabber to respond to local changes again.
+  consoleDebugLog('Merge done, re-enabling change monitor');
+  var selective = !!tbr.mergeSelection_;
+  tbr.mergeSource_ = null;
+  tbr.mergeSelection_ = null;
+  tbr.sync_in_progess_ = false;
+  if (selective) {
+    // Opening a few saved tabs leaves the saved session alone, unless the mode
+    // saves the new tabs like any others.
+    tbr.persistState_();
+    tbr.scheduleLocalSessionUpdate_(tbr.constant_.urgent_sync_delay);
+    return;
+  }
+  // The merged set of tabs becomes the new saved session.
+  tbr.saveLocalToRemote();
+};
+
+/**
+ * First phase of a swap: snapshot both sessions, then restore the browser
+ * from the remote session.
+ * @private
+ */
+TabberClass.prototype.swapBrowserSnapshot_ = function() {
+  var tbr = tabberSingleton;
+  var loc = tbr.localSession_;
+  if (!isSessionValid(loc)) {
+    tbr.sync_in_progess_ = false;
+    tbr.setStatus_(tbr.state.ERR, 'Unable to swap: no valid browser tabs');
+    return;
+  }
+  consoleDebugLog('Swapping local gen ' + loc.generation +
+                  ' with remote gen ' + tbr.remoteSession_.generation);
+  tbr.swapState_ = {
+    snapshot: new TabberInternal.TabberSession(loc),
+    saved: new TabberInternal.TabberSession(tbr.remoteSession_)
+  };
+  tbr.persistState_();
+  // Run the normal restore phases, then continue with the save.
+  TabberInternal.SyncPhaseHandler.clearErrors();
+  tbr.sync_done_callback_ = tbr.swapBrowserSave_;
+  tbr.syncBrowserCreatesAndMoves_();
+};
+
+/**
+ * Second phase of a swap: after the browser was restored, save the snapshot
+ * of the previous browser tabs as the new remote session.
+ * @private
+ */
+TabberClass.prototype.swapBrowserSave_ = function() {
+  var tbr = tabberSingleton;
+  var swap = tbr.swapState_;
+  var errors = TabberInternal.SyncPhaseHandler.getErrors();
+  if (errors.length > 0) {
+    tbr.swapBrowserRollback_('Unable to restore saved tabs: ' + errors[0]);
+    return;
+  }
+  // The snapshot must be newer than the session it replaces.
+  var newRemote = swap.snapshot;
+  newRemote.generation = Math.max(newRemote.generation,
+                                  swap.saved.generation);
+  newRemote.baseGeneration = swap.saved.generation;
+  newRemote.touch();
+  // Keep the session we are replacing in the history.
+  TabberInternal.SessionHistory.record(swap.saved, true);
+  consoleDebugLog('Saving swapped session to remote storage');
+  newRemote.saveToSync(function(errMsg) {
+    if (errMsg) {
+      tbr.swapBrowserRollback_('Unable to save session: ' + errMsg);
+      return;
+    }
+    tbr.remoteSession_ = new TabberInternal.TabberSession(newRemote);
+    tbr.baseSession_ = new TabberInternal.TabberSession(newRemote);
+    tbr.swapState_ = null;
+    // Tell Tabber to respond to local changes again.
+    consoleDebugLog('Swap done, re-enabling change monitor');
+    tbr.sync_in_progess_ = false;
+    tbr.persistState_();
+    tbr.scheduleLocalSessionUpdate_(tbr.constant_.urgent_sync_delay);
+  });
+};
+
+/**
+ * Undo a failed swap by restoring the browser from the pre-swap snapshot.
+ * The remote session in storage has not been changed at this point.
+ * @private
+ * @param {string} reason - Description of the failure.
+ */
+TabberClass.prototype.swapBrowserRollback_ = function(reason) {
+  var tbr = tabberSingleton;
+  var swap = tbr.swapState_;
+  consoleErrorLog('Swap failed, restoring previous tabs: ' + reason);
+  // Restore the browser using the snapshot as the target session.
+  swap.reason = reason;
+  tbr.remoteSession_ = swap.snapshot;
+  tbr.sync_done_callback_ = tbr.swapBrowserRollbackDone_;
+  tbr.syncLocalToBrowser_(tbr.syncBrowserCreatesAndMoves_);
+};
+
+/**
+ * Complete the rollback of a failed swap.
+ * @private
+ */
+TabberClass.prototype.swapBrowserRollbackDone_ = function() {
+  var tbr = tabberSingleton;
+  var swap = tbr.swapState_;
+  tbr.remoteSession_ = swap.saved;
+  tbr.swapState_ = null;
+  tbr.sync_in_progess_ = false;
+  tbr.setStatus_(tbr.state.ERR, 'Swap failed: ' + swap.reason);
+};
+
+/**
+ * Reschedule a local session update. This is called after any local browser
+ * changes to (re)schedule a local session eval/update.
+ * @private
+ * @param {number} delay - Number of milliseconds to delay before update.
+ * @return {boolean} - True if update was done or scheduled OK.
+ */
+TabberClass.prototype.scheduleLocalSessionUpdate_ = function(delay) {
+  var tbr = tabberSingleton;
+  // Until we are initialized, the init itself picks up the browser tabs.
+  if (!tbr.initialized_) {
+    return false;
+  }
+  // Cancel any pending update since we are rescheduling.
+  tbr.cancelLocalSessionUpdate_();
+  // If we are syncing, we ignore this event (leave unscheduled).
+  if (tbr.sync_in_progess_) {
+    return false;
+  }
+  tbr.setStatus_(tbr.state.WARN, 'Local change detected - update pending');
+  var scheduleDelay_ms = delay;
+  // if we are starting a new session, insure a short delay
+  if (tbr.localSession_.generation < 2) {
+    if (scheduleDelay_ms > tbr.constant_.urgent_sync_delay) {
+      scheduleDelay_ms = tbr.constant_.urgent_sync_delay;
+    }
+  }
+  // Schedule the update. Chrome holds back alarms for at least 30 seconds, so
+  // a timer runs it while the worker is alive, and the alarm only runs it if
+  // the worker is stopped in the meantime.
+  consoleDebugLog(
+      'Scheduling update from browser event, with delay = ' + scheduleDelay_ms);
+  tbr.pending_update_ =
+      setTimeout(tbr.updateLocalSessionFromBrowser_, scheduleDelay_ms);
+  chrome.alarms.create(tbr.constant_.update_alarm, {when: Date.now() +
+      Math.max(scheduleDelay_ms, tbr.constant_.update_backstop)});
+  return true;
+};
+
+/**
+ * Cancel a scheduled local session update, both its timer and its alarm.
+ * @private
+ */
+TabberClass.prototype.cancelLocalSessionUpdate_ = function() {
+  var tbr = tabberSingleton;
+  if (tbr.pending_update_) {
+    clearTimeout(tbr.pending_update_);
+    tbr.pending_update_ = false;
+  }
+  chrome.alarms.clear(tbr.constant_.update_alarm);
+};
+
+/**
+ * This is the chrome.alarms listener, which runs the scheduled updates.
+ * @private
+ * @param {Object} alarm - The alarm which went off.
+ */
+TabberClass.prototype.onAlarm_ = function(alarm) {
+  var tbr = tabberSingleton;
+  if (alarm.name == tbr.constant_.badge_alarm) {
+    chrome.action.setBadgeText({text: ''});
+    return;
+  }
+  // Hold on to the alarm until we are initialized, since it may be what
+  // started the worker.
+  if (!tbr.initialized_) {
+    tbr.pending_messages_.push(function() {
+      tbr.onAlarm_(alarm);
+    });
+    return;
+  }
+  if (alarm.name == tbr.constant_.update_alarm) {
+    tbr.updateLocalSessionFromBrowser_();
+  } else if (alarm.name == tbr.constant_.publish_alarm) {
+    tbr.publishDeviceSessionNow_();
+  }
+};
+
+/**
+ * This is the chrome.commands listener, which runs the keyboard shortcuts.
+ * @private
+ * @param {string} command - The name of the command in manifest.json.
+ */
+TabberClass.prototype.onCommand_ = function(command) {
+  var tbr = tabberSingleton;
+  // Hold on to the command until we are initialized.
+  if (!tbr.initialized_) {
+    tbr.pending_messages_.push(function() {
+      tbr.onCommand_(command);
+    });
+    return;
+  }
+  consoleDebugLog('Keyboard command: ' + command);
+  var busy = tbr.sync_in_progess_ || tbr.save_in_progess_;
+  var rem = tbr.remoteSession_;
+  switch (command) {
+    case 'save_tabs':
+      if (busy) {
+        tbr.commandFeedback_('Tabber is busy, try again shortly', 'BUSY');
+        return;
+      }
+      tbr.commandFeedback_('Saving tabs to ' + rem.description, 'SAVE');
+      tbr.saveLocalToRemote();
+      break;
+    case 'restore_tabs':
+    case 'merge_tabs':
+      if (busy) {
+        tbr.commandFeedback_('Tabber is busy, try again shortly', 'BUSY');
+        return;
+      }
+      if (!isSessionValid(rem)) {
+        tbr.commandFeedback_('No saved tabs to restore', 'NONE');
+        return;
+      }
+      if (command == 'restore_tabs') {
+        tbr.commandFeedback_('Restoring tabs from ' + rem.description,
+                             'LOAD');
+        tbr.syncBrowserFromRemote();
+      } else {
+        tbr.commandFeedback_('Merging tabs from ' + rem.description, 'MRG');
+        tbr.mergeBrowserWithRemote();
+      }
+      break;
+    case 'next_session':
+    case 'previous_session':
+      var sessions = tbr.getSessions();
+      if (sessions.length < 2) {
+        tbr.commandFeedback_('There is no other saved session', 'NONE');
+        return;
+      }
+      var current = 0;
+      for (var s = 0; s < sessions.length; s++) {
+        if (sessions[s].active) {
+          current = s;
+        }
+      }
+      var step = (command == 'next_session') ? 1 : sessions.length - 1;
+      var next = (current + step) % sessions.length;
+      tbr.commandFeedback_('Switched to session ' + sessions[next].name,
+                           String(next + 1));
+      tbr.switchSession(sessions[next].id);
+      break;
+    case 'cycle_mode':
+      var m = 0;
+      while ((m < MODE_CYCLE_.length) &&
+             (MODE_CYCLE_[m].mode != tbr.options_.mode)) {
+        m++;
+      }
+      var mode = MODE_CYCLE_[(m + 1) % MODE_CYCLE_.length];
+      tbr.setOptions({mode: mode.mode});
+      tbr.commandFeedback_('Mode: ' + mode.name, mode.badge);
+      break;
+    default:
+      consoleErrorLog('Unknown keyboard command: ' + command);
+  }
+};
+
+/**
+ * Show what a keyboard command or a context menu item did, since there is no
+ * popup to show it in.
+ * @private
+ * @param {string} message - What the command did.
+ * @param {string} badge - A few letters for the icon badge.
+ */
+TabberClass.prototype.commandFeedback_ = function(message, badge) {
+  var tbr = tabberSingleton;
+  tbr.setStatus_(tbr.status_, message, badge);
+  if (tbr.options_.notifications) {
+    chrome.notifications.create(tbr.constant_.notification_id, {
+      type: 'basic',
+      iconUrl: 'images/tabber_128.png',
+      title: 'Tabber',
+      message: message
+    });
+  }
+};
+
+/**
+ * This function is called after a change to the local or remote session. The
+ * primary indication of which is 'newer' is the argument to this function.
+ * If it is not known, the session generation number is used as a tiebreaker
+ * to reconcile differences. This function then determines what actions to take
+ * in response to the change. It sets the status indications, and can kick off
+ * a session save or local browser sync, as needed.
+ * @private
+ * @param {boolean=} localIsNewer - Indicates whether local or remote side just
+ *                                  changed. If not specified, we make a guess.
+ */
+TabberClass.prototype.doSync_ = function(localIsNewer) {
+  var tbr = tabberSingleton;
+  var rem = tbr.remoteSession_;
+  var loc = tbr.localSession_;
+  // Every change of either side comes through here.
+  tbr.updateMenus_();
+  // A held automatic restore is planned again below, if still needed.
+  tbr.pendingRestore_ = null;
+  // We need to know if this is the first sync of a new session. if so, we
+  // generally do one sync before starting any auto-save operations.
+  var firstTime = (loc.generation == 1);
+  // Without the key we can neither compare with nor save over the saved
+  // session.
+  if (rem.locked || (TabberInternal.SessionCrypto.getState() ==
+                     TabberInternal.SessionCrypto.State.LOCKED)) {
+    tbr.setStatus_(tbr.state.WARN, 'Saved session is encrypted - enter ' +
+                   'your passphrase to unlock it');
+    return;
+  }
+  // If caller doesn't tell us what changed, just guess based on generation.
+  if (typeof localIsNewer == 'undefined') {
+    consoleDebugLog('Guessing change');
+    // if in AUTOSAVE mode and this is not firstTime sync, then always assume
+    // local session is newer.
+    var forceNewLocal =
+        ((tbr.options_.mode == tbr.mode.AUTOSAVE) && !firstTime);
+    // now set authoritative session
+    localIsNewer = forceNewLocal || (loc.generation >= rem.generation);
+  }
+  if (localIsNewer) {
+    consoleDebugLog('Syncing local update...');
+  } else {
+    consoleDebugLog('Syncing remote update...');
+  }
+  // compare local and remote sessions
+  var diff = getSessionDiff(loc, rem);
+  consoleDebugLog('Got dif report: ' + JSON.stringify(diff));
+  // Set status from diff report
+  if (diff.major) {
+    // If there is a major dif, status will always be ERROR or WARN
+    if (diff.err) {
+      tbr.setStatus_(tbr.state.ERR, diff.major);
+    } else {
+      tbr.setStatus_(tbr.state.WARN, diff.major);
+    }
+  } else if (diff.minor) {
+    // For minor differences, we keep status OK, but set the minor msg.
+    tbr.setStatus_(tbr.state.OK, diff.minor);
+  } else {
+    // No differences found.
+    tbr.setStatus_(tbr.state.OK, tbr.constant_.ok_status);
+  }
+  // Once the browser matches the saved session, that is the new base.
+  if (!diff.major && !diff.minor && isSessionValid(rem)) {
+    if (!tbr.baseSession_ || (tbr.baseSession_.id != rem.id) ||
+        (tbr.baseSession_.generation != rem.generation)) {
+      tbr.baseSession_ = new TabberInternal.TabberSession(rem);
+    }
+  }
+  // If both sides changed since the base, let the user pick the outcome
+  // rather than overwriting either side.
+  tbr.conflict_ = tbr.getConflict_();
+  if (tbr.conflict_) {
+    tbr.setStatus_(tbr.state.WARN, 'Saved session was changed on another ' +
+                   'device at the same time as on this browser');
+    return;
+  }
+  // Now determine whether to do any automatic sync operation.
+  // If we do not have both sessions initialized, we can't do anything yet.
+  if ((rem.generation < 0) || (loc.generation < 0)) {
+    consoleDebugLog('Deferring sync until session initialization');
+    return;
+  }
+  // If we don't have a valid local session, we have to keep waiting
+  if (!isSessionValid(loc)) {
+    consoleErrorLog('Deferring sync until local session established');
+    return;
+  }
+  // If we have found a difference.
+  if (diff.major || diff.minor) {
+    consoleDebugLog('Found differences with favor_local = ' + localIsNewer);
+    consoleDebugLog('loc.gen=' + loc.generation);
+    consoleDebugLog('rem.gen=' + rem.generation);
+    // For newer local session
+    if (localIsNewer) {
+      // If this is a first time change, we don't auto save.
+      if (!firstTime) {
+        // In autosync and autosave mode, save the updated local session.
+        // For all other modes, we never save automatically.
+        if ((tbr.options_.mode == tbr.mode.AUTOSYNC) ||
+            (tbr.options_.mode == tbr.mode.AUTOSAVE)) {
+          tbr.saveLocalToRemote();
+        }
+      }
+    } else {  // for newer remote session
+      /* If we do not have a valid remote session, it means we couldn't
+       * establish one, so just adopt the valid local one
+       */
+      if (!isSessionValid(rem)) {
+        rem = loc;
+        consoleDebugLog('No remote session found');
+        // Recursively call back to insure we are all sync'd. Pretend it's as a
+        // result of a local change, so it will only sync the remote bits.
+        tbr.doSync_(true);
+        return;
+      }
+      // do a local browser sync for the following modes:
+      // autosync, autostart(first time only), and autosave(first time only)
+      if ((tbr.options_.mode == tbr.mode.AUTOSYNC) ||
+          ((tbr.options_.mode == tbr.mode.AUTOSTART) && firstTime) ||
+          ((tbr.options_.mode == tbr.mode.AUTOSAVE) && firstTime)) {
+        // Hold a restore which would close many tabs until it is confirmed.
+        var plan = tbr.planRestore_(rem);
+        if (plan.confirm) {
+          tbr.pendingRestore_ = plan;
+          tbr.setStatus_(tbr.state.WARN, 'Restoring the saved tabs would ' +
+                         'close ' + plan.counts.remove +
+                         ((plan.counts.remove == 1) ? ' tab' : ' tabs') +
+                         ' - confirm it on the popup');
+          return;
+        }
+        tbr.syncBrowserFromRemote();
+      }
+    }
+  }
+};
+
+/**
+ * Check whether the browser tabs and the saved session have both changed
+ * since the browser last matched the saved session. The baseGeneration the
+ * saved session records tells a save made on top of that base (a
+ * fast-forward) from one which replaced it unseen.
+ * @private
+ * @return {?TabberApi.type.conflict} - The three-way diff, or null if there
+ *     is no conflict.
+ */
+TabberClass.prototype.getConflict_ = function() {
+  var tbr = tabberSingleton;
+  var base = tbr.baseSession_;
+  var loc = tbr.localSession_;
+  var rem = tbr.remoteSession_;
+  if (!base || (base.id != rem.id) || !isSessionValid(loc) ||
+      !isSessionValid(rem)) {
+    return null;
+  }
+  // No conflict unless the saved session was replaced since the base...
+  if (rem.generation == base.generation) {
+    return null;
+  }
+  // ...by a save which was not derived from the base, so it dropped the base
+  // changes, or else (a fast-forward from the base) while this browser has
+  // changes it is about to save automatically...
+  var autoSave = (tbr.options_.mode == tbr.mode.AUTOSAVE) ||
+                 (tbr.options_.mode == tbr.mode.AUTOSYNC);
+  var fastForward = (rem.baseGeneration >= base.generation) ||
+                    (rem.baseGeneration < 0);
+  if (fastForward &&
+      !(autoSave && getTabsetDiff(base.tabs, loc.tabs).major)) {
+    return null;
+  }
+  // ...and the two sides did not end up with the same tabs anyway.
+  if (!getTabsetDiff(loc.tabs, rem.tabs).major) {
+    return null;
+  }
+  var mine = getTabsetChanges(base.tabs, loc.tabs);
+  var theirs = getTabsetChanges(base.tabs, rem.tabs);
+  var urls = function(tabs) {
+    return tabs.map(function(tab) {
+      return tab.url;
+    });
+  };
+  consoleDebugLog('Conflict with saved gen ' + rem.generation + ' (based on ' +
+                  rem.baseGeneration + '), local base is ' + base.generation);
+  return {'base_time': base.getTimeString(),
+          'base_generation': base.generation,
+          'mine': {'numtabs': loc.tabs.length,
+                   'added': urls(mine.added),
+                   'removed': urls(mine.removed)},
+          'theirs': {'numtabs': rem.tabs.length,
+                     'time': rem.getTimeString(),
+                     'base_generation': rem.baseGeneration,
+                     'added': urls(theirs.added),
+                     'removed': urls(theirs.removed)}};
+};
+
+/**
+ * Ask Chrome for the current set of tabs, and build/update our local session
+ * with the resulting tab information.
+ * This is called at the end of Tabber initialization, and also after any local
+ * browser change.
+ *
+ * @private
+ */
+TabberClass.prototype.updateLocalSessionFromBrowser_ = function() {
+  var tbr = tabberSingleton;
+  consoleDebugLog(
+      'updateLocalSessionFromBrowser_() called - getting local tabs');
+  // This is the update any timer or alarm was scheduled for.
+  tbr.cancelLocalSessionUpdate_();
+  // Callback gets the current tabs info
+  function currentTabs(tabSet) {
+    var loc = tbr.localSession_;
+    consoleDebugLog('HAD local tabs:\n' + tabsToString(loc.tabs));
+    consoleDebugLog('GOT local tabs:\n' + tabsToString(tabSet.tabs));
+    // Accept the new set of tabs
+    loc.tabs = tabSet.tabs;
+    loc.groups = tabSet.groups;
+    loc.windows = tabSet.windows;
+    loc.display = tabSet.display;
+    // if this is local session initialization, make generation = 0
+    if (loc.generation < 0) {
+      loc.generation = 0;
+    }
+    // Touch the session to update timestamp and generation.
+    loc.touch();
+    // For first-time init, we go init remote session now.
+    if (!tbr.initialized_) {
+      // Continue initialization by fetching remote storage.
+      chrome.storage.sync.get(null, function(items) {
+        TabberInternal.SessionCrypto.decryptItems(items, true,
+                                                  tbr.onStorageGet);
+      });
+    } else {  // after normal update go sync
+      // Update status and session states. Note that this path can happen during
+      // post-init syncing
+      tbr.doSync_();
+      tbr.publishDeviceSession_();
+      tbr.saveIncognitoTabs_();
+    }
+  }
+  // Get the current tabs from Chrome
+  tbr.queryBrowser_(currentTabs);
+};
+
+
+/**
+ * This is the event handler which is called on any tab remove
+ * @private
+ * @param {string} tabId - Id of tab being removed.
+ * @param {Object} remInfo - hold info about the removal event.
+ */
+TabberClass.prototype.onTabRemove_ = function(tabId, remInfo) {
+  var tbr = tabberSingleton;
+  var delay = tbr.constant_.sync_delay;
+  // If the window is closing, don't delay the update.
+  if (remInfo['isWindowClosing']) {
+    delay = tbr.constant_.urgent_sync_delay;
+  }
+  // schedule a session update
+  tbr.scheduleLocalSessionUpdate_(delay);
+};
+
+/**
+ * This is the event handler which is called on any tab change
+ * @private
+ */
+TabberClass.prototype.onTabChange_ = function() {
+  var tbr = tabberSingleton;
+  var delay = tbr.constant_.sync_delay;
+  // schedule a session update
+  tbr.scheduleLocalSessionUpdate_(delay);
+};
+
 /**
- * This function sets the active tab when syncing the local browser
+ * Enables or disables the change event handlers.
  * @private
+ * @param {boolean} enable - New enable setting.
  */
-TabberClass.prototype.syncBrowserSetActive_ = function() {
+TabberClass.prototype.enableHandlers_ = function(enable) {
+  var tbr = tabberSingleton;
+  if (enable) {
+    consoleDebugLog('Enabling tab event handlers');
+    chrome.tabs.onCreated.addListener(tbr.onTabChange_);
+    chrome.tabs.onUpdated.addListener(tbr.onTabChange_);
+    chrome.tabs.onMoved.addListener(tbr.onTabChange_);
+    chrome.tabs.onActivated.addListener(tbr.onTabChange_);
+    chrome.tabs.onHighlighted.addListener(tbr.onTabChange_);
+    chrome.tabs.onDetached.addListener(tbr.onTabChange_);
+    chrome.tabs.onAttached.addListener(tbr.onTabChange_);
+    chrome.tabs.onRemoved.addListener(tbr.onTabRemove_);
+    chrome.tabs.onReplaced.addListener(tbr.onTabChange_);
+//    chrome.tabs.onZoomChange.addListener(tbr.onTabChange_);
+    if (chrome.tabGroups) {
+      chrome.tabGroups.onUpdated.addListener(tbr.onTabChange_);
+    }
+    chrome.windows.onBoundsChanged.addListener(tbr.onTabChange_);
+  } else {
+    consoleDebugLog('Removing tab event handlers');
+    chrome.tabs.onCreated.removeListener(tbr.onTabChange_);
+    chrome.tabs.onUpdated.removeListener(tbr.onTabChange_);
+    chrome.tabs.onMoved.removeListener(tbr.onTabChange_);
+    chrome.tabs.onActivated.removeListener(tbr.onTabChange_);
+    chrome.tabs.onHighlighted.removeListener(tbr.onTabChange_);
+    chrome.tabs.onDetached.removeListener(tbr.onTabChange_);
+    chrome.tabs.onAttached.removeListener(tbr.onTabChange_);
+    chrome.tabs.onRemoved.removeListener(tbr.onTabRemove_);
+    chrome.tabs.onReplaced.removeListener(tbr.onTabChange_);
+//    chrome.tabs.onZoomChange.removeListener(tbr.onTabChange_);
+    if (chrome.tabGroups) {
+      chrome.tabGroups.onUpdated.removeListener(tbr.onTabChange_);
+    }
+    chrome.windows.onBoundsChanged.removeListener(tbr.onTabChange_);
+  }
+};
+
+/**
+ * Second phase of initialization.
+ * @private
+ * @param {Object} items - storage items fetched.
+ */
+TabberClass.prototype.finishInit_ = function(items) {
+  var tbr = tabberSingleton;
+  consoleDebugLog('Current Options: ' + JSON.stringify(tbr.options_));
+  if (items.options) {
+    consoleDebugLog('New Options: ' + JSON.stringify(items.options));
+    tbr.options_ = items.options;
+  }
+  TabberInternal.TabRules.setRules(tbr.options_.rules);
+  TabberInternal.TabRules.setIncognitoPolicy(tbr.options_.incognito);
+  TabberInternal.UrlMatching.setConfig(tbr.options_.matching);
+  // Pick up the active session chosen on this device.
+  if (items[tbr.constant_.session_key]) {
+    tbr.localSession_.id = items[tbr.constant_.session_key];
+    consoleDebugLog('Active session: ' + tbr.localSession_.id);
+  }
+  // Pick up our device identity, registering a new one the first time.
+  if (items[tbr.constant_.device_key]) {
+    tbr.device_ = items[tbr.constant_.device_key];
+  } else {
+    tbr.device_ = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 6),
+      name: 'Chrome on ' + navigator.platform
+    };
+    consoleDebugLog('Registering new device: ' + JSON.stringify(tbr.device_));
+    var localObj = {};
+    localObj[tbr.constant_.device_key] = tbr.device_;
+    chrome.storage.local.set(localObj);
+  }
+  // continue init by querying Chrome for current tabs.
+  tbr.updateLocalSessionFromBrowser_();
+};
+
+/**
+ * Callback from chrome which provides an object with all saved properties.
+ * Used to initialize the remote session during Tabber intialization.
+ *
+ * @param {!Object} obj - Storage object fetched from chrome.storage.
+ */
+TabberClass.prototype.onStorageGet = function(obj) {
   var tbr = tabberSingleton;
+  consoleDebugLog('Object from chrome storage: ' + JSON.stringify(obj));
+  // Move any data saved before named sessions into the default session, and
+  // rewrite sessions saved in older layouts without a commit record. The
+  // storage object now has the migrated data, so write and remove to match it.
+  var legacy = migrateLegacySyncSession(obj);
+  var layout = migrateSyncSessionLayout(obj);
+  var migratedObj = {};
+  var obsoleteKeys = [];
+  var key;
+  for (key in legacy.set) {
+    if (key in obj) {
+      migratedObj[key] = obj[key];
+    }
+  }
+  for (key in layout.set) {
+    migratedObj[key] = obj[key];
+  }
+  var migratedKeys = legacy.remove.concat(layout.remove);
+  for (var k = 0; k < migratedKeys.length; k++) {
+    if (!(migratedKeys[k] in obj)) {
+      obsoleteKeys.push(migratedKeys[k]);
+    }
+  }
+  if (obsoleteKeys.length > 0) {
+    consoleDebugLog('Migrating session data: ' + obsoleteKeys);
+    chrome.storage.sync.set(migratedObj, function() {
+      if (!chrome.runtime.lastError) {
+        chrome.storage.sync.remove(obsoleteKeys);
+      }
+    });
+  }
+  tbr.sessionNames_ = getSyncSessionNames(obj);
+  tbr.deviceSessions_ = getSyncDeviceSessions(obj);
+  tbr.pruneDeviceSessions_(obj);
+  // start with an empty session
   var loc = tbr.localSession_;
-  var rem = tbr.remoteSession_;
+  tbr.remoteSession_ = new TabberInternal.TabberSession(0, loc.id);
+  var remObjs = tbr.remoteSession_.updateProps(obj);
+  loc.description = tbr.remoteSession_.description;
+  if (isSessionValid(tbr.remoteSession_)) {
+    tbr.baseSession_ = new TabberInternal.TabberSession(tbr.remoteSession_);
+  }
+  // Get rid of obsolete data.
+  if (remObjs.length > 0) {
+    consoleDebugLog('Removing excess data from remote storage: ' + remObjs);
+    chrome.storage.sync.remove(remObjs);
+  }
+  // Complete initialization, so the event handlers respond from now on.
+  tbr.initialized_ = true;
+  // Resolve status and session states with new remote session.
+  tbr.doSync_();
+  tbr.publishDeviceSession_();
+  tbr.handlePendingMessages_();
+};
 
-  // Define what to do when all the steps of this phase are done.
-  function phaseDone() {
-    // Tell Tabber to respond to local changes again.
-    consoleDebugLog('Re-enabling change monitor');
-    tbr.sync_in_progess_ = false;
-    // Schedule a local sesion update in case some local changes happened while
-    // we were syncing and ignoring local changes.
-    tbr.scheduleLocalSessionUpdate_(tbr.constant_.sync_delay);    
+/**
+ * Save a snapshot of the Tabber state to chrome.storage.session, so it can be
+ * picked up again if Chrome stops the service worker. The snapshot is written
+ * once all the state changes made by the current task are done.
+ * @private
+ */
+TabberClass.prototype.persistState_ = function() {
+  var tbr = tabberSingleton;
+  if (!tbr.initialized_ || tbr.persist_pending_) {
+    return;
   }
+  tbr.persist_pending_ = true;
+  Promise.resolve().then(function() {
+    tbr.persist_pending_ = false;
+    // Every save, restore and merge ends with a state change, so this is
+    // where we notice that nothing is running any more.
+    if (!tbr.sync_in_progess_ && !tbr.save_in_progess_) {
+      tbr.reportProgress_(TabberInternal.Protocol.Phase.DONE);
+    }
+    var sessionObj = {};
+    sessionObj[tbr.constant_.state_key] = {
+      localSession: tbr.localSession_,
+      remoteSession: tbr.remoteSession_,
+      baseSession: tbr.baseSession_,
+      sessionNames: tbr.sessionNames_,
+      deviceSessions: tbr.deviceSessions_,
+      device: tbr.device_,
+      options: tbr.options_,
+      status: tbr.status_,
+      statusMessage: tbr.statusMessage_,
+      quota: tbr.quota_,
+      conflict: tbr.conflict_,
+      incognitoSaved: tbr.incognitoSaved_,
+      incognitoReopened: tbr.incognitoReopened_,
+      debug: debug,
+      syncInProgress: tbr.sync_in_progess_,
+      saveInProgress: tbr.save_in_progess_,
+      swapState: tbr.swapState_,
+      mergeSource: tbr.mergeSource_,
+      mergeSelection: tbr.mergeSelection_,
+      sessionRestore: tbr.sessionRestore_,
+      restoreTarget: tbr.restoreTarget_,
+      windowIds: tbr.windowIds_,
+      pendingRestore: tbr.pendingRestore_
+    };
+    chrome.storage.session.set(sessionObj, function() {
+      if (chrome.runtime.lastError) {
+        consoleErrorLog('Unable to save Tabber state: ' +
+                        chrome.runtime.lastError.message);
+      }
+    });
+  });
+};
 
-  // Start the work of setting active states.
-  consoleDebugLog('Finalizing local session...');
+/**
+ * Pick up the Tabber state saved by a service worker which Chrome stopped,
+ * instead of initializing from scratch. An operation which was interrupted
+ * is run again, or rolled back in the case of a swap.
+ * @private
+ * @param {!Object} state - The snapshot saved by persistState_.
+ */
+TabberClass.prototype.resumeState_ = function(state) {
+  var tbr = tabberSingleton;
+  var toSession = function(obj) {
+    return obj ? new TabberInternal.TabberSession(obj) : null;
+  };
+  consoleDebugLog('Resuming Tabber state');
+  tbr.localSession_ = toSession(state.localSession);
+  tbr.remoteSession_ = toSession(state.remoteSession);
+  tbr.baseSession_ = toSession(state.baseSession);
+  tbr.sessionNames_ = state.sessionNames;
+  tbr.deviceSessions_ = {};
+  for (var deviceId in state.deviceSessions) {
+    tbr.deviceSessions_[deviceId] = toSession(state.deviceSessions[deviceId]);
+  }
+  tbr.device_ = state.device;
+  tbr.options_ = state.options;
+  tbr.status_ = state.status;
+  tbr.statusMessage_ = state.statusMessage;
+  tbr.quota_ = state.quota;
+  tbr.conflict_ = state.conflict;
+  tbr.incognitoSaved_ = state.incognitoSaved;
+  tbr.incognitoReopened_ = state.incognitoReopened;
+  tbr.restoreTarget_ = toSession(state.restoreTarget);
+  tbr.windowIds_ = state.windowIds || [];
+  tbr.pendingRestore_ = state.pendingRestore || null;
+  TabberInternal.TabRules.setRules(tbr.options_.rules);
+  TabberInternal.TabRules.setIncognitoPolicy(tbr.options_.incognito);
+  TabberInternal.UrlMatching.setConfig(tbr.options_.matching);
+  debug = state.debug;
+  // The encryption config has to be in effect again before anything is saved.
+  var configKey = TabberInternal.SessionCrypto.CONFIG_KEY;
+  chrome.storage.sync.get(configKey, function(items) {
+    TabberInternal.SessionCrypto.decryptItems(items, true, function() {
+      tbr.initialized_ = true;
+      if (state.swapState) {
+        // We can't tell how far the swap got, so put the browser back the way
+        // it was. The saved session only changes in the last step.
+        tbr.swapState_ = {
+          snapshot: toSession(state.swapState.snapshot),
+          saved: toSession(state.swapState.saved)
+        };
+        tbr.sync_in_progess_ = true;
+        tbr.swapBrowserRollback_(state.swapState.reason ||
+                                 'Tabber restarted during the swap');
+      } else if (state.mergeSource) {
+        tbr.mergeBrowserWithSession_(toSession(state.mergeSource),
+                                     state.mergeSelection);
+      } else if (state.sessionRestore) {
+        tbr.remoteSession_ = toSession(state.sessionRestore.saved);
+        tbr.syncBrowserFromSession_(toSession(state.remoteSession),
+                                    state.sessionRestore.saveAfter);
+      } else if (state.syncInProgress) {
+        tbr.syncBrowserFromRemote();
+      } else if (state.saveInProgress) {
+        tbr.saveLocalToRemote();
+      } else {
+        tbr.catchUpAfterResume_();
+      }
+      tbr.handlePendingMessages_();
+    });
+  });
+};
 
-  // Init SyncPhaseHandler to manage this phase.
-  TabberInternal.SyncPhaseHandler.initHandler(phaseDone);
+/**
+ * Catch up with the changes made while the service worker was stopped. Their
+ * events were lost, and so were the ones which started the worker again,
+ * since they arrived before the state was resumed. So read the saved sessions
+ * and then the browser tabs again, which ends with a sync.
+ * @private
+ */
+TabberClass.prototype.catchUpAfterResume_ = function() {
+  var tbr = tabberSingleton;
+  consoleDebugLog('Catching up with changes while Tabber was stopped');
+  chrome.storage.sync.get(null, function(items) {
+    TabberInternal.SessionCrypto.decryptItems(items, true, function(plain) {
+      // Leave everything to the operation started in the meantime, if any.
+      if (tbr.sync_in_progess_ || tbr.save_in_progess_) {
+        return;
+      }
+      tbr.sessionNames_ = getSyncSessionNames(plain);
+      tbr.deviceSessions_ = getSyncDeviceSessions(plain);
+      var rem = new TabberInternal.TabberSession(0, tbr.remoteSession_.id);
+      rem.updateProps(plain);
+      tbr.remoteSession_ = rem;
+      tbr.localSession_.description = rem.description;
+      tbr.updateLocalSessionFromBrowser_();
+    });
+  });
+};
 
-  // Walk the remote tabs and set the active states.
-  for (var t = 0; t < loc.tabs.length; t++) {
-    // Set the local session data active state
-    loc.tabs[t].active = rem.tabs[t].active;
-    // And add a step to tell Chrome to do it too.
-    TabberInternal.SyncPhaseHandler.doStep(chrome.tabs.update,
-                        loc.tabs[t].id, {'active': rem.tabs[t].active});
+/**
+ * This is the chrome.runtime.onConnect listener, which lets the popup call the
+ * Tabber API and receive Tabber events over a port (see protocol.js).
+ * @private
+ * @param {Port} port - The newly connected port.
+ */
+TabberClass.prototype.onConnect_ = function(port) {
+  var tbr = tabberSingleton;
+  if (port.name != TabberInternal.Protocol.PORT_NAME) {
+    return;
   }
-  // Complete this phase
-  TabberInternal.SyncPhaseHandler.finalize();
+  tbr.ports_.push(port);
+  port.onMessage.addListener(function(message) {
+    tbr.onRequest_(port, message);
+  });
+  port.onDisconnect.addListener(function() {
+    tbr.ports_ = tbr.ports_.filter(function(p) {
+      return p !== port;
+    });
+  });
 };
 
 /**
- * Reschedule a local session update. This is called after any local browser
- * changes to (re)schedule a local session eval/update.
+ * Handle a request from a popup port.
  * @private
- * @param {number} delay - Number of milliseconds to delay before update.
- * @return {boolean} - True if update was done or scheduled OK.
+ * @param {Port} port - The port the request came in on.
+ * @param {TabberApi.type.message} request - The request.
  */
-TabberClass.prototype.scheduleLocalSessionUpdate_ = function(delay) {
+TabberClass.prototype.onRequest_ = function(port, request) {
   var tbr = tabberSingleton;
-  // Cancel any pending update since we are rescheduling.
-  if (tbr.pending_update_) {
-    clearTimeout(tbr.pending_update_);
+  tbr.dispatchRequest_(request, API_METHODS_, function(message) {
+    try {
+      port.postMessage(message);
+    } catch (e) {
+      // The popup was closed before we were done.
+      consoleDebugLog('Dropping response to closed popup: ' + e.message);
+    }
+  });
+};
+
+/**
+ * This is the chrome.runtime.onMessageExternal listener, which lets the
+ * extensions and web pages in the external allowlist call some of the Tabber
+ * API. Every call is recorded in the external call log.
+ * @private
+ * @param {TabberApi.type.message} request - The request.
+ * @param {MessageSender} sender - The sender of the request.
+ * @param {function(TabberApi.type.message)} sendResponse - Called with the
+ *     response.
+ * @return {boolean} - True, since sendResponse may be called later.
+ */
+TabberClass.prototype.onExternalMessage_ = function(request, sender,
+                                                    sendResponse) {
+  var tbr = tabberSingleton;
+  var Protocol = TabberInternal.Protocol;
+  var entry = {
+    time: Date.now(),
+    caller: TabberInternal.ExternalAccess.getCaller(sender),
+    method: String(request && request.method),
+    allowed: false,
+    error: ''
+  };
+  var respond = function(message) {
+    entry.error = message.error ? message.error.code : '';
+    TabberInternal.ExternalAccess.record(entry);
+    sendResponse(message);
+  };
+  // The allowlist is in the options, so wait for them.
+  var check = function() {
+    if (!TabberInternal.ExternalAccess.isAllowed(tbr.options_.external,
+                                                 sender)) {
+      respond(Protocol.makeError(request ? request.id : -1,
+                                 Protocol.ErrorCode.FORBIDDEN,
+                                 entry.caller + ' is not allowed to call ' +
+                                 'Tabber'));
+      return;
+    }
+    entry.allowed = true;
+    tbr.dispatchRequest_(request, EXTERNAL_METHODS_, respond,
+                         EXTERNAL_OVERRIDES_);
+  };
+  if (tbr.initialized_) {
+    check();
+  } else {
+    tbr.pending_messages_.push(check);
   }
-  // If we are syncing, we ignore this event (leave unscheduled).
-  if (tbr.sync_in_progess_) {
-    return false;
+  return true;
+};
+
+/**
+ * Check a request and call the API method it names. The response holds
+ * either the return value of the method, or the arguments it passed to its
+ * callback.
+ * @private
+ * @param {TabberApi.type.message} request - The request.
+ * @param {Object<string, number>} methods - The methods the caller may
+ *     request, in the form of API_METHODS_.
+ * @param {function(TabberApi.type.message)} respond - Called with the
+ *     response.
+ * @param {Object<string, string>=} opt_overrides - The methods which answer
+ *     in place of the requested ones, by requested method.
+ */
+TabberClass.prototype.dispatchRequest_ = function(request, methods, respond,
+                                                  opt_overrides) {
+  var tbr = tabberSingleton;
+  var Protocol = TabberInternal.Protocol;
+  if (!request || (request.kind != Protocol.Kind.REQUEST) ||
+      (typeof request.id != 'number')) {
+    respond(Protocol.makeError(request ? request.id : -1,
+                               Protocol.ErrorCode.BAD_REQUEST,
+                               'Malformed Tabber request'));
+    return;
   }
-  tbr.setStatus_(tbr.state.WARN, 'Local change detected - update pending');
-  var scheduleDelay_ms = delay;
-  // if we are starting a new session, insure a short delay
-  if (tbr.localSession_.generation < 2) {
-    if (scheduleDelay_ms > tbr.constant_.urgent_sync_delay) {
-      scheduleDelay_ms = tbr.constant_.urgent_sync_delay;
+  if (request.version != Protocol.VERSION) {
+    respond(Protocol.makeError(request.id, Protocol.ErrorCode.VERSION,
+                               'Tabber protocol version ' + request.version +
+                               ' is not supported, expected ' +
+                               Protocol.VERSION));
+    return;
+  }
+  if (!methods.hasOwnProperty(request.method)) {
+    respond(Protocol.makeError(request.id, Protocol.ErrorCode.UNKNOWN_METHOD,
+                               'Unknown Tabber method: ' + request.method));
+    return;
+  }
+  // Hold on to the requests until we are initialized.
+  if (!tbr.initialized_) {
+    tbr.pending_messages_.push(function() {
+      tbr.dispatchRequest_(request, methods, respond, opt_overrides);
+    });
+    return;
+  }
+  var args = Array.isArray(request.args) ? request.args.slice() : [];
+  var nargs = methods[request.method];
+  var method = (opt_overrides && opt_overrides[request.method]) ||
+               request.method;
+  try {
+    if (nargs < 0) {
+      respond(Protocol.makeResponse(request.id,
+          [tbr[method].apply(tbr, args)]));
+      return;
     }
+    args.length = nargs;
+    args.push(function() {
+      respond(Protocol.makeResponse(request.id,
+                                    Array.prototype.slice.call(arguments)));
+    });
+    tbr[method].apply(tbr, args);
+  } catch (e) {
+    consoleErrorLog('Tabber.' + request.method + ' failed: ' + e.message);
+    respond(Protocol.makeError(request.id, Protocol.ErrorCode.FAILED,
+                               String(e.message)));
   }
-  // Schedule the update.
-  consoleDebugLog(
-      'Scheduling update from browser event, with delay = ' + scheduleDelay_ms);
-  tbr.pending_update_ =
-      setTimeout(tbr.updateLocalSessionFromBrowser_, scheduleDelay_ms);
-  return true;
 };
 
 /**
- * This function is called after a change to the local or remote session. The
- * primary indication of which is 'newer' is the argument to this function.
- * If it is not known, the session generation number is used as a tiebreaker
- * to reconcile differences. This function then determines what actions to take
- * in response to the change. It sets the status indications, and can kick off
- * a session save or local browser sync, as needed.
+ * Handle the requests which arrived before we were initialized.
  * @private
- * @param {boolean=} localIsNewer - Indicates whether local or remote side just
- *                                  changed. If not specified, we make a guess.
  */
-TabberClass.prototype.doSync_ = function(localIsNewer) {
+TabberClass.prototype.handlePendingMessages_ = function() {
   var tbr = tabberSingleton;
-  var rem = tbr.remoteSession_;
-  var loc = tbr.localSession_;
-  // We need to know if this is the first sync of a new session. if so, we
-  // generally do one sync before starting any auto-save operations.
-  var firstTime = (loc.generation == 1);
-  // If caller doesn't tell us what changed, just guess based on generation.
-  if (typeof localIsNewer == 'undefined') {
-    consoleDebugLog('Guessing change');
-    // if in AUTOSAVE mode and this is not firstTime sync, then always assume
-    // local session is newer.
-    var forceNewLocal =
-        ((tbr.options_.mode == tbr.mode.AUTOSAVE) && !firstTime);
-    // now set authoritative session
-    localIsNewer = forceNewLocal || (loc.generation >= rem.generation);
+  var pending = tbr.pending_messages_;
+  tbr.pending_messages_ = [];
+  for (var m = 0; m < pending.length; m++) {
+    pending[m]();
   }
-  if (localIsNewer) {
-    consoleDebugLog('Syncing local update...');
-  } else {
-    consoleDebugLog('Syncing remote update...');
+};
+
+/**
+ * Push an event to every open popup.
+ * @private
+ * @param {TabberInternal.Protocol.Event} event - The event.
+ * @param {*} data - The event data.
+ */
+TabberClass.prototype.broadcast_ = function(event, data) {
+  var tbr = tabberSingleton;
+  var message = TabberInternal.Protocol.makeEvent(event, data);
+  for (var p = 0; p < tbr.ports_.length; p++) {
+    try {
+      tbr.ports_[p].postMessage(message);
+    } catch (e) {
+      consoleDebugLog('Dropping event for closed popup: ' + e.message);
+    }
   }
-  // compare local and remote sessions
-  var diff = getSessionDiff(loc, rem);
-  consoleDebugLog('Got dif report: ' + JSON.stringify(diff));
-  // Set status from diff report
-  if (diff.major) {
-    // If there is a major dif, status will always be ERROR or WARN
-    if (diff.err) {
-      tbr.setStatus_(tbr.state.ERR, diff.major);
-    } else {
-      tbr.setStatus_(tbr.state.WARN, diff.major);
+};
+
+/**
+ * Report the phase of the running save, restore or merge to the open popups.
+ * @private
+ * @param {TabberInternal.Protocol.Phase} phase - The phase just started.
+ */
+TabberClass.prototype.reportProgress_ = function(phase) {
+  var tbr = tabberSingleton;
+  if (phase == tbr.progress_) {
+    return;
+  }
+  tbr.progress_ = phase;
+  tbr.broadcast_(TabberInternal.Protocol.Event.PROGRESS, {phase: phase});
+};
+
+/**
+ * This is the chrome.storage.sync listener callback for remote session changes.
+ * @private
+ * @type {function(!Object<string, !StorageChange>, string)}
+ */
+TabberClass.prototype.onChromeStorageChange_ = function(changes, namespace) {
+  var tbr = tabberSingleton;
+  var key;
+  // Until we are initialized, the init itself reads the storage.
+  if (!tbr.initialized_ || (namespace == 'session')) {
+    return;
+  }
+  // updated session properties come from chrome.storage.sync
+  consoleDebugLog('Chrome storage change event: ' + JSON.stringify(changes));
+  // {"options":{"newValue":{"mode":"manual"}}}
+  // Session data only lives in chrome.storage.sync.
+  if (namespace == 'sync') {
+    // Make a change object using newValues
+    var changeObj = {};
+    for (key in changes) {
+      changeObj[key] = changes[key].newValue;
+    }
+    TabberInternal.SessionCrypto.decryptItems(changeObj, false,
+                                              tbr.onSyncChange_);
+  }
+
+  // look for updated options
+  if (tbr.constant_.options_key in changes) {
+    consoleDebugLog('Chrome storage TABBER OPTIONS change');
+    // setOptions() already updated options_, so compare with the stored
+    // value this change replaces.
+    var oldOptions = changes[tbr.constant_.options_key].oldValue || {};
+    tbr.options_ = copyObject_(changes[tbr.constant_.options_key].newValue);
+    if ((JSON.stringify(tbr.options_.rules) !=
+         JSON.stringify(oldOptions.rules)) ||
+        (tbr.options_.incognito != oldOptions.incognito) ||
+        (JSON.stringify(tbr.options_.matching) !=
+         JSON.stringify(oldOptions.matching))) {
+      // Re-read the local tabs through the new rules, which then syncs.
+      TabberInternal.TabRules.setRules(tbr.options_.rules);
+      TabberInternal.TabRules.setIncognitoPolicy(tbr.options_.incognito);
+      TabberInternal.UrlMatching.setConfig(tbr.options_.matching);
+      tbr.scheduleLocalSessionUpdate_(tbr.constant_.urgent_sync_delay);
+      return;
+    }
+    // Update status and resolve session state based on new mode.
+    tbr.doSync_();
+  }
+};
+
+/**
+ * Handle a chrome.storage.sync change, once its values are decrypted.
+ * @private
+ * @param {Object} changeObj - All changed storage values.
+ */
+TabberClass.prototype.onSyncChange_ = function(changeObj) {
+  var tbr = tabberSingleton;
+  // Keep track of sessions created, renamed or deleted anywhere.
+  var deleted = false;
+  var activeChanged = false;
+  var deviceIds = {};
+  var suffix = TabberInternal.TabberSession.KEY_SEPARATOR + 'description';
+  for (var key in changeObj) {
+    var id = getSessionKeyId(key);
+    activeChanged = activeChanged || (id == tbr.remoteSession_.id);
+    if (isDeviceSessionId(id)) {
+      deviceIds[id] = true;
+    } else if (key.endsWith(suffix)) {
+      if (typeof changeObj[key] == 'string') {
+        tbr.sessionNames_[id] = changeObj[key];
+      } else if (id in tbr.sessionNames_) {
+        delete tbr.sessionNames_[id];
+        deleted = deleted || (id == tbr.remoteSession_.id);
+      }
     }
-  } else if (diff.minor) {
-    // For minor differences, we keep status OK, but set the minor msg.
-    tbr.setStatus_(tbr.state.OK, diff.minor);
-  } else {
-    // No differences found.
-    tbr.setStatus_(tbr.state.OK, tbr.constant_.ok_status);
   }
-  // Now determine whether to do any automatic sync operation.
-  // If we do not have both sessions initialized, we can't do anything yet.
-  if ((rem.generation < 0) || (loc.generation < 0)) {
-    consoleDebugLog('Deferring sync until session initialization');
-    return;
+  for (var deviceId in deviceIds) {
+    tbr.updateDeviceSession_(deviceId, changeObj);
   }
-  // If we don't have a valid local session, we have to keep waiting
-  if (!isSessionValid(loc)) {
-    consoleErrorLog('Deferring sync until local session established');
-    return;
+  if (deleted) {
+    consoleDebugLog('Active session was deleted');
+    tbr.switchToRemainingSession_();
+  } else if (activeChanged) {
+    // Update the session.
+    tbr.remoteSession_.updateProps(changeObj);
+    tbr.localSession_.description = tbr.remoteSession_.description;
+    // Update status and resolve session state with new remote info.
+    tbr.doSync_(false);
+  } else if (TabberInternal.SessionCrypto.CONFIG_KEY in changeObj) {
+    // Encryption was turned on or off, or the passphrase changed.
+    tbr.doSync_(false);
   }
-  // If we have found a difference.
-  if (diff.major || diff.minor) {
-    consoleDebugLog('Found differences with favor_local = ' + localIsNewer);
-    consoleDebugLog('loc.gen=' + loc.generation);
-    consoleDebugLog('rem.gen=' + rem.generation);
-    // For newer local session
-    if (localIsNewer) {
-      // If this is a first time change, we don't auto save.
-      if (!firstTime) {
-        // In autosync and autosave mode, save the updated local session.
-        // For all other modes, we never save automatically.
-        if ((tbr.options_.mode == tbr.mode.AUTOSYNC) ||
-            (tbr.options_.mode == tbr.mode.AUTOSAVE)) {
-          tbr.saveLocalToRemote();
-        }
-      }
-    } else {  // for newer remote session
-      /* If we do not have a valid remote session, it means we couldn't
-       * establish one, so just adopt the valid local one
-       */
-      if (!isSessionValid(rem)) {
-        rem = loc;
-        consoleDebugLog('No remote session found');
-        // Recursively call back to insure we are all sync'd. Pretend it's as a
-        // result of a local change, so it will only sync the remote bits.
-        tbr.doSync_(true);
+};
+
+/**
+ * Read all the saved sessions and their history, decrypted, so they can be
+ * rewritten with a new key.
+ * @private
+ * @param {function(Object, Array<TabberInt.type.HistoryEntry>)} callback -
+ *     Called with the chrome.storage.sync items and the history entries.
+ */
+TabberClass.prototype.readSyncData_ = function(callback) {
+  chrome.storage.sync.get(null, function(items) {
+    TabberInternal.SessionCrypto.decryptItems(items, true, function(plain) {
+      var ids = Object.keys(getSyncSessionNames(plain));
+      var entries = [];
+      var pending = ids.length;
+      if (pending == 0) {
+        callback(plain, entries);
         return;
       }
-      // do a local browser sync for the following modes:
-      // autosync, autostart(first time only), and autosave(first time only)
-      if ((tbr.options_.mode == tbr.mode.AUTOSYNC) ||
-          ((tbr.options_.mode == tbr.mode.AUTOSTART) && firstTime) ||
-          ((tbr.options_.mode == tbr.mode.AUTOSAVE) && firstTime)) {
-        tbr.syncBrowserFromRemote();
+      ids.forEach(function(id) {
+        TabberInternal.SessionHistory.readEntries(id, function(found) {
+          entries = entries.concat(found);
+          if (--pending == 0) {
+            callback(plain, entries);
+          }
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Rewrite all the saved sessions and their history, encrypted or not as
+ * session encryption is now set.
+ * @private
+ * @param {Object} items - The chrome.storage.sync items from readSyncData_.
+ * @param {Array<TabberInt.type.HistoryEntry>} entries - The history entries
+ *     from readSyncData_.
+ * @param {function(string)} callback - Called when done, with an error
+ *     message if any session could not be rewritten.
+ */
+TabberClass.prototype.rewriteSyncData_ = function(items, entries, callback) {
+  var suffix = TabberInternal.TabberSession.KEY_SEPARATOR + 'commit';
+  var sessions = [];
+  for (var key in items) {
+    if (key.endsWith(suffix)) {
+      var sess = new TabberInternal.TabberSession(0, getSessionKeyId(key));
+      sess.updateProps(items);
+      if (isSessionValid(sess)) {
+        sessions.push(sess);
       }
     }
   }
+  TabberInternal.SessionHistory.writeEntries(entries);
+  var errors = [];
+  var pending = sessions.length;
+  if (pending == 0) {
+    callback('');
+    return;
+  }
+  sessions.forEach(function(sess) {
+    consoleDebugLog('Rewriting session ' + sess.id);
+    sess.prepareSync(function(syncObj, errMsg) {
+      var done = function(errMsg) {
+        if (errMsg) {
+          errors.push(sess.id + ': ' + errMsg);
+        }
+        if (--pending == 0) {
+          callback(errors.length ?
+                   'Unable to rewrite saved sessions: ' + errors.join(', ') :
+                   '');
+        }
+      };
+      if (errMsg) {
+        done(errMsg);
+      } else {
+        sess.saveToSync(done, syncObj);
+      }
+    }, true);
+  });
 };
 
 /**
- * Ask Chrome for the current set of tabs, and build/update our local session
- * with the resulting tab information.
- * This is called at the end of Tabber initialization, and also after any local
- * browser change.
- *
+ * Remove the session slots of other devices which have not published their
+ * tabs for device_expiry, since those devices are most likely gone.
  * @private
+ * @param {Object} syncObj - All chrome.storage.sync items.
  */
-TabberClass.prototype.updateLocalSessionFromBrowser_ = function() {
+TabberClass.prototype.pruneDeviceSessions_ = function(syncObj) {
   var tbr = tabberSingleton;
-  consoleDebugLog(
-      'updateLocalSessionFromBrowser_() called - getting local tabs');
-  // Callback gets the current tabs info
-  function currentTabs(tabs) {
-    var loc = tbr.localSession_;
-    consoleDebugLog('HAD local tabs:\n' + tabsToString(loc.tabs));
-    consoleDebugLog('GOT local tabs:\n' + tabsToString(tabs));
-    // Accept the new set of tabs
-    loc.tabs = tabs;
-    // if this is local session initialization, make generation = 0
-    if (loc.generation < 0) {
-      loc.generation = 0;
+  var oldest = getLocalTime_() - tbr.constant_.device_expiry;
+  var staleKeys = [];
+  for (var deviceId in tbr.deviceSessions_) {
+    var sess = tbr.deviceSessions_[deviceId];
+    if ((tbr.device_ && (deviceId == tbr.device_.id)) ||
+        (typeof sess.updateTime != 'number') || (sess.updateTime >= oldest)) {
+      continue;
     }
-    // Touch the session to update timestamp and generation.
-    loc.touch();
-    // For first-time init, we go init remote session now.
-    if (!tbr.initialized_) {
-      // Continue initialization by fetching remote storage.
-      chrome.storage.sync.get(null, tbr.onStorageGet);
-    } else {  // after normal update go sync
-      // Update status and session states. Note that this path can happen during
-      // post-init syncing
-      tbr.doSync_();
+    consoleDebugLog('Forgetting device ' + sess.description);
+    var prefix = sess.keyPrefix();
+    for (var key in syncObj) {
+      if (key.startsWith(prefix)) {
+        staleKeys.push(key);
+      }
     }
+    delete tbr.deviceSessions_[deviceId];
+  }
+  if (staleKeys.length > 0) {
+    chrome.storage.sync.remove(staleKeys);
   }
-  // Get the current tabs from Chrome
-  chrome.tabs.query({}, currentTabs);
 };
 
+/**
+ * Apply a chrome.storage.sync change to the known per-device sessions.
+ * @private
+ * @param {string} id - The device session slot id.
+ * @param {Object} changeObj - All changed storage values.
+ */
+TabberClass.prototype.updateDeviceSession_ = function(id, changeObj) {
+  var tbr = tabberSingleton;
+  var deviceId = id.substr(TabberInternal.TabberSession.DEVICE_ID_PREFIX.length);
+  // Our own slot is only written by us.
+  if (tbr.device_ && (deviceId == tbr.device_.id)) {
+    return;
+  }
+  // The slot of a device which was forgotten has no description left.
+  var descKey = id + TabberInternal.TabberSession.KEY_SEPARATOR + 'description';
+  if ((descKey in changeObj) && (changeObj[descKey] === undefined)) {
+    delete tbr.deviceSessions_[deviceId];
+    return;
+  }
+  var sess = tbr.deviceSessions_[deviceId];
+  if (!sess) {
+    sess = tbr.deviceSessions_[deviceId] =
+        new TabberInternal.TabberSession(0, id);
+  }
+  sess.updateProps(changeObj);
+};
 
 /**
- * This is the event handler which is called on any tab remove
+ * Bring the context menu up to date with the saved tabs which are missing from
+ * the browser. The menu is only rebuilt when they change.
  * @private
- * @param {string} tabId - Id of tab being removed.
- * @param {Object} remInfo - hold info about the removal event.
  */
-TabberClass.prototype.onTabRemove_ = function(tabId, remInfo) {
+TabberClass.prototype.updateMenus_ = function() {
   var tbr = tabberSingleton;
-  var delay = tbr.constant_.sync_delay;
-  // If the window is closing, don't delay the update.
-  if (remInfo['isWindowClosing']) {
-    delay = tbr.constant_.urgent_sync_delay;
+  var loc = tbr.localSession_;
+  var rem = tbr.remoteSession_;
+  var missing = [];
+  if (isSessionValid(rem) && getTabsetDiff(loc.tabs, rem.tabs).major) {
+    missing = getTabsetChanges(
+        TabberInternal.TabRules.filterForRestore(loc.tabs),
+        TabberInternal.TabRules.filterForRestore(rem.tabs)).added;
+  }
+  // Menu ids must be unique, so list each URL once.
+  var seen = {};
+  missing = missing.filter(function(tab) {
+    var dup = seen[tab.url];
+    seen[tab.url] = true;
+    return !dup;
+  }).map(function(tab) {
+    return {url: tab.url, title: tab.title || tab.url};
+  });
+  var key = JSON.stringify(missing);
+  if (key == tbr.menuKey_) {
+    return;
+  }
+  tbr.menuKey_ = key;
+  // If a rebuild is running, it picks up the new key when it is done.
+  if (!tbr.menu_updating_) {
+    tbr.rebuildMenus_();
   }
-  // schedule a session update
-  tbr.scheduleLocalSessionUpdate_(delay);
 };
 
 /**
- * This is the event handler which is called on any tab change
+ * Rebuild the context menu from the current menu key.
  * @private
  */
-TabberClass.prototype.onTabChange_ = function() {
+TabberClass.prototype.rebuildMenus_ = function() {
   var tbr = tabberSingleton;
-  var delay = tbr.constant_.sync_delay;
-  // schedule a session update
-  tbr.scheduleLocalSessionUpdate_(delay);
+  var key = tbr.menuKey_;
+  var missing = JSON.parse(key);
+  var contexts = ['page', 'action'];
+  tbr.menu_updating_ = true;
+  chrome.contextMenus.removeAll(function() {
+    chrome.contextMenus.create({id: MenuId_.ADD_TAB, contexts: contexts,
+                                title: 'Add this tab to the saved session'});
+    chrome.contextMenus.create({id: MenuId_.EXCLUDE_SITE, contexts: contexts,
+                                title: 'Never save tabs from this site'});
+    chrome.contextMenus.create({id: MenuId_.SAVE_WINDOW, contexts: contexts,
+                                title: 'Save this window as a new session'});
+    chrome.contextMenus.create({id: MenuId_.OPEN_SAVED, contexts: contexts,
+                                title: 'Open a saved tab',
+                                enabled: missing.length > 0});
+    for (var t = 0; (t < missing.length) && (t < MAX_MENU_TABS_); t++) {
+      chrome.contextMenus.create({id: MenuId_.OPEN_SAVED + ':' + missing[t].url,
+                                  parentId: MenuId_.OPEN_SAVED,
+                                  contexts: contexts,
+                                  title: missing[t].title});
+    }
+    if (missing.length > MAX_MENU_TABS_) {
+      chrome.contextMenus.create({id: MenuId_.OPEN_SAVED + ':',
+                                  parentId: MenuId_.OPEN_SAVED,
+                                  contexts: contexts, enabled: false,
+                                  title: (missing.length - MAX_MENU_TABS_) +
+                                         ' more, restore to open them all'});
+    }
+    tbr.menu_updating_ = false;
+    if (tbr.menuKey_ != key) {
+      tbr.rebuildMenus_();
+    }
+  });
 };
 
 /**
- * Enables or disables the change event handlers.
+ * This is the chrome.contextMenus listener, which runs the menu items.
  * @private
- * @param {boolean} enable - New enable setting.
+ * @param {Object} info - The item clicked.
+ * @param {Tab=} tab - The tab the menu was opened on.
  */
-TabberClass.prototype.enableHandlers_ = function(enable) {
+TabberClass.prototype.onMenuClick_ = function(info, tab) {
   var tbr = tabberSingleton;
-  if (enable) {
-    consoleDebugLog('Enabling tab event handlers');
-    chrome.tabs.onCreated.addListener(tbr.onTabChange_);
-    chrome.tabs.onUpdated.addListener(tbr.onTabChange_);
-    chrome.tabs.onMoved.addListener(tbr.onTabChange_);
-    chrome.tabs.onActivated.addListener(tbr.onTabChange_);
-    chrome.tabs.onHighlighted.addListener(tbr.onTabChange_);
-    chrome.tabs.onDetached.addListener(tbr.onTabChange_);
-    chrome.tabs.onAttached.addListener(tbr.onTabChange_);
-    chrome.tabs.onRemoved.addListener(tbr.onTabRemove_);
-    chrome.tabs.onReplaced.addListener(tbr.onTabChange_);
-//    chrome.tabs.onZoomChange.addListener(tbr.onTabChange_);
-  } else {
-    consoleDebugLog('Removing tab event handlers');
-    chrome.tabs.onCreated.removeListener(tbr.onTabChange_);
-    chrome.tabs.onUpdated.removeListener(tbr.onTabChange_);
-    chrome.tabs.onMoved.removeListener(tbr.onTabChange_);
-    chrome.tabs.onActivated.removeListener(tbr.onTabChange_);
-    chrome.tabs.onHighlighted.removeListener(tbr.onTabChange_);
-    chrome.tabs.onDetached.removeListener(tbr.onTabChange_);
-    chrome.tabs.onAttached.removeListener(tbr.onTabChange_);
-    chrome.tabs.onRemoved.removeListener(tbr.onTabRemove_);
-    chrome.tabs.onReplaced.removeListener(tbr.onTabChange_);
-//    chrome.tabs.onZoomChange.removeListener(tbr.onTabChange_);
+  // Hold on to the click until we are initialized.
+  if (!tbr.initialized_) {
+    tbr.pending_messages_.push(function() {
+      tbr.onMenuClick_(info, tab);
+    });
+    return;
+  }
+  var id = String(info.menuItemId);
+  consoleDebugLog('Context menu item: ' + id);
+  if (id.startsWith(MenuId_.OPEN_SAVED + ':')) {
+    var url = id.substr(MenuId_.OPEN_SAVED.length + 1);
+    var createProps = {url: url, active: true};
+    if (tab && (tab.windowId >= 0)) {
+      createProps.windowId = tab.windowId;
+    }
+    chrome.tabs.create(createProps);
+    return;
+  }
+  if (!tab) {
+    tbr.commandFeedback_('No tab to work on', 'NONE');
+    return;
+  }
+  switch (id) {
+    case MenuId_.ADD_TAB:
+      tbr.addTabToRemote_(tab);
+      break;
+    case MenuId_.EXCLUDE_SITE:
+      tbr.excludeSite_(tab);
+      break;
+    case MenuId_.SAVE_WINDOW:
+      tbr.saveWindowAsSession_(tab.windowId);
+      break;
+    default:
+      consoleErrorLog('Unknown context menu item: ' + id);
   }
 };
 
 /**
- * Second phase of initialization.
+ * Add a single tab to the saved session, without saving the other browser
+ * tabs. The tab goes at the end of the saved window which best matches its
+ * browser window, or of the last saved window.
  * @private
- * @param {Object} items - storage items fetched.
+ * @param {Tab} tab - The tab to add.
  */
-TabberClass.prototype.finishInit_ = function(items) {
+TabberClass.prototype.addTabToRemote_ = function(tab) {
   var tbr = tabberSingleton;
-  consoleDebugLog('Current Options: ' + JSON.stringify(tbr.options_));
-  if (items.options) {
-    consoleDebugLog('New Options: ' + JSON.stringify(items.options));
-    tbr.options_ = items.options;
+  var rem = tbr.remoteSession_;
+  if (tbr.sync_in_progess_ || tbr.save_in_progess_) {
+    tbr.commandFeedback_('Tabber is busy, try again shortly', 'BUSY');
+    return;
   }
-  // continue init by querying Chrome for current tabs.
-  tbr.updateLocalSessionFromBrowser_();
+  if (!isSessionValid(rem)) {
+    tbr.commandFeedback_('There is no saved session to add the tab to',
+                         'NONE');
+    return;
+  }
+  // The tab goes through the save rules like any other.
+  var saved = TabberInternal.TabRules.filterForSave([tab]);
+  if (saved.length == 0) {
+    tbr.commandFeedback_('This tab is excluded from saving', 'NONE');
+    return;
+  }
+  var newTab = copyObject_(saved[0]);
+  for (var t = 0; t < rem.tabs.length; t++) {
+    if (TabberInternal.UrlMatching.isSameUrl(rem.tabs[t].url, newTab.url)) {
+      tbr.commandFeedback_('This tab is already in ' + rem.description,
+                           'NONE');
+      return;
+    }
+  }
+  var sess = new TabberInternal.TabberSession(rem);
+  var locIdByRemId = TabberInternal.RestorePlanner.mapWindows(
+      TabberInternal.TabRules.filterForRestore(tbr.localSession_.tabs),
+      TabberInternal.TabRules.filterForRestore(sess.tabs));
+  var windowId = sess.tabs[sess.tabs.length - 1].windowId;
+  for (var rwid in locIdByRemId) {
+    if (locIdByRemId[rwid] == tab.windowId) {
+      windowId = Number(rwid);
+    }
+  }
+  // Insert the tab after the last one of its saved window.
+  var pos = 0;
+  var count = 0;
+  for (var t = 0; t < sess.tabs.length; t++) {
+    if (sess.tabs[t].windowId == windowId) {
+      pos = t + 1;
+      count++;
+    }
+  }
+  newTab.windowId = windowId;
+  newTab.index = count;
+  newTab.active = false;
+  // Tab group ids are local to the browser.
+  newTab.groupId = NO_GROUP_ID;
+  sess.tabs.splice(pos, 0, newTab);
+  sess.numtabs = sess.tabs.length;
+  sess.baseGeneration = rem.generation;
+  sess.touch();
+  TabberInternal.SessionHistory.record(new TabberInternal.TabberSession(rem),
+                                       false);
+  tbr.save_in_progess_ = true;
+  sess.saveToSync(function(errMsg) {
+    tbr.save_in_progess_ = false;
+    if (errMsg) {
+      tbr.setStatus_(tbr.state.ERR, 'Unable to add tab: ' + errMsg);
+      return;
+    }
+    tbr.remoteSession_ = sess;
+    tbr.commandFeedback_('Added ' + (newTab.title || newTab.url) + ' to ' +
+                         sess.description, 'ADD');
+    tbr.doSync_(false);
+  });
 };
 
 /**
- * Callback from chrome which provides an object with all saved properties.
- * Used to initialize the remote session during Tabber intialization.
- *
- * @param {!Object} obj - Storage object fetched from chrome.storage.
+ * Add an exclusion rule which keeps the tabs of a tab's site from being saved.
+ * @private
+ * @param {Tab} tab - A tab of the site.
  */
-TabberClass.prototype.onStorageGet = function(obj) {
+TabberClass.prototype.excludeSite_ = function(tab) {
   var tbr = tabberSingleton;
-  consoleDebugLog('Object from chrome storage: ' + JSON.stringify(obj));
-  // start with an empty session
-  tbr.remoteSession_ = new TabberInternal.TabberSession(0);
-  var remObjs = tbr.remoteSession_.updateProps(obj);
-  // Get rid of obsolete data.
-  if (remObjs.length > 0) {
-    consoleDebugLog('Removing excess data from remote storage: ' + remObjs);
-    chrome.storage.sync.remove(remObjs);
+  var host = '';
+  try {
+    var url = new URL(tab.url);
+    if ((url.protocol == 'http:') || (url.protocol == 'https:')) {
+      host = url.hostname;
+    }
+  } catch (e) {
+    // Not a URL we can exclude.
   }
-  // Resolve status and session states with new remote session.
-  tbr.doSync_();
-  // Complete initialization by turning on event handlers
-  tbr.initialized_ = true;
-  tbr.enableHandlers_(true);
-  chrome.storage.onChanged.addListener(tbr.onChromeStorageChange_);
+  if (!host) {
+    tbr.commandFeedback_('Only web sites can be excluded', 'NONE');
+    return;
+  }
+  var rules = (tbr.options_.rules || []).slice();
+  for (var r = 0; r < rules.length; r++) {
+    if ((rules[r].action == TabberInternal.TabRules.Action.NO_SAVE) &&
+        (rules[r].field == TabberInternal.TabRules.Field.HOST) &&
+        (rules[r].pattern == host)) {
+      tbr.commandFeedback_(host + ' is already excluded', 'NONE');
+      return;
+    }
+  }
+  rules.push({action: TabberInternal.TabRules.Action.NO_SAVE,
+              field: TabberInternal.TabRules.Field.HOST,
+              type: TabberInternal.TabRules.PatternType.GLOB,
+              pattern: host});
+  var errMsg = tbr.setOptions({rules: rules});
+  if (errMsg) {
+    tbr.commandFeedback_(errMsg, 'ERR');
+    return;
+  }
+  // Re-read the tabs right away, so the site's tabs leave the session now.
+  tbr.scheduleLocalSessionUpdate_(0);
+  tbr.commandFeedback_('Tabs from ' + host + ' are no longer saved', 'EXCL');
 };
 
 /**
- * This is the chrome.storage.sync listener callback for remote session changes.
+ * Save the tabs of a single browser window as a new named session, without
+ * switching to it.
  * @private
- * @type {function(!Object<string, !StorageChange>, string)}
+ * @param {number} windowId - The browser window.
  */
-TabberClass.prototype.onChromeStorageChange_ = function(changes, namespace) {
+TabberClass.prototype.saveWindowAsSession_ = function(windowId) {
   var tbr = tabberSingleton;
-  var key;
-  // updated session properties come from chrome.storage.sync
-  consoleDebugLog('Chrome storage change event: ' + JSON.stringify(changes));
-  // {"options":{"newValue":{"mode":"manual"}}}
-  // Make a change object using newValues
-  var changeObj = {};
-  for (key in changes) {
-    changeObj[key] = changes[key].newValue;
-  }
-  // Update the session.
-  tbr.remoteSession_.updateProps(changeObj);
-  // Update status and resolve session state with new remote info.
-  tbr.doSync_(false);
-
-  // look for updated options
-  if (tbr.constant_.options_key in changes) {
-    consoleDebugLog('Chrome storage TABBER OPTIONS change');
-    tbr.options_ = copyObject_(changes[tbr.constant_.options_key].newValue);
-    // Update status and resolve session state based on new mode.
-    tbr.doSync_();
-  }
+  tbr.queryBrowser_(function(tabSet) {
+    var inWindow = function(item) {
+      return item.windowId == windowId;
+    };
+    var sess = new TabberInternal.TabberSession(1,
+                                                's' + Date.now().toString(36));
+    sess.tabs = tabSet.tabs.filter(inWindow);
+    sess.groups = tabSet.groups.filter(inWindow);
+    sess.windows = tabSet.windows.filter(function(win) {
+      return win.id == windowId;
+    });
+    sess.display = tabSet.display;
+    sess.numtabs = sess.tabs.length;
+    if (sess.tabs.length == 0) {
+      tbr.commandFeedback_('This window has no tabs to save', 'NONE');
+      return;
+    }
+    sess.description = 'Window saved ' + new Date().toLocaleString();
+    sess.updateTime = Date.now();
+    tbr.sessionNames_[sess.id] = sess.description;
+    sess.saveToSync(function(errMsg) {
+      if (errMsg) {
+        delete tbr.sessionNames_[sess.id];
+        tbr.setStatus_(tbr.state.ERR, 'Unable to save window: ' + errMsg);
+        return;
+      }
+      tbr.commandFeedback_('Saved ' + sess.tabs.length + ' tabs as ' +
+                           sess.description, 'WIN');
+    });
+  });
 };
 
 /**
@@ -1078,57 +4047,85 @@ TabberClass.prototype.onChromeStorageChange_ = function(changes, namespace) {
  * @private
  * @param {TabberApi.type.state} status - The new state.
  * @param {string=} opt_errMessage - Description of the current state.
+ * @param {string=} opt_badge - Text to show on the icon for a little while.
  */
-TabberClass.prototype.setStatus_ = function(status, opt_errMessage) {
+TabberClass.prototype.setStatus_ = function(status, opt_errMessage,
+                                            opt_badge) {
   tabberSingleton.status_ = status;
   if (typeof opt_errMessage == 'undefined') {
     opt_errMessage = 'No status information';
   }
   tabberSingleton.statusMessage_ = opt_errMessage;
   consoleDebugLog('Setting status: ' + opt_errMessage);
+  tabberSingleton.persistState_();
   // set our badge icons (status color)
   switch (status) {
     case tabberSingleton.state.OK:
       consoleDebugLog('Setting status to OK');
       // set badge icon GREEN
-      chrome.browserAction.setIcon({
+      chrome.action.setIcon({
         path: {
           19: 'images/tabber_green_19.png',
           38: 'images/tabber_green_38.png'
         }
       });
       // make title default message
-      chrome.browserAction.setTitle({
+      chrome.action.setTitle({
         title: tabberSingleton.constant_.def_title
         });
       break;
     case tabberSingleton.state.WARN:
       consoleDebugLog('Setting status to WARN');
       // set badge icon YELLOW
-      chrome.browserAction.setIcon({
+      chrome.action.setIcon({
         path: {
           19: 'images/tabber_yellow_19.png',
           38: 'images/tabber_yellow_38.png'
         }
       });
       // make title warning message
-      chrome.browserAction.setTitle({title: opt_errMessage});
+      chrome.action.setTitle({title: opt_errMessage});
       break;
     default:
       consoleDebugLog('Setting status to ERROR');
       // set badge icon RED
-      chrome.browserAction.setIcon({
+      chrome.action.setIcon({
         path: {
           19: 'images/tabber_red_19.png',
           38: 'images/tabber_red_38.png'
         }
       });
       // make title error message
-      chrome.browserAction.setTitle({title: opt_errMessage});
+      chrome.action.setTitle({title: opt_errMessage});
       break;
   }
+  // The badge is cleared by an alarm, so it outlasts the status changes the
+  // command causes. Chrome may keep it for up to half a minute.
+  if (opt_badge) {
+    chrome.action.setBadgeBackgroundColor({
+      color: (status == tabberSingleton.state.OK) ? '#188038' :
+             (status == tabberSingleton.state.WARN) ? '#f9ab00' : '#d93025'
+    });
+    chrome.action.setBadgeText({text: opt_badge});
+    chrome.alarms.create(tabberSingleton.constant_.badge_alarm,
+                         {when: Date.now() + 5000});
+  }
+  // Update any open popup.
+  tabberSingleton.broadcast_(TabberInternal.Protocol.Event.STATUS,
+                             tabberSingleton.getStatus());
 };
 
+/**
+ * Get the current time as a local time, like the session timestamps (see
+ * TabberSession.touch).
+ * @private
+ * @return {number}
+ */
+function getLocalTime_() {
+  var d = new Date();
+  return d.getTime() - (60 * 1000 * d.getTimezoneOffset());
+}
+
 /**
  * Helper to copy any object. Only handles primitive props.
  * @private
@@ -1168,11 +4165,12 @@ function consoleErrorLog(msg) {
 
 /*
  * Here is the Tabber loadtime operation. Auto-attach a Tabber singleton to the
- * hosting page object. This singleton has the properties which provide the
- * public access function API as well as all internal code and state.
+ * service worker global object. This singleton has the properties which
+ * provide the public access function API as well as all internal code and
+ * state.
  */
 var tabberSingleton = new TabberClass();
-window['Tabber'] = tabberSingleton;
+self['Tabber'] = tabberSingleton;
 
 // Do the one-time initialization for our singleton.
 tabberSingleton.startInitialization_();
@@ -1186,5 +4184,53 @@ goog.exportProperty(TabberClass.prototype, 'saveLocalToRemote',
                     TabberClass.prototype.saveLocalToRemote);
 goog.exportProperty(TabberClass.prototype, 'syncBrowserFromRemote',
                     TabberClass.prototype.syncBrowserFromRemote);
+goog.exportProperty(TabberClass.prototype, 'mergeBrowserWithRemote',
+                    TabberClass.prototype.mergeBrowserWithRemote);
+goog.exportProperty(TabberClass.prototype, 'swapBrowserWithRemote',
+                    TabberClass.prototype.swapBrowserWithRemote);
+goog.exportProperty(TabberClass.prototype, 'getSessions',
+                    TabberClass.prototype.getSessions);
+goog.exportProperty(TabberClass.prototype, 'createSession',
+                    TabberClass.prototype.createSession);
+goog.exportProperty(TabberClass.prototype, 'renameSession',
+                    TabberClass.prototype.renameSession);
+goog.exportProperty(TabberClass.prototype, 'deleteSession',
+                    TabberClass.prototype.deleteSession);
+goog.exportProperty(TabberClass.prototype, 'switchSession',
+                    TabberClass.prototype.switchSession);
+goog.exportProperty(TabberClass.prototype, 'getDevices',
+                    TabberClass.prototype.getDevices);
+goog.exportProperty(TabberClass.prototype, 'setDeviceName',
+                    TabberClass.prototype.setDeviceName);
+goog.exportProperty(TabberClass.prototype, 'restoreFromDevice',
+                    TabberClass.prototype.restoreFromDevice);
+goog.exportProperty(TabberClass.prototype, 'mergeFromDevice',
+                    TabberClass.prototype.mergeFromDevice);
+goog.exportProperty(TabberClass.prototype, 'getHistory',
+                    TabberClass.prototype.getHistory);
+goog.exportProperty(TabberClass.prototype, 'resolveConflict',
+                    TabberClass.prototype.resolveConflict);
+goog.exportProperty(TabberClass.prototype, 'restoreGeneration',
+                    TabberClass.prototype.restoreGeneration);
+goog.exportProperty(TabberClass.prototype, 'exportSession',
+                    TabberClass.prototype.exportSession);
+goog.exportProperty(TabberClass.prototype, 'importSession',
+                    TabberClass.prototype.importSession);
+goog.exportProperty(TabberClass.prototype, 'setPassphrase',
+                    TabberClass.prototype.setPassphrase);
+goog.exportProperty(TabberClass.prototype, 'unlockSessions',
+                    TabberClass.prototype.unlockSessions);
+goog.exportProperty(TabberClass.prototype, 'disableEncryption',
+                    TabberClass.prototype.disableEncryption);
+goog.exportProperty(TabberClass.prototype, 'restoreSession',
+                    TabberClass.prototype.restoreSession);
+goog.exportProperty(TabberClass.prototype, 'getExternalLog',
+                    TabberClass.prototype.getExternalLog);
+goog.exportProperty(TabberClass.prototype, 'getTabList',
+                    TabberClass.prototype.getTabList);
+goog.exportProperty(TabberClass.prototype, 'restoreSelection',
+                    TabberClass.prototype.restoreSelection);
+goog.exportProperty(TabberClass.prototype, 'planRestore',
+                    TabberClass.prototype.planRestore);
 
 consoleDebugLog('tabber.js load complete');
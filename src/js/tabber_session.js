@@ -21,6 +21,10 @@ limitations under the License.
  */
 goog.provide('TabberInternal.TabberSession');
 
+goog.require('TabberInternal.SessionCrypto');
+goog.require('TabberInternal.SessionEncoding');
+goog.require('TabberInternal.TabRules');
+
 /**
  * Define the TabberSession object which holds the tabs and metadata for a
  * single session. This is the same for remote or local sessions. The optional
@@ -28,9 +32,10 @@ goog.provide('TabberInternal.TabberSession');
  * TabberSession object from which to clone the session data.
  * @constructor
  * @param {Object|number=} opt_initial - The optional initialization data.
+ * @param {string=} opt_id - The id of a new session.
  * @implements {TabberInt.TabberSession}
  */
-TabberInternal.TabberSession = function(opt_initial) {
+TabberInternal.TabberSession = function(opt_initial, opt_id) {
   // Construction type is determined by argument type
   // If arg is an object, assume it is another session to clone
   // otherwise (arg is number or missing) construct a new default session
@@ -42,9 +47,14 @@ TabberInternal.TabberSession = function(opt_initial) {
     }
     // Insure the numtabs prop is set correctly.
     this.numtabs = this.tabs.length
+    // Sessions saved before tab groups or windows have none.
+    this.groups = this.groups || [];
+    this.windows = this.windows || [];
+    this.display = this.display || null;
   } else {
     // Creating a brand new session.
-    this.description = 'default';
+    this.id = opt_id || TabberInternal.TabberSession.DEFAULT_ID;
+    this.description = this.id;
     // set generation number
     if (typeof opt_initial == 'number') {
       // initial generation number specified
@@ -53,14 +63,47 @@ TabberInternal.TabberSession = function(opt_initial) {
       // default initial gen
       this.generation = -1;
     }
-    // No tabs by default
+    // The saved generation this session was derived from.
+    this.baseGeneration = -1;
+    // No tabs, tab groups or windows by default
     this.tabs = [];
+    this.groups = [];
+    this.windows = [];
+    // Screen area of the device the windows were laid out on.
+    this.display = null;
     this.numtabs = 0;
     // No timestamp yet
     this.updateTime = false;
+    // Storage layout, as last read or written.
+    this.version = TabberInternal.SessionEncoding.VERSION;
+    // Last commit record seen, and staged chunks not yet applied.
+    this.commit = null;
+    this.staged = {};
+    // Whether the last commit is encrypted and we don't have the key.
+    this.locked = false;
   }
 };
 
+/**
+ * Id of the session which all Tabber data lived in before there were named
+ * sessions.
+ * @const {string}
+ */
+TabberInternal.TabberSession.DEFAULT_ID = 'default';
+
+/**
+ * Separates the session id from the property name in chrome.storage keys.
+ * @const {string}
+ */
+TabberInternal.TabberSession.KEY_SEPARATOR = ':';
+
+/**
+ * Marks the ids of the per-device session slots, which each device publishes
+ * its own tabs to. Device slots are not listed as named sessions.
+ * @const {string}
+ */
+TabberInternal.TabberSession.DEVICE_ID_PREFIX = '@';
+
 /**
  * Called when there is a change, in order to update timestamps/generation.
  */
@@ -88,31 +131,197 @@ TabberInternal.TabberSession.prototype.getTimeString = function() {
   return '';
 };
 
+/**
+ * Return the prefix of the chrome.storage keys holding this session's data.
+ * Each session has its own key namespace, so sessions can be stored side by
+ * side.
+ * @return {string}
+ */
+TabberInternal.TabberSession.prototype.keyPrefix = function() {
+  return this.id + TabberInternal.TabberSession.KEY_SEPARATOR;
+};
+
 /**
  * Return a sync object, which provides key/value pairs for the data in the
- * object in a form that chrome.storage.sync can handle.
+ * object in a form that chrome.storage.sync can handle. The tabs are encoded
+ * and split into 'Chunk_<stamp>_N' items (see session_encoding.js), where the
+ * stamp is unique to this save. The 'commit' item records the stamp, the
+ * session metadata and a checksum of the chunks. Readers only apply a session
+ * once they have all chunks matching its commit record, so the commit item
+ * must be written last (see saveToSync).
+ * @param {number=} opt_chunkSize - The chunk size, if not the default.
+ * @param {boolean=} opt_rewrite - Keep all the tabs, rather than applying the
+ *     save rules, when rewriting a session which is already saved.
  * @return {Object}
  */
-TabberInternal.TabberSession.prototype.toSync = function() {
+TabberInternal.TabberSession.prototype.toSync = function(opt_chunkSize,
+                                                         opt_rewrite) {
   // consoleDebugLog("Sess: "+JSON.stringify(tabSession));
+  var prefix = this.keyPrefix();
   var syncObj = {};
-  for (var property in this) {
-    // Save our custom properties.
-    if (this.hasOwnProperty(property)) {
-      // skip tabs array property
-      if (property != 'tabs') {
-        syncObj[property] = this[property];
-      }
-    }
+  // Tabs excluded from saving never reach storage, and neither do their
+  // windows and tab groups.
+  var tabs = opt_rewrite ? this.tabs :
+                           TabberInternal.TabRules.filterForSave(this.tabs);
+  var windowIds = {};
+  var groupIds = {};
+  for (var t = 0; t < tabs.length; t++) {
+    windowIds[tabs[t].windowId] = true;
+    groupIds[getTabGroupId(tabs[t])] = true;
   }
-  // Now add the tab objects
-  syncObj['numtabs'] = this.tabs.length;
-  for (var t = 0; t < this.tabs.length; t++) {
-    syncObj['Tab_' + t] = this.tabs[t];
+  var encoded = TabberInternal.SessionEncoding.encodeTabSet(
+      {tabs: tabs,
+       groups: this.groups.filter(function(group) {
+         return groupIds[group.id];
+       }),
+       windows: this.windows.filter(function(win) {
+         return windowIds[win.id];
+       }),
+       display: this.display});
+  var chunks = TabberInternal.SessionEncoding.splitChunks(encoded,
+                                                         opt_chunkSize);
+  // The stamp keeps the chunks of concurrent saves from mixing.
+  var stamp = this.generation + '-' + Math.random().toString(36).substr(2, 6);
+  this.version = TabberInternal.SessionEncoding.VERSION;
+  this.commit = {
+    version: this.version,
+    generation: this.generation,
+    baseGeneration: this.baseGeneration,
+    updateTime: this.updateTime,
+    numtabs: tabs.length,
+    nchunks: chunks.length,
+    stamp: stamp,
+    checksum: TabberInternal.SessionEncoding.checksum(encoded)
+  };
+  this.numtabs = tabs.length;
+  syncObj[prefix + 'description'] = this.description;
+  for (var c = 0; c < chunks.length; c++) {
+    syncObj[prefix + 'Chunk_' + stamp + '_' + c] = chunks[c];
   }
+  syncObj[prefix + 'commit'] = this.commit;
   return syncObj;
 };
 
+/**
+ * Get the sync object to save, like toSync, but with the chunks encrypted if
+ * session encryption is on (see session_crypto.js).
+ * @param {function(Object, string)} callback - Called with the sync object,
+ *     or with an error message if the session can't be encrypted.
+ * @param {boolean=} opt_rewrite - Keep all the tabs (see toSync).
+ */
+TabberInternal.TabberSession.prototype.prepareSync = function(callback,
+                                                              opt_rewrite) {
+  var prefix = this.keyPrefix();
+  var encrypt = TabberInternal.SessionCrypto.getState() !=
+                TabberInternal.SessionCrypto.State.OFF;
+  var syncObj = this.toSync(encrypt ?
+                            TabberInternal.SessionCrypto.CHUNK_SIZE :
+                            undefined, opt_rewrite);
+  var chunkKeys = Object.keys(syncObj).filter(function(key) {
+    return key.startsWith(prefix + 'Chunk_');
+  });
+  TabberInternal.SessionCrypto.encryptValues(chunkKeys.map(function(key) {
+    return syncObj[key];
+  }), function(values, errMsg) {
+    if (errMsg) {
+      callback(null, errMsg);
+      return;
+    }
+    for (var k = 0; k < chunkKeys.length; k++) {
+      syncObj[chunkKeys[k]] = values[k];
+    }
+    syncObj[prefix + 'commit'].encrypted = encrypt;
+    callback(syncObj, '');
+  });
+};
+
+/**
+ * Write the session to chrome.storage.sync as an all-or-nothing save. The
+ * chunks are staged first, the commit record is written last, and the chunks
+ * of older saves (including earlier saves of this generation) are removed
+ * afterwards.
+ * @param {function(string)} callback - Called when done, with an error
+ *     message if the save failed.
+ * @param {Object=} opt_syncObj - The sync object from prepareSync, if the
+ *     caller already has it.
+ * @param {function(Object, Array<string>, function(string))=} opt_check -
+ *     Called before anything is written, with the stored items and the keys
+ *     the save makes stale. The save only goes on if it calls back with an
+ *     empty error message.
+ */
+TabberInternal.TabberSession.prototype.saveToSync = function(callback,
+                                                             opt_syncObj,
+                                                             opt_check) {
+  var sess = this;
+  if (!opt_syncObj) {
+    this.prepareSync(function(syncObj, errMsg) {
+      if (errMsg) {
+        callback(errMsg);
+      } else {
+        sess.saveToSync(callback, syncObj, opt_check);
+      }
+    });
+    return;
+  }
+  var prefix = this.keyPrefix();
+  var syncObj = opt_syncObj;
+  var commitObj = {};
+  commitObj[prefix + 'commit'] = syncObj[prefix + 'commit'];
+  delete syncObj[prefix + 'commit'];
+  chrome.storage.sync.get(null, function(items) {
+    // Chunks of older saves (and older layouts) are stale once we commit.
+    var staleKeys = [];
+    for (var key in items) {
+      if (!key.startsWith(prefix) || (key in syncObj)) {
+        continue;
+      }
+      var prop = key.substr(prefix.length);
+      var stampGen = getChunkGeneration(prop);
+      if (prop.startsWith('Tab_') ||
+          ((stampGen != null) && (stampGen <= sess.generation))) {
+        staleKeys.push(key);
+      }
+    }
+    // Drop our staged chunks if the save fails, so nothing half written
+    // is left behind. Readers never see them without the commit record.
+    var abort = function(message) {
+      chrome.storage.sync.remove(Object.keys(syncObj).filter(function(key) {
+        return key != prefix + 'description';
+      }));
+      callback(message);
+    };
+    var write = function() {
+      chrome.storage.sync.set(syncObj, function() {
+        if (chrome.runtime.lastError) {
+          abort(chrome.runtime.lastError.message);
+          return;
+        }
+        chrome.storage.sync.set(commitObj, function() {
+          if (chrome.runtime.lastError) {
+            abort(chrome.runtime.lastError.message);
+            return;
+          }
+          if (staleKeys.length > 0) {
+            chrome.storage.sync.remove(staleKeys);
+          }
+          callback('');
+        });
+      });
+    };
+    if (!opt_check) {
+      write();
+      return;
+    }
+    opt_check(items, staleKeys, function(errMsg) {
+      if (errMsg) {
+        callback(errMsg);
+      } else {
+        write();
+      }
+    });
+  });
+};
+
 /**
  * Given a single property value, update the session.
  * @param {string} key - Property name.
@@ -124,7 +333,21 @@ TabberInternal.TabberSession.prototype.update = function(key, value) {
     return false;
   }
   consoleDebugLog('UPDATING session ' + key + ' : ' + value);
-  if (key.startsWith('Tab_')) {
+  if (getChunkGeneration(key) != null) {
+    // A staged chunk, which is used once its commit record shows up.
+    if (typeof value == 'string') {
+      this.staged[key] = value;
+    } else {
+      delete this.staged[key];
+    }
+  } else if (key == 'commit') {
+    // Only take commit records, the commit is applied by updateProps.
+    if (!value) {
+      return true;
+    }
+    this.commit = value;
+  } else if (key.startsWith('Tab_')) {
+    // Tabs in the version 1 layout, which had one item per tab.
     var t = parseInt(key.split('_')[1], 10);
     // ignore tabs beyond numtabs limit
     if (t >= this.numtabs) {
@@ -132,6 +355,9 @@ TabberInternal.TabberSession.prototype.update = function(key, value) {
       return false;
     }
     this.tabs[t] = value;
+  } else if (value === undefined) {
+    // The key was removed, e.g. by a layout migration, keep the value.
+    return true;
   } else {  // for non-Tabs, we just take the property value.
     this[key] = value;
     // If we update the numtabs property, trim tabs array if needed.
@@ -146,41 +372,102 @@ TabberInternal.TabberSession.prototype.update = function(key, value) {
 };
 
 /**
- * Given an object full of updated session properties, update the session.
+ * Given an object full of updated storage properties, update the session.
+ * Only the properties in this session's key namespace are used.
  * @param {Object} props - Property values.
  * @returns {Array} - array of unwanted data keys
  */
 TabberInternal.TabberSession.prototype.updateProps = function(props) {
+  var prefix = this.keyPrefix();
   var obsoleteKeys = [];
+  // Pick out our own properties.
+  var sessProps = {};
+  for (var key in props) {
+    if (key.startsWith(prefix)) {
+      sessProps[key.substr(prefix.length)] = props[key];
+    }
+  }
   // Always update the 'numtabs' property first
-  if ('numtabs' in props) {
-    this.update('numtabs', props['numtabs']);
+  if ('numtabs' in sessProps) {
+    this.update('numtabs', sessProps['numtabs']);
   } else {
     consoleDebugLog('Update keeps number of tabs at '+ this.numtabs);
   }
   // now iterate all props
-  for (var key in props) {
-    if (!this.update(key, props[key])) {
-      obsoleteKeys.push(key);
+  for (var prop in sessProps) {
+    if (!this.update(prop, sessProps[prop])) {
+      obsoleteKeys.push(prefix + prop);
     }
   }
+  // Apply the latest commit once we have all of its chunks.
+  this.applyCommit_();
   return obsoleteKeys;
 };
 
+/**
+ * Apply the session data of the last commit record, if all the chunks it
+ * names are present and match its checksum. Until then the session keeps its
+ * previous data, so a half-written save is never seen.
+ * @private
+ * @return {boolean} - whether the commit was applied.
+ */
+TabberInternal.TabberSession.prototype.applyCommit_ = function() {
+  var rec = this.commit;
+  if (!rec || (typeof rec.stamp != 'string')) {
+    return false;
+  }
+  var chunks = [];
+  for (var c = 0; c < rec.nchunks; c++) {
+    var chunk = this.staged['Chunk_' + rec.stamp + '_' + c];
+    if (typeof chunk != 'string') {
+      consoleDebugLog('Commit ' + rec.stamp + ' waiting for chunk ' + c);
+      return false;
+    }
+    chunks.push(chunk);
+  }
+  // Chunks we couldn't decrypt are still encrypted (see session_crypto.js).
+  this.locked = chunks.some(TabberInternal.SessionCrypto.isEncrypted);
+  if (this.locked) {
+    consoleDebugLog('Commit ' + rec.stamp + ' is encrypted');
+    return false;
+  }
+  var encoded = chunks.join('');
+  if (TabberInternal.SessionEncoding.checksum(encoded) != rec.checksum) {
+    consoleDebugLog('Commit ' + rec.stamp + ' does not match its chunks');
+    return false;
+  }
+  var tabSet = TabberInternal.SessionEncoding.decodeTabSet(encoded);
+  if (!tabSet || (tabSet.tabs.length != rec.numtabs)) {
+    consoleErrorLog('Unable to apply commit ' + rec.stamp);
+    return false;
+  }
+  this.tabs = tabSet.tabs;
+  this.groups = tabSet.groups;
+  this.windows = tabSet.windows;
+  this.display = tabSet.display;
+  this.numtabs = tabSet.tabs.length;
+  this.generation = rec.generation;
+  this.baseGeneration = (typeof rec.baseGeneration == 'number') ?
+                        rec.baseGeneration : -1;
+  this.updateTime = rec.updateTime;
+  this.version = rec.version;
+  // Forget the chunks of this and older saves.
+  for (var key in this.staged) {
+    var stampGen = getChunkGeneration(key);
+    if (stampGen <= rec.generation) {
+      delete this.staged[key];
+    }
+  }
+  return true;
+};
+
 /**
  * Given a sync object, set the session properties to match.
  * @param {Object} syncObj - Sync object of a session.
  */
 TabberInternal.TabberSession.prototype.fromSync = function(syncObj) {
   // consoleDebugLog("Sess: "+JSON.stringify(syncObj));
-  for (var property in syncObj) {
-    // save tabs
-    if (property.startsWith('Tab_')) {
-      this.tabs.push(syncObj[property]);
-    } else {
-      this[property] = syncObj[property];
-    }
-  }
+  this.updateProps(syncObj);
   this.numtabs = Number(this.tabs.length);
 };
 
@@ -226,7 +513,15 @@ function isPropertyValid(prop) {
 
   // We only allow named tab element property setting
   if (prop.startsWith('Tab_')) return true;
+  if (prop.startsWith('Chunk_')) return true;
   if (prop == 'tabs') return false;
+  if (prop == 'groups') return false;
+  if (prop == 'windows') return false;
+  if (prop == 'display') return false;
+  if (prop == 'staged') return false;
+  if (prop == 'locked') return false;
+  // The id is implied by the storage key namespace.
+  if (prop == 'id') return false;
 
   // All other props are ok.
   if (prop in sess) return true;
@@ -234,6 +529,179 @@ function isPropertyValid(prop) {
   return false;
 }
 
+/**
+ * Get the session id from a chrome.storage key.
+ * @param {string} key - The storage key.
+ * @return {string} - The session id, or empty if not a session key.
+ */
+function getSessionKeyId(key) {
+  var sep = key.indexOf(TabberInternal.TabberSession.KEY_SEPARATOR);
+  if (sep < 1) {
+    return '';
+  }
+  return key.substr(0, sep);
+}
+
+/**
+ * Get the generation of a staged chunk from its property name, which has the
+ * form 'Chunk_<generation>-<tag>_<n>'.
+ * @param {string} prop - The property name.
+ * @return {?number} - The generation, or null if not a staged chunk.
+ */
+function getChunkGeneration(prop) {
+  var match = prop.match(/^Chunk_(-?\d+)-[a-z0-9]*_\d+$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Build the list of stored sessions from a chrome.storage.sync object. Every
+ * stored session has a description, which is its user visible name.
+ * @param {Object} syncObj - Storage items fetched from chrome.storage.sync.
+ * @return {Object<string, string>} - session names indexed by session id.
+ */
+function getSyncSessionNames(syncObj) {
+  var names = {};
+  var suffix = TabberInternal.TabberSession.KEY_SEPARATOR + 'description';
+  for (var key in syncObj) {
+    if (key.endsWith(suffix) && (typeof syncObj[key] == 'string')) {
+      var id = getSessionKeyId(key);
+      if (!isDeviceSessionId(id)) {
+        names[id] = syncObj[key];
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Tests whether a session id is a per-device session slot.
+ * @param {string} id - The session id to check.
+ * @return {boolean}
+ */
+function isDeviceSessionId(id) {
+  return id.startsWith(TabberInternal.TabberSession.DEVICE_ID_PREFIX);
+}
+
+/**
+ * Get the session slot id a device publishes its tabs to.
+ * @param {string} deviceId - The device id.
+ * @return {string}
+ */
+function getDeviceSessionId(deviceId) {
+  return TabberInternal.TabberSession.DEVICE_ID_PREFIX + deviceId;
+}
+
+/**
+ * Build the per-device sessions found in a chrome.storage.sync object.
+ * @param {Object} syncObj - Storage items fetched from chrome.storage.sync.
+ * @return {Object<string, TabberInternal.TabberSession>} - sessions indexed by
+ *     device id.
+ */
+function getSyncDeviceSessions(syncObj) {
+  var sessions = {};
+  for (var key in syncObj) {
+    var id = getSessionKeyId(key);
+    if (isDeviceSessionId(id) && !(id in sessions)) {
+      sessions[id] = new TabberInternal.TabberSession(0, id);
+      sessions[id].updateProps(syncObj);
+    }
+  }
+  var devices = {};
+  for (var id in sessions) {
+    devices[id.substr(TabberInternal.TabberSession.DEVICE_ID_PREFIX.length)] =
+        sessions[id];
+  }
+  return devices;
+}
+
+/**
+ * Move the session data saved before there were named sessions (flat
+ * 'Tab_N', 'numtabs', etc. keys) into the default session key namespace.
+ * The passed storage object is updated in place, and the returned lists say
+ * which keys need to be written and removed in chrome.storage.sync.
+ * @param {Object} syncObj - Storage items fetched from chrome.storage.sync.
+ * @return {{set: Object, remove: Array<string>}}
+ */
+function migrateLegacySyncSession(syncObj) {
+  var result = {set: {}, remove: []};
+  // Only migrate if there is a legacy session which was never migrated.
+  if (!('numtabs' in syncObj)) {
+    return result;
+  }
+  var prefix = TabberInternal.TabberSession.DEFAULT_ID +
+               TabberInternal.TabberSession.KEY_SEPARATOR;
+  var migrate = !((prefix + 'numtabs') in syncObj);
+  for (var key in syncObj) {
+    if (getSessionKeyId(key) || !isPropertyValid(key)) {
+      continue;
+    }
+    if (migrate) {
+      result.set[prefix + key] = syncObj[key];
+      syncObj[prefix + key] = syncObj[key];
+    }
+    result.remove.push(key);
+    delete syncObj[key];
+  }
+  return result;
+}
+
+/**
+ * Rewrite the sessions stored in the older layout (version 1, which had one
+ * 'Tab_N' item per tab and no commit record) in the current layout. The
+ * passed storage object is updated in place, and the returned lists say which
+ * keys need to be written and removed in chrome.storage.sync.
+ * @param {Object} syncObj - Storage items fetched from chrome.storage.sync.
+ * @return {{set: Object, remove: Array<string>}}
+ */
+function migrateSyncSessionLayout(syncObj) {
+  var result = {set: {}, remove: []};
+  // Find the sessions with tabs but no commit record.
+  var ids = {};
+  for (var key in syncObj) {
+    var id = getSessionKeyId(key);
+    if (id && key.endsWith(TabberInternal.TabberSession.KEY_SEPARATOR +
+                           'numtabs') &&
+        !((id + TabberInternal.TabberSession.KEY_SEPARATOR + 'commit') in
+          syncObj)) {
+      ids[id] = true;
+    }
+  }
+  for (var id in ids) {
+    consoleDebugLog('Migrating session ' + id + ' to layout version ' +
+                    TabberInternal.SessionEncoding.VERSION);
+    var sess = new TabberInternal.TabberSession(0, id);
+    sess.updateProps(syncObj);
+    var prefix = sess.keyPrefix();
+    for (var key in syncObj) {
+      if (key.startsWith(prefix) && (key != prefix + 'description')) {
+        result.remove.push(key);
+        delete syncObj[key];
+      }
+    }
+    var newObj = sess.toSync();
+    for (var key in newObj) {
+      result.set[key] = newObj[key];
+      syncObj[key] = newObj[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Get the number of bytes chrome.storage.sync counts for a set of items,
+ * which is the length of each key plus the JSON form of its value.
+ * @param {Object} syncObj - The storage items.
+ * @return {number}
+ */
+function getSyncObjectSize(syncObj) {
+  var size = 0;
+  for (var key in syncObj) {
+    size += new TextEncoder().encode(key + JSON.stringify(syncObj[key]))
+                .length;
+  }
+  return size;
+}
+
 /**
  * Tests for session validity.
  * @param {TabberInt.TabberSession} sess - The session to check.
@@ -244,6 +712,11 @@ function isSessionValid(sess) {
     consoleDebugLog('No Session found');
     return false;
   }
+  // Encrypted sessions are not corrupt, but can't be used until unlocked.
+  if (sess.locked) {
+    consoleDebugLog('Session is encrypted');
+    return false;
+  }
   // validate the official properties of a session
   if (typeof sess.description != 'string') {
     consoleDebugLog('Session has bad description');
@@ -336,12 +809,18 @@ function getSessionDiff(loc, rem) {
    }
 
    var localOrder = 'Saved session has ';
-   var tabDiff = getTabsetDiff(loc.tabs, rem.tabs);
+   var tabDiff = getTabsetDiff(loc.tabs, rem.tabs, loc.groups, rem.groups);
    // Look for session differences to report.
    if (tabDiff.major) {
      result.major = localOrder + tabDiff.major;
    } else if (tabDiff.minor) {
      result.minor = localOrder + tabDiff.minor;
+   } else {
+     // Window moves and resizes are minor too.
+     var winDiff = getWindowsDiff(loc, rem);
+     if (winDiff) {
+       result.minor = localOrder + winDiff;
+     }
    }
    // If we have a diff, handle it here.
    if (result.major || result.minor) {
@@ -19,6 +19,32 @@ limitations under the License.
  * tabs.js - Provides functions for working with Tab objects.
  */
 
+/**
+ * The groupId of a tab which is not in a tab group
+ * (chrome.tabGroups.TAB_GROUP_ID_NONE).
+ * @const {number}
+ */
+var NO_GROUP_ID = -1;
+
+/**
+ * Get the tab group of a tab, which may be missing in tabs saved before tab
+ * groups were.
+ * @param {TabberInt.type.Tab} tab - The tab.
+ * @return {number} - The groupId, or NO_GROUP_ID if the tab has no group.
+ */
+function getTabGroupId(tab) {
+  return (typeof tab.groupId == 'number') ? tab.groupId : NO_GROUP_ID;
+}
+
+/**
+ * Check whether a tab is muted.
+ * @param {TabberInt.type.Tab} tab - The tab.
+ * @return {boolean}
+ */
+function isTabMuted(tab) {
+  return !!(tab.mutedInfo && tab.mutedInfo.muted);
+}
+
 /**
  * This function simply counts the number of windowids in a set of tabs.
  * @param {Array<TabberInt.type.Tab>} tabs - Set of tabs to examine.
@@ -39,6 +65,8 @@ function getTabsetWinCount(tabs) {
  * looks first for a major difference, and if not found, a minor difference.
  * Returns an object with 'minor' and 'major' keys, whos values are strings
  * describing the first difference found. Only one difference is indicated.
+ * Tabs whose URLs only differ in what the URL matching config ignores are the
+ * same tab, navigated, which is a minor difference.
  * @param {Object} tab1 - First tab to compare.
  * @param {Object} tab2 - Second tab to compare.
  * @return {TabberInt.type.TabDiff}
@@ -48,7 +76,7 @@ function getTabsDiff(tab1, tab2) {
   var result = {major: '', minor: '', err: false};
   // Look for a major difference.
   // First, compare URLs.
-  if (tab1.url != tab2.url) {
+  if (!TabberInternal.UrlMatching.isSameUrl(tab1.url, tab2.url)) {
     consoleDebugLog(
         'Tab \'' + tab1.title + '\' and tab \'' + tab2.title +
         '\' have different URLs');
@@ -64,20 +92,97 @@ function getTabsDiff(tab1, tab2) {
         '\' have different active state');
     result.minor = 'a different active tab.';
   }
+  // Then pinned and muted state.
+  if (!!tab1.pinned != !!tab2.pinned) {
+    consoleDebugLog(
+        'Tab \'' + tab1.title + '\' and tab \'' + tab2.title +
+        '\' have different pinned state');
+    result.minor = result.minor || 'a different pinned tab.';
+  }
+  if (isTabMuted(tab1) != isTabMuted(tab2)) {
+    consoleDebugLog(
+        'Tab \'' + tab1.title + '\' and tab \'' + tab2.title +
+        '\' have different muted state');
+    result.minor = result.minor || 'a different muted tab.';
+  }
+  if (tab1.url != tab2.url) {
+    consoleDebugLog(
+        'Tab \'' + tab1.title + '\' and tab \'' + tab2.title +
+        '\' are the same page at a different URL');
+    result.minor = result.minor || 'a navigated tab.';
+  }
   return result;
 }
 
+/**
+ * Compare how two sets of tabs (with the same URLs in the same order) are
+ * arranged in tab groups, and describe the first difference found.
+ * @param {Array<TabberInt.type.Tab>} tabs1 - First set of tabs to compare.
+ * @param {Array<TabberInt.type.Tab>} tabs2 - Second set of tabs to compare.
+ * @param {Array<TabberInt.type.TabGroup>} groups1 - Groups of the first set.
+ * @param {Array<TabberInt.type.TabGroup>} groups2 - Groups of the second set.
+ * @return {string} - The difference, or an empty string if none.
+ */
+function getTabGroupsDiff(tabs1, tabs2, groups1, groups2) {
+  var groupById1 = {};
+  var groupById2 = {};
+  for (var g = 0; g < groups1.length; g++) {
+    groupById1[groups1[g].id] = groups1[g];
+  }
+  for (var g = 0; g < groups2.length; g++) {
+    groupById2[groups2[g].id] = groups2[g];
+  }
+  // The group ids differ between browsers, so map them as we go.
+  var map1to2 = {};
+  var map2to1 = {};
+  for (var t = 0; t < tabs1.length; t++) {
+    var id1 = getTabGroupId(tabs1[t]);
+    var id2 = getTabGroupId(tabs2[t]);
+    if ((id1 == NO_GROUP_ID) && (id2 == NO_GROUP_ID)) {
+      continue;
+    }
+    if ((id1 == NO_GROUP_ID) || (id2 == NO_GROUP_ID) ||
+        ((id1 in map1to2) && (map1to2[id1] != id2)) ||
+        ((id2 in map2to1) && (map2to1[id2] != id1))) {
+      return 'different tab groups';
+    }
+    map1to2[id1] = id2;
+    map2to1[id2] = id1;
+    var group1 = groupById1[id1] || {};
+    var group2 = groupById2[id2] || {};
+    if ((group1.title || '') != (group2.title || '')) {
+      return 'a differently named tab group';
+    }
+    if (group1.color != group2.color) {
+      return 'a tab group with a different color';
+    }
+    if (!!group1.collapsed != !!group2.collapsed) {
+      return 'a tab group collapsed differently';
+    }
+  }
+  return '';
+}
+
 /**
  * This is the function that compares sets of tabs from two sessions to find
  * any major or minor differences between them. Results are always given from
- * the perspective of the second set of tabs.
+ * the perspective of the second set of tabs. If the tab groups of both sets
+ * are given, differences in tab groups are reported as minor differences.
+ * Tabs excluded from restore by the exclusion rules are left out of the
+ * comparison.
  * @param {Array<Object>} tabs1 - First set of tabs to compare.
  * @param {Array<Object>} tabs2 - Second set of tabs to compare.
+ * @param {Array<TabberInt.type.TabGroup>=} opt_groups1 - Groups of the first
+ *     set.
+ * @param {Array<TabberInt.type.TabGroup>=} opt_groups2 - Groups of the second
+ *     set.
  * @return {TabberInt.type.TabDiff}
  */
-function getTabsetDiff(tabs1, tabs2) {
+function getTabsetDiff(tabs1, tabs2, opt_groups1, opt_groups2) {
   /** @type {TabberInt.type.TabDiff} */
   var dif = {major: '', minor: '', err: false};
+  tabs1 = TabberInternal.TabRules.filterForRestore(tabs1);
+  tabs2 = TabberInternal.TabRules.filterForRestore(tabs2);
   // First see if sets have same number of tabs.
   if (tabs1.length != tabs2.length) {
     if (tabs1.length > tabs2.length) {
@@ -111,6 +216,135 @@ function getTabsetDiff(tabs1, tabs2) {
       dif.minor = diff.minor;
     }
   }
+  // Look for tab group differences.
+  if (!dif.minor && opt_groups1 && opt_groups2) {
+    dif.minor = getTabGroupsDiff(tabs1, tabs2, opt_groups1, opt_groups2);
+  }
   return dif;
 }
 
+
+/**
+ * Find the tabs opened and closed in a set of tabs since a base set of tabs.
+ * Tabs are matched by URL (see TabberInternal.UrlMatching), so duplicate tabs
+ * are each matched once.
+ * @param {Array<TabberInt.type.Tab>} baseTabs - The base set of tabs.
+ * @param {Array<TabberInt.type.Tab>} tabs - The changed set of tabs.
+ * @return {TabberInt.type.TabChanges}
+ */
+function getTabsetChanges(baseTabs, tabs) {
+  /** @type {TabberInt.type.TabChanges} */
+  var changes = {added: [], removed: []};
+  var getKey = TabberInternal.UrlMatching.getKey;
+  // Count the base tabs by URL.
+  var baseUrls = {};
+  for (var t = 0; t < baseTabs.length; t++) {
+    var key = getKey(baseTabs[t].url);
+    baseUrls[key] = (baseUrls[key] || 0) + 1;
+  }
+  for (var t = 0; t < tabs.length; t++) {
+    var key = getKey(tabs[t].url);
+    if (baseUrls[key]) {
+      baseUrls[key]--;
+    } else {
+      changes.added.push(tabs[t]);
+    }
+  }
+  // Whatever is left over in the base was closed.
+  for (var t = 0; t < baseTabs.length; t++) {
+    var key = getKey(baseTabs[t].url);
+    if (baseUrls[key]) {
+      baseUrls[key]--;
+      changes.removed.push(baseTabs[t]);
+    }
+  }
+  return changes;
+}
+
+/**
+ * The ways a tab can differ between two sets of tabs, as reported by
+ * getTabsetChangeList.
+ * @enum {string}
+ */
+var TabStatus = {
+  SAME: 'same',        // in both sets, in the same place
+  ADDED: 'added',      // only in the second set
+  REMOVED: 'removed',  // only in the first set
+  MOVED: 'moved',      // in the same window, but out of order
+  WINDOW: 'window',    // in another window
+  NAVIGATED: 'navigated',  // in the same place, but at a different URL
+  ACTIVE: 'active'     // in the same place, but active in only one set
+};
+
+/**
+ * Compare two sets of tabs and list every difference between them, from the
+ * perspective of the second set: each tab of the second set in order, with
+ * how it differs from its match in the first set, followed by the tabs of the
+ * first set which have no match. Tabs are matched as a restore would match
+ * them (see TabberInternal.RestorePlanner.matchTabs). Tabs excluded from
+ * restore by the exclusion rules are left out of the comparison.
+ *
+ * A tab is only reported as MOVED if it has to move for the others to be in
+ * order, so a tab opened in the middle of a window doesn't make the tabs after
+ * it count as moved.
+ * @param {Array<TabberInt.type.Tab>} tabs1 - First set of tabs to compare.
+ * @param {Array<TabberInt.type.Tab>} tabs2 - Second set of tabs to compare.
+ * @param {Array<number|string>} windowMap - The windowIds of the first set,
+ *     indexed by the windowIds of the second set which match them.
+ * @return {Array<TabberInt.type.TabChange>}
+ */
+function getTabsetChangeList(tabs1, tabs2, windowMap) {
+  tabs1 = TabberInternal.TabRules.filterForRestore(tabs1);
+  tabs2 = TabberInternal.TabRules.filterForRestore(tabs2);
+  // The index in the first set, indexed like the second set.
+  var matches = TabberInternal.RestorePlanner.matchTabs(tabs1, tabs2,
+                                                        windowMap);
+  // Find the tabs which are out of order within their window.
+  var order = {};  // first set positions, indexed by window of the second set
+  var positions = {};  // second set indexes, likewise
+  for (var t = 0; t < tabs2.length; t++) {
+    if ((matches[t] >= 0) &&
+        (tabs1[matches[t]].windowId == windowMap[tabs2[t].windowId])) {
+      var wid = tabs2[t].windowId;
+      (order[wid] = order[wid] || []).push(matches[t]);
+      (positions[wid] = positions[wid] || []).push(t);
+    }
+  }
+  var inOrder = [];
+  for (var wid in order) {
+    var increasing =
+        TabberInternal.RestorePlanner.getIncreasingSubsequence(order[wid]);
+    for (var i = 0; i < increasing.length; i++) {
+      inOrder[positions[wid][i]] = increasing[i];
+    }
+  }
+  /** @type {Array<TabberInt.type.TabChange>} */
+  var changes = [];
+  var matched = {};
+  for (var t = 0; t < tabs2.length; t++) {
+    /** @type {TabberInt.type.TabChange} */
+    var change = {status: TabStatus.SAME, tab: tabs2[t], match: null};
+    if (matches[t] < 0) {
+      change.status = TabStatus.ADDED;
+    } else {
+      change.match = tabs1[matches[t]];
+      matched[matches[t]] = true;
+      if (!(t in inOrder)) {
+        change.status = TabStatus.WINDOW;
+      } else if (!inOrder[t]) {
+        change.status = TabStatus.MOVED;
+      } else if (change.match.url != tabs2[t].url) {
+        change.status = TabStatus.NAVIGATED;
+      } else if (!!change.match.active != !!tabs2[t].active) {
+        change.status = TabStatus.ACTIVE;
+      }
+    }
+    changes.push(change);
+  }
+  for (var t = 0; t < tabs1.length; t++) {
+    if (!matched[t]) {
+      changes.push({status: TabStatus.REMOVED, tab: tabs1[t], match: null});
+    }
+  }
+  return changes;
+}
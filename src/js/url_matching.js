@@ -0,0 +1,315 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * url_matching.js - Decides whether two tab URLs are the same page, so a tab
+ * whose URL changed a little (a tracking parameter, a fragment, http vs https
+ * or a trailing slash) is treated as the same tab, navigated, rather than as
+ * one tab closed and another opened.
+ *
+ * Each URL is reduced to a key, and URLs with the same key match. The key
+ * leaves out what the matching config says to ignore: query parameters whose
+ * names match the strip_params globs (such as 'utm_*'), and optionally the
+ * fragment, the http or https scheme, and a trailing slash. The host rules
+ * change this for the hosts matching their host globs: they can strip more
+ * parameters, ignore the whole query, or ignore the fragment or not. The first
+ * host rule which matches a host applies.
+ *
+ * Keys are only used to compare tabs. Saved URLs are never changed.
+ */
+
+goog.provide('TabberInternal.UrlMatching');
+
+/**
+ * The matching config used when there is none in the options, and for the
+ * settings a config leaves out.
+ * @const {TabberApi.type.url_matching}
+ */
+TabberInternal.UrlMatching.DEFAULT_CONFIG = {
+  strip_params: ['utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid',
+                 'mc_eid', '_ga'],
+  ignore_fragment: false,
+  ignore_scheme: true,
+  ignore_trailing_slash: true,
+  hosts: []
+};
+
+/*
+ * Private globals
+ */
+
+/**
+ * The matching config in effect, with the defaults filled in.
+ * @private
+ * @type {TabberApi.type.url_matching}
+ */
+var matchingSettings_;
+
+/**
+ * The matching config in effect, with its globs compiled.
+ * @private
+ * @type {{strip: Array<RegExp>, ignoreFragment: boolean, ignoreScheme: boolean,
+ *         ignoreSlash: boolean,
+ *         hosts: Array<{host: RegExp, strip: Array<RegExp>,
+ *                       ignoreFragment: (boolean|undefined),
+ *                       ignoreQuery: boolean}>}}
+ */
+var matchingConfig_;
+
+/**
+ * The keys of the URLs seen since the config changed, by URL.
+ * @private
+ * @type {Object<string, string>}
+ */
+var urlKeyCache_ = Object.create(null);
+
+/**
+ * The number of keys in urlKeyCache_.
+ * @private
+ * @type {number}
+ */
+var urlKeyCacheSize_ = 0;
+
+/**
+ * The most keys urlKeyCache_ holds before it starts over.
+ * @private
+ * @const {number}
+ */
+var MAX_URL_KEYS_ = 5000;
+
+/**
+ * Compile a glob, which must match a whole name with '*' matching any run of
+ * characters, into a case insensitive regular expression.
+ * @private
+ * @param {string} glob - The glob.
+ * @return {RegExp}
+ */
+function compileNameGlob_(glob) {
+  var source = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+                   .replace(/\*/g, '.*');
+  return new RegExp('^' + source + '$', 'i');
+}
+
+/**
+ * Check a list of globs.
+ * @private
+ * @param {*} globs - The globs to check.
+ * @return {boolean}
+ */
+function isGlobList_(globs) {
+  return Array.isArray(globs) && globs.every(function(glob) {
+    return (typeof glob == 'string') && (glob.length > 0);
+  });
+}
+
+/**
+ * Check a matching config for errors.
+ * @param {*} config - The config to check.
+ * @return {string} - A description of the first error, or '' if the config is
+ *     valid.
+ */
+TabberInternal.UrlMatching.validateConfig = function(config) {
+  if (!config || (typeof config != 'object')) {
+    return 'not an object';
+  }
+  if ((config.strip_params !== undefined) &&
+      !isGlobList_(config.strip_params)) {
+    return 'strip_params must be a list of parameter names';
+  }
+  var flags = ['ignore_fragment', 'ignore_scheme', 'ignore_trailing_slash'];
+  for (var f = 0; f < flags.length; f++) {
+    if ((config[flags[f]] !== undefined) &&
+        (typeof config[flags[f]] != 'boolean')) {
+      return flags[f] + ' must be true or false';
+    }
+  }
+  if ((config.hosts !== undefined) && !Array.isArray(config.hosts)) {
+    return 'hosts must be a list';
+  }
+  var hosts = config.hosts || [];
+  for (var h = 0; h < hosts.length; h++) {
+    var rule = hosts[h];
+    if (!rule || (typeof rule.host != 'string') || !rule.host) {
+      return 'host rule ' + (h + 1) + ' has no host';
+    }
+    if ((rule.strip_params !== undefined) && !isGlobList_(rule.strip_params)) {
+      return 'host rule ' + (h + 1) +
+             ' strip_params must be a list of parameter names';
+    }
+    if (((rule.ignore_fragment !== undefined) &&
+         (typeof rule.ignore_fragment != 'boolean')) ||
+        ((rule.ignore_query !== undefined) &&
+         (typeof rule.ignore_query != 'boolean'))) {
+      return 'host rule ' + (h + 1) + ' flags must be true or false';
+    }
+  }
+  return '';
+};
+
+/**
+ * Set the matching config in effect. An invalid config (including no config)
+ * means the default config.
+ * @param {TabberApi.type.url_matching|undefined} config - The config, if any.
+ */
+TabberInternal.UrlMatching.setConfig = function(config) {
+  var defaults = TabberInternal.UrlMatching.DEFAULT_CONFIG;
+  if (TabberInternal.UrlMatching.validateConfig(config)) {
+    if (config) {
+      consoleErrorLog('Ignoring invalid URL matching config: ' +
+                      JSON.stringify(config));
+    }
+    config = defaults;
+  }
+  var pick = function(key) {
+    return JSON.parse(JSON.stringify(
+        (config[key] !== undefined) ? config[key] : defaults[key]));
+  };
+  matchingSettings_ = {
+    strip_params: pick('strip_params'),
+    ignore_fragment: pick('ignore_fragment'),
+    ignore_scheme: pick('ignore_scheme'),
+    ignore_trailing_slash: pick('ignore_trailing_slash'),
+    hosts: pick('hosts')
+  };
+  matchingConfig_ = {
+    strip: matchingSettings_.strip_params.map(compileNameGlob_),
+    ignoreFragment: matchingSettings_.ignore_fragment,
+    ignoreScheme: matchingSettings_.ignore_scheme,
+    ignoreSlash: matchingSettings_.ignore_trailing_slash,
+    hosts: matchingSettings_.hosts.map(function(rule) {
+      return {host: compileNameGlob_(rule.host),
+              strip: (rule.strip_params || []).map(compileNameGlob_),
+              ignoreFragment: rule.ignore_fragment,
+              ignoreQuery: !!rule.ignore_query};
+    })
+  };
+  // The keys depend on the config.
+  urlKeyCache_ = Object.create(null);
+  urlKeyCacheSize_ = 0;
+  consoleDebugLog('Using ' + matchingConfig_.hosts.length +
+                  ' URL matching host rules');
+};
+
+/**
+ * Get the matching config in effect, with the defaults filled in.
+ * @return {TabberApi.type.url_matching}
+ */
+TabberInternal.UrlMatching.getConfig = function() {
+  if (!matchingSettings_) {
+    TabberInternal.UrlMatching.setConfig(undefined);
+  }
+  return JSON.parse(JSON.stringify(matchingSettings_));
+};
+
+/**
+ * Reduce a web URL to its matching key.
+ * @private
+ * @param {URL} parsed - The URL.
+ * @return {string}
+ */
+function getWebUrlKey_(parsed) {
+  var config = matchingConfig_;
+  var hostRule = null;
+  for (var h = 0; h < config.hosts.length; h++) {
+    if (config.hosts[h].host.test(parsed.hostname)) {
+      hostRule = config.hosts[h];
+      break;
+    }
+  }
+  var strip = hostRule ? config.strip.concat(hostRule.strip) : config.strip;
+  var params = [];
+  if (!(hostRule && hostRule.ignoreQuery)) {
+    parsed.searchParams.forEach(function(value, name) {
+      var stripped = strip.some(function(regex) {
+        return regex.test(name);
+      });
+      if (!stripped) {
+        params.push(encodeURIComponent(name) + '=' +
+                    encodeURIComponent(value));
+      }
+    });
+  }
+  var ignoreFragment = (hostRule && (hostRule.ignoreFragment !== undefined)) ?
+                       hostRule.ignoreFragment : config.ignoreFragment;
+  var path = parsed.pathname;
+  if (config.ignoreSlash && (path.length > 1)) {
+    path = path.replace(/\/+$/, '');
+  }
+  return (config.ignoreScheme ? '' : parsed.protocol) + '//' + parsed.host +
+         path + (params.length ? '?' + params.join('&') : '') +
+         (ignoreFragment ? '' : parsed.hash);
+}
+
+/**
+ * Get the key of a URL. URLs with the same key are the same page.
+ * @param {string} url - The URL.
+ * @return {string}
+ */
+TabberInternal.UrlMatching.getKey = function(url) {
+  url = String(url);
+  if (url in urlKeyCache_) {
+    return urlKeyCache_[url];
+  }
+  if (!matchingConfig_) {
+    TabberInternal.UrlMatching.setConfig(undefined);
+  }
+  var key = url;
+  try {
+    var parsed = new URL(url);
+    if ((parsed.protocol == 'http:') || (parsed.protocol == 'https:')) {
+      key = getWebUrlKey_(parsed);
+    }
+  } catch (e) {
+    // Not a URL we can normalize, so it only matches itself.
+  }
+  if (urlKeyCacheSize_ >= MAX_URL_KEYS_) {
+    urlKeyCache_ = Object.create(null);
+    urlKeyCacheSize_ = 0;
+  }
+  urlKeyCache_[url] = key;
+  urlKeyCacheSize_++;
+  return key;
+};
+
+/**
+ * Get the host of a web URL. A tab which goes to another page of the same site
+ * keeps its host.
+ * @param {string} url - The URL.
+ * @return {string} - The host, or '' if the URL is not a web URL.
+ */
+TabberInternal.UrlMatching.getHost = function(url) {
+  try {
+    var parsed = new URL(String(url));
+    if ((parsed.protocol == 'http:') || (parsed.protocol == 'https:')) {
+      return parsed.host;
+    }
+  } catch (e) {
+    // Not a URL, so it has no host.
+  }
+  return '';
+};
+
+/**
+ * Check whether two URLs are the same page.
+ * @param {string} url1 - The first URL.
+ * @param {string} url2 - The second URL.
+ * @return {boolean}
+ */
+TabberInternal.UrlMatching.isSameUrl = function(url1, url2) {
+  return (url1 == url2) || (TabberInternal.UrlMatching.getKey(url1) ==
+                            TabberInternal.UrlMatching.getKey(url2));
+};
@@ -0,0 +1,197 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * windows.js - Provides functions for working with Window objects, and with
+ * the screen area windows are laid out in.
+ */
+
+/**
+ * Pick the window fields we save from a chrome Window object.
+ * @param {ChromeWindow} win - The chrome window.
+ * @return {TabberInt.type.Window}
+ */
+function getWindowInfo(win) {
+  return {id: win.id,
+          left: win.left,
+          top: win.top,
+          width: win.width,
+          height: win.height,
+          state: win.state,
+          type: win.type,
+          focused: !!win.focused,
+          incognito: !!win.incognito};
+}
+
+/**
+ * Get the screen area windows can be laid out in, which is the bounding box
+ * of the work areas of all displays.
+ * @param {function(?TabberInt.type.Bounds)} callback - Called with the area,
+ *     or null if it is unknown.
+ */
+function getDisplayArea(callback) {
+  if (!(chrome.system && chrome.system.display)) {
+    // Fall back on the primary screen, if we can see it.
+    if (typeof screen != 'undefined') {
+      callback({left: screen.availLeft || 0, top: screen.availTop || 0,
+                width: screen.availWidth, height: screen.availHeight});
+    } else {
+      callback(null);
+    }
+    return;
+  }
+  chrome.system.display.getInfo(function(displays) {
+    if (!displays || (displays.length < 1)) {
+      callback(null);
+      return;
+    }
+    var left = Infinity;
+    var top = Infinity;
+    var right = -Infinity;
+    var bottom = -Infinity;
+    for (var d = 0; d < displays.length; d++) {
+      var area = displays[d].workArea;
+      left = Math.min(left, area.left);
+      top = Math.min(top, area.top);
+      right = Math.max(right, area.left + area.width);
+      bottom = Math.max(bottom, area.top + area.height);
+    }
+    callback({left: left, top: top, width: right - left,
+              height: bottom - top});
+  });
+}
+
+/**
+ * Get the bounds of a saved window for the local screen. If the window was
+ * saved on a device with a different screen area, its bounds are scaled to
+ * keep the same relative position and size.
+ * @param {TabberInt.type.Window} win - The saved window.
+ * @param {?TabberInt.type.Bounds} fromArea - Screen area of the saving device.
+ * @param {?TabberInt.type.Bounds} toArea - Screen area of this device.
+ * @return {?TabberInt.type.Bounds} - The bounds, or null if the window has
+ *     none saved.
+ */
+function getLocalWindowBounds(win, fromArea, toArea) {
+  if ((typeof win.left != 'number') || (typeof win.top != 'number') ||
+      (typeof win.width != 'number') || (typeof win.height != 'number')) {
+    return null;
+  }
+  var bounds = {left: win.left, top: win.top, width: win.width,
+                height: win.height};
+  if (!fromArea || !toArea || ((fromArea.left == toArea.left) &&
+      (fromArea.top == toArea.top) && (fromArea.width == toArea.width) &&
+      (fromArea.height == toArea.height))) {
+    return bounds;
+  }
+  var scaleX = toArea.width / fromArea.width;
+  var scaleY = toArea.height / fromArea.height;
+  return {left: Math.round(toArea.left +
+                          (bounds.left - fromArea.left) * scaleX),
+          top: Math.round(toArea.top + (bounds.top - fromArea.top) * scaleY),
+          width: Math.round(bounds.width * scaleX),
+          height: Math.round(bounds.height * scaleY)};
+}
+
+/**
+ * How far apart (in pixels) window bounds can be and still be the same. This
+ * covers rounding when scaling bounds, and small adjustments the browser makes
+ * when it places a window.
+ * @private
+ * @type {number}
+ */
+var WINDOW_BOUNDS_SLACK_ = 8;
+
+/**
+ * Compare the windows of two tab sets and report on the first difference found
+ * (if any), from the perspective of the second set. Windows are paired in the
+ * order their first tab appears, so this is only meaningful for tab sets whose
+ * tabs match. The bounds of the second set's windows are scaled to the first
+ * set's screen area, as a restore would place them. Focus is not compared.
+ * @param {TabberInt.type.TabSet} set1 - First tab set to compare.
+ * @param {TabberInt.type.TabSet} set2 - Second tab set to compare.
+ * @return {string} - Description of the difference, or '' if none.
+ */
+function getWindowsDiff(set1, set2) {
+  if (!set1.windows || !set2.windows) {
+    return '';
+  }
+  var order1 = getTabsetWindowOrder_(set1.tabs);
+  var order2 = getTabsetWindowOrder_(set2.tabs);
+  for (var w = 0; (w < order1.length) && (w < order2.length); w++) {
+    var win1 = findWindowInfo_(set1.windows, order1[w]);
+    var win2 = findWindowInfo_(set2.windows, order2[w]);
+    if (!win1 || !win2) {
+      continue;
+    }
+    if (win1.state != win2.state) {
+      return 'a ' + win2.state + ' window';
+    }
+    // Only normal windows keep their own bounds.
+    if (win2.state != 'normal') {
+      continue;
+    }
+    var bounds1 = getLocalWindowBounds(win1, null, null);
+    var bounds2 = getLocalWindowBounds(win2, set2.display || null,
+                                       set1.display || null);
+    if (!bounds1 || !bounds2) {
+      continue;
+    }
+    if ((Math.abs(bounds1.left - bounds2.left) > WINDOW_BOUNDS_SLACK_) ||
+        (Math.abs(bounds1.top - bounds2.top) > WINDOW_BOUNDS_SLACK_)) {
+      return 'a window in another position';
+    }
+    if ((Math.abs(bounds1.width - bounds2.width) > WINDOW_BOUNDS_SLACK_) ||
+        (Math.abs(bounds1.height - bounds2.height) > WINDOW_BOUNDS_SLACK_)) {
+      return 'a window of another size';
+    }
+  }
+  return '';
+}
+
+/**
+ * Get the windowIds of a set of tabs, in the order their first tab appears.
+ * @private
+ * @param {Array<TabberInt.type.Tab>} tabs - Set of tabs to examine.
+ * @return {Array<number|string>}
+ */
+function getTabsetWindowOrder_(tabs) {
+  var order = [];
+  var seen = {};
+  for (var t = 0; t < tabs.length; t++) {
+    if (!seen[tabs[t].windowId]) {
+      seen[tabs[t].windowId] = true;
+      order.push(tabs[t].windowId);
+    }
+  }
+  return order;
+}
+
+/**
+ * Find a saved window by its id.
+ * @private
+ * @param {Array<TabberInt.type.Window>} windows - The saved windows.
+ * @param {number|string} id - The windowId to look for.
+ * @return {?TabberInt.type.Window}
+ */
+function findWindowInfo_(windows, id) {
+  for (var w = 0; w < windows.length; w++) {
+    if (windows[w].id == id) {
+      return windows[w];
+    }
+  }
+  return null;
+}
@@ -0,0 +1,356 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * chrome_env.js - Loads the Tabber scripts into a fresh context for the
+ * tests, the way the extension build concatenates them, along with the Closure
+ * library calls they make and a fake of the chrome extension APIs the service
+ * worker uses.
+ *
+ * Values made inside a context have that context's Object and Array, so pass
+ * them through plain() before comparing them with assert.deepStrictEqual.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var SRC_DIR = path.join(__dirname, '..', 'src', 'js');
+
+/**
+ * The scripts of the service worker, in load order.
+ * @const {Array<string>}
+ */
+var WORKER_SCRIPTS = ['tabs.js', 'windows.js', 'session_encoding.js',
+                      'tab_rules.js', 'url_matching.js', 'restore_planner.js',
+                      'session_crypto.js', 'tabber_session.js',
+                      'session_history.js', 'session_export.js',
+                      'sync_phase_handler.js', 'protocol.js',
+                      'external_access.js', 'tabber.js'];
+
+/**
+ * Make the Closure library calls the scripts make, without the library.
+ * @param {Object} context - The context the scripts run in.
+ * @return {Object}
+ */
+function makeGoog(context) {
+  return {
+    provide: function(name) {
+      var obj = context;
+      name.split('.').forEach(function(part) {
+        obj = obj[part] = obj[part] || {};
+      });
+    },
+    require: function() {},
+    exportProperty: function(obj, name, value) {
+      obj[name] = value;
+    }
+  };
+}
+
+/**
+ * Load scripts into a new context.
+ * @param {Array<string>} scripts - The scripts, as file names in src/js.
+ * @param {Object=} opt_chrome - The chrome APIs, if the scripts use them.
+ * @return {Object} - The context, which holds the globals of the scripts.
+ */
+function loadScripts(scripts, opt_chrome) {
+  var context = {
+    console: console,
+    crypto: globalThis.crypto,
+    TextEncoder: TextEncoder,
+    TextDecoder: TextDecoder,
+    URL: URL,
+    btoa: btoa,
+    atob: atob,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    navigator: {platform: 'Test'},
+    chrome: opt_chrome || {},
+    // tabber.js defines the logging helpers the other scripts use.
+    consoleDebugLog: function() {},
+    consoleErrorLog: function() {},
+    consoleTaggedLog: function() {}
+  };
+  context.self = context;
+  context.goog = makeGoog(context);
+  vm.createContext(context);
+  scripts.forEach(function(script) {
+    var file = path.join(SRC_DIR, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, {filename: file});
+  });
+  return context;
+}
+
+/**
+ * Copy a value made in a script context into plain objects of this one.
+ * @param {*} value - The value.
+ * @return {*}
+ */
+function plain(value) {
+  return (value === undefined) ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Wait for the callbacks the fake APIs scheduled.
+ * @param {number=} opt_ms - How long to wait.
+ * @return {Promise}
+ */
+function wait(opt_ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, opt_ms || 20);
+  });
+}
+
+/**
+ * Make a chrome event.
+ * @return {Object} - The event, which also has a dispatch() method that
+ *     calls the listeners.
+ */
+function makeEvent() {
+  var listeners = [];
+  return {
+    addListener: function(listener) {
+      listeners.push(listener);
+    },
+    removeListener: function(listener) {
+      var index = listeners.indexOf(listener);
+      if (index >= 0) {
+        listeners.splice(index, 1);
+      }
+    },
+    hasListener: function(listener) {
+      return listeners.indexOf(listener) >= 0;
+    },
+    dispatch: function() {
+      var args = arguments;
+      listeners.slice().forEach(function(listener) {
+        listener.apply(null, args);
+      });
+    }
+  };
+}
+
+/**
+ * Call a callback later, as the chrome APIs do.
+ * @param {Function|undefined} callback - The callback, if any.
+ * @param {...*} var_args - Its arguments.
+ */
+function later(callback, var_args) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  if (callback) {
+    setTimeout(function() {
+      callback.apply(null, args);
+    });
+  }
+}
+
+/**
+ * Make a storage area, which keeps its items in a plain object.
+ * @param {string} name - The area name ('sync', 'local' or 'session').
+ * @param {Object} items - The stored items.
+ * @param {Object} onChanged - The chrome.storage.onChanged event.
+ * @return {Object}
+ */
+function makeStorageArea(name, items, onChanged) {
+  var pick = function(keys) {
+    if (keys == null) {
+      return plain(items);
+    }
+    var result = {};
+    [].concat(keys).forEach(function(key) {
+      if (key in items) {
+        result[key] = plain(items[key]);
+      }
+    });
+    return result;
+  };
+  var change = function(keys, values) {
+    var changes = {};
+    keys.forEach(function(key) {
+      changes[key] = {oldValue: plain(items[key]), newValue: plain(values[key])};
+      if (values[key] === undefined) {
+        delete items[key];
+      } else {
+        items[key] = plain(values[key]);
+      }
+    });
+    setTimeout(function() {
+      onChanged.dispatch(changes, name);
+    });
+  };
+  return {
+    QUOTA_BYTES: 102400,
+    MAX_ITEMS: 512,
+    get: function(keys, callback) {
+      later(callback, pick(keys));
+    },
+    set: function(values, callback) {
+      change(Object.keys(values), values);
+      later(callback);
+    },
+    remove: function(keys, callback) {
+      change([].concat(keys), {});
+      later(callback);
+    },
+    getBytesInUse: function(keys, callback) {
+      var found = pick(keys);
+      var bytes = 0;
+      for (var key in found) {
+        bytes += key.length + JSON.stringify(found[key]).length;
+      }
+      later(callback, bytes);
+    }
+  };
+}
+
+/**
+ * Make a fake of the chrome extension APIs. The browser and the storage are
+ * held in a plain object, so several service workers can share them.
+ * @param {Object=} opt_browser - The browser, with tabs and windows lists and
+ *     sync, local and session storage items. Missing parts start empty.
+ * @return {Object} - The chrome APIs, with the browser as chrome.browser.
+ */
+function makeChrome(opt_browser) {
+  var browser = opt_browser || {};
+  ['sync', 'local', 'session', 'alarms'].forEach(function(part) {
+    browser[part] = browser[part] || {};
+  });
+  browser.tabs = browser.tabs || [];
+  browser.windows = browser.windows || [];
+  var onChanged = makeEvent();
+  var nextId = 1000;
+  var event = makeEvent;
+  return {
+    browser: browser,
+    runtime: {
+      id: 'tabbertabbertabbertabbertabberaa',
+      lastError: undefined,
+      getManifest: function() {
+        return JSON.parse(fs.readFileSync(
+            path.join(SRC_DIR, '..', 'manifest.json'), 'utf8'));
+      },
+      onConnect: event(),
+      onMessageExternal: event()
+    },
+    extension: {
+      isAllowedIncognitoAccess: function(callback) {
+        later(callback, false);
+      }
+    },
+    storage: {
+      sync: makeStorageArea('sync', browser.sync, onChanged),
+      local: makeStorageArea('local', browser.local, onChanged),
+      session: makeStorageArea('session', browser.session, onChanged),
+      onChanged: onChanged
+    },
+    alarms: {
+      create: function(name, info) {
+        browser.alarms[name] = {name: name, scheduledTime: info.when};
+      },
+      clear: function(name, callback) {
+        delete browser.alarms[name];
+        later(callback, true);
+      },
+      get: function(name, callback) {
+        later(callback, browser.alarms[name]);
+      },
+      onAlarm: event()
+    },
+    action: {
+      setIcon: function() {},
+      setTitle: function() {},
+      setBadgeText: function() {},
+      setBadgeBackgroundColor: function() {}
+    },
+    commands: {onCommand: event()},
+    contextMenus: {
+      create: function() {},
+      removeAll: function(callback) {
+        later(callback);
+      },
+      onClicked: event()
+    },
+    notifications: {create: function() {}},
+    tabs: {
+      query: function(query, callback) {
+        later(callback, plain(browser.tabs));
+      },
+      create: function(props, callback) {
+        var tab = {id: nextId++, url: props.url, title: '',
+                   windowId: props.windowId, index: props.index || 0};
+        browser.tabs.push(tab);
+        later(callback, plain(tab));
+      },
+      update: function(id, props, callback) {
+        later(callback, {id: id});
+      },
+      move: function(id, props, callback) {
+        later(callback, {id: id});
+      },
+      remove: function(ids, callback) {
+        later(callback);
+      },
+      onCreated: event(),
+      onUpdated: event(),
+      onMoved: event(),
+      onActivated: event(),
+      onHighlighted: event(),
+      onDetached: event(),
+      onAttached: event(),
+      onRemoved: event(),
+      onReplaced: event()
+    },
+    windows: {
+      getAll: function(query, callback) {
+        later(callback, plain(browser.windows));
+      },
+      create: function(props, callback) {
+        later(callback, {id: nextId++, tabs: []});
+      },
+      update: function(id, props, callback) {
+        later(callback, {id: id});
+      },
+      onBoundsChanged: event()
+    }
+  };
+}
+
+/**
+ * Start a Tabber service worker on a fake browser, and wait for its init.
+ * @param {Object=} opt_browser - The browser (see makeChrome).
+ * @return {Promise<Object>} - The context the worker runs in, whose Tabber
+ *     property is the Tabber singleton.
+ */
+function startWorker(opt_browser) {
+  var context = loadScripts(WORKER_SCRIPTS, makeChrome(opt_browser));
+  return wait(100).then(function() {
+    return context;
+  });
+}
+
+module.exports = {
+  WORKER_SCRIPTS: WORKER_SCRIPTS,
+  loadScripts: loadScripts,
+  makeChrome: makeChrome,
+  makeEvent: makeEvent,
+  plain: plain,
+  startWorker: startWorker,
+  wait: wait
+};
@@ -0,0 +1,389 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * restore_planner_test.js - Tests for the restore planner: the window
+ * assignment, the tab matching and the plans, which are checked by doing them
+ * on a model of the browser.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var env = require('./chrome_env.js');
+
+var ctx = env.loadScripts(['url_matching.js', 'restore_planner.js']);
+var RestorePlanner = ctx.TabberInternal.RestorePlanner;
+
+/**
+ * Make tabs from lists of URLs, one list for each window.
+ * @param {Array<Array<string>>} windows - The URLs of each window.
+ * @return {Array<Object>} - The tabs, in window and index order.
+ */
+function makeTabs(windows) {
+  var tabs = [];
+  windows.forEach(function(urls, w) {
+    urls.forEach(function(url, index) {
+      tabs.push({id: tabs.length + 1, url: url, title: url, windowId: w + 1,
+                 index: index, active: index == 0});
+    });
+  });
+  return tabs;
+}
+
+/**
+ * List the types of the operations of a plan.
+ * @param {Object} plan - The plan.
+ * @return {Array<string>}
+ */
+function opTypes(plan) {
+  return env.plain(plan.ops.map(function(op) {
+    return op.type;
+  }));
+}
+
+test('a tab which went to another page of its site is navigated', function() {
+  var loc = makeTabs([['https://a.example/', 'https://b.example/one',
+                       'https://c.example/']]);
+  var rem = makeTabs([['https://a.example/', 'https://b.example/two',
+                       'https://c.example/']]);
+  var plan = RestorePlanner.plan(loc, rem);
+  assert.deepStrictEqual(env.plain(plan.matches), [0, 1, 2]);
+  assert.deepStrictEqual(opTypes(plan), ['navigate']);
+  assert.strictEqual(plan.ops[0].remIndex, 1);
+  assert.strictEqual(plan.ops[0].locIndex, 1);
+});
+
+test('navigated tabs are matched in order between the same tabs', function() {
+  var loc = makeTabs([['https://a.example/', 'https://b.example/1',
+                       'https://b.example/2', 'https://c.example/']]);
+  var rem = makeTabs([['https://a.example/', 'https://b.example/3',
+                       'https://b.example/4', 'https://c.example/']]);
+  var matches = RestorePlanner.matchTabs(loc, rem, [undefined, 1]);
+  assert.deepStrictEqual(env.plain(matches), [0, 1, 2, 3]);
+});
+
+test('a tab on the same site elsewhere is not navigated', function() {
+  var loc = makeTabs([['https://b.example/one', 'https://a.example/',
+                       'https://c.example/']]);
+  var rem = makeTabs([['https://a.example/', 'https://b.example/two',
+                       'https://c.example/']]);
+  var plan = RestorePlanner.plan(loc, rem);
+  assert.deepStrictEqual(env.plain(plan.matches), [1, -1, 2]);
+  assert.deepStrictEqual(opTypes(plan), ['create', 'remove', 'activate']);
+});
+
+test('a tab in another window is not navigated', function() {
+  var loc = makeTabs([['https://a.example/'], ['https://b.example/one']]);
+  var rem = makeTabs([['https://a.example/', 'https://b.example/two']]);
+  var matches = RestorePlanner.matchTabs(loc, rem, [undefined, 1]);
+  assert.deepStrictEqual(env.plain(matches), [0, -1]);
+});
+
+test('pages which are not on the web are not navigated', function() {
+  var loc = makeTabs([['chrome://settings/', 'file:///one.txt']]);
+  var rem = makeTabs([['chrome://history/', 'file:///two.txt']]);
+  var matches = RestorePlanner.matchTabs(loc, rem, [undefined, 1]);
+  assert.deepStrictEqual(env.plain(matches), [-1, -1]);
+});
+
+test('a tab which only changed a tracking parameter is not navigated',
+     function() {
+  var loc = makeTabs([['https://a.example/?utm_source=x']]);
+  var rem = makeTabs([['https://a.example/']]);
+  var plan = RestorePlanner.plan(loc, rem);
+  assert.deepStrictEqual(env.plain(plan.matches), [0]);
+  assert.deepStrictEqual(opTypes(plan), []);
+});
+
+/**
+ * Make a random number generator, so each run tests the same cases.
+ * @param {number} seed - The seed.
+ * @return {function(number): number} - Returns a whole number below its
+ *     argument.
+ */
+function makeRandom(seed) {
+  return function(below) {
+    seed = (seed * 16807) % 2147483647;
+    return seed % below;
+  };
+}
+
+/**
+ * Find the best total score of an assignment of rows to columns by trying
+ * them all.
+ * @param {Array<Array<number>>} scores - The scores.
+ * @param {number} row - The first row to assign.
+ * @param {Object} used - The columns already assigned.
+ * @return {number}
+ */
+function bestScore(scores, row, used) {
+  if (row == scores.length) {
+    return 0;
+  }
+  var best = -Infinity;
+  for (var col = 0; col < scores[row].length; col++) {
+    if (!used[col]) {
+      used[col] = true;
+      best = Math.max(best, scores[row][col] + bestScore(scores, row + 1, used));
+      used[col] = false;
+    }
+  }
+  return best;
+}
+
+test('windows are assigned for the highest total score', function() {
+  var random = makeRandom(7);
+  for (var n = 0; n < 100; n++) {
+    var rows = 1 + random(5);
+    var cols = rows + random(3);
+    var scores = [];
+    for (var r = 0; r < rows; r++) {
+      scores.push([]);
+      for (var c = 0; c < cols; c++) {
+        scores[r].push(random(10));
+      }
+    }
+    var assigned = env.plain(ctx.assignRows_(scores, cols));
+    assert.strictEqual(assigned.length, rows);
+    assert.strictEqual(new Set(assigned).size, rows);
+    var total = 0;
+    for (var r = 0; r < rows; r++) {
+      total += scores[r][assigned[r]];
+    }
+    assert.strictEqual(total, bestScore(scores, 0, {}));
+  }
+});
+
+test('the longest increasing subsequence is found', function() {
+  var lis = function(values) {
+    return env.plain(RestorePlanner.getIncreasingSubsequence(values));
+  };
+  assert.deepStrictEqual(lis([]), []);
+  assert.deepStrictEqual(lis([4]), [true]);
+  assert.deepStrictEqual(lis([0, 1, 2]), [true, true, true]);
+  assert.deepStrictEqual(lis([2, 1, 0]).filter(Boolean).length, 1);
+  assert.deepStrictEqual(lis([0, 5, 1, 2, 6, 3]),
+                         [true, false, true, true, false, true]);
+  var random = makeRandom(11);
+  for (var n = 0; n < 100; n++) {
+    var values = [];
+    for (var i = random(12); i > 0; i--) {
+      values.push(random(20));
+    }
+    // The longest by trying every subsequence.
+    var best = 0;
+    for (var mask = 0; mask < (1 << values.length); mask++) {
+      var last = -1;
+      var length = 0;
+      for (var i = 0; i < values.length; i++) {
+        if (mask & (1 << i)) {
+          length = (values[i] > last) ? length + 1 : -Infinity;
+          last = values[i];
+        }
+      }
+      best = Math.max(best, length);
+    }
+    var picked = values.filter(function(value, i) {
+      return lis(values)[i];
+    });
+    assert.strictEqual(picked.length, best);
+    for (var i = 1; i < picked.length; i++) {
+      assert.ok(picked[i - 1] < picked[i]);
+    }
+  }
+});
+
+test('windows are mapped to the windows sharing most tabs', function() {
+  var loc = makeTabs([['https://a.test/', 'https://b.test/'],
+                      ['https://c.test/', 'https://d.test/',
+                       'https://e.test/']]);
+  var rem = makeTabs([['https://c.test/', 'https://d.test/'],
+                      ['https://a.test/'], ['https://f.test/']]);
+  var map = RestorePlanner.mapWindows(loc, rem);
+  assert.strictEqual(map[1], 2);
+  assert.strictEqual(map[2], 1);
+  assert.strictEqual(map[3], undefined);
+});
+
+/**
+ * Do a plan on a model of the browser: the windows by id, each a list of tabs
+ * which may include tabs the plan leaves alone. Windows left with no tabs
+ * close, as they do in Chrome.
+ * @param {Object<string, Array<Object>>} browser - The windows, updated.
+ * @param {Array<Object>} locTabs - The local tabs in the plan.
+ * @param {Array<Object>} remTabs - The remote tabs in the plan.
+ * @param {Object} plan - The plan.
+ * @return {Object<string, string>} - The browser window of each remote
+ *     window.
+ */
+function doPlan(browser, locTabs, remTabs, plan) {
+  var windowIds = {};
+  for (var rwid in plan.windowMap) {
+    windowIds[rwid] = String(plan.windowMap[rwid]);
+  }
+  var findTab = function(tab) {
+    for (var wid in browser) {
+      var index = browser[wid].indexOf(tab);
+      if (index >= 0) {
+        return {wid: wid, index: index};
+      }
+    }
+    assert.fail('tab ' + tab.url + ' is not open');
+  };
+  var takeTab = function(tab) {
+    var place = findTab(tab);
+    browser[place.wid].splice(place.index, 1);
+    if (browser[place.wid].length == 0) {
+      delete browser[place.wid];
+    }
+  };
+  var putTab = function(tab, rwid, index) {
+    var win = browser[windowIds[rwid]];
+    assert.ok(win, 'window of remote window ' + rwid + ' is open');
+    assert.ok(index <= win.length, 'index ' + index + ' is in the window');
+    win.splice(index, 0, tab);
+  };
+  plan.ops.forEach(function(op) {
+    var tab = (op.locIndex >= 0) ? locTabs[op.locIndex] :
+                                   {url: remTabs[op.remIndex].url};
+    if (op.type == 'new_window') {
+      if (op.locIndex >= 0) {
+        takeTab(tab);
+      }
+      windowIds[op.windowId] = 'new' + op.windowId;
+      browser[windowIds[op.windowId]] = [tab];
+    } else if (op.type == 'create') {
+      putTab(tab, op.windowId, op.index);
+    } else if (op.type == 'move') {
+      takeTab(tab);
+      putTab(tab, op.windowId, op.index);
+    } else if (op.type == 'remove') {
+      takeTab(tab);
+    } else if (op.type == 'navigate') {
+      findTab(tab);
+      tab.url = remTabs[op.remIndex].url;
+    }
+  });
+  return windowIds;
+}
+
+/**
+ * Check that a tab is still open in the browser model.
+ * @param {Object<string, Array<Object>>} browser - The windows.
+ * @param {Object} tab - The tab.
+ * @param {string} message - What to report if it is not.
+ */
+function assertTabOpen(browser, tab, message) {
+  assert.ok(Object.keys(browser).some(function(wid) {
+    return browser[wid].indexOf(tab) >= 0;
+  }), message);
+}
+
+test('plans turn the browser into the saved session', function() {
+  var random = makeRandom(3);
+  var sites = ['https://a.test/', 'https://b.test/', 'https://c.test/',
+               'https://d.test/', 'https://e.test/x', 'https://e.test/y',
+               'https://f.test/?utm_source=z', 'https://f.test/'];
+  var makeWindows = function(count) {
+    var windows = [];
+    for (var w = 0; w < count; w++) {
+      var urls = [];
+      for (var t = 1 + random(6); t > 0; t--) {
+        urls.push(sites[random(sites.length)]);
+      }
+      windows.push(urls);
+    }
+    return windows;
+  };
+  for (var n = 0; n < 300; n++) {
+    // Some browser tabs are left out of the plan, as excluded tabs are.
+    var browser = {};
+    var locTabs = [];
+    makeWindows(1 + random(3)).forEach(function(urls, w) {
+      var wid = String(w + 1);
+      browser[wid] = urls.map(function(url, index) {
+        var tab = {url: url, windowId: w + 1, index: index, hidden: false};
+        if (random(5) == 0) {
+          tab.hidden = true;
+        } else {
+          locTabs.push(tab);
+        }
+        return tab;
+      });
+    });
+    var hidden = [];
+    for (var wid in browser) {
+      hidden = hidden.concat(browser[wid].filter(function(tab) {
+        return tab.hidden;
+      }));
+    }
+    var remTabs = makeTabs(makeWindows(1 + random(3)));
+    var plan = RestorePlanner.plan(locTabs, remTabs);
+    var windowIds = doPlan(browser, locTabs, remTabs, plan);
+    var remWindows = {};
+    remTabs.forEach(function(tab) {
+      (remWindows[tab.windowId] = remWindows[tab.windowId] || []).push(tab);
+    });
+    for (var rwid in remWindows) {
+      var win = browser[windowIds[rwid]].filter(function(tab) {
+        return !tab.hidden;
+      });
+      assert.deepStrictEqual(win.map(function(tab) {
+        return ctx.TabberInternal.UrlMatching.getKey(tab.url);
+      }), remWindows[rwid].map(function(tab) {
+        return ctx.TabberInternal.UrlMatching.getKey(tab.url);
+      }), 'case ' + n + ', remote window ' + rwid);
+    }
+    // The tabs left alone stay open.
+    hidden.forEach(function(tab) {
+      assertTabOpen(browser, tab, 'case ' + n + ' closed a tab left alone');
+    });
+    // Each remote tab is placed once at most.
+    var placed = {};
+    plan.ops.forEach(function(op) {
+      if ((op.type != 'remove') && (op.type != 'activate') &&
+          (op.type != 'navigate')) {
+        assert.ok(!placed[op.remIndex], 'case ' + n + ' places a tab twice');
+        placed[op.remIndex] = true;
+      }
+    });
+  }
+});
+
+test('tabs already in order stay where they are', function() {
+  var loc = makeTabs([['https://a.test/', 'https://b.test/',
+                       'https://c.test/', 'https://d.test/']]);
+  var rem = makeTabs([['https://a.test/', 'https://new.test/',
+                       'https://b.test/', 'https://d.test/',
+                       'https://c.test/']]);
+  var plan = RestorePlanner.plan(loc, rem);
+  assert.deepStrictEqual(opTypes(plan), ['create', 'move']);
+  assert.strictEqual(plan.ops[0].index, 1);
+});
+
+test('the last tab of a window which is still needed is copied', function() {
+  var loc = makeTabs([['https://a.test/'], ['https://b.test/']]);
+  var rem = makeTabs([['https://a.test/', 'https://b.test/'],
+                      ['https://c.test/']]);
+  var plan = RestorePlanner.plan(loc, rem);
+  assert.deepStrictEqual(opTypes(plan),
+                         ['create', 'create', 'remove', 'activate']);
+  assert.strictEqual(plan.ops[0].remIndex, 1);
+  assert.strictEqual(plan.ops[2].locIndex, 1);
+});
@@ -0,0 +1,136 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * session_encoding_test.js - Tests for the storage encoding of session tabs.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var env = require('./chrome_env.js');
+
+var ctx = env.loadScripts(['tabs.js', 'session_encoding.js']);
+var SessionEncoding = ctx.TabberInternal.SessionEncoding;
+
+/**
+ * Encode a tab set and decode it again.
+ * @param {Object} tabSet - The tab set.
+ * @return {Object} - The decoded tab set.
+ */
+function roundTrip(tabSet) {
+  return env.plain(SessionEncoding.decodeTabSet(
+      SessionEncoding.encodeTabSet(tabSet)));
+}
+
+/**
+ * Make a tab with the fields a decoded tab has.
+ * @param {Object} props - The fields which differ from an ordinary tab.
+ * @return {Object}
+ */
+function makeTab(props) {
+  return Object.assign({url: 'https://a.example/', title: '', index: 0,
+                        windowId: 1, active: false, id: 1, groupId: -1,
+                        pinned: false, mutedInfo: {muted: false},
+                        incognito: false}, props);
+}
+
+test('a tab set comes back as it was saved', function() {
+  var tabSet = {
+    tabs: [makeTab({url: 'https://a.example/path?q=1#top', title: 'A',
+                    active: true, id: 11, groupId: 5, pinned: true}),
+           makeTab({url: 'https://a.example/other', title: 'Ünïcødé ✓',
+                    index: 1, id: 12, mutedInfo: {muted: true}}),
+           makeTab({url: 'about:blank', windowId: 2, id: 13,
+                    incognito: true})],
+    groups: [{id: 5, title: 'Work', color: 'blue', collapsed: true,
+              windowId: 1}],
+    windows: [{id: 1, left: 10, top: 20, width: 800, height: 600,
+               state: 'normal', type: 'normal', focused: true,
+               incognito: false},
+              {id: 2, left: 0, top: 0, width: 400, height: 300,
+               state: 'maximized', type: 'normal', focused: false,
+               incognito: true}],
+    display: {left: 0, top: 0, width: 1920, height: 1080}
+  };
+  assert.deepStrictEqual(roundTrip(tabSet), tabSet);
+});
+
+test('an empty tab set comes back empty', function() {
+  assert.deepStrictEqual(roundTrip({tabs: []}),
+                         {tabs: [], groups: [], windows: [], display: null});
+});
+
+test('a large tab set fills the dictionary and still comes back', function() {
+  var tabs = [];
+  var seed = 1;
+  for (var t = 0; t < 8000; t++) {
+    seed = (seed * 16807) % 2147483647;
+    tabs.push(makeTab({url: 'https://host' + (t % 40) + '.example/' +
+                            seed.toString(36) + '/' + t,
+                       title: 'Page ' + seed.toString(16), index: t,
+                       id: t + 1}));
+  }
+  var encoded = SessionEncoding.encodeTabSet({tabs: tabs});
+  assert.ok(encoded.length < JSON.stringify(tabs).length / 2);
+  assert.deepStrictEqual(
+      env.plain(SessionEncoding.decodeTabSet(encoded).tabs), tabs);
+});
+
+test('data saved before groups and windows decodes without them',
+     function() {
+  // The prefixes and the tabs of the first layout, with only 7 tab fields.
+  var json = JSON.stringify({p: ['https://a.example/'],
+                             t: [[0, 'page', 'A', 0, 1, 1, 7]]});
+  var encoded = ctx.lzwCompress_(new TextEncoder().encode(json));
+  assert.deepStrictEqual(
+      env.plain(SessionEncoding.decodeTabSet(encoded)),
+      {tabs: [makeTab({url: 'https://a.example/page', title: 'A',
+                       active: true, id: 7})],
+       groups: [], windows: [], display: null});
+});
+
+test('corrupt data decodes as null', function() {
+  var encoded = SessionEncoding.encodeTabSet({tabs: [makeTab({})]});
+  var dot = encoded.indexOf('.');
+  assert.strictEqual(SessionEncoding.decodeTabSet(
+      encoded.substr(0, dot + 5)), null);
+  assert.strictEqual(SessionEncoding.decodeTabSet(
+      (Number(encoded.substr(0, dot)) + 50) + encoded.substr(dot)), null);
+  assert.strictEqual(SessionEncoding.decodeTabSet('x'), null);
+});
+
+test('chunks join into the encoded string', function() {
+  var encoded = 'abcdefghij';
+  assert.deepStrictEqual(env.plain(SessionEncoding.splitChunks(encoded, 4)),
+                         ['abcd', 'efgh', 'ij']);
+  assert.deepStrictEqual(env.plain(SessionEncoding.splitChunks('', 4)), []);
+  var long = new Array(SessionEncoding.CHUNK_SIZE * 2 + 2).join('x');
+  var chunks = SessionEncoding.splitChunks(long);
+  assert.strictEqual(chunks.length, 3);
+  assert.strictEqual(chunks.join(''), long);
+});
+
+test('checksums tell encoded strings apart', function() {
+  assert.strictEqual(SessionEncoding.checksum(''), '811c9dc5');
+  assert.strictEqual(SessionEncoding.checksum('abc'),
+                     SessionEncoding.checksum('abc'));
+  assert.notStrictEqual(SessionEncoding.checksum('abc'),
+                        SessionEncoding.checksum('abd'));
+  assert.match(SessionEncoding.checksum('abc'), /^[0-9a-f]{1,8}$/);
+});
@@ -0,0 +1,199 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * session_export_test.js - Tests for exporting and importing sessions.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var env = require('./chrome_env.js');
+
+var ctx = env.loadScripts(['tabs.js', 'session_encoding.js', 'tab_rules.js',
+                           'session_crypto.js', 'tabber_session.js',
+                           'session_export.js']);
+var SessionExport = ctx.TabberInternal.SessionExport;
+
+/**
+ * Make a session with two windows.
+ * @return {Object} - The session.
+ */
+function makeSession() {
+  var sess = new ctx.TabberInternal.TabberSession(4, 'work');
+  sess.description = 'Work & "play"';
+  sess.updateTime = 1234;
+  sess.display = {left: 0, top: 0, width: 1920, height: 1080};
+  sess.windows = [{id: 7, left: 10, top: 20, width: 800, height: 600,
+                   state: 'normal', type: 'normal', focused: true,
+                   incognito: false},
+                  {id: 9, left: 0, top: 0, width: 400, height: 300,
+                   state: 'maximized', type: 'normal', focused: false,
+                   incognito: true}];
+  sess.groups = [{id: 3, title: 'News', color: 'red', collapsed: true,
+                  windowId: 7}];
+  sess.tabs = [
+    {url: 'https://a.test/?x=1&y=<2>', title: 'A & <b>', index: 0,
+     windowId: 7, active: true, id: 1, groupId: 3, pinned: true,
+     mutedInfo: {muted: false}, incognito: false},
+    {url: 'https://b.test/', title: 'Ünïcødé 😀', index: 1, windowId: 7,
+     active: false, id: 2, groupId: -1, pinned: false,
+     mutedInfo: {muted: true}, incognito: false},
+    {url: 'https://c.test/', title: '', index: 0, windowId: 9,
+     active: true, id: 3, groupId: -1, pinned: false,
+     mutedInfo: {muted: false}, incognito: true}];
+  sess.numtabs = sess.tabs.length;
+  return sess;
+}
+
+/**
+ * List the URLs of the windows of a session.
+ * @param {Object} sess - The session.
+ * @return {Array<Array<string>>}
+ */
+function windowUrls(sess) {
+  var windows = {};
+  var order = [];
+  sess.tabs.forEach(function(tab) {
+    if (!(tab.windowId in windows)) {
+      windows[tab.windowId] = [];
+      order.push(tab.windowId);
+    }
+    windows[tab.windowId][tab.index] = tab.url;
+  });
+  return env.plain(order.map(function(wid) {
+    return windows[wid];
+  }));
+}
+
+test('a JSON export keeps everything the session has', function() {
+  var sess = makeSession();
+  var text = SessionExport.exportSession(sess, 'json');
+  assert.strictEqual(JSON.parse(text).format, 'tabber-session');
+  var copy = SessionExport.importSession(text);
+  assert.strictEqual(copy.generation, 0);
+  assert.strictEqual(copy.description, sess.description);
+  assert.strictEqual(copy.updateTime, 1234);
+  assert.deepStrictEqual(env.plain(copy.display), env.plain(sess.display));
+  assert.deepStrictEqual(env.plain(copy.windows), env.plain(sess.windows));
+  assert.deepStrictEqual(env.plain(copy.groups), env.plain(sess.groups));
+  assert.deepStrictEqual(env.plain(copy.tabs), env.plain(sess.tabs));
+});
+
+test('JSON which is not a session export is refused', function() {
+  var text = SessionExport.exportSession(makeSession(), 'json');
+  var change = function(props) {
+    return JSON.stringify(Object.assign(JSON.parse(text), props));
+  };
+  assert.strictEqual(SessionExport.importSession('{"format": '), null);
+  assert.strictEqual(SessionExport.importSession('null', 'json'), null);
+  assert.strictEqual(SessionExport.importSession(change({format: 'other'})),
+                     null);
+  assert.strictEqual(SessionExport.importSession(change({version: 2})), null);
+  assert.strictEqual(SessionExport.importSession(change({tabs: {}})), null);
+  assert.strictEqual(SessionExport.importSession(change({windows: 1})), null);
+  assert.strictEqual(SessionExport.importSession(change({tabs: []})), null);
+});
+
+test('JSON tabs which cannot be opened are left out', function() {
+  var text = JSON.stringify({format: 'tabber-session', version: 1,
+                             tabs: [{url: 'javascript:alert(1)'},
+                                    {url: 'no scheme'}, null, {url: 5},
+                                    {url: 'https://a.test/'},
+                                    {url: 'https://b.test/', windowId: 2},
+                                    {url: 'https://c.test/'}]});
+  var sess = SessionExport.importSession(text);
+  assert.deepStrictEqual(windowUrls(sess),
+                         [['https://a.test/', 'https://c.test/'],
+                          ['https://b.test/']]);
+  assert.strictEqual(sess.numtabs, 3);
+});
+
+test('a bookmark file export has a folder for each window', function() {
+  var sess = makeSession();
+  var text = SessionExport.exportSession(sess, 'html');
+  assert.strictEqual(SessionExport.detectFormat(text), 'html');
+  assert.ok(text.indexOf('<H1>Work &amp; &quot;play&quot;</H1>') >= 0);
+  var copy = SessionExport.importSession(text);
+  assert.strictEqual(copy.description, 'Work & "play"');
+  assert.deepStrictEqual(windowUrls(copy), windowUrls(sess));
+  assert.deepStrictEqual(env.plain(copy.tabs.map(function(tab) {
+    return tab.title;
+  })), ['A & <b>', 'Ünïcødé 😀', 'https://c.test/']);
+});
+
+test('bookmark files from browsers are imported', function() {
+  var text = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    '    <DT><A HREF="https://loose.test/" ADD_DATE="1">Loose</A>',
+    '    <DT><H3>Folder</H3>',
+    '    <DL><p>',
+    '        <DT><A href="https://a.test/?a=1&amp;b=2">A &#x1F600; &#9999999;' +
+    '</A>',
+    '        <DT><A HREF="javascript:void(0)">Bookmarklet</A>',
+    '        <DT><H3>Inner</H3>',
+    '        <DL><p>',
+    '            <DT><A HREF="https://inner.test/">Inner</A>',
+    '        </DL><p>',
+    '        <DT><A HREF="https://b.test/">B</A>',
+    '    </DL><p>',
+    '    <DT><A HREF="https://loose2.test/">Loose 2</A>',
+    '</DL><p>'].join('\n');
+  var sess = SessionExport.importSession(text);
+  assert.strictEqual(sess.description, 'Bookmarks');
+  assert.deepStrictEqual(windowUrls(sess),
+                         [['https://loose.test/', 'https://loose2.test/'],
+                          ['https://a.test/?a=1&b=2', 'https://b.test/'],
+                          ['https://inner.test/']]);
+  assert.strictEqual(sess.tabs[2].title, 'A 😀 �');
+});
+
+test('a URL list keeps a blank line between windows', function() {
+  var sess = makeSession();
+  var text = SessionExport.exportSession(sess, 'text');
+  assert.strictEqual(text, 'https://a.test/?x=1&y=<2>\nhttps://b.test/\n' +
+                           '\nhttps://c.test/\n');
+  assert.strictEqual(SessionExport.detectFormat(text), 'text');
+  assert.deepStrictEqual(windowUrls(SessionExport.importSession(text)),
+                         windowUrls(sess));
+});
+
+test('URL lists from other tools are imported', function() {
+  var text = '\r\n# My tabs\r\nhttps://a.test/\r\n  https://b.test/  \r\n' +
+             'not a url\r\n\r\n\r\njavascript:alert(1)\r\n\r\n' +
+             'https://c.test/\r\n';
+  var sess = SessionExport.importSession(text);
+  assert.deepStrictEqual(windowUrls(sess),
+                         [['https://a.test/', 'https://b.test/'],
+                          ['https://c.test/']]);
+  assert.strictEqual(sess.tabs[0].active, true);
+  assert.strictEqual(sess.tabs[1].active, false);
+  assert.strictEqual(SessionExport.importSession('# nothing\n\n'), null);
+});
+
+test('formats are known and detected', function() {
+  assert.strictEqual(SessionExport.isFormat('json'), true);
+  assert.strictEqual(SessionExport.isFormat('csv'), false);
+  assert.strictEqual(SessionExport.detectFormat('  {"tabs": []}'), 'json');
+  assert.strictEqual(SessionExport.detectFormat('<dl><p>'), 'html');
+  assert.strictEqual(SessionExport.detectFormat('<A HREF="x">'), 'html');
+  assert.strictEqual(SessionExport.detectFormat('https://a.test/'), 'text');
+});
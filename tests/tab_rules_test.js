@@ -0,0 +1,175 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * tab_rules_test.js - Tests for the exclusion rules and the incognito policy.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var env = require('./chrome_env.js');
+
+var ctx = env.loadScripts(['tab_rules.js']);
+var TabRules = ctx.TabberInternal.TabRules;
+
+/**
+ * Make tabs from URLs.
+ * @param {Array<string>} urls - The URLs. A URL starting with 'incognito:' is
+ *     an incognito tab of the rest of the URL.
+ * @return {Array<Object>}
+ */
+function makeTabs(urls) {
+  return urls.map(function(url, index) {
+    var incognito = url.indexOf('incognito:') == 0;
+    return {id: index + 1, url: incognito ? url.slice(10) : url,
+            windowId: 1, index: index, incognito: incognito};
+  });
+}
+
+/**
+ * List the URLs of tabs.
+ * @param {Array<Object>} tabs - The tabs.
+ * @return {Array<string>}
+ */
+function urls(tabs) {
+  return env.plain(tabs.map(function(tab) {
+    return tab.url;
+  }));
+}
+
+test('rules are checked', function() {
+  var rule = {pattern: '*.example.com', field: 'host', type: 'glob',
+              action: 'nosave'};
+  var withRule = function(props) {
+    return [rule, Object.assign({}, rule, props)];
+  };
+  assert.strictEqual(TabRules.validateRules([rule]), '');
+  assert.strictEqual(TabRules.validateRules([]), '');
+  assert.strictEqual(TabRules.validateRules(rule), 'rules must be a list');
+  assert.strictEqual(TabRules.validateRules(withRule({pattern: ''})),
+                     'rule 2 has no pattern');
+  assert.strictEqual(TabRules.validateRules(withRule({field: 'path'})),
+                     'rule 2 has an unknown field: path');
+  assert.strictEqual(TabRules.validateRules(withRule({type: 'exact'})),
+                     'rule 2 has an unknown pattern type: exact');
+  assert.strictEqual(TabRules.validateRules(withRule({action: 'hide'})),
+                     'rule 2 has an unknown action: hide');
+  assert.match(TabRules.validateRules(withRule({type: 'regex',
+                                                pattern: '('})),
+               /^rule 2 has a bad pattern: /);
+});
+
+test('globs match the whole field, in any case', function() {
+  TabRules.setIncognitoPolicy('ignore');
+  TabRules.setRules([{pattern: '*.Example.com', field: 'host', type: 'glob',
+                      action: 'nosave'},
+                     {pattern: 'file', field: 'scheme', type: 'glob',
+                      action: 'nosave'},
+                     {pattern: 'https://?.test/', field: 'url', type: 'glob',
+                      action: 'nosave'}]);
+  var tabs = makeTabs(['https://a.example.com/', 'https://example.com/',
+                       'https://example.com.other.org/', 'file:///a.txt',
+                       'https://b.test/', 'https://bb.test/']);
+  assert.deepStrictEqual(urls(TabRules.filterForSave(tabs)),
+                         ['https://example.com/',
+                          'https://example.com.other.org/',
+                          'https://bb.test/']);
+});
+
+test('regexes match anywhere in the field', function() {
+  TabRules.setRules([{pattern: 'token=', field: 'url', type: 'regex',
+                      action: 'nosave'}]);
+  var tabs = makeTabs(['https://a.test/?id=1&token=x', 'https://b.test/']);
+  assert.deepStrictEqual(urls(TabRules.filterForSave(tabs)),
+                         ['https://b.test/']);
+});
+
+test('invalid rules are skipped', function() {
+  TabRules.setRules([{pattern: '(', field: 'url', type: 'regex',
+                      action: 'nosave'},
+                     {pattern: 'b.test', field: 'host', type: 'glob',
+                      action: 'nosave'}]);
+  var tabs = makeTabs(['https://a.test/(', 'https://b.test/']);
+  assert.deepStrictEqual(urls(TabRules.filterForSave(tabs)),
+                         ['https://a.test/(']);
+});
+
+test('tabs excluded from restore are saved but not restored', function() {
+  TabRules.setRules([{pattern: 'a.test', field: 'host', type: 'glob',
+                      action: 'norestore'},
+                     {pattern: 'b.test', field: 'host', type: 'glob',
+                      action: 'nosave'}]);
+  var tabs = makeTabs(['https://a.test/', 'https://b.test/',
+                       'https://c.test/']);
+  assert.deepStrictEqual(urls(TabRules.filterForSave(tabs)),
+                         ['https://a.test/', 'https://c.test/']);
+  assert.deepStrictEqual(urls(TabRules.filterForRestore(tabs)),
+                         ['https://c.test/']);
+});
+
+test('query strings are stripped from copies of the tabs', function() {
+  TabRules.setRules([{pattern: 'a.test', field: 'host', type: 'glob',
+                      action: 'stripquery'}]);
+  var tabs = makeTabs(['https://a.test/login?session=x#top',
+                       'https://b.test/?q=1']);
+  assert.deepStrictEqual(urls(TabRules.filterForSave(tabs)),
+                         ['https://a.test/login#top', 'https://b.test/?q=1']);
+  assert.deepStrictEqual(urls(TabRules.filterForRestore(tabs)),
+                         ['https://a.test/login#top', 'https://b.test/?q=1']);
+  assert.strictEqual(tabs[0].url, 'https://a.test/login?session=x#top');
+});
+
+test('incognito tabs are only saved when the policy says so', function() {
+  TabRules.setRules([]);
+  var tabs = makeTabs(['https://a.test/', 'incognito:https://b.test/']);
+  TabRules.setIncognitoPolicy('ignore');
+  assert.deepStrictEqual(urls(TabRules.filterForSave(tabs)),
+                         ['https://a.test/']);
+  TabRules.setIncognitoPolicy('separate');
+  assert.deepStrictEqual(urls(TabRules.filterForSave(tabs)),
+                         ['https://a.test/']);
+  assert.deepStrictEqual(urls(TabRules.getIncognitoTabs(tabs, false)),
+                         ['https://b.test/']);
+  TabRules.setIncognitoPolicy('normal');
+  assert.deepStrictEqual(urls(TabRules.filterForSave(tabs)),
+                         ['https://a.test/', 'https://b.test/']);
+  // Chrome can't move tabs between incognito and normal windows.
+  assert.deepStrictEqual(urls(TabRules.filterForRestore(tabs)),
+                         ['https://a.test/']);
+});
+
+test('an unknown incognito policy means ignore', function() {
+  assert.strictEqual(TabRules.isIncognitoPolicy('separate'), true);
+  assert.strictEqual(TabRules.isIncognitoPolicy('always'), false);
+  TabRules.setIncognitoPolicy('always');
+  assert.strictEqual(TabRules.getIncognitoPolicy(), 'ignore');
+  TabRules.setIncognitoPolicy(undefined);
+  assert.strictEqual(TabRules.getIncognitoPolicy(), 'ignore');
+});
+
+test('incognito tabs excluded from restore are not reopened', function() {
+  TabRules.setRules([{pattern: 'b.test', field: 'host', type: 'glob',
+                      action: 'norestore'}]);
+  var tabs = makeTabs(['incognito:https://a.test/',
+                       'incognito:https://b.test/']);
+  assert.deepStrictEqual(urls(TabRules.getIncognitoTabs(tabs, false)),
+                         ['https://a.test/', 'https://b.test/']);
+  assert.deepStrictEqual(urls(TabRules.getIncognitoTabs(tabs, true)),
+                         ['https://a.test/']);
+});
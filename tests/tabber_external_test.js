@@ -0,0 +1,78 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * tabber_external_test.js - Tests for the calls other extensions and web
+ * pages make to Tabber.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var env = require('./chrome_env.js');
+
+var CALLER_ID = 'abcdefghijklmnopabcdefghijklmnop';
+
+/**
+ * Send an external request to a worker.
+ * @param {Object} worker - The worker context.
+ * @param {Object} sender - The sender of the request.
+ * @param {string} method - The method.
+ * @param {Array} args - Its arguments.
+ * @return {Promise<Object>} - The response.
+ */
+function callExternal(worker, sender, method, args) {
+  var request = worker.TabberInternal.Protocol.makeRequest(1, method, args);
+  return new Promise(function(resolve) {
+    worker.chrome.runtime.onMessageExternal.dispatch(request, sender,
+                                                     resolve);
+  });
+}
+
+test('external callers get a reduced status', function() {
+  return env.startWorker().then(function(worker) {
+    assert.strictEqual(worker.Tabber.setOptions({
+      rules: [],
+      external: {ids: [CALLER_ID], origins: []}
+    }), '');
+    return callExternal(worker, {id: CALLER_ID}, 'getStatus', []);
+  }).then(function(response) {
+    var status = env.plain(response.result[0]);
+    assert.strictEqual(status.options, undefined);
+    assert.strictEqual(status.quota, undefined);
+    assert.strictEqual(typeof status.mode, 'string');
+    assert.strictEqual(status.session, 'default');
+  });
+});
+
+test('extensions outside the allowlist are refused', function() {
+  return env.startWorker().then(function(worker) {
+    return callExternal(worker, {id: CALLER_ID}, 'getStatus', []);
+  }).then(function(response) {
+    assert.strictEqual(response.error.code, 'forbidden');
+  });
+});
+
+test('origins the manifest does not match are refused', function() {
+  return env.startWorker().then(function(worker) {
+    var error = worker.Tabber.setOptions({
+      external: {ids: [], origins: ['https://dashboard.example.com']}
+    });
+    assert.match(error, /externally_connectable/);
+  });
+});
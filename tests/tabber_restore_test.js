@@ -0,0 +1,148 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * tabber_restore_test.js - Tests for restoring the browser from sessions
+ * other than the active one, and for merging.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var env = require('./chrome_env.js');
+
+/**
+ * Start a worker in manual mode, with one tab open.
+ * @return {Promise<Object>} - The worker context.
+ */
+function startManualWorker() {
+  return env.startWorker({
+    local: {options: {mode: 'manual'}},
+    windows: [{id: 1, state: 'normal', type: 'normal', focused: true}],
+    tabs: [{id: 1, url: 'https://a.example/', title: 'a', windowId: 1,
+            index: 0, active: true}]
+  });
+}
+
+/**
+ * Add a device session to a worker.
+ * @param {Object} worker - The worker context.
+ * @param {Array<string>} urls - The URLs of the device's tabs.
+ * @return {string} - The device id.
+ */
+function addDevice(worker, urls) {
+  var sess = new worker.TabberInternal.TabberSession(1, 'device:other');
+  sess.description = 'Other';
+  sess.updateTime = Date.now();
+  urls.forEach(function(url, index) {
+    sess.tabs.push({id: index + 1, url: url, title: url, windowId: 1,
+                    index: index});
+  });
+  sess.numtabs = sess.tabs.length;
+  worker.Tabber.deviceSessions_['other'] = sess;
+  return 'other';
+}
+
+test('a restore which cannot start leaves the active session', function() {
+  return startManualWorker().then(function(worker) {
+    var tbr = worker.Tabber;
+    assert.strictEqual(tbr.setOptions({rules: [
+      {pattern: 'b.example', field: 'host', type: 'glob',
+       action: 'norestore'}]}), '');
+    var active = tbr.remoteSession_;
+    tbr.restoreFromDevice(addDevice(worker, ['https://b.example/']));
+    assert.strictEqual(tbr.remoteSession_, active);
+    assert.strictEqual(tbr.sessionRestore_, null);
+    assert.strictEqual(tbr.sync_done_callback_, null);
+    assert.strictEqual(tbr.sync_in_progess_, false);
+  });
+});
+
+test('a restore while another one runs is refused', function() {
+  return startManualWorker().then(function(worker) {
+    var tbr = worker.Tabber;
+    var active = tbr.remoteSession_;
+    tbr.sync_in_progess_ = true;
+    var errMsg = tbr.syncBrowserFromSession_(
+        tbr.deviceSessions_[addDevice(worker, ['https://b.example/'])], false);
+    assert.strictEqual(errMsg, 'Tabs are already being restored');
+    assert.strictEqual(tbr.remoteSession_, active);
+    assert.strictEqual(tbr.sessionRestore_, null);
+  });
+});
+
+test('a merge while a restore runs is refused', function() {
+  return startManualWorker().then(function(worker) {
+    var tbr = worker.Tabber;
+    var deviceId = addDevice(worker, ['https://b.example/']);
+    var text = 'https://c.example/\n';
+    var imported = null;
+    tbr.sync_in_progess_ = true;
+    assert.strictEqual(tbr.mergeFromDevice(deviceId),
+                       'Tabs are already being restored');
+    tbr.importSession(text, 'merge', '', function(errMsg) {
+      imported = errMsg;
+    });
+    assert.strictEqual(imported, 'Tabs are already being restored');
+    assert.strictEqual(tbr.mergeSource_, null);
+  });
+});
+
+test('a restore loads the saved page in a tab of the same site', function() {
+  return startManualWorker().then(function(worker) {
+    var tbr = worker.Tabber;
+    var calls = [];
+    ['create', 'update', 'remove'].forEach(function(name) {
+      var call = worker.chrome.tabs[name];
+      worker.chrome.tabs[name] = function(id, props, callback) {
+        calls.push(env.plain([name, id, props]));
+        call.apply(null, arguments);
+      };
+    });
+    var deviceId = addDevice(worker, ['https://a.example/other']);
+    assert.strictEqual(tbr.restoreFromDevice(deviceId), '');
+    return env.wait(200).then(function() {
+      assert.deepStrictEqual(calls,
+          [['update', 1, {url: 'https://a.example/other'}]]);
+    });
+  });
+});
+
+test('a tab which failed to open is left alone', function() {
+  return startManualWorker().then(function(worker) {
+    var tbr = worker.Tabber;
+    var updated = [];
+    worker.chrome.tabs.create = function(props, callback) {
+      worker.chrome.runtime.lastError = {message: 'Cannot open tab'};
+      callback(undefined);
+      worker.chrome.runtime.lastError = undefined;
+    };
+    worker.chrome.tabs.update = function(id, props, callback) {
+      updated.push(id);
+      callback({id: id});
+    };
+    var deviceId = addDevice(worker, ['https://b.example/']);
+    tbr.deviceSessions_[deviceId].tabs[0].active = true;
+    tbr.deviceSessions_[deviceId].tabs[0].pinned = true;
+    assert.strictEqual(tbr.restoreFromDevice(deviceId), '');
+    return env.wait(200).then(function() {
+      assert.deepStrictEqual(updated, []);
+      assert.strictEqual(tbr.sync_in_progess_, false);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * tabber_resume_test.js - Tests for a service worker which Chrome stopped and
+ * started again, picking up the state its previous run saved.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var env = require('./chrome_env.js');
+
+/**
+ * Make a browser with one window of tabs, sharing sync storage.
+ * @param {Object} sync - The sync storage items.
+ * @param {Array<string>} urls - The URLs of the tabs.
+ * @return {Object}
+ */
+function makeBrowser(sync, urls) {
+  return {
+    sync: sync,
+    local: {options: {mode: 'manual'}},
+    windows: [{id: 1, left: 0, top: 0, width: 800, height: 600,
+               state: 'normal', type: 'normal', focused: true}],
+    tabs: urls.map(function(url, index) {
+      return {id: index + 1, url: url, title: url, windowId: 1, index: index,
+              active: index == 0};
+    })
+  };
+}
+
+/**
+ * Start a worker for a browser whose state another device has published to,
+ * then stop it and start another one, which resumes its state.
+ * @return {Promise<{worker: Object, deviceId: string}>} - The resumed worker
+ *     and the id of the other device.
+ */
+function resumeWithDevice() {
+  var sync = {};
+  var other = makeBrowser(sync, ['https://a.example/', 'https://b.example/']);
+  var mine = makeBrowser(sync, ['https://c.example/']);
+  var deviceId;
+  return env.startWorker(other).then(function(worker) {
+    deviceId = worker.Tabber.device_.id;
+    worker.chrome.alarms.onAlarm.dispatch({name: 'publish'});
+    return env.wait(100);
+  }).then(function() {
+    return env.startWorker(mine);
+  }).then(function(worker) {
+    assert.ok(deviceId in worker.Tabber.deviceSessions_);
+    assert.ok(mine.session.state, 'worker state was saved');
+    // The same browser, with a new service worker.
+    return env.startWorker(mine);
+  }).then(function(worker) {
+    return {worker: worker, deviceId: deviceId};
+  });
+}
+
+test('resumed device sessions are sessions', function() {
+  return resumeWithDevice().then(function(resumed) {
+    var devices = env.plain(resumed.worker.Tabber.getDevices());
+    var device = devices.filter(function(d) {
+      return d.id == resumed.deviceId;
+    })[0];
+    assert.ok(device);
+    assert.strictEqual(device.numtabs, 2);
+    assert.ok(device.time);
+  });
+});
+
+test('resumed worker handles sync changes of devices', function() {
+  return resumeWithDevice().then(function(resumed) {
+    var tbr = resumed.worker.Tabber;
+    var separator = resumed.worker.TabberInternal.TabberSession.KEY_SEPARATOR;
+    var changes = {};
+    changes[tbr.deviceSessions_[resumed.deviceId].keyPrefix() +
+            'description'] = 'Renamed device';
+    changes[tbr.remoteSession_.keyPrefix() + 'description'] = 'Renamed';
+    assert.ok(tbr.remoteSession_.keyPrefix().endsWith(separator));
+    tbr.onSyncChange_(changes);
+    assert.strictEqual(tbr.deviceSessions_[resumed.deviceId].description,
+                       'Renamed device');
+    // The active session is updated after the devices.
+    assert.strictEqual(tbr.localSession_.description, 'Renamed');
+  });
+});
+
+test('resumed worker catches up with changes while it was stopped', function() {
+  var sync = {};
+  var other = makeBrowser(sync, ['https://a.example/']);
+  var mine = makeBrowser(sync, ['https://c.example/']);
+  return env.startWorker(mine).then(function() {
+    // While this worker is stopped, another device saves and a tab opens.
+    return env.startWorker(other);
+  }).then(function(worker) {
+    worker.Tabber.saveLocalToRemote();
+    mine.tabs.push({id: 2, url: 'https://d.example/', title: 'd', windowId: 1,
+                    index: 1, active: false});
+    return env.wait(200);
+  }).then(function() {
+    return env.startWorker(mine);
+  }).then(function(worker) {
+    return env.wait(100).then(function() {
+      var urls = function(sess) {
+        return env.plain(sess.tabs.map(function(tab) {
+          return tab.url;
+        }));
+      };
+      assert.deepStrictEqual(urls(worker.Tabber.remoteSession_),
+                             ['https://a.example/']);
+      assert.deepStrictEqual(urls(worker.Tabber.localSession_),
+                             ['https://c.example/', 'https://d.example/']);
+    });
+  });
+});
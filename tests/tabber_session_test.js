@@ -0,0 +1,229 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * tabber_session_test.js - Tests for saving sessions to chrome.storage.sync
+ * as chunks and a commit record, and for reading them back.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var env = require('./chrome_env.js');
+
+/**
+ * Load the session scripts on an empty chrome.storage.sync.
+ * @return {Object} - The context.
+ */
+function loadSession() {
+  return env.loadScripts(['tabs.js', 'session_encoding.js', 'tab_rules.js',
+                          'session_crypto.js', 'tabber_session.js'],
+                         env.makeChrome());
+}
+
+/**
+ * Make a session with tabs.
+ * @param {Object} ctx - The context.
+ * @param {number} generation - The generation.
+ * @param {Array<string>} urls - The URLs of the tabs.
+ * @return {Object} - The session.
+ */
+function makeSession(ctx, generation, urls) {
+  var sess = new ctx.TabberInternal.TabberSession(generation, 'work');
+  sess.description = 'Work';
+  sess.updateTime = 1000 + generation;
+  urls.forEach(function(url, index) {
+    sess.tabs.push({id: index + 1, url: url, title: url, windowId: 1,
+                    index: index});
+  });
+  sess.numtabs = urls.length;
+  return sess;
+}
+
+/**
+ * Save a session.
+ * @param {Object} sess - The session.
+ * @param {Object=} opt_syncObj - The sync object, if already prepared.
+ * @param {Function=} opt_check - The check before writing.
+ * @return {Promise<string>} - The error message of the save.
+ */
+function save(sess, opt_syncObj, opt_check) {
+  return new Promise(function(resolve) {
+    sess.saveToSync(resolve, opt_syncObj, opt_check);
+  });
+}
+
+/**
+ * Read a session the way another device does.
+ * @param {Object} ctx - The context.
+ * @param {Object} items - The stored items.
+ * @return {Object} - The session.
+ */
+function readSession(ctx, items) {
+  var sess = new ctx.TabberInternal.TabberSession(-1, 'work');
+  sess.updateProps(items);
+  return sess;
+}
+
+/**
+ * List the URLs of a session.
+ * @param {Object} sess - The session.
+ * @return {Array<string>}
+ */
+function urls(sess) {
+  return env.plain(sess.tabs.map(function(tab) {
+    return tab.url;
+  }));
+}
+
+test('a saved session is read back from its chunks', function() {
+  var ctx = loadSession();
+  var sess = makeSession(ctx, 3, ['https://a.test/', 'https://b.test/']);
+  return save(sess).then(function(errMsg) {
+    assert.strictEqual(errMsg, '');
+    var items = ctx.chrome.browser.sync;
+    var keys = Object.keys(items).sort();
+    assert.match(keys[0], /^work:Chunk_3-[a-z0-9]+_0$/);
+    assert.deepStrictEqual(keys.slice(1), ['work:commit', 'work:description']);
+    var copy = readSession(ctx, items);
+    assert.deepStrictEqual(urls(copy), ['https://a.test/', 'https://b.test/']);
+    assert.strictEqual(copy.generation, 3);
+    assert.strictEqual(copy.updateTime, 1003);
+    assert.strictEqual(copy.description, 'Work');
+  });
+});
+
+test('a commit is only applied once all its chunks are read', function() {
+  var ctx = loadSession();
+  var old = makeSession(ctx, 1, ['https://old.test/']);
+  var sess = makeSession(ctx, 2, ['https://a.test/' + 'x'.repeat(300),
+                                  'https://b.test/']);
+  var reader = readSession(ctx, old.toSync());
+  var syncObj = sess.toSync(40);
+  var chunkKeys = Object.keys(syncObj).filter(function(key) {
+    return key.indexOf('Chunk_') >= 0;
+  });
+  assert.ok(chunkKeys.length > 2);
+  var pick = function(keys) {
+    var props = {};
+    keys.forEach(function(key) {
+      props[key] = syncObj[key];
+    });
+    return props;
+  };
+  // The commit and some chunks, as sync may deliver them.
+  reader.updateProps(pick(chunkKeys.slice(1).concat(['work:commit'])));
+  assert.deepStrictEqual(urls(reader), ['https://old.test/']);
+  assert.strictEqual(reader.generation, 1);
+  reader.updateProps(pick(chunkKeys.slice(0, 1)));
+  assert.strictEqual(reader.generation, 2);
+  assert.strictEqual(reader.tabs.length, 2);
+  assert.deepStrictEqual(env.plain(Object.keys(reader.staged)), []);
+});
+
+test('chunks which do not match the commit are not applied', function() {
+  var ctx = loadSession();
+  var first = makeSession(ctx, 2, ['https://a.test/']).toSync();
+  var second = makeSession(ctx, 2, ['https://b.test/']).toSync();
+  // A commit record with the chunks of another save of the same generation.
+  var mixed = {};
+  for (var key in second) {
+    if (key.indexOf('Chunk_') >= 0) {
+      mixed[key.replace(second['work:commit'].stamp,
+                        first['work:commit'].stamp)] = second[key];
+    }
+  }
+  mixed['work:commit'] = first['work:commit'];
+  var reader = readSession(ctx, mixed);
+  assert.strictEqual(reader.generation, -1);
+  assert.deepStrictEqual(urls(reader), []);
+  // The chunks the commit names still apply it.
+  reader.updateProps(first);
+  assert.deepStrictEqual(urls(reader), ['https://a.test/']);
+});
+
+test('a save removes the chunks of older saves', function() {
+  var ctx = loadSession();
+  var items = ctx.chrome.browser.sync;
+  items['work:Tab_0'] = {url: 'https://legacy.test/'};
+  items['other:Chunk_1-abc_0'] = 'other';
+  var sess = makeSession(ctx, 1, ['https://a.test/']);
+  return save(sess).then(function() {
+    var firstKeys = Object.keys(items);
+    sess.tabs.push({id: 2, url: 'https://b.test/', title: 'b', windowId: 1,
+                    index: 1});
+    sess.generation = 2;
+    return save(sess).then(function(errMsg) {
+      assert.strictEqual(errMsg, '');
+      return env.wait();
+    }).then(function() {
+      var chunks = Object.keys(items).filter(function(key) {
+        return key.startsWith('work:Chunk_');
+      });
+      assert.strictEqual(chunks.length, 1);
+      assert.ok(firstKeys.indexOf(chunks[0]) < 0);
+      assert.ok(!('work:Tab_0' in items));
+      assert.strictEqual(items['other:Chunk_1-abc_0'], 'other');
+      assert.deepStrictEqual(urls(readSession(ctx, items)),
+                             ['https://a.test/', 'https://b.test/']);
+    });
+  });
+});
+
+test('a failed save leaves the stored session as it was', function() {
+  var ctx = loadSession();
+  var items = ctx.chrome.browser.sync;
+  var old = makeSession(ctx, 1, ['https://old.test/']);
+  return save(old).then(function() {
+    var before = env.plain(items);
+    var set = ctx.chrome.storage.sync.set;
+    var writes = 0;
+    // The chunks are written, then the commit record hits the quota.
+    ctx.chrome.storage.sync.set = function(values, callback) {
+      if (writes++ == 0) {
+        set(values, callback);
+        return;
+      }
+      ctx.chrome.runtime.lastError = {message: 'QUOTA_BYTES quota exceeded'};
+      callback();
+      ctx.chrome.runtime.lastError = undefined;
+    };
+    var sess = makeSession(ctx, 2, ['https://a.test/']);
+    return save(sess).then(function(errMsg) {
+      assert.strictEqual(errMsg, 'QUOTA_BYTES quota exceeded');
+      return env.wait();
+    }).then(function() {
+      assert.deepStrictEqual(env.plain(items), before);
+    });
+  });
+});
+
+test('a save which fails its check writes nothing', function() {
+  var ctx = loadSession();
+  var items = ctx.chrome.browser.sync;
+  var sess = makeSession(ctx, 1, ['https://a.test/']);
+  var checked = null;
+  return save(sess, undefined, function(stored, staleKeys, callback) {
+    checked = staleKeys;
+    callback('Not enough room');
+  }).then(function(errMsg) {
+    assert.strictEqual(errMsg, 'Not enough room');
+    assert.deepStrictEqual(env.plain(checked), []);
+    assert.deepStrictEqual(env.plain(items), {});
+  });
+});
@@ -0,0 +1,129 @@
+/**
+Copyright 2018 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * @fileoverview
+ * url_matching_test.js - Tests for deciding whether two tab URLs are the same
+ * page.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var test = require('node:test');
+var env = require('./chrome_env.js');
+
+var ctx = env.loadScripts(['url_matching.js']);
+var UrlMatching = ctx.TabberInternal.UrlMatching;
+
+test('the default config ignores tracking, scheme and slash', function() {
+  UrlMatching.setConfig(undefined);
+  var same = UrlMatching.isSameUrl;
+  assert.ok(same('https://a.test/page?utm_source=x&UTM_Medium=y&id=3',
+                 'https://a.test/page?id=3'));
+  assert.ok(same('https://a.test/?fbclid=1', 'https://a.test/'));
+  assert.ok(same('http://a.test/page/', 'https://a.test/page'));
+  assert.ok(!same('https://a.test/page#one', 'https://a.test/page#two'));
+  assert.ok(!same('https://a.test/page?id=3', 'https://a.test/page?id=4'));
+  assert.ok(!same('https://a.test/?a=1&b=2', 'https://a.test/?b=2&a=1'));
+  assert.ok(!same('https://a.test/', 'https://b.test/'));
+  assert.ok(!same('https://a.test:8080/', 'https://a.test/'));
+});
+
+test('URLs which are not on the web only match themselves', function() {
+  UrlMatching.setConfig(undefined);
+  assert.strictEqual(UrlMatching.getKey('chrome://settings/?utm_source=x'),
+                     'chrome://settings/?utm_source=x');
+  assert.strictEqual(UrlMatching.getKey('not a url'), 'not a url');
+  assert.ok(UrlMatching.isSameUrl('about:blank', 'about:blank'));
+  assert.ok(!UrlMatching.isSameUrl('file:///a/', 'file:///a'));
+});
+
+test('the config settings change what is ignored', function() {
+  UrlMatching.setConfig({strip_params: ['ref*'], ignore_fragment: true,
+                         ignore_scheme: false, ignore_trailing_slash: false});
+  var same = UrlMatching.isSameUrl;
+  assert.ok(same('https://a.test/?referrer=x#top', 'https://a.test/'));
+  assert.ok(!same('https://a.test/?utm_source=x', 'https://a.test/'));
+  assert.ok(!same('http://a.test/', 'https://a.test/'));
+  assert.ok(!same('https://a.test/page/', 'https://a.test/page'));
+});
+
+test('the first host rule which matches applies', function() {
+  UrlMatching.setConfig({hosts: [
+    {host: 'docs.example.com', ignore_fragment: true},
+    {host: '*.example.com', strip_params: ['tab'], ignore_fragment: false},
+    {host: 'search.test', ignore_query: true}]});
+  var same = UrlMatching.isSameUrl;
+  assert.ok(same('https://docs.example.com/d#h1', 'https://docs.example.com/d'));
+  assert.ok(!same('https://docs.example.com/d?tab=1',
+                  'https://docs.example.com/d'));
+  assert.ok(same('https://mail.example.com/?tab=2&utm_source=x',
+                 'https://mail.example.com/'));
+  assert.ok(!same('https://mail.example.com/#a', 'https://mail.example.com/'));
+  assert.ok(same('https://search.test/?q=one', 'https://search.test/?q=two'));
+  assert.ok(!same('https://other.test/?tab=1', 'https://other.test/'));
+});
+
+test('configs are checked', function() {
+  var check = UrlMatching.validateConfig;
+  assert.strictEqual(check({}), '');
+  assert.strictEqual(check(UrlMatching.DEFAULT_CONFIG), '');
+  assert.strictEqual(check(null), 'not an object');
+  assert.strictEqual(check({strip_params: 'utm_*'}),
+                     'strip_params must be a list of parameter names');
+  assert.strictEqual(check({strip_params: ['']}),
+                     'strip_params must be a list of parameter names');
+  assert.strictEqual(check({ignore_fragment: 'yes'}),
+                     'ignore_fragment must be true or false');
+  assert.strictEqual(check({hosts: {}}), 'hosts must be a list');
+  assert.strictEqual(check({hosts: [{host: ''}]}), 'host rule 1 has no host');
+  assert.strictEqual(check({hosts: [{host: 'a', strip_params: [1]}]}),
+                     'host rule 1 strip_params must be a list of parameter ' +
+                     'names');
+  assert.strictEqual(check({hosts: [{host: 'a', ignore_query: 1}]}),
+                     'host rule 1 flags must be true or false');
+});
+
+test('an invalid config means the default config', function() {
+  UrlMatching.setConfig({ignore_fragment: true});
+  assert.strictEqual(UrlMatching.getKey('https://a.test/#x'), '//a.test/');
+  UrlMatching.setConfig({hosts: 'all'});
+  assert.deepStrictEqual(env.plain(UrlMatching.getConfig()),
+                         env.plain(UrlMatching.DEFAULT_CONFIG));
+  // The keys made under the old config are forgotten.
+  assert.strictEqual(UrlMatching.getKey('https://a.test/#x'), '//a.test/#x');
+});
+
+test('the config in effect has the defaults filled in', function() {
+  UrlMatching.setConfig({ignore_fragment: true, hosts: [{host: 'a.test'}]});
+  var config = UrlMatching.getConfig();
+  assert.strictEqual(config.ignore_fragment, true);
+  assert.strictEqual(config.ignore_scheme, true);
+  assert.deepStrictEqual(env.plain(config.strip_params),
+                         env.plain(UrlMatching.DEFAULT_CONFIG.strip_params));
+  // It is a copy.
+  config.hosts.push({host: 'b.test'});
+  assert.strictEqual(UrlMatching.getConfig().hosts.length, 1);
+});
+
+test('the host of a web URL is found', function() {
+  assert.strictEqual(UrlMatching.getHost('https://A.test:8080/x'),
+                     'a.test:8080');
+  assert.strictEqual(UrlMatching.getHost('http://a.test/'), 'a.test');
+  assert.strictEqual(UrlMatching.getHost('chrome://settings/'), '');
+  assert.strictEqual(UrlMatching.getHost('not a url'), '');
+});